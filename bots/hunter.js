@@ -0,0 +1,151 @@
+/**
+ * Hunter - Example Bot Plugin
+ *
+ * Play against it with `sea-battle --bot-plugin hunter`. Hunts on a
+ * checkerboard (every ship covers at least one dark cell), then fires around
+ * hits until the ship sinks. Places its fleet at random, keeping ships apart
+ * so the layout suits every adjacency rule. Its choices come from the seed
+ * the game passes in, so `--seed` replays its games.
+ *
+ * Plugins run sandboxed: only JavaScript builtins, no require, process or timers.
+ * See src/ai/PluginBotStrategy.js for the rules and view passed in.
+ */
+
+var ROWS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Name a cell in the board's notation
+ * @param {number} row - Row index
+ * @param {number} col - Column index
+ * @param {string} notation - 'classic' or 'digits'
+ * @returns {string} Cell name (e.g. 'B7' or '16')
+ */
+function cellName(row, col, notation) {
+  return notation === 'classic' ? ROWS[row] + (col + 1) : String(row) + String(col);
+}
+
+/**
+ * Generator seeded by the game (mulberry32), in place of Math.random
+ * @param {number} seed - 32-bit integer from the rules or view
+ * @returns {Function} Returns the next float in [0, 1) on each call
+ */
+function seeded(seed) {
+  var state = seed >>> 0;
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    var t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a random element
+ * @param {Array} items - Candidates
+ * @param {Function} random - Generator from seeded()
+ * @returns {*} One of them
+ */
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Place each ship at random without touching another
+ * @param {Object} rules - { size, notation, fleet, seed }
+ * @returns {string[]|null} Layout lines, or null to let the game place the fleet
+ */
+function placeFleet(rules) {
+  var random = seeded(rules.seed);
+  for (var attempt = 0; attempt < 100; attempt++) {
+    var taken = {};
+    var lines = [];
+    for (var i = 0; i < rules.fleet.length; i++) {
+      var ship = rules.fleet[i];
+      var options = [];
+      for (var row = 0; row < rules.size; row++) {
+        for (var col = 0; col < rules.size; col++) {
+          ['H', 'V'].forEach(function (orientation) {
+            var cells = [];
+            for (var k = 0; k < ship.length; k++) {
+              cells.push(orientation === 'H' ? [row, col + k] : [row + k, col]);
+            }
+            var fits = cells.every(function (cell) {
+              return cell[0] < rules.size && cell[1] < rules.size && !taken[cell[0] + ',' + cell[1]];
+            });
+            if (fits) {
+              options.push({ row: row, col: col, orientation: orientation, cells: cells });
+            }
+          });
+        }
+      }
+      if (options.length === 0) {
+        break;
+      }
+      var choice = pick(options, random);
+      // Block the ship's cells and everything around them
+      choice.cells.forEach(function (cell) {
+        for (var dr = -1; dr <= 1; dr++) {
+          for (var dc = -1; dc <= 1; dc++) {
+            taken[(cell[0] + dr) + ',' + (cell[1] + dc)] = true;
+          }
+        }
+      });
+      lines.push(ship.name + ' ' + cellName(choice.row, choice.col, rules.notation) + ' ' + choice.orientation);
+    }
+    if (lines.length === rules.fleet.length) {
+      return lines;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fire next to a hit on a ship still afloat, or else at an unknown
+ * checkerboard cell
+ * @param {Object} view - Fog-of-war view
+ * @returns {string} Target cell
+ */
+function chooseTarget(view) {
+  var open = function (row, col) {
+    return row >= 0 && col >= 0 && row < view.size && col < view.size &&
+      view.grid[row][col] === '~' && view.volley.indexOf(cellName(row, col, view.notation)) === -1;
+  };
+  var cells = function (filter) {
+    var found = [];
+    for (var row = 0; row < view.size; row++) {
+      for (var col = 0; col < view.size; col++) {
+        if (filter(row, col)) {
+          found.push(cellName(row, col, view.notation));
+        }
+      }
+    }
+    return found;
+  };
+  var hits = view.fired.filter(function (shot) {
+    return shot.result !== 'miss';
+  }).length;
+  var sunkLength = view.fleet.reduce(function (total, ship) {
+    return total + (ship.sunk ? ship.length : 0);
+  }, 0);
+
+  // More hits than sunk ships account for: a wounded ship is out there
+  var targets = hits > sunkLength ? cells(function (row, col) {
+    return open(row, col) && [[-1, 0], [1, 0], [0, -1], [0, 1]].some(function (step) {
+      var r = row + step[0];
+      var c = col + step[1];
+      return r >= 0 && c >= 0 && r < view.size && c < view.size && view.grid[r][c] === 'X';
+    });
+  }) : [];
+  if (targets.length === 0) {
+    targets = cells(function (row, col) {
+      return open(row, col) && (row + col) % 2 === 0;
+    });
+  }
+  if (targets.length === 0) {
+    targets = cells(open);
+  }
+  return pick(targets, seeded(view.seed));
+}
+
+module.exports = { placeFleet: placeFleet, chooseTarget: chooseTarget };
@@ -0,0 +1,248 @@
+/**
+ * Sea Battle browser client
+ *
+ * Connects to the game server's WebSocket at /ws, draws both boards as
+ * clickable grids and renders the engine events the server pushes.
+ * Each connection is a new game against the CPU.
+ */
+(function () {
+  'use strict';
+
+  const playerTable = document.getElementById('player-board');
+  const cpuTable = document.getElementById('cpu-board');
+  const fireButton = document.getElementById('fire');
+  const statusLine = document.getElementById('status');
+  const log = document.getElementById('log');
+
+  let socket = null;
+  let prompt = null;
+  let selected = [];
+  let finished = false;
+
+  /**
+   * Row label in the board's notation
+   * @param {number} row - Row index
+   * @param {string} notation - 'classic' or 'digits'
+   * @returns {string} Label
+   */
+  function rowLabel(row, notation) {
+    if (notation !== 'classic') {
+      return String(row);
+    }
+    let label = '';
+    for (let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+    }
+    return label;
+  }
+
+  /**
+   * Draw an empty grid
+   * @param {HTMLTableElement} table - Table to fill
+   * @param {number} size - Board size
+   * @param {string} notation - 'classic' or 'digits'
+   * @param {boolean} clickable - Whether cells are buttons
+   */
+  function drawGrid(table, size, notation, clickable) {
+    table.innerHTML = '';
+    const header = table.insertRow();
+    header.appendChild(document.createElement('th'));
+    for (let col = 0; col < size; col++) {
+      const th = document.createElement('th');
+      th.textContent = notation === 'classic' ? col + 1 : col;
+      header.appendChild(th);
+    }
+    for (let row = 0; row < size; row++) {
+      const tr = table.insertRow();
+      const th = document.createElement('th');
+      th.textContent = rowLabel(row, notation);
+      tr.appendChild(th);
+      for (let col = 0; col < size; col++) {
+        const td = tr.insertCell();
+        td.dataset.row = row;
+        td.dataset.col = col;
+        if (clickable) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.setAttribute('aria-label', `${rowLabel(row, notation)}${notation === 'classic' ? col + 1 : col}`);
+          button.addEventListener('click', () => choose(row, col, td));
+          td.appendChild(button);
+        }
+      }
+    }
+  }
+
+  /**
+   * Cell of a board
+   * @param {HTMLTableElement} table - Board table
+   * @param {Object} coordinate - { row, col }
+   * @returns {HTMLTableCellElement|null} Cell
+   */
+  function cell(table, coordinate) {
+    return table.querySelector(`td[data-row="${coordinate.row}"][data-col="${coordinate.col}"]`);
+  }
+
+  /**
+   * Mark a shot on a board
+   * @param {HTMLTableElement} table - Board table
+   * @param {Object} coordinate - { row, col }
+   * @param {string} outcome - 'hit' or 'miss'
+   */
+  function mark(table, coordinate, outcome) {
+    const td = cell(table, coordinate);
+    if (td) {
+      td.classList.remove('selected');
+      td.classList.add(outcome);
+    }
+  }
+
+  /**
+   * Add a line to the battle log
+   * @param {string} text - Log text
+   */
+  function note(text) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    log.appendChild(item);
+    log.scrollTop = log.scrollHeight;
+  }
+
+  /**
+   * Pick a target cell; a shot fires at once, a volley once enough cells are picked
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @param {HTMLTableCellElement} td - Clicked cell
+   */
+  function choose(row, col, td) {
+    if (!prompt || td.classList.contains('hit') || td.classList.contains('miss')) {
+      return;
+    }
+    if (prompt.phase !== 'volley') {
+      fire([[row, col]]);
+      return;
+    }
+    const index = selected.findIndex(([r, c]) => r === row && c === col);
+    if (index === -1 && selected.length < prompt.shots) {
+      selected.push([row, col]);
+      td.classList.add('selected');
+    } else if (index !== -1) {
+      selected.splice(index, 1);
+      td.classList.remove('selected');
+    }
+    fireButton.disabled = selected.length !== prompt.shots;
+  }
+
+  /**
+   * Send the chosen cells
+   * @param {number[][]} cells - [[row, col], ...]
+   */
+  function fire(cells) {
+    prompt = null;
+    selected = [];
+    fireButton.hidden = true;
+    cpuTable.classList.remove('active');
+    socket.send(JSON.stringify({ type: 'fire', cells }));
+  }
+
+  const handlers = {
+    fleet({ size, notation, ships }) {
+      drawGrid(playerTable, size, notation, false);
+      drawGrid(cpuTable, size, notation, true);
+      ships.forEach(ship => ship.cells.forEach(coordinate => cell(playerTable, coordinate).classList.add('ship')));
+    },
+    gameStart({ cpuNumShips, variant }) {
+      finished = false;
+      log.innerHTML = '';
+      note(`New game: sink the ${cpuNumShips} enemy ships${variant === 'salvo' ? ' (Salvo rules)' : ''}.`);
+    },
+    turnStart({ player }) {
+      statusLine.textContent = player === 'player' ? 'Your turn.' : 'CPU is thinking...';
+    },
+    prompt(request) {
+      prompt = request;
+      selected = [];
+      cpuTable.classList.add('active');
+      if (request.phase === 'volley') {
+        statusLine.textContent = `Your turn: pick ${request.shots} cells, then fire.`;
+        fireButton.hidden = false;
+        fireButton.disabled = true;
+      } else {
+        statusLine.textContent = 'Your turn: click a cell in enemy waters.';
+      }
+    },
+    playerHit({ coordinate }) {
+      mark(cpuTable, coordinate, 'hit');
+      note(`You fire at ${coordinate.label}: hit!`);
+    },
+    playerMiss({ coordinate }) {
+      mark(cpuTable, coordinate, 'miss');
+      note(`You fire at ${coordinate.label}: miss.`);
+    },
+    cpuHit({ coordinate }) {
+      mark(playerTable, coordinate, 'hit');
+      note(`CPU fires at ${coordinate.label}: hit!`);
+    },
+    cpuMiss({ coordinate }) {
+      mark(playerTable, coordinate, 'miss');
+      note(`CPU fires at ${coordinate.label}: miss.`);
+    },
+    shipSunk({ player, ship }) {
+      note(player === 'player' ? `You sank the enemy ${ship}!` : `The CPU sank your ${ship}!`);
+    },
+    bonusTurn({ player }) {
+      note(player === 'player' ? 'Bonus turn! Fire again.' : 'The CPU earned a bonus turn.');
+    },
+    volleyComplete({ player, hits, misses }) {
+      note(`${player === 'player' ? 'Your' : 'CPU'} volley: ${hits} hit${hits === 1 ? '' : 's'}, ${misses} miss${misses === 1 ? '' : 'es'}.`);
+    },
+    invalidMove({ message }) {
+      note(message);
+    },
+    gameEnded({ winner, error }) {
+      finished = true;
+      statusLine.textContent = error ? 'The game ended due to an error.'
+        : winner === 'player' ? 'You win! All enemy ships sunk.' : 'The CPU wins. Your fleet is sunk.';
+    },
+    reveal({ ships }) {
+      ships.forEach(ship => ship.cells.forEach(coordinate => {
+        const td = cell(cpuTable, coordinate);
+        if (td && !td.classList.contains('hit')) {
+          td.classList.add('revealed');
+        }
+      }));
+    },
+    error({ message }) {
+      note(`Error: ${message}`);
+    }
+  };
+
+  /**
+   * Open a connection, which starts a new game
+   */
+  function connect() {
+    if (socket) {
+      socket.close();
+    }
+    const scheme = location.protocol === 'https:' ? 'wss' : 'ws';
+    const current = new WebSocket(`${scheme}://${location.host}/ws`);
+    socket = current;
+    current.addEventListener('message', event => {
+      const message = JSON.parse(event.data);
+      const handler = handlers[message.type];
+      if (handler) {
+        handler(message);
+      }
+    });
+    current.addEventListener('close', () => {
+      if (socket === current && !finished) {
+        statusLine.textContent = 'Disconnected. Start a new game to play again.';
+      }
+      cpuTable.classList.remove('active');
+      prompt = null;
+    });
+  }
+
+  fireButton.addEventListener('click', () => fire(selected.slice()));
+  document.getElementById('new-game').addEventListener('click', connect);
+  connect();
+}());
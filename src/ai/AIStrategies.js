@@ -8,6 +8,7 @@
  */
 
 const GameConfig = require('../config/GameConfig');
+const Coordinate = require('../entities/Coordinate');
 
 /**
  * Abstract base class for AI strategies
@@ -30,7 +31,7 @@ class HuntStrategy extends AIStrategy {
     do {
       const row = Math.floor(Math.random() * boardSize);
       const col = Math.floor(Math.random() * boardSize);
-      guess = `${row}${col}`;
+      guess = Coordinate.of(row, col);
     } while (gameState.cpuGuesses.has(guess));
     
     return { coordinate: guess, mode: 'hunt' };
@@ -56,7 +57,7 @@ class TargetStrategy extends AIStrategy {
     
     adjacentCells
       .filter(({r, c}) => this.isValidTarget(r, c, gameState))
-      .map(({r, c}) => `${r}${c}`)
+      .map(({r, c}) => Coordinate.of(r, c))
       .filter(coord => !this.targetQueue.includes(coord))
       .forEach(coord => this.targetQueue.push(coord));
   }
@@ -66,7 +67,7 @@ class TargetStrategy extends AIStrategy {
     const boardSize = config.get('boardSize');
     return row >= 0 && row < boardSize && 
            col >= 0 && col < boardSize && 
-           !gameState.cpuGuesses.has(`${row}${col}`);
+           !gameState.cpuGuesses.has(Coordinate.of(row, col));
   }
   
   makeMove(gameState) {
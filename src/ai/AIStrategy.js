@@ -8,12 +8,30 @@
  */
 
 const GameConfig = require('../config/GameConfig');
+const Coordinate = require('../entities/Coordinate');
+const GameBoard = require('../entities/GameBoard');
+const Random = require('../utils/Random');
+
+/**
+ * Lengths of the configured fleet, in the same way ShipFactory builds it
+ * @returns {number[]} Ship lengths
+ */
+function configuredFleetLengths() {
+  const config = new GameConfig();
+  const fleet = config.get('shipPatterns') ||
+    Array.from({ length: config.get('numShips') }, () => ({ length: config.get('shipLength') }));
+  return fleet.map(pattern => pattern.length);
+}
 
 /**
  * Base AI strategy class
  */
 class AIStrategy {
-  constructor() {
+  /**
+   * @param {Random} random - Generator for the strategy's choices (defaults to the shared generator)
+   */
+  constructor(random = Random.getDefault()) {
+    this.random = random;
     this.previousMoves = new Set();
   }
 
@@ -21,10 +39,76 @@ class AIStrategy {
     throw new Error('AI Strategy must implement makeMove method');
   }
 
+  /**
+   * Draw from another generator, as a strategy handed to a game draws from the game's
+   * @param {Random} random - Generator for the strategy's choices
+   * @returns {AIStrategy} This strategy
+   */
+  useRandom(random) {
+    this.random = random;
+    return this;
+  }
+
+  /**
+   * Pick several targets at once for a Salvo volley. No results come back
+   * until the whole volley is fired, so each pick only treats the earlier
+   * picks as taken.
+   * @param {number} count - Shots in the volley
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {GameBoard} playerBoard - Board being fired at
+   * @returns {Object[]} One move per shot
+   */
+  makeVolley(count, previousGuesses, playerBoard) {
+    const taken = new Set(previousGuesses);
+    const moves = [];
+    for (let i = 0; i < count; i++) {
+      const move = this.makeMove(taken, playerBoard);
+      taken.add(Coordinate.from(move.coordinate));
+      moves.push(move);
+    }
+    return moves;
+  }
+
   getName() {
     return 'AIStrategy';
   }
 
+  /**
+   * Choose this side's fleet layout; built-in strategies leave placement to the game
+   * @returns {string|null|Promise<string|null>} Fleet layout, or null to place at random
+   */
+  placeFleet() {
+    return null;
+  }
+
+  /**
+   * Learn from the result of a shot; strategies without memory ignore it
+   * @param {Coordinate|string} coordinate - Cell that was fired at
+   * @param {boolean} wasHit - Whether the shot hit
+   * @param {boolean} wasSunk - Whether the shot sank a ship
+   * @param {Object} sunkShip - Sunk ship details ({ name, length }) when wasSunk
+   */
+  updateStrategy(coordinate, wasHit, wasSunk, sunkShip) {}
+
+  /**
+   * Serialize what the strategy has learned, for saved games
+   * @returns {Object} Strategy state with coordinates as strings
+   */
+  toJSON() {
+    return {
+      strategy: this.getName(),
+      previousMoves: Array.from(this.previousMoves, String)
+    };
+  }
+
+  /**
+   * Continue from state serialized with toJSON
+   * @param {Object} data - Serialized strategy state
+   */
+  restore(data) {
+    this.previousMoves = new Set(data.previousMoves.map(value => Coordinate.from(value)));
+  }
+
   reset() {
     this.previousMoves.clear();
   }
@@ -40,13 +124,13 @@ class HuntStrategy extends AIStrategy {
 
   makeMove(previousGuesses, playerBoard) {
     const config = new GameConfig();
-    const boardSize = config.get('boardSize');
+    const boardSize = (playerBoard && playerBoard.size) || config.get('boardSize');
     let guess;
 
     do {
-      const row = Math.floor(Math.random() * boardSize);
-      const col = Math.floor(Math.random() * boardSize);
-      guess = `${row}${col}`;
+      const row = this.random.int(boardSize);
+      const col = this.random.int(boardSize);
+      guess = Coordinate.of(row, col);
     } while (previousGuesses.has(guess));
 
     this.previousMoves.add(guess);
@@ -60,13 +144,110 @@ class HuntStrategy extends AIStrategy {
 }
 
 /**
- * Target strategy - focused targeting
+ * Parity hunt strategy - searches a lattice instead of the whole board.
+ *
+ * A ship of length N always covers one cell with (row + col) % N === 0, so
+ * while the smallest surviving ship has length N only those cells need to
+ * be searched. Sunk ships reported through updateStrategy shrink the fleet
+ * and may widen the lattice's spacing.
+ */
+class ParityHuntStrategy extends HuntStrategy {
+  /**
+   * @param {number[]} fleetLengths - Lengths of the enemy ships (defaults to the configured fleet)
+   * @param {Random} random - Generator for the strategy's choices
+   */
+  constructor(fleetLengths, random) {
+    super(random);
+    this.fleetLengths = fleetLengths || configuredFleetLengths();
+    this.remainingLengths = [...this.fleetLengths];
+  }
+
+  getName() {
+    return 'ParityHuntStrategy';
+  }
+
+  /**
+   * Lattice spacing: the length of the smallest surviving ship
+   * @returns {number} Parity (1 searches every cell)
+   */
+  getParity() {
+    return this.remainingLengths.length > 0 ? Math.max(1, Math.min(...this.remainingLengths)) : 1;
+  }
+
+  makeMove(previousGuesses, playerBoard) {
+    const config = new GameConfig();
+    const boardSize = (playerBoard && playerBoard.size) || config.get('boardSize');
+    const parity = this.getParity();
+    const candidates = [];
+
+    for (let row = 0; row < boardSize; row++) {
+      for (let col = 0; col < boardSize; col++) {
+        const coordinate = Coordinate.of(row, col);
+        if ((row + col) % parity === 0 && !previousGuesses.has(coordinate)) {
+          candidates.push(coordinate);
+        }
+      }
+    }
+
+    if (candidates.length === 0) {
+      // Lattice exhausted (e.g. ship lengths misreported): search the rest of the board
+      const move = super.makeMove(previousGuesses, playerBoard);
+      return { ...move, strategy: this.getName() };
+    }
+
+    const guess = this.random.pick(candidates);
+    this.previousMoves.add(guess);
+    return {
+      coordinate: guess,
+      mode: 'hunt',
+      strategy: this.getName(),
+      confidence: Math.min(1, parity / candidates.length)
+    };
+  }
+
+  updateStrategy(coordinate, wasHit, wasSunk, sunkShip = null) {
+    if (!wasSunk || !sunkShip || !sunkShip.length) {
+      return;
+    }
+    const position = this.remainingLengths.indexOf(sunkShip.length);
+    if (position !== -1) {
+      this.remainingLengths.splice(position, 1);
+    }
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), remainingLengths: [...this.remainingLengths] };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.remainingLengths = [...data.remainingLengths];
+  }
+
+  reset() {
+    super.reset();
+    this.remainingLengths = [...this.fleetLengths];
+  }
+}
+
+/**
+ * Target strategy - focused targeting.
+ *
+ * After a single hit the four neighbours are queued. Once two adjacent hits
+ * show the ship's axis, the strategy locks onto that line and extends it in
+ * both directions; the queued neighbours are only used again when both ends
+ * of the line are blocked by misses or the board edge.
  */
 class TargetStrategy extends AIStrategy {
-  constructor() {
-    super();
+  /**
+   * @param {Random} random - Generator for the hunting fallback
+   */
+  constructor(random) {
+    super(random);
     this.targetQueue = [];
     this.hitHistory = [];
+    this.openHits = [];
+    this.boardSize = null;
   }
 
   getName() {
@@ -74,8 +255,7 @@ class TargetStrategy extends AIStrategy {
   }
 
   addTargets(row, col, previousGuesses) {
-    const config = new GameConfig();
-    const boardSize = config.get('boardSize');
+    const boardSize = this.boardSize || new GameConfig().get('boardSize');
     const directions = [
       { row: -1, col: 0 }, // north
       { row: 1, col: 0 },  // south
@@ -86,14 +266,16 @@ class TargetStrategy extends AIStrategy {
     for (const dir of directions) {
       const newRow = row + dir.row;
       const newCol = col + dir.col;
-      const coordinate = `${newRow}${newCol}`;
 
       if (this.isValidTarget(newRow, newCol, boardSize, previousGuesses)) {
-        this.targetQueue.push({
-          coordinate,
-          direction: dir,
-          confidence: 0.8
-        });
+        const coordinate = Coordinate.of(newRow, newCol);
+        if (!this.targetQueue.some(target => target.coordinate === coordinate)) {
+          this.targetQueue.push({
+            coordinate,
+            direction: dir,
+            confidence: 0.8
+          });
+        }
       }
     }
   }
@@ -101,13 +283,97 @@ class TargetStrategy extends AIStrategy {
   isValidTarget(row, col, boardSize, previousGuesses) {
     return row >= 0 && row < boardSize && 
            col >= 0 && col < boardSize && 
-           !previousGuesses.has(`${row}${col}`);
+           !previousGuesses.has(Coordinate.of(row, col));
+  }
+
+  /**
+   * Check whether there is still a damaged ship to finish off
+   * @returns {boolean} True while hits or queued neighbours remain
+   */
+  hasTargets() {
+    return this.openHits.length > 0 || this.targetQueue.length > 0;
+  }
+
+  /**
+   * Find the line of adjacent open hits that reveals a ship's axis,
+   * preferring the line through the most recent hit
+   * @returns {Object|null} { axis: [rowStep, colStep], run: Coordinate[] } or null if no two hits touch
+   */
+  getLockedLine() {
+    for (const hit of [...this.openHits].reverse()) {
+      const lines = [[0, 1], [1, 0]]
+        .map(axis => ({ axis, run: this.getRun(hit, axis) }))
+        .filter(line => line.run.length > 1);
+      if (lines.length > 0) {
+        return lines.reduce((longest, line) => line.run.length > longest.run.length ? line : longest);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Collect the consecutive open hits through a cell along an axis
+   * @param {Coordinate} coordinate - Cell on the line
+   * @param {number[]} axis - [rowStep, colStep]
+   * @returns {Coordinate[]} Hits in line order
+   */
+  getRun(coordinate, [rowStep, colStep]) {
+    const run = [coordinate];
+    for (const sign of [-1, 1]) {
+      let next = coordinate.offset(rowStep * sign, colStep * sign);
+      while (this.openHits.includes(next)) {
+        if (sign < 0) {
+          run.unshift(next);
+        } else {
+          run.push(next);
+        }
+        next = next.offset(rowStep * sign, colStep * sign);
+      }
+    }
+    return run;
+  }
+
+  /**
+   * Pick the next unguessed cell extending the locked line
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {number} boardSize - Board size
+   * @returns {Coordinate|null} Line extension, or null if both ends are blocked
+   */
+  extendLine(previousGuesses, boardSize) {
+    const line = this.getLockedLine();
+    if (!line) {
+      return null;
+    }
+    const [rowStep, colStep] = line.axis;
+    const ends = [
+      line.run[line.run.length - 1].offset(rowStep, colStep),
+      line.run[0].offset(-rowStep, -colStep)
+    ];
+    // Keep going the way the last hit extended the line
+    if (line.run[0] === this.openHits[this.openHits.length - 1]) {
+      ends.reverse();
+    }
+    return ends.find(end => this.isValidTarget(end.row, end.col, boardSize, previousGuesses)) || null;
   }
 
   makeMove(previousGuesses, playerBoard) {
+    this.boardSize = (playerBoard && playerBoard.size) || this.boardSize || new GameConfig().get('boardSize');
+
+    const extension = this.extendLine(previousGuesses, this.boardSize);
+    if (extension) {
+      this.previousMoves.add(extension);
+      return {
+        coordinate: extension,
+        mode: 'target',
+        strategy: this.getName(),
+        confidence: 0.9
+      };
+    }
+
+    // The line (if any) ends in misses: try the remaining neighbours
+    this.targetQueue = this.targetQueue.filter(target => !previousGuesses.has(target.coordinate));
     if (this.targetQueue.length === 0) {
-      const huntStrategy = new HuntStrategy();
-      return huntStrategy.makeMove(previousGuesses, playerBoard);
+      return new HuntStrategy(this.random).makeMove(previousGuesses, playerBoard);
     }
 
     const target = this.targetQueue.shift();
@@ -120,31 +386,308 @@ class TargetStrategy extends AIStrategy {
     };
   }
 
-  updateStrategy(coordinate, wasHit, wasSunk) {
+  updateStrategy(coordinate, wasHit, wasSunk, sunkShip = null) {
     if (wasHit) {
-      const [row, col] = coordinate.split('').map(Number);
+      coordinate = Coordinate.from(coordinate);
+      const { row, col } = coordinate;
       this.hitHistory.push({ coordinate, wasSunk });
+      this.openHits.push(coordinate);
 
-      if (!wasSunk) {
+      if (wasSunk) {
+        this.resolveSunkShip(coordinate, sunkShip && sunkShip.length);
+      } else {
         // Add adjacent targets if ship wasn't sunk
         this.addTargets(row, col, this.previousMoves);
       }
     }
   }
 
+  /**
+   * Forget the hits of a sunk ship; hits left over belong to another ship
+   * and keep their neighbours queued
+   * @param {Coordinate} coordinate - Cell whose hit sank the ship
+   * @param {number} [length] - Length of the sunk ship, when reported
+   */
+  resolveSunkShip(coordinate, length) {
+    const runs = [[0, 1], [1, 0]].map(axis => this.getRun(coordinate, axis));
+    const shipLength = length || Math.max(...runs.map(run => run.length));
+    const run = runs.find(candidate => candidate.length >= shipLength) ||
+      runs.reduce((longest, candidate) => candidate.length > longest.length ? candidate : longest);
+
+    // Take the ship-sized window of the run that includes the sinking cell
+    const index = run.indexOf(coordinate);
+    const start = Math.max(0, Math.min(index, run.length - shipLength));
+    const sunkCells = run.slice(start, start + shipLength);
+    this.openHits = this.openHits.filter(hit => !sunkCells.includes(hit));
+
+    this.targetQueue = [];
+    this.openHits.forEach(hit => this.addTargets(hit.row, hit.col, this.previousMoves));
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      targetQueue: this.targetQueue.map(target => ({ ...target, coordinate: String(target.coordinate) })),
+      hitHistory: this.hitHistory.map(hit => ({ ...hit, coordinate: String(hit.coordinate) })),
+      openHits: this.openHits.map(String)
+    };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.targetQueue = data.targetQueue.map(target => ({ ...target, coordinate: Coordinate.from(target.coordinate) }));
+    this.hitHistory = data.hitHistory.map(hit => ({ ...hit, coordinate: Coordinate.from(hit.coordinate) }));
+    this.openHits = data.openHits.map(value => Coordinate.from(value));
+  }
+
   reset() {
     super.reset();
     this.targetQueue = [];
     this.hitHistory = [];
+    this.openHits = [];
+  }
+}
+
+/**
+ * Probability density strategy - fires where the remaining fleet most likely is.
+ *
+ * For every placement of every surviving enemy ship that is consistent with
+ * what the AI knows (misses, sunk ships, unresolved hits), each unguessed
+ * cell it covers gains weight. While there are unresolved hits only the
+ * placements through them count, so the strategy hunts and targets alike.
+ */
+class ProbabilityStrategy extends AIStrategy {
+  /**
+   * @param {number[]} fleetLengths - Lengths of the enemy ships (defaults to the configured fleet)
+   * @param {Random} random - Generator for breaking ties
+   */
+  constructor(fleetLengths, random) {
+    super(random);
+    this.fleetLengths = fleetLengths || configuredFleetLengths();
+    this.resetKnowledge();
+  }
+
+  getName() {
+    return 'ProbabilityStrategy';
+  }
+
+  /**
+   * Forget everything learned about the enemy fleet
+   */
+  resetKnowledge() {
+    this.remainingLengths = [...this.fleetLengths];
+    this.openHits = new Set();
+    this.sunkCells = new Set();
+  }
+
+  makeMove(previousGuesses, playerBoard) {
+    const config = new GameConfig();
+    const boardSize = (playerBoard && playerBoard.size) || config.get('boardSize');
+    let { density, totalWeight } = this.computeDensity(previousGuesses, boardSize, this.openHits.size > 0);
+    if (density.size === 0 && this.openHits.size > 0) {
+      // Open hits no surviving ship can explain: fall back to plain hunting
+      ({ density, totalWeight } = this.computeDensity(previousGuesses, boardSize, false));
+    }
+
+    let best = [];
+    let bestWeight = 0;
+    density.forEach((weight, coordinate) => {
+      if (weight > bestWeight) {
+        best = [coordinate];
+        bestWeight = weight;
+      } else if (weight === bestWeight) {
+        best.push(coordinate);
+      }
+    });
+
+    if (best.length === 0) {
+      // No consistent placement left (e.g. inconsistent feedback): search at random
+      return new HuntStrategy(this.random).makeMove(previousGuesses, playerBoard);
+    }
+
+    const guess = this.random.pick(best);
+    this.previousMoves.add(guess);
+    return {
+      coordinate: guess,
+      mode: this.openHits.size > 0 ? 'target' : 'hunt',
+      strategy: this.getName(),
+      confidence: Math.min(1, bestWeight / totalWeight)
+    };
+  }
+
+  /**
+   * Weight every unguessed cell by the number of consistent ship placements covering it
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {number} boardSize - Board size
+   * @param {boolean} targeting - Only count placements through unresolved hits
+   * @returns {Object} { density: Map<Coordinate, number>, totalWeight }
+   */
+  computeDensity(previousGuesses, boardSize, targeting) {
+    const density = new Map();
+    let totalWeight = 0;
+
+    const isBlocked = coordinate => this.sunkCells.has(coordinate) ||
+      (previousGuesses.has(coordinate) && !this.openHits.has(coordinate));
+
+    for (const length of new Set(this.remainingLengths)) {
+      const copies = this.remainingLengths.filter(remaining => remaining === length).length;
+      // Single-cell ships have one placement per cell, not two
+      const orientations = length === 1 ? [[0, 1]] : [[0, 1], [1, 0]];
+      for (const [rowStep, colStep] of orientations) {
+        for (let row = 0; row + rowStep * (length - 1) < boardSize; row++) {
+          for (let col = 0; col + colStep * (length - 1) < boardSize; col++) {
+            const cells = Array.from({ length }, (_, i) => Coordinate.of(row + rowStep * i, col + colStep * i));
+            if (cells.some(isBlocked)) {
+              continue;
+            }
+            const hitsCovered = cells.filter(cell => this.openHits.has(cell)).length;
+            if (targeting && hitsCovered === 0) {
+              continue;
+            }
+            // Placements through several known hits are far more likely
+            const weight = copies * (targeting ? Math.pow(10, hitsCovered) : 1);
+            totalWeight += weight;
+            cells.forEach(cell => {
+              if (!previousGuesses.has(cell)) {
+                density.set(cell, (density.get(cell) || 0) + weight);
+              }
+            });
+          }
+        }
+      }
+    }
+
+    return { density, totalWeight };
+  }
+
+  updateStrategy(coordinate, wasHit, wasSunk, sunkShip = null) {
+    if (!wasHit) {
+      return;
+    }
+    coordinate = Coordinate.from(coordinate);
+    this.openHits.add(coordinate);
+    if (wasSunk) {
+      this.resolveSunkShip(coordinate, sunkShip && sunkShip.length);
+    }
+  }
+
+  /**
+   * Attribute the hits of a sunk ship and drop it from the remaining fleet
+   * @param {Coordinate} coordinate - Cell whose hit sank the ship
+   * @param {number} [length] - Length of the sunk ship, when reported
+   */
+  resolveSunkShip(coordinate, length) {
+    const runs = [[0, 1], [1, 0]].map(([rowStep, colStep]) => {
+      const run = [coordinate];
+      for (const sign of [-1, 1]) {
+        let next = coordinate.offset(rowStep * sign, colStep * sign);
+        while (this.openHits.has(next)) {
+          if (sign < 0) {
+            run.unshift(next);
+          } else {
+            run.push(next);
+          }
+          next = next.offset(rowStep * sign, colStep * sign);
+        }
+      }
+      return run;
+    });
+
+    const shipLength = length || Math.max(...runs.map(run => run.length));
+    const run = runs.find(candidate => candidate.length >= shipLength) ||
+      runs.reduce((longest, candidate) => candidate.length > longest.length ? candidate : longest);
+
+    // Take the ship-sized window of the run that includes the sinking cell
+    const index = run.indexOf(coordinate);
+    const start = Math.max(0, Math.min(index, run.length - shipLength));
+    run.slice(start, start + shipLength).forEach(cell => {
+      this.openHits.delete(cell);
+      this.sunkCells.add(cell);
+    });
+
+    const position = this.remainingLengths.indexOf(shipLength);
+    if (position !== -1) {
+      this.remainingLengths.splice(position, 1);
+    }
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      remainingLengths: [...this.remainingLengths],
+      openHits: Array.from(this.openHits, String),
+      sunkCells: Array.from(this.sunkCells, String)
+    };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.remainingLengths = [...data.remainingLengths];
+    this.openHits = new Set(data.openHits.map(value => Coordinate.from(value)));
+    this.sunkCells = new Set(data.sunkCells.map(value => Coordinate.from(value)));
+  }
+
+  reset() {
+    super.reset();
+    this.resetKnowledge();
   }
 }
 
+/**
+ * Difficulty levels as strategy sets. `hunt` searches for ships; `target`,
+ * when present, takes over after a hit until it runs out of leads. A set
+ * without `target` keeps its hunt strategy for the whole game.
+ */
+const DIFFICULTY_LEVELS = {
+  easy: {
+    hunt: (fleetLengths, random) => new HuntStrategy(random)
+  },
+  normal: {
+    hunt: (fleetLengths, random) => new HuntStrategy(random),
+    target: (fleetLengths, random) => new TargetStrategy(random)
+  },
+  hard: {
+    hunt: (fleetLengths, random) => new ParityHuntStrategy(fleetLengths, random),
+    target: (fleetLengths, random) => new TargetStrategy(random)
+  },
+  expert: {
+    hunt: (fleetLengths, random) => new ProbabilityStrategy(fleetLengths, random)
+  }
+};
+
+const DIFFICULTIES = Object.keys(DIFFICULTY_LEVELS);
+
 /**
  * AI Context - manages current strategy
  */
 class AIContext {
-  constructor() {
-    this.currentStrategy = new HuntStrategy();
+  /**
+   * @param {Object} options - AI options
+   * @param {string} options.difficulty - One of easy, normal, hard, expert (defaults to normal)
+   * @param {number[]} options.fleetLengths - Enemy ship lengths for strategies that track the fleet
+   * @param {Random} options.random - Generator for every strategy's choices (defaults to the shared generator)
+   * @param {string} options.adjacency - Placement rule of the enemy board (defaults to the configured rule)
+   * @param {AIStrategy} options.strategy - Strategy that plays the whole game instead of a difficulty's
+   *   (e.g. an ExternalBotStrategy); its moves may be promises
+   * @throws {Error} If the difficulty is unknown
+   */
+  constructor(options = {}) {
+    this.custom = Boolean(options.strategy);
+    this.difficulty = this.custom ? 'custom' : options.difficulty || 'normal';
+    if (!this.custom && !DIFFICULTIES.includes(this.difficulty)) {
+      throw new Error(`Unknown AI difficulty '${this.difficulty}' (expected one of ${DIFFICULTIES.join(', ')})`);
+    }
+    // A custom strategy draws from the game's generator, so a seed replays it too
+    this.strategySet = this.custom
+      ? { hunt: (fleetLengths, random) => options.strategy.useRandom(random) }
+      : DIFFICULTY_LEVELS[this.difficulty];
+    this.fleetLengths = options.fleetLengths;
+    this.random = options.random || Random.getDefault();
+    this.adjacency = options.adjacency || new GameConfig().get('adjacency') || 'overlap-only';
+    // Cells the adjacency rule proves empty, so they are never worth a shot
+    this.ruledOut = new Set();
+    this.huntStrategy = this.createHuntStrategy();
+    this.currentStrategy = this.huntStrategy;
     this.moveHistory = [];
     this.performanceStats = {
       hits: 0,
@@ -154,37 +697,209 @@ class AIContext {
     };
   }
 
+  /**
+   * Create the difficulty's hunt strategy
+   * @returns {AIStrategy} Hunt strategy
+   */
+  createHuntStrategy() {
+    return this.strategySet.hunt(this.fleetLengths, this.random);
+  }
+
+  /**
+   * Check whether the difficulty switches to a dedicated target strategy after hits
+   * @returns {boolean} True if the strategy set has a target strategy
+   */
+  hasTargetMode() {
+    return typeof this.strategySet.target === 'function';
+  }
+
+  /**
+   * Pick the next target with the current strategy
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {GameBoard} playerBoard - Board being fired at
+   * @returns {Object|Promise<Object>} Move, or a promise of one for asynchronous strategies
+   */
   makeMove(previousGuesses, playerBoard) {
-    const move = this.currentStrategy.makeMove(previousGuesses, playerBoard);
-    this.moveHistory.push(move);
-    return move;
+    const move = this.currentStrategy.makeMove(this.excludeRuledOut(previousGuesses), playerBoard);
+    return this.track(move, resolved => this.moveHistory.push(resolved));
+  }
+
+  /**
+   * Pick every target of a Salvo volley with the current strategy
+   * @param {number} count - Shots in the volley
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {GameBoard} playerBoard - Board being fired at
+   * @returns {Object[]} One move per shot
+   */
+  makeVolley(count, previousGuesses, playerBoard) {
+    let excluded = this.excludeRuledOut(previousGuesses);
+    const boardSize = (playerBoard && playerBoard.size) || new GameConfig().get('boardSize');
+    const closed = Array.from(excluded).filter(cell => Coordinate.from(cell).isWithin(boardSize)).length;
+    if (boardSize * boardSize - closed < count) {
+      // Too few promising cells left for the volley: spend the spare shots on ruled-out ones
+      excluded = previousGuesses;
+    }
+    const moves = this.currentStrategy.makeVolley(count, excluded, playerBoard);
+    return this.track(moves, resolved => this.moveHistory.push(...resolved));
+  }
+
+  /**
+   * Record a strategy's answer once it is known
+   * @param {*} value - Answer, or a promise of one
+   * @param {Function} record - Called with the answer
+   * @returns {*} The answer, or a promise of it
+   */
+  track(value, record) {
+    if (value && typeof value.then === 'function') {
+      return value.then(resolved => {
+        record(resolved);
+        return resolved;
+      });
+    }
+    record(value);
+    return value;
+  }
+
+  /**
+   * Ask the strategy for its own fleet layout
+   * @returns {string|null|Promise<string|null>} Fleet layout, or null to place at random
+   */
+  placeFleet() {
+    return this.huntStrategy.placeFleet();
+  }
+
+  /**
+   * Add the cells the adjacency rule has ruled out to the cells already fired at
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @returns {Set<Coordinate>} Cells not worth a shot
+   */
+  excludeRuledOut(previousGuesses) {
+    // A custom strategy answers for its own moves, so it sees exactly the cells fired at
+    return !this.custom && this.ruledOut.size > 0 ? new Set([...previousGuesses, ...this.ruledOut]) : previousGuesses;
+  }
+
+  /**
+   * Feed the result of the last shot back to the strategy
+   * @param {boolean} wasHit - Whether the shot hit a ship
+   * @param {Coordinate|string} coordinate - Cell that was fired at
+   * @param {boolean} wasSunk - Whether the shot sank the ship
+   * @param {Object} sunkShip - Sunk ship details ({ name, length, locations }) when wasSunk
+   */
+  updateResult(wasHit, coordinate, wasSunk = false, sunkShip = null) {
+    this.recordResult(wasHit, wasSunk);
+    if (wasHit) {
+      this.ruleOutAround(coordinate, wasSunk ? sunkShip : null);
+    }
+
+    if (!this.hasTargetMode()) {
+      // Single-strategy sets hunt (and, for expert, target) by themselves
+      this.currentStrategy.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+      return;
+    }
+
+    if (this.currentStrategy !== this.huntStrategy) {
+      // Keep the hunt strategy's picture of the fleet current while targeting
+      this.huntStrategy.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+    }
+
+    if (wasHit) {
+      if (!(this.currentStrategy instanceof TargetStrategy)) {
+        this.switchToTarget();
+      }
+      this.currentStrategy.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+    }
+
+    if (this.currentStrategy instanceof TargetStrategy && !this.currentStrategy.hasTargets()) {
+      // Every damaged ship is sunk (or no leads remain): resume hunting
+      this.switchToHunt();
+    }
+  }
+
+  /**
+   * Mark cells the adjacency rule keeps clear of a hit. Under 'no-contact'
+   * a hit's diagonal neighbours are always empty (ships are straight), and
+   * once a ship sinks every cell touching it is empty under either rule.
+   * @param {Coordinate|string} coordinate - Cell that was hit
+   * @param {Object|null} sunkShip - Sunk ship details with its locations, if the hit sank it
+   */
+  ruleOutAround(coordinate, sunkShip) {
+    const hit = Coordinate.from(coordinate);
+    let cells = [];
+    if (this.adjacency === 'no-contact') {
+      cells = hit.neighbours(true).filter(cell => cell.row !== hit.row && cell.col !== hit.col);
+    }
+    if (sunkShip && sunkShip.locations) {
+      cells = cells.concat(GameBoard.getContactCells(sunkShip.locations, this.adjacency));
+    }
+    // Cells past the top or left edge can never be fired at
+    cells.filter(cell => cell.row >= 0 && cell.col >= 0).forEach(cell => this.ruledOut.add(cell));
   }
 
-  updateResult(wasHit, coordinate, wasSunk = false) {
+  /**
+   * Count a shot in the performance stats
+   * @param {boolean} wasHit - Whether the shot hit
+   * @param {boolean} wasSunk - Whether the shot sank a ship
+   */
+  recordResult(wasHit, wasSunk) {
     if (wasHit) {
       this.performanceStats.hits++;
       if (wasSunk) {
         this.performanceStats.shipsSunk++;
       }
-      if (!(this.currentStrategy instanceof TargetStrategy)) {
-        this.switchToTarget();
-      }
-      this.currentStrategy.updateStrategy(coordinate, wasHit, wasSunk);
     } else {
       this.performanceStats.misses++;
-      if (this.currentStrategy instanceof TargetStrategy && 
-          this.currentStrategy.targetQueue.length === 0) {
-        this.switchToHunt();
-      }
     }
   }
 
   switchToHunt() {
-    this.currentStrategy = new HuntStrategy();
+    this.currentStrategy = this.huntStrategy;
   }
 
   switchToTarget() {
-    this.currentStrategy = new TargetStrategy();
+    this.currentStrategy = this.hasTargetMode()
+      ? this.strategySet.target(this.fleetLengths, this.random)
+      : new TargetStrategy(this.random);
+  }
+
+  /**
+   * Serialize the AI for saved games: difficulty, active strategy and what
+   * each strategy has learned, move history and performance stats
+   * @returns {Object} AI state
+   */
+  toJSON() {
+    const targeting = this.currentStrategy !== this.huntStrategy;
+    return {
+      difficulty: this.difficulty,
+      fleetLengths: this.fleetLengths || null,
+      mode: targeting ? 'target' : 'hunt',
+      huntStrategy: this.huntStrategy.toJSON(),
+      targetStrategy: targeting ? this.currentStrategy.toJSON() : null,
+      moveHistory: this.moveHistory.map(move => ({ ...move, coordinate: String(move.coordinate) })),
+      ruledOut: Array.from(this.ruledOut, String),
+      performanceStats: { ...this.performanceStats }
+    };
+  }
+
+  /**
+   * Continue from state serialized with toJSON. The difficulty is fixed at
+   * construction, so restore into a context created with the saved one.
+   * @param {Object} data - Serialized AI state
+   * @throws {Error} If the saved difficulty differs from this context's
+   */
+  restore(data) {
+    if (data.difficulty !== this.difficulty) {
+      throw new Error(`Cannot restore a '${data.difficulty}' AI into a '${this.difficulty}' AI`);
+    }
+    this.huntStrategy = this.createHuntStrategy();
+    this.huntStrategy.restore(data.huntStrategy);
+    this.currentStrategy = this.huntStrategy;
+    if (data.mode === 'target') {
+      this.switchToTarget();
+      this.currentStrategy.restore(data.targetStrategy);
+    }
+    this.moveHistory = data.moveHistory.map(move => ({ ...move, coordinate: Coordinate.from(move.coordinate) }));
+    this.ruledOut = new Set((data.ruledOut || []).map(cell => Coordinate.from(cell)));
+    this.performanceStats = { ...this.performanceStats, ...data.performanceStats };
   }
 
   getStats() {
@@ -201,8 +916,10 @@ class AIContext {
   }
 
   reset() {
-    this.currentStrategy = new HuntStrategy();
+    this.huntStrategy = this.createHuntStrategy();
+    this.currentStrategy = this.huntStrategy;
     this.moveHistory = [];
+    this.ruledOut = new Set();
     this.performanceStats = {
       hits: 0,
       misses: 0,
@@ -212,9 +929,13 @@ class AIContext {
   }
 }
 
+AIContext.DIFFICULTIES = DIFFICULTIES;
+
 module.exports = {
   AIStrategy,
   HuntStrategy,
+  ParityHuntStrategy,
   TargetStrategy,
+  ProbabilityStrategy,
   AIContext
 }; 
\ No newline at end of file
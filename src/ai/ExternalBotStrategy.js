@@ -0,0 +1,363 @@
+/**
+ * ExternalBotStrategy - CPU Opponent Played by an External Process
+ *
+ * Adapts a bot program written in any language to the AIStrategy interface.
+ * The bot is started as a child process and talks a line protocol over its
+ * stdin/stdout, in the spirit of chess UCI and in the style of the network
+ * protocol (see Protocol):
+ *
+ * Engine to bot:
+ *   SEABATTLE <version>              sent once on start
+ *   NEWGAME <key>=<value> ...        board size, notation, turn rule, adjacency and fleet (as RULES)
+ *   PLACE                            place your fleet
+ *   GO [shots]                       choose your next target(s); shots is 1 unless playing Salvo
+ *   RESULT <coordinate> HIT|MISS [SUNK <ship>]    outcome of each of your shots
+ *   ERROR <message>                  your last reply was rejected and a fallback move was played
+ *   QUIT
+ *
+ * Bot to engine:
+ *   READY [name]                     answer to SEABATTLE
+ *   FLEET <layout>|RANDOM            answer to PLACE: layout lines joined with ';' (e.g. Carrier A1 H;Battleship C1 H)
+ *   FIRE <coordinate> ...            answer to GO, one coordinate per shot
+ *   INFO <text>                      free text, ignored
+ *
+ * A resumed game skips PLACE: NEWGAME is followed by the RESULT of every
+ * shot the CPU fired before the game was saved.
+ *
+ * A reply that does not arrive in time, cannot be read, or names a cell off
+ * the board or already fired at is a strike: the bot is told with ERROR and
+ * the fallback strategy plays that move instead (a rejected fleet is placed
+ * at random). After too many strikes, or if the process dies, the fallback
+ * plays the rest of the game.
+ *
+ * @module ExternalBotStrategy
+ */
+
+const childProcess = require('child_process');
+const readline = require('readline');
+const GameConfig = require('../config/GameConfig');
+const Coordinate = require('../entities/Coordinate');
+const GameBoard = require('../entities/GameBoard');
+const ShipFactory = require('../entities/ShipFactory');
+const Random = require('../utils/Random');
+const Protocol = require('../net/Protocol');
+const { AIStrategy, HuntStrategy } = require('./AIStrategy');
+
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_MAX_STRIKES = 3;
+
+/**
+ * External process strategy class
+ */
+class ExternalBotStrategy extends AIStrategy {
+  /**
+   * Describe a bot; the process starts with the first request
+   * @param {Object} options - Bot options
+   * @param {string} options.command - Program to run
+   * @param {string[]} options.args - Program arguments
+   * @param {number} options.timeout - Milliseconds the bot has for each reply (defaults to 5000)
+   * @param {number} options.maxStrikes - Rejected or late replies before the bot is dropped (defaults to 3)
+   * @param {AIStrategy} options.fallback - Strategy for moves the bot fails to make (defaults to random hunting)
+   * @param {Function} options.onWarning - Called with ({ reason, strikes }) on every strike and if the bot exits mid-game
+   * @param {Random} random - Generator for the fallback strategy's choices
+   * @throws {Error} If no command is given
+   */
+  constructor(options = {}, random = Random.getDefault()) {
+    super(random);
+    if (!options.command) {
+      throw new Error('An external bot needs a command to run');
+    }
+    this.command = options.command;
+    this.args = options.args || [];
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxStrikes = options.maxStrikes || DEFAULT_MAX_STRIKES;
+    this.fallback = options.fallback || new HuntStrategy(random);
+    this.onWarning = options.onWarning || (() => {});
+    this.name = null;
+    this.strikes = 0;
+    this.child = null;
+    this.ready = null;
+    this.waiter = null;
+    this.exited = false;
+    // RESULT arguments of every shot, replayed to the bot when a saved game resumes
+    this.results = [];
+    this.killOnExit = () => this.kill();
+  }
+
+  getName() {
+    return 'ExternalBotStrategy';
+  }
+
+  /**
+   * Whether moves still come from the bot
+   * @returns {boolean} False once the bot has exited or been dropped
+   */
+  isActive() {
+    return !this.exited && this.strikes < this.maxStrikes;
+  }
+
+  /**
+   * Start the process, greet it and announce the game's rules
+   * @returns {Promise<void>} Resolves once the bot is ready (or has been given up on)
+   */
+  start() {
+    if (this.ready) {
+      return this.ready;
+    }
+    this.ready = new Promise(resolve => {
+      try {
+        this.child = childProcess.spawn(this.command, this.args, { stdio: ['pipe', 'pipe', 'inherit'] });
+      } catch (error) {
+        this.exited = true;
+        this.strike(`could not be started: ${error.message}`);
+        resolve();
+        return;
+      }
+      process.once('exit', this.killOnExit);
+      this.child.on('error', error => this.disconnect(`could not be started: ${error.message}`));
+      this.child.on('exit', () => this.disconnect('exited'));
+      // Writes after the bot exits fail; the exit is handled above
+      this.child.stdin.on('error', () => {});
+      readline.createInterface({ input: this.child.stdout }).on('line', line => this.receive(line));
+
+      this.send('SEABATTLE', Protocol.VERSION);
+      this.request('READY').then(reply => {
+        if (reply !== null) {
+          this.name = reply || null;
+          this.send('NEWGAME', Protocol.encodeRules(new GameConfig()));
+          this.results.forEach(result => this.send('RESULT', ...result));
+        }
+        resolve();
+      });
+    });
+    return this.ready;
+  }
+
+  /**
+   * Send one protocol line to the bot
+   * @param {string} command - Command word
+   * @param {...*} args - Arguments
+   */
+  send(command, ...args) {
+    if (this.child && !this.exited && !this.child.stdin.writableEnded) {
+      this.child.stdin.write(Protocol.format(command, ...args));
+    }
+  }
+
+  /**
+   * Handle a line from the bot
+   * @param {string} line - Received line
+   */
+  receive(line) {
+    const message = Protocol.parse(line);
+    if (!message.command || message.command === 'INFO') {
+      return;
+    }
+    if (this.waiter) {
+      const resolve = this.waiter;
+      this.waiter = null;
+      resolve(message);
+    }
+    // Nobody asked: a reply that came too late, dropped
+  }
+
+  /**
+   * Wait for the bot's reply
+   * @param {string} expected - Command word the reply must start with
+   * @returns {Promise<string|null>} Reply arguments, or null after a strike (timeout, wrong reply, exit)
+   */
+  request(expected) {
+    if (!this.isActive()) {
+      return Promise.resolve(null);
+    }
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.waiter = null;
+        this.strike(`did not answer within ${this.timeout} ms`);
+        resolve(null);
+      }, this.timeout);
+      this.waiter = message => {
+        clearTimeout(timer);
+        if (message === null) {
+          resolve(null);
+        } else if (message.command !== expected) {
+          this.strike(`answered '${message.command}' where ${expected} was expected`);
+          resolve(null);
+        } else {
+          resolve(message.args);
+        }
+      };
+    });
+  }
+
+  /**
+   * Count a failed reply and tell the bot; too many and the bot is dropped
+   * @param {string} reason - What went wrong
+   */
+  strike(reason) {
+    this.strikes++;
+    this.onWarning({ reason, strikes: this.strikes });
+    this.send('ERROR', reason);
+    if (this.strikes >= this.maxStrikes) {
+      this.close();
+    }
+  }
+
+  /**
+   * The process has gone: stop waiting for it
+   * @param {string} reason - Why
+   */
+  disconnect(reason) {
+    if (this.exited) {
+      return;
+    }
+    this.exited = true;
+    process.removeListener('exit', this.killOnExit);
+    if (this.waiter) {
+      this.onWarning({ reason, strikes: this.strikes });
+      const resolve = this.waiter;
+      this.waiter = null;
+      resolve(null);
+    }
+  }
+
+  /**
+   * Ask the bot for its fleet
+   * @returns {Promise<string|null>} Fleet layout, or null to place the fleet at random
+   */
+  async placeFleet() {
+    await this.start();
+    this.send('PLACE');
+    const reply = await this.request('FLEET');
+    if (reply === null || reply.toUpperCase() === 'RANDOM') {
+      return null;
+    }
+    const layout = Protocol.decodeFleet(reply);
+    // A throwaway board and generator leave the game untouched
+    const { isValid, errors } = ShipFactory.parseFleetLayout(layout, new GameBoard(), { random: new Random(0) });
+    if (!isValid) {
+      this.strike(`invalid fleet: ${errors.join('; ')}`);
+      return null;
+    }
+    return layout;
+  }
+
+  makeMove(previousGuesses, playerBoard) {
+    return this.makeVolley(1, previousGuesses, playerBoard).then(([move]) => move);
+  }
+
+  /**
+   * Ask the bot for one or more targets, checking each one
+   * @param {number} count - Shots wanted
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {GameBoard} playerBoard - Board being fired at
+   * @returns {Promise<Object[]>} One move per shot
+   */
+  async makeVolley(count, previousGuesses, playerBoard) {
+    await this.start();
+    this.send('GO', count);
+    const reply = await this.request('FIRE');
+    const targets = reply === null ? null : this.checkTargets(reply, count, previousGuesses, playerBoard);
+    if (!targets) {
+      return this.fallback.makeVolley(count, previousGuesses, playerBoard)
+        .map(move => ({ ...move, fallback: true }));
+    }
+    targets.forEach(target => this.previousMoves.add(target));
+    return targets.map(coordinate => ({ coordinate, mode: 'bot', strategy: this.getName(), confidence: 1 }));
+  }
+
+  /**
+   * Read the targets of a FIRE reply
+   * @param {string} reply - FIRE arguments
+   * @param {number} count - Shots wanted
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {GameBoard} playerBoard - Board being fired at
+   * @returns {Coordinate[]|null} Targets, or null after a strike
+   */
+  checkTargets(reply, count, previousGuesses, playerBoard) {
+    const board = playerBoard || new GameBoard();
+    const words = reply.split(/\s+/).filter(Boolean);
+    if (words.length !== count) {
+      this.strike(`fired ${words.length} shots where ${count} were expected`);
+      return null;
+    }
+    const targets = [];
+    for (const word of words) {
+      const target = board.toCoordinate(word);
+      if (!target) {
+        this.strike(`'${word}' is not a cell on the board`);
+        return null;
+      }
+      if (previousGuesses.has(target) || targets.includes(target)) {
+        this.strike(`${word} has already been fired at`);
+        return null;
+      }
+      targets.push(target);
+    }
+    return targets;
+  }
+
+  /**
+   * Report a shot's outcome to the bot, and to the fallback so it can take over
+   * @param {Coordinate|string} coordinate - Cell that was fired at
+   * @param {boolean} wasHit - Whether the shot hit
+   * @param {boolean} wasSunk - Whether the shot sank a ship
+   * @param {Object} sunkShip - Sunk ship details ({ name, length }) when wasSunk
+   */
+  updateStrategy(coordinate, wasHit, wasSunk, sunkShip) {
+    this.fallback.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+    const notation = new GameConfig().get('coordinateFormat');
+    const result = Protocol.encodeShot(Coordinate.from(coordinate).format(notation), { hit: wasHit, sunk: wasSunk, ship: sunkShip ? sunkShip.name : null });
+    this.results.push(result);
+    this.send('RESULT', ...result);
+  }
+
+  useRandom(random) {
+    this.fallback.useRandom(random);
+    return super.useRandom(random);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), results: this.results.map(result => [...result]), fallback: this.fallback.toJSON() };
+  }
+
+  /**
+   * Continue from state serialized with toJSON; the results are replayed
+   * to the bot once it starts
+   * @param {Object} data - Serialized strategy state
+   */
+  restore(data) {
+    super.restore(data);
+    this.results = (data.results || []).map(result => [...result]);
+    if (data.fallback) {
+      this.fallback.restore(data.fallback);
+    }
+  }
+
+  /**
+   * Say goodbye and let the process exit
+   */
+  close() {
+    if (!this.child || this.exited || this.child.stdin.writableEnded) {
+      return;
+    }
+    this.send('QUIT');
+    this.child.stdin.end();
+    // A bot that ignores QUIT is stopped
+    setTimeout(() => this.kill(), 1000).unref();
+  }
+
+  /**
+   * Stop the process
+   */
+  kill() {
+    if (this.child && !this.exited) {
+      this.child.kill();
+    }
+  }
+}
+
+ExternalBotStrategy.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+ExternalBotStrategy.DEFAULT_MAX_STRIKES = DEFAULT_MAX_STRIKES;
+
+module.exports = ExternalBotStrategy;
@@ -0,0 +1,371 @@
+/**
+ * PluginBotStrategy - CPU Opponent Played by a JavaScript Plugin
+ *
+ * Loads a bot from a `.js` file (by default from the bots/ directory) and
+ * plays it through the AIStrategy interface. A plugin assigns its functions
+ * to `module.exports`:
+ *
+ *   placeFleet(rules)   optional; returns a fleet layout (a string, or an array
+ *                       of lines such as 'Carrier A1 H'), or null to place at random
+ *   chooseTarget(view)  required; returns the next cell to fire at in the board's
+ *                       notation (e.g. 'B7')
+ *
+ * `rules` is { size, notation, adjacency, fleet: [{ name, length }], seed }.
+ * `view` is what the CPU could see across the table, never the board itself:
+ *
+ *   { size, notation, shots, volley, grid, fired, fleet, seed }
+ *
+ * where shots is the number of shots this turn, volley the cells already
+ * chosen for this turn's Salvo volley, grid one string per row ('~' unknown,
+ * 'X' hit, 'O' miss), fired every shot so far ({ coordinate, result: 'hit' |
+ * 'miss' | 'sunk', ship }) and fleet the enemy ships ({ name, length, sunk }).
+ *
+ * `seed` is a fresh 32-bit integer from the game's generator on every call.
+ * A plugin that seeds its own generator from it instead of calling
+ * Math.random plays the same game again under the same --seed, including
+ * after a saved game is resumed (bots/hunter.js shows how).
+ *
+ * The plugin runs in its own `vm` context with only the JavaScript builtins:
+ * no require, process or timers, and console writes nowhere. Only strings
+ * cross the boundary, and every call has a time budget. This keeps a plugin
+ * from peeking at the fleet or stalling the game; `vm` is not a security
+ * boundary against hostile code.
+ *
+ * A call that throws, overruns its budget or answers with a cell off the board
+ * or already fired at is a strike: the fallback strategy plays that move
+ * instead (a rejected fleet is placed at random). After too many strikes the
+ * fallback plays the rest of the game.
+ *
+ * @module PluginBotStrategy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const GameConfig = require('../config/GameConfig');
+const Coordinate = require('../entities/Coordinate');
+const GameBoard = require('../entities/GameBoard');
+const ShipFactory = require('../entities/ShipFactory');
+const Random = require('../utils/Random');
+const { AIStrategy, HuntStrategy } = require('./AIStrategy');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'bots');
+const DEFAULT_TIMEOUT = 1000;
+const DEFAULT_MAX_STRIKES = 3;
+
+/**
+ * Runs inside the plugin's context: calls `__request.name` with the parsed
+ * `__request.input` and answers with a JSON string, so nothing but strings
+ * ever leaves the context
+ */
+const CALL = new vm.Script(`(function () {
+  var request = JSON.parse(__request);
+  try {
+    var bot = module.exports || {};
+    if (typeof bot[request.name] !== 'function') {
+      return JSON.stringify({ missing: true });
+    }
+    var value = bot[request.name](request.input);
+    return JSON.stringify({ value: value == null ? null : Array.isArray(value) ? value.join('\\n') : String(value) });
+  } catch (error) {
+    return JSON.stringify({ error: String(error && error.message ? error.message : error) });
+  }
+})()`, { filename: 'PluginBotStrategy' });
+
+/**
+ * JavaScript plugin strategy class
+ */
+class PluginBotStrategy extends AIStrategy {
+  /**
+   * Load a plugin
+   * @param {Object} options - Plugin options
+   * @param {string} options.file - Plugin file
+   * @param {number} options.timeout - Milliseconds each call may take (defaults to 1000)
+   * @param {number} options.maxStrikes - Failed calls before the plugin is dropped (defaults to 3)
+   * @param {AIStrategy} options.fallback - Strategy for moves the plugin fails to make (defaults to random hunting)
+   * @param {Function} options.onWarning - Called with ({ reason, strikes }) on every strike
+   * @param {Random} random - Generator for the seeds passed to the plugin and the fallback strategy's choices
+   * @throws {Error} If the file cannot be read or run, or does not export chooseTarget
+   */
+  constructor(options = {}, random = Random.getDefault()) {
+    super(random);
+    if (!options.file) {
+      throw new Error('A bot plugin needs a file to load');
+    }
+    this.file = options.file;
+    this.name = path.basename(options.file, '.js');
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.maxStrikes = options.maxStrikes || DEFAULT_MAX_STRIKES;
+    this.fallback = options.fallback || new HuntStrategy(random);
+    this.onWarning = options.onWarning || (() => {});
+    this.strikes = 0;
+    this.fired = [];
+
+    let source;
+    try {
+      source = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read bot plugin ${this.file}: ${error.message}`);
+    }
+    // No eval inside the context, and promise callbacks count against the budget. A
+    // null-prototype global keeps the host's Object.prototype (and Function) out of reach
+    this.context = vm.createContext(Object.create(null), {
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate'
+    });
+    let exported;
+    try {
+      vm.runInContext('var module = { exports: {} }; var exports = module.exports;', this.context);
+      vm.runInContext(source, this.context, { filename: this.file, timeout: this.timeout });
+      exported = vm.runInContext("typeof (module.exports || {}).chooseTarget === 'function'", this.context, { timeout: this.timeout });
+    } catch (error) {
+      throw new Error(`Bot plugin ${this.name} failed to load: ${error.message}`);
+    }
+    if (exported !== true) {
+      throw new Error(`Bot plugin ${this.name} must export chooseTarget(view)`);
+    }
+  }
+
+  /**
+   * Find a plugin by name
+   * @param {string} name - Plugin name in the directory, or a path to a .js file
+   * @param {string} directory - Plugin directory (defaults to bots/)
+   * @returns {string} Plugin file
+   * @throws {Error} If there is no such plugin
+   */
+  static resolve(name, directory = DEFAULT_DIRECTORY) {
+    const file = name.endsWith('.js') ? path.resolve(name) : path.join(directory, `${name}.js`);
+    if (!fs.existsSync(file)) {
+      const available = PluginBotStrategy.list(directory);
+      throw new Error(`No bot plugin '${name}'${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`);
+    }
+    return file;
+  }
+
+  /**
+   * Name the plugins in a directory
+   * @param {string} directory - Plugin directory (defaults to bots/)
+   * @returns {string[]} Plugin names, sorted
+   */
+  static list(directory = DEFAULT_DIRECTORY) {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js'))
+      .map(file => path.basename(file, '.js'))
+      .sort();
+  }
+
+  getName() {
+    return 'PluginBotStrategy';
+  }
+
+  /**
+   * Whether moves still come from the plugin
+   * @returns {boolean} False once the plugin has been dropped
+   */
+  isActive() {
+    return this.strikes < this.maxStrikes;
+  }
+
+  /**
+   * Call a plugin function inside its context
+   * @param {string} name - Exported function name
+   * @param {*} input - Argument, passed as JSON
+   * @returns {Object} { value }, { missing: true }, or { error } if it threw or ran out of time
+   */
+  call(name, input) {
+    this.context.__request = JSON.stringify({ name, input });
+    try {
+      const reply = CALL.runInContext(this.context, { timeout: this.timeout });
+      return typeof reply === 'string' ? JSON.parse(reply) : { error: 'answered with something other than a string' };
+    } catch (error) {
+      // Anything but a native error came from the plugin, and reading it could run plugin code
+      if (util.types.isNativeError(error) && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return { error: `did not answer within ${this.timeout} ms` };
+      }
+      return { error: 'threw an unreadable error' };
+    }
+  }
+
+  /**
+   * Count a failed call; too many and the plugin is dropped
+   * @param {string} reason - What went wrong
+   */
+  strike(reason) {
+    this.strikes++;
+    this.onWarning({ reason, strikes: this.strikes });
+  }
+
+  /**
+   * Ask the plugin for its fleet
+   * @returns {string|null} Fleet layout, or null to place the fleet at random
+   */
+  placeFleet() {
+    if (!this.isActive()) {
+      return null;
+    }
+    const config = new GameConfig();
+    const reply = this.call('placeFleet', {
+      size: config.get('boardSize'),
+      notation: config.get('coordinateFormat'),
+      adjacency: config.get('adjacency'),
+      fleet: config.get('shipPatterns').map(({ name, length }) => ({ name, length })),
+      seed: this.nextSeed()
+    });
+    if (reply.error) {
+      this.strike(`placeFleet: ${reply.error}`);
+      return null;
+    }
+    if (reply.missing || typeof reply.value !== 'string') {
+      return null;
+    }
+    // A throwaway board and generator leave the game untouched
+    const { isValid, errors } = ShipFactory.parseFleetLayout(reply.value, new GameBoard(), { random: new Random(0) });
+    if (!isValid) {
+      this.strike(`invalid fleet: ${errors.join('; ')}`);
+      return null;
+    }
+    return reply.value;
+  }
+
+  /**
+   * What the CPU can see of the board being fired at
+   * @param {GameBoard} board - Board being fired at
+   * @param {number} shots - Shots this turn
+   * @param {Coordinate[]} volley - Targets already chosen this turn
+   * @returns {Object} Fog-of-war view
+   */
+  getView(board, shots, volley) {
+    const config = new GameConfig();
+    const { hit, miss } = config.get('symbols');
+    const sunk = this.fired.filter(shot => shot.result === 'sunk').map(shot => shot.ship);
+    return {
+      size: board.size,
+      notation: board.notation,
+      shots,
+      volley: volley.map(target => board.formatCoordinate(target)),
+      // Ship cells read as water: only shots leave a mark
+      grid: board.grid.map(row => row.map(cell => (cell === hit ? 'X' : cell === miss ? 'O' : '~')).join('')),
+      fired: this.fired.map(shot => ({ ...shot })),
+      fleet: config.get('shipPatterns').map(({ name, length }) => {
+        const index = sunk.indexOf(name);
+        if (index !== -1) {
+          sunk.splice(index, 1);
+        }
+        return { name, length, sunk: index !== -1 };
+      }),
+      seed: this.nextSeed()
+    };
+  }
+
+  /**
+   * Seed for the plugin's own generator
+   * @returns {number} 32-bit integer from this strategy's generator
+   */
+  nextSeed() {
+    return this.random.int(Random.MAX_SEED + 1);
+  }
+
+  makeMove(previousGuesses, playerBoard) {
+    return this.makeVolley(1, previousGuesses, playerBoard)[0];
+  }
+
+  /**
+   * Ask the plugin for one target per shot, checking each one
+   * @param {number} count - Shots wanted
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @param {GameBoard} playerBoard - Board being fired at
+   * @returns {Object[]} One move per shot
+   */
+  makeVolley(count, previousGuesses, playerBoard) {
+    const board = playerBoard || new GameBoard();
+    const targets = [];
+    while (this.isActive() && targets.length < count) {
+      const target = this.chooseTarget(board, count, targets, previousGuesses);
+      if (!target) {
+        break;
+      }
+      targets.push(target);
+    }
+    if (targets.length < count) {
+      return this.fallback.makeVolley(count, previousGuesses, playerBoard)
+        .map(move => ({ ...move, fallback: true }));
+    }
+    targets.forEach(target => this.previousMoves.add(target));
+    return targets.map(coordinate => ({ coordinate, mode: 'bot', strategy: this.getName(), confidence: 1 }));
+  }
+
+  /**
+   * Ask the plugin for one target
+   * @param {GameBoard} board - Board being fired at
+   * @param {number} count - Shots this turn
+   * @param {Coordinate[]} volley - Targets already chosen this turn
+   * @param {Set<Coordinate>} previousGuesses - Cells already fired at
+   * @returns {Coordinate|null} Target, or null after a strike
+   */
+  chooseTarget(board, count, volley, previousGuesses) {
+    const reply = this.call('chooseTarget', this.getView(board, count, volley));
+    if (reply.error) {
+      this.strike(`chooseTarget: ${reply.error}`);
+      return null;
+    }
+    const target = typeof reply.value === 'string' ? board.toCoordinate(reply.value.trim()) : null;
+    if (!target) {
+      this.strike(`'${reply.value}' is not a cell on the board`);
+      return null;
+    }
+    if (previousGuesses.has(target) || volley.includes(target)) {
+      this.strike(`${reply.value} has already been fired at`);
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * Record a shot's outcome for the next view, and tell the fallback so it can take over
+   * @param {Coordinate|string} coordinate - Cell that was fired at
+   * @param {boolean} wasHit - Whether the shot hit
+   * @param {boolean} wasSunk - Whether the shot sank a ship
+   * @param {Object} sunkShip - Sunk ship details ({ name, length }) when wasSunk
+   */
+  updateStrategy(coordinate, wasHit, wasSunk, sunkShip) {
+    this.fallback.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+    const notation = new GameConfig().get('coordinateFormat');
+    const shot = { coordinate: Coordinate.from(coordinate).format(notation), result: wasSunk ? 'sunk' : wasHit ? 'hit' : 'miss' };
+    if (wasSunk && sunkShip) {
+      shot.ship = sunkShip.name;
+    }
+    this.fired.push(shot);
+  }
+
+  useRandom(random) {
+    this.fallback.useRandom(random);
+    return super.useRandom(random);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), fired: this.fired.map(shot => ({ ...shot })), fallback: this.fallback.toJSON() };
+  }
+
+  /**
+   * Continue from state serialized with toJSON, so the plugin's view
+   * includes every shot fired before the game was saved
+   * @param {Object} data - Serialized strategy state
+   */
+  restore(data) {
+    super.restore(data);
+    this.fired = (data.fired || []).map(shot => ({ ...shot }));
+    if (data.fallback) {
+      this.fallback.restore(data.fallback);
+    }
+  }
+}
+
+PluginBotStrategy.DEFAULT_DIRECTORY = DEFAULT_DIRECTORY;
+PluginBotStrategy.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+PluginBotStrategy.DEFAULT_MAX_STRIKES = DEFAULT_MAX_STRIKES;
+
+module.exports = PluginBotStrategy;
@@ -8,6 +8,7 @@
  */
 
 const GameConfig = require('../config/GameConfig');
+const Coordinate = require('../entities/Coordinate');
 
 /**
  * Abstract base class for all commands
@@ -48,12 +49,12 @@ class Command {
 class PlayerMoveCommand extends Command {
   /**
    * Create a player move command
-   * @param {string} coordinate - Target coordinate (e.g., '05')
+   * @param {Coordinate|string} coordinate - Target coordinate (e.g., '05')
    * @param {Object} gameState - Current game state
    */
   constructor(coordinate, gameState) {
     super();
-    this.coordinate = coordinate;
+    this.coordinate = Coordinate.from(coordinate);
     this.gameState = gameState;
     this.wasHit = false;
     this.hitShip = null;
@@ -67,7 +68,7 @@ class PlayerMoveCommand extends Command {
   execute() {
     this.executedAt = new Date();
     const config = new GameConfig();
-    const [row, col] = [parseInt(this.coordinate[0]), parseInt(this.coordinate[1])];
+    const { row, col } = this.coordinate;
     
     // Store previous state for undo
     this.previousState = {
@@ -86,7 +87,7 @@ class PlayerMoveCommand extends Command {
       console.log(config.getMessage('playerHit'));
       
       if (this.hitShip.isSunk()) {
-        console.log(config.getMessage('shipSunk'));
+        console.log(config.getMessage('shipSunk', { ship: this.hitShip.name }));
         this.gameState.cpuNumShips--;
       }
     } else {
@@ -151,9 +152,9 @@ class CPUMoveCommand extends Command {
     console.log("\n--- CPU's Turn ---");
     
     this.moveDecision = this.aiContext.makeMove(this.gameState);
-    this.coordinate = this.moveDecision.coordinate;
+    this.coordinate = Coordinate.from(this.moveDecision.coordinate);
     
-    const [row, col] = [parseInt(this.coordinate[0]), parseInt(this.coordinate[1])];
+    const { row, col } = this.coordinate;
     
     this.gameState.cpuGuesses.add(this.coordinate);
     this.hitShip = this.gameState.playerBoard.getShipAt(this.coordinate);
@@ -166,7 +167,7 @@ class CPUMoveCommand extends Command {
       console.log(config.getMessage('cpuHit', { coordinate: this.coordinate }));
       
       if (this.hitShip.isSunk()) {
-        console.log(config.getMessage('cpuShipSunk'));
+        console.log(config.getMessage('cpuShipSunk', { ship: this.hitShip.name }));
         this.gameState.playerNumShips--;
         this.aiContext.switchToHunt();
       } else {
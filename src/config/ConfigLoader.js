@@ -0,0 +1,285 @@
+/**
+ * ConfigLoader - Layered Configuration Sources
+ *
+ * Collects configuration overrides from, in increasing priority:
+ * a JSON or YAML-style config file, SEA_BATTLE_* environment variables
+ * and `sea-battle` command line flags. The merged overrides are handed
+ * to GameConfig, which layers them over the defaults and validates them.
+ *
+ * @module ConfigLoader
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigSchema = require('./ConfigSchema');
+
+const ENV_PREFIX = 'SEA_BATTLE_';
+const DEFAULT_CONFIG_FILES = [
+  'sea-battle.config.json',
+  'sea-battle.config.yml',
+  'sea-battle.config.yaml'
+];
+
+/**
+ * Convert kebab-case or UPPER_SNAKE_CASE to camelCase
+ * @param {string} name - Name to convert
+ * @returns {string} camelCase name
+ */
+function toCamelCase(name) {
+  return name.toLowerCase().replace(/[-_]+([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Parse a YAML scalar
+ * @param {string} text - Raw scalar text
+ * @returns {*} Parsed value
+ */
+function parseYamlScalar(text) {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+    return value.slice(1, -1);
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    const inner = value.slice(1, -1).trim();
+    return inner === '' ? [] : inner.split(',').map(parseYamlScalar);
+  }
+  return value;
+}
+
+/**
+ * Parse an indented block of YAML lines starting at index
+ * @param {Object[]} lines - Lines as { indent, content, number }
+ * @param {number} index - First line of the block
+ * @returns {Array} [value, nextIndex]
+ */
+function parseYamlBlock(lines, index) {
+  const indent = lines[index].indent;
+
+  if (lines[index].content.startsWith('-')) {
+    const list = [];
+    while (index < lines.length && lines[index].indent === indent && lines[index].content.startsWith('-')) {
+      const line = lines[index];
+      const rest = line.content.slice(1).trim();
+      if (rest === '') {
+        const [value, next] = index + 1 < lines.length && lines[index + 1].indent > indent
+          ? parseYamlBlock(lines, index + 1)
+          : [null, index + 1];
+        list.push(value);
+        index = next;
+      } else if (/^[^'"[{][^:]*:(\s|$)/.test(rest)) {
+        // "- key: value" opens a mapping indented to where the key starts
+        lines[index] = { ...line, indent: indent + line.content.indexOf(rest), content: rest };
+        const [value, next] = parseYamlBlock(lines, index);
+        list.push(value);
+        index = next;
+      } else {
+        list.push(parseYamlScalar(rest));
+        index++;
+      }
+    }
+    return [list, index];
+  }
+
+  const map = {};
+  while (index < lines.length && lines[index].indent === indent) {
+    const line = lines[index];
+    const match = line.content.match(/^([^:]+):(?:\s+(.*))?$/);
+    if (!match) {
+      throw new Error(`Line ${line.number}: expected "key: value", got "${line.content}"`);
+    }
+    const key = match[1].trim();
+    const rawValue = match[2] === undefined ? '' : match[2];
+    index++;
+    if (rawValue.trim() === '' && index < lines.length &&
+        (lines[index].indent > indent || (lines[index].indent === indent && lines[index].content.startsWith('-')))) {
+      const [value, next] = parseYamlBlock(lines, index);
+      map[key] = value;
+      index = next;
+    } else {
+      map[key] = parseYamlScalar(rawValue);
+    }
+  }
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new Error(`Line ${lines[index].number}: unexpected indentation`);
+  }
+  return [map, index];
+}
+
+/**
+ * Static helpers for loading configuration layers
+ */
+class ConfigLoader {
+  /**
+   * Split command line arguments into a command, positionals and options
+   * @param {string[]} argv - Arguments without the node/script prefix
+   * @returns {Object} { command, positionals, options } with camelCased option names
+   */
+  static parseArgs(argv = []) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === '--') {
+        positionals.push(...argv.slice(i + 1));
+        break;
+      }
+      if (!arg.startsWith('--')) {
+        positionals.push(arg);
+        continue;
+      }
+
+      const body = arg.slice(2);
+      const equals = body.indexOf('=');
+      if (equals !== -1) {
+        options[toCamelCase(body.slice(0, equals))] = body.slice(equals + 1);
+      } else if (body.startsWith('no-')) {
+        options[toCamelCase(body.slice(3))] = false;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        options[toCamelCase(body)] = argv[++i];
+      } else {
+        options[toCamelCase(body)] = true;
+      }
+    }
+
+    return { command: positionals.shift() || null, positionals, options };
+  }
+
+  /**
+   * Parse the YAML subset used by config files: nested mappings, lists,
+   * scalars, inline [a, b] lists and # comments
+   * @param {string} text - YAML text
+   * @returns {Object} Parsed document
+   * @throws {Error} On malformed lines
+   */
+  static parseYaml(text) {
+    const lines = text.split(/\r?\n/)
+      .map((raw, i) => ({ raw: raw.replace(/\s+#.*$/, '').replace(/^\s*#.*$/, ''), number: i + 1 }))
+      .filter(({ raw }) => raw.trim() !== '' && raw.trim() !== '---')
+      .map(({ raw, number }) => {
+        if (/^\s*\t/.test(raw)) {
+          throw new Error(`Line ${number}: tabs are not allowed for indentation`);
+        }
+        return { indent: raw.length - raw.trimStart().length, content: raw.trim(), number };
+      });
+
+    if (lines.length === 0) {
+      return {};
+    }
+    const [value, next] = parseYamlBlock(lines, 0);
+    if (next < lines.length) {
+      throw new Error(`Line ${lines[next].number}: unexpected indentation`);
+    }
+    return value;
+  }
+
+  /**
+   * Read a JSON or YAML-style config file
+   * @param {string} filePath - Path to the file
+   * @returns {Object} Configuration overrides
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  static readConfigFile(filePath) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      const parsed = /\.ya?ml$/i.test(filePath) ? this.parseYaml(text) : JSON.parse(text);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('top level must be an object');
+      }
+      return parsed;
+    } catch (error) {
+      throw new Error(`Cannot parse config file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the config file to use: explicit path first, then the defaults in cwd
+   * @param {string|undefined} explicitPath - Path from --config or SEA_BATTLE_CONFIG
+   * @param {string} cwd - Directory to search for default files
+   * @returns {string|null} Resolved file path or null
+   */
+  static findConfigFile(explicitPath, cwd) {
+    if (explicitPath) {
+      return path.resolve(cwd, explicitPath);
+    }
+    const found = DEFAULT_CONFIG_FILES
+      .map(name => path.join(cwd, name))
+      .find(candidate => fs.existsSync(candidate));
+    return found || null;
+  }
+
+  /**
+   * Collect overrides from SEA_BATTLE_* environment variables
+   * @param {Object} env - Environment variables
+   * @returns {Object} Configuration overrides
+   */
+  static fromEnv(env = {}) {
+    const scalarKeys = ConfigSchema.getScalarKeys();
+    const overrides = {};
+    Object.keys(env)
+      .filter(name => name.startsWith(ENV_PREFIX))
+      .forEach(name => {
+        const key = toCamelCase(name.slice(ENV_PREFIX.length));
+        if (scalarKeys.includes(key)) {
+          overrides[key] = ConfigSchema.coerceValue(key, env[name]);
+        }
+      });
+    return overrides;
+  }
+
+  /**
+   * Collect overrides from parsed CLI options
+   * @param {Object} options - Options from parseArgs
+   * @returns {Object} Configuration overrides
+   */
+  static fromOptions(options = {}) {
+    const scalarKeys = ConfigSchema.getScalarKeys();
+    const overrides = {};
+    Object.keys(options)
+      .filter(key => scalarKeys.includes(key))
+      .forEach(key => {
+        overrides[key] = ConfigSchema.coerceValue(key, options[key]);
+      });
+    return overrides;
+  }
+
+  /**
+   * Build configuration overrides from every layer
+   * @param {Object} sources - Where to read from
+   * @param {string[]} sources.argv - CLI arguments
+   * @param {Object} sources.env - Environment variables
+   * @param {string} sources.cwd - Working directory for relative/default config files
+   * @returns {Object} { overrides, configFile, args }
+   */
+  static load({ argv = [], env = process.env, cwd = process.cwd() } = {}) {
+    const args = this.parseArgs(argv);
+    const explicitPath = typeof args.options.config === 'string'
+      ? args.options.config
+      : env[`${ENV_PREFIX}CONFIG`];
+    const configFile = this.findConfigFile(explicitPath, cwd);
+
+    const fileOverrides = configFile ? this.readConfigFile(configFile) : {};
+    const scalarOverrides = { ...this.fromEnv(env), ...this.fromOptions(args.options) };
+
+    // A fleet size set on a higher layer replaces a fleet listed in the file
+    if ('numShips' in scalarOverrides || 'shipLength' in scalarOverrides) {
+      delete fileOverrides.shipPatterns;
+    }
+
+    const overrides = { ...fileOverrides, ...scalarOverrides };
+
+    return { overrides, configFile, args };
+  }
+}
+
+module.exports = ConfigLoader;
@@ -0,0 +1,318 @@
+/**
+ * ConfigSchema - Configuration Schema and Validation
+ *
+ * Describes every configuration key the game understands, coerces raw
+ * string values coming from environment variables and CLI flags, and
+ * rejects settings that are malformed or cannot produce a playable game.
+ *
+ * @module ConfigSchema
+ */
+
+const Coordinate = require('../entities/Coordinate');
+
+const MAX_BOARD_SIZE = Coordinate.MAX_BOARD_SIZE;
+
+/**
+ * Search budget for the fleet packing check before giving the fleet the benefit of the doubt
+ */
+const MAX_PACKING_STEPS = 20000;
+
+/**
+ * Schema entries: type, bounds and whether the key can be set from env vars / CLI flags
+ */
+const CONFIG_SCHEMA = {
+  adjacency: { type: 'string', values: ['overlap-only', 'no-edge', 'no-contact'], scalar: true },
+  boardSize: { type: 'integer', min: 2, max: MAX_BOARD_SIZE, scalar: true },
+  coordinateFormat: { type: 'string', values: Coordinate.NOTATIONS, scalar: true },
+  difficulty: { type: 'string', values: ['easy', 'normal', 'hard', 'expert'], scalar: true },
+  numShips: { type: 'integer', min: 1, scalar: true },
+  placement: { type: 'string', values: ['random', 'manual'], scalar: true },
+  salvoShots: { type: 'integer', min: 0, scalar: true },
+  shipLength: { type: 'integer', min: 1, scalar: true },
+  variant: { type: 'string', values: ['classic', 'salvo'], scalar: true },
+  shipPatterns: { type: 'array' },
+  turnRule: { type: 'string', values: ['alternate', 'again-on-hit', 'again-on-sink'], scalar: true },
+  symbols: { type: 'object' },
+  messages: { type: 'object' }
+};
+
+const SHIP_ORIENTATIONS = ['horizontal', 'vertical'];
+
+/**
+ * Static helpers for validating configuration settings
+ */
+class ConfigSchema {
+  /**
+   * Get the schema entry for a key
+   * @param {string} key - Configuration key
+   * @returns {Object|undefined} Schema entry
+   */
+  static getEntry(key) {
+    return CONFIG_SCHEMA[key];
+  }
+
+  /**
+   * Get keys that can be set from a single env var or CLI flag
+   * @returns {string[]} Scalar configuration keys
+   */
+  static getScalarKeys() {
+    return Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].scalar);
+  }
+
+  /**
+   * Convert a raw string into the type the schema expects
+   * @param {string} key - Configuration key
+   * @param {*} raw - Raw value
+   * @returns {*} Coerced value (left unchanged when it cannot be coerced)
+   */
+  static coerceValue(key, raw) {
+    const entry = CONFIG_SCHEMA[key];
+    if (!entry || typeof raw !== 'string') {
+      return raw;
+    }
+    const trimmed = raw.trim();
+    switch (entry.type) {
+      case 'integer':
+      case 'number':
+        return trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : raw;
+      case 'boolean':
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        return raw;
+      default:
+        return trimmed;
+    }
+  }
+
+  /**
+   * Validate a complete settings object
+   * @param {Object} settings - Settings to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  static validate(settings) {
+    const errors = [];
+
+    Object.keys(settings).forEach(key => {
+      const entry = CONFIG_SCHEMA[key];
+      if (!entry) {
+        errors.push(`Unknown configuration key '${key}'`);
+        return;
+      }
+      const error = this.checkType(key, settings[key], entry);
+      if (error) {
+        errors.push(error);
+      }
+    });
+
+    if (Array.isArray(settings.shipPatterns)) {
+      settings.shipPatterns.forEach((pattern, index) => {
+        errors.push(...this.validateShipPattern(pattern, index));
+      });
+    }
+
+    // Only check fleet geometry once every individual value is sane
+    if (errors.length === 0) {
+      errors.push(...this.validateFleetFits(settings));
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Check a single value against its schema entry
+   * @param {string} key - Configuration key
+   * @param {*} value - Value to check
+   * @param {Object} entry - Schema entry
+   * @returns {string|null} Error message or null when valid
+   */
+  static checkType(key, value, entry) {
+    switch (entry.type) {
+      case 'integer':
+        if (!Number.isInteger(value)) {
+          return `'${key}' must be an integer, got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number' || isNaN(value)) {
+          return `'${key}' must be a number, got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          return `'${key}' must be true or false, got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'string':
+        if (typeof value !== 'string') {
+          return `'${key}' must be a string, got ${JSON.stringify(value)}`;
+        }
+        break;
+      case 'array':
+        if (!Array.isArray(value) || value.length === 0) {
+          return `'${key}' must be a non-empty list`;
+        }
+        break;
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return `'${key}' must be an object`;
+        }
+        break;
+    }
+    if (entry.min !== undefined && value < entry.min) {
+      return `'${key}' must be at least ${entry.min}, got ${value}`;
+    }
+    if (entry.max !== undefined && value > entry.max) {
+      return `'${key}' must be at most ${entry.max}, got ${value}`;
+    }
+    if (entry.values && !entry.values.includes(value)) {
+      return `'${key}' must be one of ${entry.values.join(', ')}, got ${JSON.stringify(value)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate one entry of the ship pattern list
+   * @param {Object} pattern - Ship pattern ({ name, length, pattern })
+   * @param {number} index - Position in the list
+   * @returns {string[]} Error messages
+   */
+  static validateShipPattern(pattern, index) {
+    if (!pattern || typeof pattern !== 'object') {
+      return [`shipPatterns[${index}] must be an object with a length`];
+    }
+    const errors = [];
+    if (!Number.isInteger(pattern.length) || pattern.length < 1) {
+      errors.push(`shipPatterns[${index}].length must be a positive integer`);
+    }
+    if (pattern.name !== undefined && (typeof pattern.name !== 'string' || pattern.name.trim() === '')) {
+      errors.push(`shipPatterns[${index}].name must be a non-empty string`);
+    }
+    if (pattern.pattern !== undefined && !SHIP_ORIENTATIONS.includes(pattern.pattern)) {
+      errors.push(`shipPatterns[${index}].pattern must be one of ${SHIP_ORIENTATIONS.join(', ')}`);
+    }
+    return errors;
+  }
+
+  /**
+   * Check that the configured fleet can actually be placed on the board
+   * @param {Object} settings - Settings with boardSize and shipPatterns
+   * @returns {string[]} Error messages
+   */
+  static validateFleetFits(settings) {
+    const { boardSize } = settings;
+    const lengths = settings.shipPatterns.map(pattern => pattern.length);
+    const errors = [];
+
+    lengths.forEach((length, index) => {
+      if (length > boardSize) {
+        errors.push(`Ship ${index + 1} has length ${length} but the board is only ${boardSize}x${boardSize}`);
+      }
+    });
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const cellsNeeded = lengths.reduce((sum, length) => sum + length, 0);
+    const cellsAvailable = boardSize * boardSize;
+    if (cellsNeeded > cellsAvailable) {
+      return [`Fleet needs ${cellsNeeded} cells but a ${boardSize}x${boardSize} board only has ${cellsAvailable}`];
+    }
+
+    const adjacency = settings.adjacency || 'overlap-only';
+    if (!this.canFleetFit(boardSize, lengths, adjacency)) {
+      const rule = adjacency === 'overlap-only' ? '' : ` under the '${adjacency}' adjacency rule`;
+      return [`Fleet of ${lengths.length} ships (${lengths.join(', ')}) cannot be arranged on a ${boardSize}x${boardSize} board${rule}`];
+    }
+    return [];
+  }
+
+  /**
+   * Backtracking search for any non-overlapping arrangement of the fleet.
+   * Visits cells in order and either covers the first free cell with a ship
+   * starting there or leaves it empty, so each arrangement is tried once.
+   * @param {number} boardSize - Board size
+   * @param {number[]} lengths - Ship lengths
+   * @param {string} adjacency - 'overlap-only', 'no-edge' or 'no-contact'
+   * @returns {boolean} False only when no arrangement exists
+   */
+  static canFleetFit(boardSize, lengths, adjacency = 'overlap-only') {
+    const grid = Array(boardSize * boardSize).fill(false);
+    const ships = Array(boardSize * boardSize).fill(false);
+    const offsets = {
+      'overlap-only': [],
+      'no-edge': [[-1, 0], [0, -1], [0, 1], [1, 0]],
+      'no-contact': [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+    }[adjacency] || [];
+    // Ship cells already placed next to a cell, under the adjacency rule
+    const touchesShip = index => offsets.some(([rowDelta, colDelta]) => {
+      const row = Math.floor(index / boardSize) + rowDelta;
+      const col = (index % boardSize) + colDelta;
+      return row >= 0 && row < boardSize && col >= 0 && col < boardSize && ships[row * boardSize + col];
+    });
+    const remaining = new Map();
+    lengths.forEach(length => remaining.set(length, (remaining.get(length) || 0) + 1));
+    let shipsLeft = lengths.length;
+    let steps = 0;
+
+    const cellsFor = (cell, length, horizontal) => {
+      const row = Math.floor(cell / boardSize);
+      const col = cell % boardSize;
+      if ((horizontal ? col : row) + length > boardSize) {
+        return null;
+      }
+      const cells = Array.from({ length }, (_, i) => horizontal ? cell + i : cell + i * boardSize);
+      return cells.every(index => !grid[index] && !touchesShip(index)) ? cells : null;
+    };
+
+    const search = (cell, spare) => {
+      if (shipsLeft === 0) {
+        return true;
+      }
+      while (cell < grid.length && grid[cell]) {
+        cell++;
+      }
+      if (cell === grid.length) {
+        return false;
+      }
+      if (++steps > MAX_PACKING_STEPS) {
+        return true;
+      }
+
+      for (const [length, count] of remaining) {
+        if (count === 0) {
+          continue;
+        }
+        for (const horizontal of length === 1 ? [true] : [true, false]) {
+          const cells = cellsFor(cell, length, horizontal);
+          if (!cells) {
+            continue;
+          }
+          cells.forEach(index => { grid[index] = true; ships[index] = true; });
+          remaining.set(length, count - 1);
+          shipsLeft--;
+          const found = search(cell + 1, spare);
+          shipsLeft++;
+          remaining.set(length, count);
+          cells.forEach(index => { grid[index] = false; ships[index] = false; });
+          if (found) {
+            return true;
+          }
+        }
+      }
+
+      // Leave this cell as water if the board has room to spare
+      if (spare > 0) {
+        grid[cell] = true;
+        const found = search(cell + 1, spare - 1);
+        grid[cell] = false;
+        return found;
+      }
+      return false;
+    };
+
+    const cellsNeeded = lengths.reduce((sum, length) => sum + length, 0);
+    return search(0, grid.length - cellsNeeded);
+  }
+}
+
+module.exports = ConfigSchema;
@@ -1,58 +1,195 @@
 /**
  * GameConfig - Singleton Configuration Manager
- * 
+ *
  * Provides centralized configuration management for the Sea Battle game.
  * Implements Singleton pattern to ensure single source of truth.
- * 
+ * Settings are built once from the defaults plus any overrides (see
+ * ConfigLoader for the file/env/CLI layers), validated and then frozen.
+ *
  * @module GameConfig
  */
 
+const ConfigSchema = require('./ConfigSchema');
+
+/**
+ * Ship class names used for fleets listed only by length
+ */
+const SHIP_CLASS_NAMES = {
+  5: 'Carrier',
+  4: 'Battleship',
+  3: 'Cruiser',
+  2: 'Destroyer',
+  1: 'Patrol Boat'
+};
+
+const DEFAULT_SETTINGS = {
+  adjacency: 'overlap-only',
+  boardSize: 10,
+  coordinateFormat: 'digits',
+  difficulty: 'normal',
+  numShips: 5,
+  placement: 'random',
+  salvoShots: 0,
+  shipLength: 5,
+  variant: 'classic',
+  shipPatterns: [
+    { name: 'Carrier', length: 5, pattern: 'horizontal' },
+    { name: 'Battleship', length: 4, pattern: 'horizontal' },
+    { name: 'Cruiser', length: 3, pattern: 'horizontal' },
+    { name: 'Submarine', length: 3, pattern: 'horizontal' },
+    { name: 'Destroyer', length: 2, pattern: 'horizontal' }
+  ],
+  turnRule: 'alternate',
+  symbols: {
+    water: '~',
+    ship: 'S',
+    hit: 'X',
+    miss: 'O'
+  },
+  messages: {
+    playerHit: 'PLAYER HIT!',
+    playerMiss: 'PLAYER MISS.',
+    cpuHit: 'CPU HIT at {coordinate}!',
+    cpuMiss: 'CPU MISS at {coordinate}.',
+    shipSunk: 'You sank their {ship}!',
+    cpuShipSunk: 'The CPU sank your {ship}!',
+    playerWin: '*** CONGRATULATIONS! You sunk all enemy battleships! ***',
+    cpuWin: '*** GAME OVER! The CPU sunk all your battleships! ***',
+    invalidInput: 'Oops, input must be exactly two digits (e.g., 00, 34, 98) or row,col (e.g., 3,12).',
+    invalidClassicInput: 'Oops, input must be a row letter followed by a column number (e.g., A1, B7, J10).',
+    outOfBounds: 'Oops, please enter valid row and column numbers between 0 and {max}.',
+    outOfBoundsClassic: 'Oops, please enter a row from A to {lastRow} and a column from 1 to {lastCol}.',
+    duplicateGuess: 'You already guessed that location!',
+    volleySize: 'Fire {shots} shots this turn, separated by spaces.',
+    volleySizeOne: 'Fire 1 shot this turn.',
+    volleyRepeat: 'Each shot in a volley needs its own cell; {coordinate} is listed twice.'
+  }
+};
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge overrides into a copy of base; arrays are replaced, not merged
+ * @param {Object} base - Base settings
+ * @param {Object} overrides - Overriding settings
+ * @returns {Object} Merged copy
+ */
+function mergeSettings(base, overrides) {
+  const merged = JSON.parse(JSON.stringify(base));
+  Object.keys(overrides).forEach(key => {
+    const value = overrides[key];
+    if (value === undefined) {
+      return;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeSettings(merged[key], value)
+      : JSON.parse(JSON.stringify(value));
+  });
+  return merged;
+}
+
+/**
+ * Get the class name for an unnamed ship
+ * @param {number} length - Ship length
+ * @returns {string} Class name (e.g., 'Cruiser' for length 3)
+ */
+function defaultShipName(length) {
+  return SHIP_CLASS_NAMES[length] || `${length}-cell ship`;
+}
+
+/**
+ * Recursively freeze an object graph
+ * @param {Object} object - Object to freeze
+ * @returns {Object} The frozen object
+ */
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
 class GameConfig {
-  constructor() {
+  /**
+   * Get the singleton configuration
+   * @param {Object} overrides - Settings layered over the defaults (only used on first construction)
+   * @throws {Error} If the resulting settings fail validation
+   */
+  constructor(overrides = {}) {
     if (GameConfig.instance) {
       return GameConfig.instance;
     }
-    
-    this.settings = {
-      boardSize: 10,
-      numShips: 3,
-      shipLength: 3,
-      shipPatterns: [
-        { length: 3, pattern: 'horizontal' },
-        { length: 3, pattern: 'horizontal' },
-        { length: 3, pattern: 'horizontal' }
-      ],
-      symbols: {
-        water: '~',
-        ship: 'S',
-        hit: 'X',
-        miss: 'O'
-      },
-      messages: {
-        playerHit: 'PLAYER HIT!',
-        playerMiss: 'PLAYER MISS.',
-        cpuHit: 'CPU HIT at {coordinate}!',
-        cpuMiss: 'CPU MISS at {coordinate}.',
-        shipSunk: 'You sunk an enemy battleship!',
-        cpuShipSunk: 'CPU sunk your battleship!',
-        playerWin: '*** CONGRATULATIONS! You sunk all enemy battleships! ***',
-        cpuWin: '*** GAME OVER! The CPU sunk all your battleships! ***',
-        invalidInput: 'Oops, input must be exactly two digits (e.g., 00, 34, 98).',
-        outOfBounds: 'Oops, please enter valid row and column numbers between 0 and {max}.',
-        duplicateGuess: 'You already guessed that location!'
-      }
-    };
-    
+
+    this.settings = GameConfig.buildSettings(overrides);
+
     // Make settings deeply immutable
-    Object.freeze(this.settings.symbols);
-    Object.freeze(this.settings.messages);
-    Object.freeze(this.settings.shipPatterns);
-    Object.freeze(this.settings);
-    
+    deepFreeze(this.settings);
+
     GameConfig.instance = this;
     Object.freeze(this);
   }
-  
+
+  /**
+   * Replace the singleton with one built from new overrides
+   * @param {Object} overrides - Settings layered over the defaults
+   * @returns {GameConfig} The new configuration instance
+   * @throws {Error} If the resulting settings fail validation
+   */
+  static configure(overrides = {}) {
+    // Validate before dropping the current instance so a bad override leaves it intact
+    GameConfig.buildSettings(overrides);
+    delete GameConfig.instance;
+    return new GameConfig(overrides);
+  }
+
+  /**
+   * Merge overrides over the defaults, derive dependent values and validate
+   * @param {Object} overrides - Settings layered over the defaults
+   * @returns {Object} Validated settings
+   * @throws {Error} Listing every validation problem
+   */
+  static buildSettings(overrides = {}) {
+    const settings = mergeSettings(DEFAULT_SETTINGS, overrides);
+
+    // Keep the fleet and its summary values in step with whichever was overridden
+    if (overrides.shipPatterns === undefined &&
+        (overrides.numShips !== undefined || overrides.shipLength !== undefined)) {
+      const count = Number.isInteger(settings.numShips) ? settings.numShips : 0;
+      settings.shipPatterns = Array.from({ length: count }, () => ({
+        name: defaultShipName(settings.shipLength),
+        length: settings.shipLength,
+        pattern: 'horizontal'
+      }));
+    } else if (Array.isArray(overrides.shipPatterns) && overrides.shipPatterns.length > 0) {
+      settings.numShips = overrides.shipPatterns.length;
+      settings.shipLength = Math.max(...overrides.shipPatterns.map(pattern => (pattern && pattern.length) || 0));
+    }
+
+    // Ships listed only by length are named after their class
+    if (Array.isArray(settings.shipPatterns)) {
+      settings.shipPatterns.forEach(pattern => {
+        if (pattern && typeof pattern === 'object' && pattern.name === undefined && Number.isInteger(pattern.length)) {
+          pattern.name = defaultShipName(pattern.length);
+        }
+      });
+    }
+
+    const { isValid, errors } = ConfigSchema.validate(settings);
+    if (!isValid) {
+      throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+    return settings;
+  }
+
   /**
    * Get a configuration value
    * @param {string} key - Configuration key
@@ -61,7 +198,7 @@ class GameConfig {
   get(key) {
     return this.settings[key];
   }
-  
+
   /**
    * Get a localized message with parameter interpolation
    * @param {string} key - Message key
@@ -77,4 +214,7 @@ class GameConfig {
   }
 }
 
-module.exports = GameConfig; 
\ No newline at end of file
+GameConfig.SHIP_CLASS_NAMES = deepFreeze({ ...SHIP_CLASS_NAMES });
+GameConfig.DEFAULT_SETTINGS = deepFreeze(JSON.parse(JSON.stringify(DEFAULT_SETTINGS)));
+
+module.exports = GameConfig;
@@ -0,0 +1,215 @@
+/**
+ * Coordinate Value Object
+ *
+ * Immutable row/column pair used for every board position. Instances are
+ * interned, so the same position is always the same object and coordinates
+ * can be compared with === and stored in Sets and Maps directly. Only cells
+ * within reach of the largest board are interned, which keeps the cache
+ * bounded; anything further out is a fresh object each time (compare those
+ * with equals()).
+ *
+ * String form: two digits ("34") while both parts are single digits,
+ * otherwise "row,col" ("3,12"), so every string parses back unambiguously.
+ * Player-facing text can instead use classic notation: a row letter and a
+ * one-based column number ("B7", "J10").
+ *
+ * @module Coordinate
+ */
+
+const cache = new Map();
+
+/**
+ * Largest supported board (one letter per row in classic notation)
+ */
+const MAX_BOARD_SIZE = 26;
+
+/**
+ * Interned range for rows and columns, with room for offsets off either edge
+ */
+const INTERN_MIN = -MAX_BOARD_SIZE;
+const INTERN_MAX = 2 * MAX_BOARD_SIZE;
+
+/**
+ * Supported notations for player-facing coordinates
+ */
+const NOTATIONS = ['classic', 'digits'];
+
+const FIRST_ROW_LETTER = 'A'.charCodeAt(0);
+
+/**
+ * Coordinate class representing a single board cell
+ */
+class Coordinate {
+  /**
+   * Create a coordinate; prefer Coordinate.of() to get the interned instance
+   * @param {number} row - Zero-based row
+   * @param {number} col - Zero-based column
+   */
+  constructor(row, col) {
+    this.row = row;
+    this.col = col;
+    Object.freeze(this);
+  }
+
+  /**
+   * Get the interned coordinate for a row and column
+   * @param {number} row - Zero-based row
+   * @param {number} col - Zero-based column
+   * @returns {Coordinate} Shared instance (a new one far off any board)
+   * @throws {Error} If row or col is not an integer
+   */
+  static of(row, col) {
+    if (!Number.isInteger(row) || !Number.isInteger(col)) {
+      throw new Error(`Invalid coordinate: ${row}, ${col}`);
+    }
+    if (row < INTERN_MIN || row >= INTERN_MAX || col < INTERN_MIN || col >= INTERN_MAX) {
+      return new Coordinate(row, col);
+    }
+    const key = `${row},${col}`;
+    let coordinate = cache.get(key);
+    if (!coordinate) {
+      coordinate = new Coordinate(row, col);
+      cache.set(key, coordinate);
+    }
+    return coordinate;
+  }
+
+  /**
+   * Read the row and column from a coordinate string without creating a
+   * Coordinate, so untrusted input can be range-checked first
+   * @param {string} input - Text to read: "34", "3,12" or "3 12" for digits;
+   *   "B7", "j10" or "b 7" for classic
+   * @param {string} notation - 'digits' or 'classic'
+   * @returns {Object|null} { row, col } or null if the format is not recognised
+   */
+  static read(input, notation = 'digits') {
+    if (typeof input !== 'string') {
+      return null;
+    }
+    const text = input.trim();
+
+    if (notation === 'classic') {
+      const match = text.match(/^([a-z])\s*(\d+)$/i);
+      if (!match || Number(match[2]) < 1) {
+        return null;
+      }
+      return { row: match[1].toUpperCase().charCodeAt(0) - FIRST_ROW_LETTER, col: Number(match[2]) - 1 };
+    }
+
+    const match = text.match(/^(\d)(\d)$/) || text.match(/^(\d+)\s*[,\s]\s*(\d+)$/);
+    if (!match) {
+      return null;
+    }
+    return { row: Number(match[1]), col: Number(match[2]) };
+  }
+
+  /**
+   * Parse a coordinate string
+   * @param {string} input - Text to parse (see read())
+   * @param {string} notation - 'digits' or 'classic'
+   * @returns {Coordinate|null} Coordinate or null if the format is not recognised
+   */
+  static parse(input, notation = 'digits') {
+    const cell = Coordinate.read(input, notation);
+    return cell && Coordinate.of(cell.row, cell.col);
+  }
+
+  /**
+   * Get the label of a row in classic notation
+   * @param {number} row - Zero-based row
+   * @returns {string} Row letter ("A" for row 0)
+   */
+  static rowLabel(row) {
+    return String.fromCharCode(FIRST_ROW_LETTER + row);
+  }
+
+  /**
+   * Normalise any supported coordinate representation
+   * @param {Coordinate|string|number[]|Object} value - Coordinate, string, [row, col] or { row, col }
+   * @param {string} notation - Notation used to parse strings
+   * @returns {Coordinate|null} Interned coordinate or null if unrecognised
+   */
+  static from(value, notation = 'digits') {
+    if (value instanceof Coordinate) {
+      return Coordinate.of(value.row, value.col);
+    }
+    if (typeof value === 'string') {
+      return Coordinate.parse(value, notation);
+    }
+    if (Array.isArray(value) && Number.isInteger(value[0]) && Number.isInteger(value[1])) {
+      return Coordinate.of(value[0], value[1]);
+    }
+    if (value && Number.isInteger(value.row) && Number.isInteger(value.col)) {
+      return Coordinate.of(value.row, value.col);
+    }
+    return null;
+  }
+
+  /**
+   * Get the coordinate shifted by an offset
+   * @param {number} rowDelta - Rows to move
+   * @param {number} colDelta - Columns to move
+   * @returns {Coordinate} Shifted coordinate (may be off the board)
+   */
+  offset(rowDelta, colDelta) {
+    return Coordinate.of(this.row + rowDelta, this.col + colDelta);
+  }
+
+  /**
+   * Get the surrounding cells
+   * @param {boolean} includeDiagonals - Include the four diagonal cells as well as the four edge cells
+   * @returns {Coordinate[]} Neighbouring coordinates (may be off the board)
+   */
+  neighbours(includeDiagonals = false) {
+    const offsets = includeDiagonals
+      ? [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+      : [[-1, 0], [0, -1], [0, 1], [1, 0]];
+    return offsets.map(([rowDelta, colDelta]) => this.offset(rowDelta, colDelta));
+  }
+
+  /**
+   * Check if the coordinate lies on a square board
+   * @param {number} size - Board size
+   * @returns {boolean} True if inside the board
+   */
+  isWithin(size) {
+    return this.row >= 0 && this.row < size && this.col >= 0 && this.col < size;
+  }
+
+  /**
+   * Compare with another coordinate representation
+   * @param {*} other - Value to compare
+   * @returns {boolean} True if both refer to the same cell
+   */
+  equals(other) {
+    const coordinate = Coordinate.from(other);
+    return coordinate !== null && coordinate.row === this.row && coordinate.col === this.col;
+  }
+
+  /**
+   * Format the coordinate for players
+   * @param {string} notation - 'digits' or 'classic'
+   * @returns {string} "34" / "3,12" for digits, "D5" for classic
+   */
+  format(notation = 'digits') {
+    if (notation === 'classic') {
+      return `${Coordinate.rowLabel(this.row)}${this.col + 1}`;
+    }
+    return this.toString();
+  }
+
+  toString() {
+    return this.row >= 0 && this.row < 10 && this.col >= 0 && this.col < 10
+      ? `${this.row}${this.col}`
+      : `${this.row},${this.col}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+Coordinate.NOTATIONS = NOTATIONS;
+Coordinate.MAX_BOARD_SIZE = MAX_BOARD_SIZE;
+
+module.exports = Coordinate;
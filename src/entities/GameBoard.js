@@ -8,6 +8,10 @@
  */
 
 const GameConfig = require('../config/GameConfig');
+const Coordinate = require('./Coordinate');
+const Ship = require('./Ship');
+
+const ADJACENCY_RULES = ['overlap-only', 'no-edge', 'no-contact'];
 
 /**
  * GameBoard class representing the game board grid and ship management
@@ -20,6 +24,8 @@ class GameBoard {
   constructor(size) {
     const config = new GameConfig();
     this.size = size || config.get('boardSize');
+    this.notation = config.get('coordinateFormat') || 'digits';
+    this.adjacency = config.get('adjacency') || 'overlap-only';
     this.grid = this.initializeGrid();
     this.ships = [];
     this.hits = new Set();
@@ -58,8 +64,7 @@ class GameBoard {
     try {
       // Validate ship placement
       for (const location of ship.locations) {
-        const { row, col } = this.parseCoordinate(location);
-        if (!this.isValidCoordinate(row, col)) {
+        if (!this.isValidCoordinate(location.row, location.col)) {
           return false;
         }
         // Check for ship overlap
@@ -67,13 +72,15 @@ class GameBoard {
           return false;
         }
       }
+      if (this.getTouchingShips(ship.locations).length > 0) {
+        return false;
+      }
 
       const config = new GameConfig();
       this.ships.push(ship);
       
       if (isVisible) {
-        ship.locations.forEach(location => {
-          const { row, col } = this.parseCoordinate(location);
+        ship.locations.forEach(({ row, col }) => {
           this.grid[row][col] = config.get('symbols').ship;
         });
       }
@@ -85,6 +92,62 @@ class GameBoard {
     }
   }
 
+  /**
+   * Cells next to a ship that the adjacency rule keeps clear of other ships
+   * @param {Array<Coordinate|string>} locations - Ship cells
+   * @param {string} adjacency - 'overlap-only', 'no-edge' (no shared edges) or 'no-contact' (not even diagonally)
+   * @returns {Coordinate[]} Surrounding cells, not limited to the board
+   */
+  static getContactCells(locations, adjacency) {
+    if (adjacency !== 'no-edge' && adjacency !== 'no-contact') {
+      return [];
+    }
+    const own = new Set(locations.map(location => Coordinate.from(location)));
+    const cells = new Set();
+    own.forEach(location => {
+      location.neighbours(adjacency === 'no-contact')
+        .filter(neighbour => !own.has(neighbour))
+        .forEach(neighbour => cells.add(neighbour));
+    });
+    return Array.from(cells);
+  }
+
+  /**
+   * Find ships that a ship at these cells would touch under the board's adjacency rule
+   * @param {Array<Coordinate|string>} locations - Proposed ship cells
+   * @returns {Ship[]} Touching ships, each listed once
+   */
+  getTouchingShips(locations) {
+    const touching = new Set();
+    GameBoard.getContactCells(locations, this.adjacency).forEach(cell => {
+      const ship = this.getShipAt(cell);
+      if (ship) {
+        touching.add(ship);
+      }
+    });
+    return Array.from(touching);
+  }
+
+  /**
+   * Take a ship off the board, clearing its cells back to water
+   * @param {Ship} ship - Ship to remove
+   * @returns {boolean} True if the ship was on the board
+   */
+  removeShip(ship) {
+    const index = this.ships.indexOf(ship);
+    if (index === -1) {
+      return false;
+    }
+    this.ships.splice(index, 1);
+    const config = new GameConfig();
+    ship.locations.forEach(({ row, col }) => {
+      if (this.isValidCoordinate(row, col)) {
+        this.grid[row][col] = config.get('symbols').water;
+      }
+    });
+    return true;
+  }
+
   /**
    * Mark a coordinate as hit on the board
    * @param {number} row - Row coordinate
@@ -94,7 +157,7 @@ class GameBoard {
     if (this.isValidCoordinate(row, col)) {
       const config = new GameConfig();
       this.grid[row][col] = config.get('symbols').hit;
-      this.hits.add(`${row}${col}`);
+      this.hits.add(Coordinate.of(row, col));
       this.hitCount++;
     }
   }
@@ -110,44 +173,69 @@ class GameBoard {
     }
     const config = new GameConfig();
     this.grid[row][col] = config.get('symbols').miss;
-    this.misses.add(`${row}${col}`);
+    this.misses.add(Coordinate.of(row, col));
     this.missCount++;
   }
 
+  /**
+   * Convert input into a coordinate on this board
+   * @param {Coordinate|string} coordinate - Coordinate or string in the board's notation (e.g., 'B7', or '05', '3,12')
+   * @returns {Coordinate|null} Coordinate, or null if unparsable or off the board
+   */
+  toCoordinate(coordinate) {
+    const parsed = Coordinate.from(coordinate, this.notation);
+    return parsed && parsed.isWithin(this.size) ? parsed : null;
+  }
+
+  /**
+   * Format a coordinate in the board's notation
+   * @param {Coordinate|string} coordinate - Coordinate to format
+   * @returns {string} Player-facing text (e.g., 'B7' or '16')
+   */
+  formatCoordinate(coordinate) {
+    const parsed = Coordinate.from(coordinate, this.notation);
+    return parsed ? parsed.format(this.notation) : String(coordinate);
+  }
+
   /**
    * Parse a coordinate string into row and column object
-   * @param {string} coordinate - Coordinate string (e.g., '05')
+   * @param {Coordinate|string} coordinate - Coordinate or string in the board's notation
    * @returns {Object} Object containing row and col properties
    */
   parseCoordinate(coordinate) {
-    if (!coordinate || typeof coordinate !== 'string' || coordinate.length !== 2) {
-      return { row: null, col: null };
-    }
-    const row = parseInt(coordinate[0]);
-    const col = parseInt(coordinate[1]);
-    if (isNaN(row) || isNaN(col) || !this.isValidCoordinate(row, col)) {
+    const parsed = this.toCoordinate(coordinate);
+    if (!parsed) {
       return { row: null, col: null };
     }
-    return { row, col };
+    return { row: parsed.row, col: parsed.col };
   }
 
   /**
-   * Get display representation of the board
+   * Get display representation of the board.
+   * Classic notation labels rows A, B, C... and columns 1, 2, 3...;
+   * digit notation labels both from 0.
    * @returns {string[]} Array of strings representing board rows
    */
   display() {
-    const header = '  ' + Array.from({length: this.size}, (_, i) => i).join(' ');
-    const rows = this.grid.map((row, i) => `${i} ${row.join(' ')}`);
+    const classic = this.notation === 'classic';
+    const rowLabels = Array.from({length: this.size}, (_, i) => classic ? Coordinate.rowLabel(i) : String(i));
+    const colLabels = Array.from({length: this.size}, (_, i) => String(classic ? i + 1 : i));
+    const labelWidth = Math.max(...rowLabels.map(label => label.length));
+    const width = Math.max(...colLabels.map(label => label.length));
+    const pad = value => String(value).padStart(width);
+    const header = ' '.repeat(labelWidth + 1) + colLabels.map(pad).join(' ');
+    const rows = this.grid.map((row, i) => `${rowLabels[i].padStart(labelWidth)} ${row.map(pad).join(' ')}`);
     return [header, ...rows];
   }
   
   /**
    * Find ship at specific coordinate
-   * @param {string} coordinate - Coordinate to check
+   * @param {Coordinate|string} coordinate - Coordinate to check
    * @returns {Ship|undefined} Ship at coordinate or undefined
    */
   getShipAt(coordinate) {
-    return this.ships.find(ship => ship.locations.includes(coordinate));
+    const target = Coordinate.from(coordinate);
+    return this.ships.find(ship => ship.locations.includes(target));
   }
 
   /**
@@ -158,6 +246,14 @@ class GameBoard {
     return [...this.ships];
   }
 
+  /**
+   * Get ships that have not been sunk yet
+   * @returns {Ship[]} Ships still afloat, in placement order
+   */
+  getShipsAfloat() {
+    return this.ships.filter(ship => !ship.isSunk());
+  }
+
   /**
    * Get board statistics
    * @returns {Object} Statistics about the board state
@@ -175,8 +271,8 @@ class GameBoard {
       totalHits,
       totalMisses: this.missCount,
       accuracy: totalHits / (totalHits + this.missCount) * 100 || 0,
-      hits: Array.from(this.hits),
-      misses: Array.from(this.misses)
+      hits: Array.from(this.hits, String),
+      misses: Array.from(this.misses, String)
     };
   }
 
@@ -188,6 +284,59 @@ class GameBoard {
     return this.ships.every(ship => ship.isSunk());
   }
 
+  /**
+   * Export the fleet as a layout that ShipFactory.parseFleetLayout reads back
+   * @returns {string} One `<name> <bow> <H|V>` line per ship, in the board's notation
+   */
+  toFleetLayout() {
+    return this.ships.map(ship => {
+      const [bow, next] = [...ship.locations].sort((a, b) => a.row - b.row || a.col - b.col);
+      const orientation = next && next.col === bow.col ? 'V' : 'H';
+      return `${ship.name} ${this.formatCoordinate(bow)} ${orientation}\n`;
+    }).join('');
+  }
+
+  /**
+   * Serialize the board for saved games
+   * @returns {Object} { size, adjacency, ships, hits, misses } with coordinates as strings
+   */
+  toJSON() {
+    return {
+      size: this.size,
+      adjacency: this.adjacency,
+      ships: this.ships.map(ship => ship.toJSON()),
+      hits: Array.from(this.hits, String),
+      misses: Array.from(this.misses, String)
+    };
+  }
+
+  /**
+   * Rebuild a board serialized with toJSON
+   * @param {Object} data - Serialized board
+   * @param {boolean} showShips - Whether to draw the ships on the grid (for the player board)
+   * @returns {GameBoard} Board with ships, hits and misses restored
+   * @throws {Error} If a ship does not fit on the board
+   */
+  static fromJSON(data, showShips = false) {
+    const board = new GameBoard(data.size);
+    // Ships are restored under the rule they were placed with
+    board.adjacency = data.adjacency || 'overlap-only';
+    data.ships.forEach(shipData => {
+      if (!board.placeShip(Ship.fromJSON(shipData), showShips)) {
+        throw new Error(`Cannot place saved ship ${shipData.name} at ${shipData.locations.join(' ')}`);
+      }
+    });
+    data.hits.forEach(value => {
+      const { row, col } = Coordinate.from(value);
+      board.markHit(row, col);
+    });
+    data.misses.forEach(value => {
+      const { row, col } = Coordinate.from(value);
+      board.markMiss(row, col);
+    });
+    return board;
+  }
+
   /**
    * Reset the board to initial state
    */
@@ -201,4 +350,6 @@ class GameBoard {
   }
 }
 
+GameBoard.ADJACENCY_RULES = ADJACENCY_RULES;
+
 module.exports = GameBoard; 
\ No newline at end of file
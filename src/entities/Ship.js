@@ -7,27 +7,41 @@
  * @module Ship
  */
 
+const Coordinate = require('./Coordinate');
+const Random = require('../utils/Random');
+
 /**
  * Ship class representing a battleship with location and hit tracking
  */
 class Ship {
   /**
    * Create a new ship
-   * @param {string[]} locations - Array of coordinate strings (e.g., ['00', '01', '02'])
+   * @param {Array<Coordinate|string>} locations - Coordinates or coordinate strings (e.g., ['00', '01', '02'])
+   * @param {string} name - Ship class name (e.g., 'Cruiser')
+   * @param {Random} random - Generator for the ship id (defaults to the shared generator)
+   * @throws {Error} If a location is not a recognisable coordinate
    */
-  constructor(locations = []) {
-    this.id = Math.random().toString(36).substr(2, 9);
-    this.locations = locations;
+  constructor(locations = [], name = 'Ship', random = Random.getDefault()) {
+    this.id = random.id();
+    this.name = name;
+    this.locations = locations.map(location => {
+      const coordinate = Coordinate.from(location);
+      if (!coordinate) {
+        throw new Error(`Invalid ship location: ${location}`);
+      }
+      return coordinate;
+    });
     this.hits = new Set();
     this.createdAt = new Date();
   }
 
   /**
    * Attempt to hit the ship at a specific coordinate
-   * @param {string} coordinate - Coordinate to hit (e.g., '05')
+   * @param {Coordinate|string} coordinate - Coordinate to hit (e.g., '05')
    * @returns {boolean} True if hit was successful, false otherwise
    */
   hit(coordinate) {
+    coordinate = Coordinate.from(coordinate);
     if (this.locations.includes(coordinate)) {
       this.hits.add(coordinate);
       return true;
@@ -37,11 +51,20 @@ class Ship {
 
   /**
    * Check if a coordinate has already been hit on this ship
-   * @param {string} coordinate - Coordinate to check
+   * @param {Coordinate|string} coordinate - Coordinate to check
    * @returns {boolean} True if coordinate has been hit
    */
   isHit(coordinate) {
-    return this.hits.has(coordinate);
+    return this.hits.has(Coordinate.from(coordinate));
+  }
+
+  /**
+   * Check if the ship occupies a coordinate
+   * @param {Coordinate|string} coordinate - Coordinate to check
+   * @returns {boolean} True if the coordinate is one of the ship's locations
+   */
+  occupies(coordinate) {
+    return this.locations.includes(Coordinate.from(coordinate));
   }
 
   /**
@@ -54,11 +77,12 @@ class Ship {
   
   /**
    * Get comprehensive status information for the ship
-   * @returns {Object} Ship status including ID, locations, hits, and statistics
+   * @returns {Object} Ship status including ID, name, locations, hits, and statistics
    */
   getStatus() {
     return {
       id: this.id,
+      name: this.name,
       locations: this.locations,
       hits: Array.from(this.hits),
       isSunk: this.isSunk(),
@@ -78,11 +102,37 @@ class Ship {
 
   /**
    * Get unhit locations
-   * @returns {string[]} Array of coordinates that haven't been hit
+   * @returns {Coordinate[]} Array of coordinates that haven't been hit
    */
   getUnhitLocations() {
     return this.locations.filter(location => !this.hits.has(location));
   }
+
+  /**
+   * Serialize the ship for saved games
+   * @returns {Object} { id, name, locations, hits } with coordinates as strings
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      locations: this.locations.map(String),
+      hits: Array.from(this.hits, String)
+    };
+  }
+
+  /**
+   * Rebuild a ship serialized with toJSON
+   * @param {Object} data - Serialized ship
+   * @returns {Ship} Ship with its id and hits restored
+   * @throws {Error} If a location is not a recognisable coordinate
+   */
+  static fromJSON(data) {
+    const ship = new Ship(data.locations, data.name);
+    ship.id = data.id;
+    (data.hits || []).forEach(coordinate => ship.hit(coordinate));
+    return ship;
+  }
 }
 
 module.exports = Ship; 
\ No newline at end of file
@@ -8,56 +8,70 @@
  */
 
 const Ship = require('./Ship');
+const Coordinate = require('./Coordinate');
 const GameConfig = require('../config/GameConfig');
+const Random = require('../utils/Random');
+const GameBoard = require('./GameBoard');
+
+const ORIENTATIONS = ['horizontal', 'vertical'];
 
 /**
  * Factory class for creating ships with placement logic
  */
 class ShipFactory {
-  constructor() {
+  /**
+   * @param {Random} random - Generator for placements and ship ids (defaults to the shared generator)
+   */
+  constructor(random = Random.getDefault()) {
     this.config = new GameConfig();
+    this.random = random;
   }
 
   /**
-   * Create a ship from given locations (string coordinates)
-   * @param {string[]} locations - Array of string coordinates like ['00', '01', '02']
+   * Create a ship from given locations
+   * @param {Array<Coordinate|string>} locations - Coordinates or strings like ['00', '01', '02']
+   * @param {string} name - Ship class name
    * @returns {Ship} New ship instance
    */
-  createShip(locations) {
-    return new Ship(locations);
+  createShip(locations, name) {
+    return new Ship(locations, name, this.random);
   }
 
   /**
    * Create a ship from given positions
    * @param {number[][]} positions - Array of [row, col] positions
+   * @param {string} name - Ship class name
+   * @param {Random} random - Generator for the ship id (defaults to the shared generator)
    * @returns {Ship} New ship instance
    */
-  static createShip(positions) {
-    const locations = positions.map(([row, col]) => `${row}${col}`);
-    return new Ship(locations);
+  static createShip(positions, name, random = Random.getDefault()) {
+    const locations = positions.map(([row, col]) => Coordinate.of(row, col));
+    return new Ship(locations, name, random);
   }
   
   /**
    * Create a randomly placed ship on the board
    * @param {GameBoard} board - Board to place ship on
    * @param {number} shipLength - Length of ship to create
+   * @param {string} name - Ship class name
+   * @param {Random} random - Generator to place with (defaults to the shared generator)
    * @returns {Ship} New randomly placed ship
    * @throws {Error} If unable to place ship after maximum attempts
    */
-  static createRandomShip(board, shipLength) {
+  static createRandomShip(board, shipLength, name, random = Random.getDefault()) {
     const config = new GameConfig();
-    const boardSize = config.get('boardSize');
-    const orientation = Math.random() < 0.5 ? 'horizontal' : 'vertical';
+    const boardSize = board.size || config.get('boardSize');
+    const orientation = random.next() < 0.5 ? 'horizontal' : 'vertical';
     
     let attempts = 0;
     const maxAttempts = 100;
     
     while (attempts < maxAttempts) {
-      const { startRow, startCol } = this.generateRandomStart(orientation, boardSize, shipLength);
+      const { startRow, startCol } = this.generateRandomStart(orientation, boardSize, shipLength, random);
       const positions = this.getShipPositions(startRow, startCol, orientation, shipLength);
       
       if (this.canPlaceShip(board, positions)) {
-        return this.createShip(positions);
+        return this.createShip(positions, name, random);
       }
       attempts++;
     }
@@ -70,18 +84,19 @@ class ShipFactory {
    * @param {string} orientation - 'horizontal' or 'vertical'
    * @param {number} boardSize - Size of the board
    * @param {number} shipLength - Length of the ship
+   * @param {Random} random - Generator to draw from (defaults to the shared generator)
    * @returns {Object} Object with startRow and startCol properties
    */
-  static generateRandomStart(orientation, boardSize, shipLength) {
+  static generateRandomStart(orientation, boardSize, shipLength, random = Random.getDefault()) {
     if (orientation === 'horizontal') {
       return {
-        startRow: Math.floor(Math.random() * boardSize),
-        startCol: Math.floor(Math.random() * (boardSize - shipLength + 1))
+        startRow: random.int(boardSize),
+        startCol: random.int(boardSize - shipLength + 1)
       };
     } else {
       return {
-        startRow: Math.floor(Math.random() * (boardSize - shipLength + 1)),
-        startCol: Math.floor(Math.random() * boardSize)
+        startRow: random.int(boardSize - shipLength + 1),
+        startCol: random.int(boardSize)
       };
     }
   }
@@ -117,7 +132,7 @@ class ShipFactory {
     return positions.every(([row, col]) => 
       board.isValidCoordinate(row, col) && 
       board.grid[row][col] === waterSymbol
-    );
+    ) && board.getTouchingShips(positions.map(([row, col]) => Coordinate.of(row, col))).length === 0;
   }
 
   /**
@@ -161,13 +176,18 @@ class ShipFactory {
       reasons: []
     };
 
-    // Check bounds
-    for (const location of ship.locations) {
-      const [row, col] = board.parseCoordinate(location);
-      if (!board.isValidCoordinate(row, col)) {
-        validationResult.isValid = false;
-        validationResult.reasons.push(`Position ${location} is out of bounds`);
-      }
+    // Check bounds, once per ship: cells off the board have no name in classic notation
+    const offBoard = ship.locations.filter(location => !board.isValidCoordinate(location.row, location.col));
+    if (offBoard.length > 0) {
+      const overrun = values => Math.max(0, Math.max(...values) - (board.size - 1)) + Math.max(0, -Math.min(...values));
+      const count = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+      const rows = overrun(ship.locations.map(location => location.row));
+      const cols = overrun(ship.locations.map(location => location.col));
+      const [bow] = ship.locations;
+      const from = board.isValidCoordinate(bow.row, bow.col) ? board.formatCoordinate(bow) : `${bow.row},${bow.col}`;
+      const by = [rows > 0 && count(rows, 'row'), cols > 0 && count(cols, 'column')].filter(Boolean).join(' and ');
+      validationResult.isValid = false;
+      validationResult.reasons.push(`${ship.name} from ${from} runs ${by} off the board`);
     }
 
     // Check for overlaps
@@ -175,10 +195,20 @@ class ShipFactory {
       const existingShip = board.getShipAt(location);
       if (existingShip) {
         validationResult.isValid = false;
-        validationResult.reasons.push(`Position ${location} overlaps with ship ${existingShip.id}`);
+        validationResult.reasons.push(`Position ${board.formatCoordinate(location)} overlaps with the ${existingShip.name}`);
       }
     }
 
+    // Check the adjacency rule
+    const rules = {
+      'no-edge': 'ships may not share an edge',
+      'no-contact': 'ships may not touch, even diagonally'
+    };
+    board.getTouchingShips(ship.locations).forEach(touching => {
+      validationResult.isValid = false;
+      validationResult.reasons.push(`Touches the ${touching.name} (${rules[board.adjacency]})`);
+    });
+
     // Check ship length
     const maxLength = config.get('shipLength');
     if (ship.locations.length > maxLength) {
@@ -190,28 +220,121 @@ class ShipFactory {
   }
 
   /**
-   * Generate all ships for the game
+   * Read an orientation from player input or a layout file
+   * @param {string} value - 'h', 'v', 'horizontal' or 'vertical' (any case)
+   * @returns {string|null} 'horizontal', 'vertical' or null if unrecognised
+   */
+  static parseOrientation(value) {
+    const input = String(value).trim().toLowerCase();
+    return ORIENTATIONS.find(orientation => orientation === input || orientation[0] === input) || null;
+  }
+
+  /**
+   * Parse a fleet layout and place its ships on a board.
+   * One ship per line as `<name> <bow> <H|V>` (e.g. `Carrier A1 H`), with the
+   * bow in the board's notation; blank lines and # comments are ignored.
+   * The layout must hold exactly the configured fleet.
+   * @param {string} text - Layout text
+   * @param {GameBoard} board - Empty board to place the ships on
+   * @param {Object} options - Placement options
+   * @param {boolean} options.isVisible - Whether to draw the ships on the grid
+   * @param {Random} options.random - Generator for ship ids (defaults to the shared generator)
+   * @returns {Object} { isValid, ships, errors } with one error per problem found
+   */
+  static parseFleetLayout(text, board, { isVisible = false, random = Random.getDefault() } = {}) {
+    const config = new GameConfig();
+    const fleet = config.get('shipPatterns');
+    const wanted = new Map();
+    fleet.forEach(({ name, length }) => {
+      const key = name.toLowerCase();
+      const entry = wanted.get(key) || { name, length, count: 0, remaining: 0 };
+      entry.count++;
+      entry.remaining++;
+      wanted.set(key, entry);
+    });
+    const fleetNames = Array.from(wanted.values(), entry => entry.name).join(', ');
+    const ships = [];
+    const errors = [];
+
+    String(text).split(/\r?\n/).forEach((raw, index) => {
+      const line = raw.replace(/#.*$/, '').trim();
+      if (!line) {
+        return;
+      }
+      const label = `Line ${index + 1}`;
+      const tokens = line.split(/\s+/);
+      if (tokens.length < 3) {
+        errors.push(`${label}: expected '<ship> <bow> <H|V>', got '${line}'`);
+        return;
+      }
+
+      const orientationText = tokens.pop();
+      const bowText = tokens.pop();
+      const entry = wanted.get(tokens.join(' ').toLowerCase());
+      if (!entry) {
+        errors.push(`${label}: unknown ship '${tokens.join(' ')}' (fleet: ${fleetNames})`);
+        return;
+      }
+      if (entry.remaining === 0) {
+        errors.push(`${label}: too many ${entry.name} ships (the fleet has ${entry.count})`);
+        return;
+      }
+      const orientation = this.parseOrientation(orientationText);
+      if (!orientation) {
+        errors.push(`${label}: orientation must be H or V, got '${orientationText}'`);
+        return;
+      }
+      const bow = Coordinate.from(bowText, board.notation);
+      if (!bow) {
+        errors.push(`${label}: '${bowText}' is not a coordinate`);
+        return;
+      }
+
+      const ship = this.createShip(this.getShipPositions(bow.row, bow.col, orientation, entry.length), entry.name, random);
+      const { isValid, reasons } = this.validateShipPlacement(ship, board);
+      if (!isValid || !board.placeShip(ship, isVisible)) {
+        // Name the ship unless the reason already does
+        errors.push(...reasons.map(reason => `${label}: ${reason.startsWith(`${entry.name} `) ? '' : `${entry.name}: `}${reason}`));
+        return;
+      }
+      entry.remaining--;
+      ships.push(ship);
+    });
+
+    const missing = Array.from(wanted.values())
+      .filter(entry => entry.remaining > 0)
+      .map(entry => (entry.remaining > 1 ? `${entry.remaining} x ${entry.name}` : entry.name));
+    if (missing.length > 0) {
+      errors.push(`Missing ships: ${missing.join(', ')}`);
+    }
+
+    return { isValid: errors.length === 0, ships, errors };
+  }
+
+  /**
+   * Generate all ships for the configured fleet
    * @returns {Ship[]} Array of ships
    */
   generateShips() {
-    const numShips = this.config.get('numShips');
-    const shipLength = this.config.get('shipLength');
     const boardSize = this.config.get('boardSize');
+    const fleet = this.config.get('shipPatterns') ||
+      Array.from({ length: this.config.get('numShips') }, () => ({ length: this.config.get('shipLength') }));
     const ships = [];
     const maxAttempts = 100;
 
-    for (let i = 0; i < numShips; i++) {
+    for (let i = 0; i < fleet.length; i++) {
+      const { length: shipLength, name } = fleet[i];
       let attempts = 0;
       let shipPlaced = false;
 
       while (!shipPlaced && attempts < maxAttempts) {
-        const orientation = Math.random() < 0.5 ? 'horizontal' : 'vertical';
+        const orientation = this.random.next() < 0.5 ? 'horizontal' : 'vertical';
         const { startRow, startCol } = this.generateRandomStart(orientation, boardSize, shipLength);
         const positions = this.getShipPositions(startRow, startCol, orientation, shipLength);
-        const locations = positions.map(([row, col]) => `${row}${col}`);
+        const locations = positions.map(([row, col]) => Coordinate.of(row, col));
 
-        if (this.isValidPlacement(locations) && !this.hasOverlap(locations, ships)) {
-          ships.push(this.createShip(locations));
+        if (this.isValidPlacement(locations) && !this.hasOverlap(locations, ships) && !this.touchesAny(locations, ships)) {
+          ships.push(this.createShip(locations, name));
           shipPlaced = true;
         }
         attempts++;
@@ -227,7 +350,7 @@ class ShipFactory {
 
   /**
    * Check if a placement is valid (continuous horizontal or vertical)
-   * @param {string[]} locations - Array of coordinate strings
+   * @param {Array<Coordinate|string>} locations - Coordinates or coordinate strings
    * @returns {boolean} True if placement is valid
    */
   isValidPlacement(locations) {
@@ -235,12 +358,11 @@ class ShipFactory {
       return true;
     }
 
-    // Parse coordinates
-    const coords = locations.map(loc => {
-      const row = parseInt(loc[0]);
-      const col = parseInt(loc[1]);
-      return { row, col };
-    }).sort((a, b) => a.row === b.row ? a.col - b.col : a.row - b.row);
+    const coords = locations.map(loc => Coordinate.from(loc));
+    if (coords.includes(null)) {
+      return false;
+    }
+    coords.sort((a, b) => a.row === b.row ? a.col - b.col : a.row - b.row);
 
     // Check if all coordinates are in the same row (horizontal)
     const sameRow = coords.every(coord => coord.row === coords[0].row);
@@ -271,7 +393,7 @@ class ShipFactory {
 
   /**
    * Check if locations overlap with existing ships
-   * @param {string[]} locations - Array of coordinate strings
+   * @param {Array<Coordinate|string>} locations - Coordinates or coordinate strings
    * @param {Ship[]} existingShips - Array of existing ships
    * @returns {boolean} True if there's an overlap
    */
@@ -281,7 +403,18 @@ class ShipFactory {
       ship.locations.forEach(loc => existingLocations.add(loc));
     });
 
-    return locations.some(loc => existingLocations.has(loc));
+    return locations.some(loc => existingLocations.has(Coordinate.from(loc)));
+  }
+
+  /**
+   * Check if locations would touch existing ships under the configured adjacency rule
+   * @param {Array<Coordinate|string>} locations - Coordinates or coordinate strings
+   * @param {Ship[]} existingShips - Array of existing ships
+   * @returns {boolean} True if a ship would be touched
+   */
+  touchesAny(locations, existingShips) {
+    const contact = GameBoard.getContactCells(locations, this.config.get('adjacency'));
+    return existingShips.some(ship => ship.locations.some(location => contact.includes(location)));
   }
 
   /**
@@ -292,17 +425,7 @@ class ShipFactory {
    * @returns {Object} Object with startRow and startCol properties
    */
   generateRandomStart(orientation, boardSize, shipLength) {
-    if (orientation === 'horizontal') {
-      return {
-        startRow: Math.floor(Math.random() * boardSize),
-        startCol: Math.floor(Math.random() * (boardSize - shipLength + 1))
-      };
-    } else {
-      return {
-        startRow: Math.floor(Math.random() * (boardSize - shipLength + 1)),
-        startCol: Math.floor(Math.random() * boardSize)
-      };
-    }
+    return ShipFactory.generateRandomStart(orientation, boardSize, shipLength, this.random);
   }
 
   /**
@@ -324,4 +447,6 @@ class ShipFactory {
   }
 }
 
+ShipFactory.ORIENTATIONS = ORIENTATIONS;
+
 module.exports = ShipFactory;
\ No newline at end of file
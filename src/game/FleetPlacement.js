@@ -0,0 +1,174 @@
+/**
+ * FleetPlacement - Manual Ship Placement
+ *
+ * Tracks the player's fleet while it is positioned by hand: which ship is
+ * next, the current orientation and the ships placed so far. Placements go
+ * through ShipFactory.validateShipPlacement so rejections come back with
+ * reasons. Remaining ships can be placed randomly and placements undone.
+ * runCommand() applies the text commands typed during the placement phase.
+ *
+ * @module FleetPlacement
+ */
+
+const Coordinate = require('../entities/Coordinate');
+const ShipFactory = require('../entities/ShipFactory');
+const Random = require('../utils/Random');
+
+/**
+ * Manual placement of one fleet on one board
+ */
+class FleetPlacement {
+  /**
+   * @param {Object} options - Placement options
+   * @param {GameBoard} options.board - Board to place on (ships are drawn on it)
+   * @param {Object[]} options.fleet - Ships to place, as { name, length }
+   * @param {Random} options.random - Generator for random placements (defaults to the shared generator)
+   */
+  constructor({ board, fleet, random = Random.getDefault() }) {
+    this.board = board;
+    this.fleet = fleet;
+    this.random = random;
+    this.placed = [];
+    this.orientation = 'horizontal';
+  }
+
+  /**
+   * Next ship to place
+   * @returns {Object|null} { name, length }, or null once the fleet is placed
+   */
+  getNextShip() {
+    return this.fleet[this.placed.length] || null;
+  }
+
+  /**
+   * Number of ships still to place
+   * @returns {number} Ships left
+   */
+  getRemaining() {
+    return this.fleet.length - this.placed.length;
+  }
+
+  /**
+   * Check whether every ship has been placed
+   * @returns {boolean} True when the fleet can be confirmed
+   */
+  isComplete() {
+    return this.getRemaining() === 0;
+  }
+
+  /**
+   * Place the next ship from a start coordinate
+   * @param {Coordinate|string} start - Bow of the ship, in the board's notation
+   * @param {string} orientation - 'horizontal' or 'vertical' (defaults to the current orientation)
+   * @returns {Object} { success, ship } or { success: false, error, reasons }
+   */
+  place(start, orientation = this.orientation) {
+    const next = this.getNextShip();
+    if (!next) {
+      return { success: false, error: "Every ship is placed. Type 'confirm' to start or 'undo' to move one.", reasons: [] };
+    }
+
+    const parsed = Coordinate.from(start, this.board.notation);
+    if (!parsed) {
+      return { success: false, error: `'${start}' is not a coordinate`, reasons: [] };
+    }
+    if (!ShipFactory.ORIENTATIONS.includes(orientation)) {
+      return { success: false, error: `Unknown orientation '${orientation}'; use H or V`, reasons: [] };
+    }
+
+    const positions = ShipFactory.getShipPositions(parsed.row, parsed.col, orientation, next.length);
+    const ship = ShipFactory.createShip(positions, next.name, this.random);
+    const { isValid, reasons } = ShipFactory.validateShipPlacement(ship, this.board);
+    if (!isValid || !this.board.placeShip(ship, true)) {
+      return { success: false, error: `Cannot place the ${next.name} at ${this.board.formatCoordinate(parsed)}`, reasons };
+    }
+
+    this.placed.push(ship);
+    return { success: true, ship };
+  }
+
+  /**
+   * Apply a placement command: '<start> [H|V]', 'rotate', 'random', 'undo'
+   * or 'confirm'. Confirming only checks the fleet is complete; the engine
+   * decides what happens next.
+   * @param {string} input - Raw player input
+   * @returns {Object} { success, action, ... } or { success: false, error, reasons }
+   */
+  runCommand(input) {
+    const [command = '', orientationInput, ...extra] = String(input || '').trim().split(/\s+/);
+    const action = command.toLowerCase();
+
+    if (action === '') {
+      return { success: false, error: 'No input provided', reasons: [] };
+    }
+    if (action === 'rotate') {
+      return { success: true, action, orientation: this.rotate() };
+    }
+    if (action === 'undo') {
+      const result = this.undo();
+      return result.success ? { success: true, action, ship: result.ship } : { ...result, reasons: [] };
+    }
+    if (action === 'random') {
+      return { success: true, action, ships: this.randomizeRest() };
+    }
+    if (action === 'confirm') {
+      if (!this.isComplete()) {
+        return { success: false, error: `Place all ships before confirming (${this.getRemaining()} left)`, reasons: [] };
+      }
+      return { success: true, action };
+    }
+
+    let orientation = this.orientation;
+    if (orientationInput !== undefined) {
+      orientation = ShipFactory.parseOrientation(orientationInput);
+      if (!orientation || extra.length > 0) {
+        return { success: false, error: "Enter a start coordinate and H or V (e.g. B7 H), or 'rotate', 'random', 'undo', 'confirm'", reasons: [] };
+      }
+    }
+    const result = this.place(command, orientation);
+    return result.success ? { success: true, action: 'place', ship: result.ship } : result;
+  }
+
+  /**
+   * Switch the orientation used when none is given
+   * @returns {string} New orientation
+   */
+  rotate() {
+    this.orientation = this.orientation === 'horizontal' ? 'vertical' : 'horizontal';
+    return this.orientation;
+  }
+
+  /**
+   * Take the most recently placed ship back off the board
+   * @returns {Object} { success, ship } or { success: false, error }
+   */
+  undo() {
+    const ship = this.placed.pop();
+    if (!ship) {
+      return { success: false, error: 'No ship to undo' };
+    }
+    this.board.removeShip(ship);
+    return { success: true, ship };
+  }
+
+  /**
+   * Place every remaining ship at random
+   * @returns {Ship[]} Ships placed
+   * @throws {Error} If a ship no longer fits anywhere
+   */
+  randomizeRest() {
+    const ships = [];
+    while (!this.isComplete()) {
+      const { name, length } = this.getNextShip();
+      const ship = ShipFactory.createRandomShip(this.board, length, name, this.random);
+      if (!this.board.placeShip(ship, true)) {
+        throw new Error(`Failed to place the ${name} randomly`);
+      }
+      this.placed.push(ship);
+      ships.push(ship);
+    }
+    return ships;
+  }
+}
+
+module.exports = FleetPlacement;
@@ -1,43 +1,94 @@
 /**
- * Game Controller - Main Game Orchestration
- * 
- * Coordinates all game components and manages the game flow.
- * Acts as the main controller in the MVC pattern.
- * 
+ * Game Engine - Headless Game Orchestration
+ *
+ * Coordinates boards, turns, AI and win detection without any terminal I/O.
+ * Moves go in as method calls and results come back as structured objects;
+ * everything else is published as events for front-ends to render.
+ *
+ * Events: gameStart, gameResumed, placementTurn, shipPlaced, shipRemoved,
+ * orientationChanged, invalidPlacement, placementComplete, playerHit, playerMiss,
+ * cpuHit, cpuMiss, shipSunk, volleyFired, volleyComplete, stateChange, turnStart,
+ * turnComplete, bonusTurn, invalidMove, gameEnded, gameQuit, error
+ *
+ * In the Salvo variant each turn is a volley: several shots whose results
+ * are only revealed once the whole volley has been fired. The turn rule
+ * decides whether a hit or a sinking earns the shooter another turn
+ * (announced with bonusTurn).
+ *
  * @module Game
  */
 
 const EventEmitter = require('events');
 const GameConfig = require('../config/GameConfig');
 const GameBoard = require('../entities/GameBoard');
+const Coordinate = require('../entities/Coordinate');
 const { AIContext } = require('../ai/AIStrategy');
 const { GameStatsObserver } = require('../observers/GameObservers');
 const ShipFactory = require('../entities/ShipFactory');
-const { SetupState, PlayerTurnState } = require('../states/GameStates');
-const readline = require('readline');
+const FleetPlacement = require('./FleetPlacement');
+const { InputValidator, VolleyValidator } = require('../validation/ValidationStrategy');
+const { SetupState, PlayerTurnState, CPUTurnState, GameOverState } = require('../states/GameStates');
+const Random = require('../utils/Random');
 
 /**
- * Main game controller class
+ * Settings a saved game is played under, kept in the save
+ */
+const SAVED_SETTINGS = ['boardSize', 'coordinateFormat', 'shipPatterns', 'salvoShots', 'adjacency'];
+
+/**
+ * Headless game engine class
  */
 class Game extends EventEmitter {
-  constructor() {
+  /**
+   * Create a new game engine
+   * @param {Object} options - Engine options
+   * @param {Function} options.inputProvider - Async function resolving the next player input
+   * @param {string} options.aiDifficulty - CPU difficulty (defaults to the configured difficulty)
+   * @param {AIStrategy} options.aiStrategy - Strategy that plays the CPU instead of a difficulty (e.g. an external bot)
+   * @param {number|string} options.seed - Seed for ship placement and AI decisions (random if omitted)
+   * @param {string} options.placement - 'random' or 'manual' player fleet placement (defaults to the configured placement)
+   * @param {string} options.playerFleet - Fleet layout for the player (see ShipFactory.parseFleetLayout); skips placement
+   * @param {string} options.cpuFleet - Fleet layout for the CPU
+   * @param {string} options.variant - 'classic' (one shot per turn) or 'salvo' (defaults to the configured variant)
+   * @param {string} options.turnRule - 'alternate', 'again-on-hit' or 'again-on-sink' (defaults to the configured rule)
+   * @throws {Error} If the seed is not a valid integer or a fleet layout is invalid
+   */
+  constructor(options = {}) {
     super();
     this.config = new GameConfig();
+    this.random = new Random(options.seed === undefined || options.seed === null ? undefined : options.seed);
+    this.seed = this.random.seed;
     this.playerBoard = new GameBoard();
     this.cpuBoard = new GameBoard();
-    this.aiContext = new AIContext();
-    this.shipFactory = new ShipFactory();
+    this.aiContext = new AIContext({
+      difficulty: options.aiDifficulty || this.config.get('difficulty'),
+      strategy: options.aiStrategy,
+      random: this.random,
+      adjacency: this.playerBoard.adjacency
+    });
+    this.shipFactory = new ShipFactory(this.random);
+    this.playerFleet = options.playerFleet || null;
+    this.cpuFleet = options.cpuFleet || null;
+    Game.checkFleetLayout(this.playerFleet, 'player');
+    Game.checkFleetLayout(this.cpuFleet, 'CPU');
+    this.manualPlacement = !this.playerFleet && (options.placement || this.config.get('placement')) === 'manual';
+    this.fleetPlacement = null;
+    this.variant = options.variant || this.config.get('variant') || 'classic';
+    this.turnRule = options.turnRule || this.config.get('turnRule') || 'alternate';
+    // Set while a side is taking a turn earned by the turn rule
+    this.bonusTurn = false;
+    this.inputProvider = options.inputProvider || null;
     this.currentState = null;
+    this.resumeState = null;
+    this.stopped = false;
     this.playerGuesses = new Set();
     this.cpuGuesses = new Set();
     this.playerNumShips = 0;
     this.cpuNumShips = 0;
+    this.fleets = null;
+    this.history = [];
     this.observers = [];
     this.setupObservers();
-    this.rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
-    });
   }
 
   setupObservers() {
@@ -53,7 +104,10 @@ class Game extends EventEmitter {
         }
       });
     }
-    this.emit(event, data);
+    // EventEmitter throws on 'error' without a listener; observers have already seen it
+    if (event !== 'error' || this.listenerCount('error') > 0) {
+      this.emit(event, data);
+    }
   }
 
   async initialize() {
@@ -64,12 +118,38 @@ class Game extends EventEmitter {
       this.cpuGuesses = new Set();
       this.playerNumShips = 0;
       this.cpuNumShips = 0;
-      
-      await this.placeShipsRandomly();
-      this.setState(new SetupState(this));
-      await this.currentState.enter();
-      this.notify('gameStart');
-      
+      this.history = [];
+      this.fleets = null;
+      this.fleetPlacement = null;
+      this.bonusTurn = false;
+      this.stopped = false;
+      // Every game started from the same seed places and plays identically
+      this.random.reseed(this.seed);
+      // The CPU strategy may bring its own fleet (an external bot does)
+      const cpuFleet = this.cpuFleet || await this.aiContext.placeFleet();
+
+      if (this.manualPlacement) {
+        // The CPU fleet goes down now; the player positions theirs in the placement state
+        this.cpuNumShips = this.placeFleet(this.cpuBoard, false, 'CPU', cpuFleet);
+        this.fleetPlacement = new FleetPlacement({
+          board: this.playerBoard,
+          fleet: this.config.get('shipPatterns'),
+          random: this.random
+        });
+      } else {
+        await this.placeShips(cpuFleet);
+        this.recordFleets();
+      }
+      await this.setState(new SetupState(this));
+      this.notify('gameStart', {
+        playerNumShips: this.playerNumShips,
+        cpuNumShips: this.cpuNumShips,
+        difficulty: this.aiContext.difficulty,
+        seed: this.seed,
+        variant: this.variant,
+        turnRule: this.turnRule
+      });
+
       return { success: true };
     } catch (error) {
       this.notify('error', { message: error.message });
@@ -77,51 +157,30 @@ class Game extends EventEmitter {
     }
   }
 
-  async placeShipsRandomly() {
+  /**
+   * Place both fleets from their layouts, or at random where none was given
+   * @param {string|null} cpuFleet - CPU fleet layout (defaults to the one the game was created with)
+   * @returns {Promise<Object>} { success }
+   * @throws {Error} If a fleet cannot be placed
+   */
+  async placeShips(cpuFleet = this.cpuFleet) {
+    if (!this.playerFleet && !cpuFleet) {
+      return this.placeShipsRandomly();
+    }
     try {
-      const config = new GameConfig();
-      const patterns = config.get('shipPatterns');
-      
-      // Place ships on player board
-      for (const pattern of patterns) {
-        let playerShip;
-        let placed = false;
-        let attempts = 0;
-        const maxAttempts = 100;
-
-        while (!placed && attempts < maxAttempts) {
-          playerShip = ShipFactory.createRandomShip(this.playerBoard, pattern.length);
-          placed = this.playerBoard.placeShip(playerShip, true);
-          attempts++;
-        }
-
-        if (placed) {
-          this.playerNumShips++;
-        } else {
-          throw new Error('Failed to place player ship after maximum attempts');
-        }
-      }
-      
-      // Place ships on CPU board
-      for (const pattern of patterns) {
-        let cpuShip;
-        let placed = false;
-        let attempts = 0;
-        const maxAttempts = 100;
-
-        while (!placed && attempts < maxAttempts) {
-          cpuShip = ShipFactory.createRandomShip(this.cpuBoard, pattern.length);
-          placed = this.cpuBoard.placeShip(cpuShip, false);
-          attempts++;
-        }
+      this.playerNumShips += this.placeFleet(this.playerBoard, true, 'player', this.playerFleet);
+      this.cpuNumShips += this.placeFleet(this.cpuBoard, false, 'CPU', cpuFleet);
+      return { success: true };
+    } catch (error) {
+      this.notify('error', { message: error.message });
+      throw error;
+    }
+  }
 
-        if (placed) {
-          this.cpuNumShips++;
-        } else {
-          throw new Error('Failed to place CPU ship after maximum attempts');
-        }
-      }
-      
+  async placeShipsRandomly() {
+    try {
+      this.playerNumShips += this.placeFleetRandomly(this.playerBoard, true, 'player');
+      this.cpuNumShips += this.placeFleetRandomly(this.cpuBoard, false, 'CPU');
       return { success: true };
     } catch (error) {
       this.notify('error', { message: error.message });
@@ -129,96 +188,425 @@ class Game extends EventEmitter {
     }
   }
 
+  /**
+   * Place the configured fleet at random on one board
+   * @param {GameBoard} board - Board to place on
+   * @param {boolean} isVisible - Whether to draw the ships on the grid
+   * @param {string} owner - 'player' or 'CPU', for error messages
+   * @returns {number} Ships placed
+   * @throws {Error} If a ship cannot be placed
+   */
+  placeFleetRandomly(board, isVisible, owner) {
+    const patterns = this.config.get('shipPatterns');
+    const maxAttempts = 100;
+
+    for (const pattern of patterns) {
+      let placed = false;
+      let attempts = 0;
+
+      while (!placed && attempts < maxAttempts) {
+        const ship = ShipFactory.createRandomShip(board, pattern.length, pattern.name, this.random);
+        placed = board.placeShip(ship, isVisible);
+        attempts++;
+      }
+
+      if (!placed) {
+        throw new Error(`Failed to place ${owner} ship after maximum attempts`);
+      }
+    }
+
+    return patterns.length;
+  }
+
+  /**
+   * Place the configured fleet on one board from a layout, or at random without one
+   * @param {GameBoard} board - Board to place on
+   * @param {boolean} isVisible - Whether to draw the ships on the grid
+   * @param {string} owner - 'player' or 'CPU', for error messages
+   * @param {string|null} layout - Fleet layout text
+   * @returns {number} Ships placed
+   * @throws {Error} If the layout is invalid or a ship cannot be placed
+   */
+  placeFleet(board, isVisible, owner, layout) {
+    if (!layout) {
+      return this.placeFleetRandomly(board, isVisible, owner);
+    }
+    const { isValid, ships, errors } = ShipFactory.parseFleetLayout(layout, board, { isVisible, random: this.random });
+    if (!isValid) {
+      throw new Error(`Invalid ${owner} fleet layout:\n  - ${errors.join('\n  - ')}`);
+    }
+    return ships.length;
+  }
+
+  /**
+   * Check a fleet layout against the configured fleet and board
+   * @param {string|null} layout - Fleet layout text (nothing to check if empty)
+   * @param {string} owner - 'player' or 'CPU', for error messages
+   * @throws {Error} Listing every problem in the layout
+   */
+  static checkFleetLayout(layout, owner) {
+    if (!layout) {
+      return;
+    }
+    // A throwaway generator keeps the game's sequence untouched
+    const { isValid, errors } = ShipFactory.parseFleetLayout(layout, new GameBoard(), { random: new Random(0) });
+    if (!isValid) {
+      throw new Error(`Invalid ${owner} fleet layout:\n  - ${errors.join('\n  - ')}`);
+    }
+  }
+
+  /**
+   * Remember both starting fleets for replays
+   */
+  recordFleets() {
+    this.fleets = {
+      player: this.playerBoard.getShips().map(ship => ship.toJSON()),
+      cpu: this.cpuBoard.getShips().map(ship => ship.toJSON())
+    };
+  }
+
+  /**
+   * Apply a placement command while the player positions their fleet:
+   * '<start> [H|V]', 'rotate', 'random', 'undo' or 'confirm'
+   * @param {string} input - Raw player input
+   * @returns {Promise<Object>} { success, action, ... } or { success: false, error, reasons }
+   */
+  async processPlacementCommand(input) {
+    const placement = this.fleetPlacement;
+    if (!placement) {
+      return { success: false, error: 'The fleet has already been placed', reasons: [] };
+    }
+    const result = placement.runCommand(input);
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.action === 'confirm') {
+      this.playerNumShips = placement.placed.length;
+      this.fleetPlacement = null;
+      this.recordFleets();
+      this.notify('placementComplete', { playerNumShips: this.playerNumShips });
+    } else {
+      Game.announcePlacement(result, (event, data) => this.notify(event, data));
+    }
+    return result;
+  }
+
+  /**
+   * Publish the events for a successful placement command other than confirm
+   * @param {Object} result - Result of FleetPlacement.runCommand
+   * @param {Function} notify - Called with (event, data) for each event
+   */
+  static announcePlacement(result, notify) {
+    if (result.action === 'rotate') {
+      notify('orientationChanged', { orientation: result.orientation });
+    } else if (result.action === 'undo') {
+      notify('shipRemoved', { ship: result.ship.name });
+    } else {
+      (result.ships || [result.ship]).forEach(ship => notify('shipPlaced', { ship: ship.name, locations: ship.locations }));
+    }
+  }
+
   async processPlayerMove(input) {
     if (!input) {
       return { success: false, error: 'No input provided' };
     }
 
-    if (this.playerGuesses.has(input)) {
-      return { success: false, error: 'You already guessed that location!' };
+    // Coordinates from the engine's callers are checked as the player would type them
+    const text = input instanceof Coordinate ? input.format(this.cpuBoard.notation) : input;
+    const { isValid, message } = InputValidator.forShot(this.playerGuesses, this.cpuBoard.size).validate(text);
+    if (!isValid) {
+      return { success: false, error: message };
     }
 
-    const { row, col } = this.cpuBoard.parseCoordinate(input);
-    if (row === null || col === null) {
-      return { success: false, error: 'Invalid coordinate format' };
+    return this.firePlayerShot(this.cpuBoard.toCoordinate(text));
+  }
+
+  async processCPUMove() {
+    const move = await this.aiContext.makeMove(this.cpuGuesses, this.playerBoard);
+    return this.fireCPUShot(move);
+  }
+
+  /**
+   * Fire a Salvo volley for the player: every coordinate in the input, all
+   * validated before any shot lands
+   * @param {string} input - Space-separated coordinates, one per shot
+   * @returns {Promise<Object>} Volley result (see fireVolley) or { success: false, error }
+   */
+  async processPlayerVolley(input) {
+    if (!input) {
+      return { success: false, error: 'No input provided' };
+    }
+    const shots = this.getVolleySize('player');
+    const { isValid, message, coordinates } = new VolleyValidator(this.playerGuesses, shots, this.cpuBoard.size).validate(input);
+    if (!isValid) {
+      return { success: false, error: message };
     }
+    return this.fireVolley('player', coordinates.map(coordinate => () => this.firePlayerShot(coordinate)));
+  }
+
+  /**
+   * Fire a Salvo volley for the CPU; the AI picks every target before any result comes back
+   * @returns {Promise<Object>} Volley result (see fireVolley)
+   */
+  async processCPUVolley() {
+    const moves = await this.aiContext.makeVolley(this.getVolleySize('cpu'), this.cpuGuesses, this.playerBoard);
+    return this.fireVolley('cpu', moves.map(move => () => this.fireCPUShot(move)));
+  }
+
+  /**
+   * Number of shots a side fires this turn: one in the classic game; in
+   * Salvo the configured fixed number, or one per ship still afloat, never
+   * more than the cells left to fire at
+   * @param {string} player - 'player' or 'cpu'
+   * @returns {number} Shots this turn
+   */
+  getVolleySize(player) {
+    if (this.variant !== 'salvo') {
+      return 1;
+    }
+    const afloat = player === 'player' ? this.playerNumShips : this.cpuNumShips;
+    const target = player === 'player' ? this.cpuBoard : this.playerBoard;
+    const guesses = player === 'player' ? this.playerGuesses : this.cpuGuesses;
+    const shots = this.config.get('salvoShots') || afloat;
+    return Math.min(shots, target.size * target.size - guesses.size);
+  }
+
+  /**
+   * Fire the shots of one volley in order, stopping early if the enemy fleet
+   * goes down, and announce the volley before and after
+   * @param {string} player - 'player' or 'cpu'
+   * @param {Function[]} shots - One function per shot, resolving its shot result
+   * @returns {Promise<Object>} { success, volley, shots, coordinates, hits, sunk, sunkShips, gameOver }
+   */
+  async fireVolley(player, shots) {
+    this.notify('volleyFired', { player, shots: shots.length });
+    const results = [];
+    for (const fire of shots) {
+      const result = await fire();
+      results.push(result);
+      if (result.gameOver) {
+        break;
+      }
+    }
+
+    const volley = {
+      success: true,
+      volley: true,
+      shots: results,
+      coordinates: results.map(result => result.coordinate),
+      hits: results.filter(result => result.hit).length,
+      sunk: results.some(result => result.sunk),
+      sunkShips: results.filter(result => result.sunk).map(result => result.ship),
+      gameOver: results.some(result => result.gameOver)
+    };
+    this.notify('volleyComplete', {
+      player,
+      results: results.map(({ coordinate, hit, sunk, ship }) => ({ coordinate, hit, sunk, ship })),
+      hits: volley.hits,
+      misses: results.length - volley.hits,
+      sunkShips: volley.sunkShips
+    });
+    return volley;
+  }
+
+  /**
+   * Resolve a player shot at a cell that has not been fired at
+   * @param {Coordinate} coordinate - Cell on the CPU board
+   * @returns {Object} { success, hit, sunk, coordinate, gameOver } plus the ship name on a hit
+   */
+  firePlayerShot(coordinate) {
+    this.playerGuesses.add(coordinate);
+    const ship = this.cpuBoard.getShipAt(coordinate);
 
-    this.playerGuesses.add(input);
-    const ship = this.cpuBoard.getShipAt(input);
-    
     if (ship) {
-      ship.hit(input);
-      this.cpuBoard.markHit(row, col);
+      ship.hit(coordinate);
+      this.cpuBoard.markHit(coordinate.row, coordinate.col);
       const wasSunk = ship.isSunk();
+      this.notify('playerHit', { coordinate });
       if (wasSunk) {
         this.cpuNumShips--;
-        this.notify('shipSunk', { player: 'player' });
+        this.notify('shipSunk', { player: 'player', ship: ship.name });
       }
-      this.notify('playerHit', { coordinate: input });
-      return { success: true, hit: true, sunk: wasSunk };
+      this.recordShot('player', coordinate, ship, wasSunk);
+      return { success: true, hit: true, sunk: wasSunk, ship: ship.name, coordinate, gameOver: this.checkGameOver() };
     } else {
-      this.cpuBoard.markMiss(row, col);
-      this.notify('playerMiss', { coordinate: input });
-      return { success: true, hit: false, sunk: false };
+      this.cpuBoard.markMiss(coordinate.row, coordinate.col);
+      this.notify('playerMiss', { coordinate });
+      this.recordShot('player', coordinate, null, false);
+      return { success: true, hit: false, sunk: false, coordinate, gameOver: false };
     }
   }
 
-  async processCPUMove() {
-    const move = this.aiContext.makeMove(this.cpuGuesses, this.playerBoard);
-    const coordinate = move.coordinate;
+  /**
+   * Resolve a CPU shot chosen by the AI and report the result back to it
+   * @param {Object} move - AI move with the target coordinate
+   * @returns {Object} { success, hit, sunk, coordinate, gameOver } plus the ship name on a hit
+   */
+  fireCPUShot(move) {
+    const coordinate = Coordinate.from(move.coordinate);
     this.cpuGuesses.add(coordinate);
 
     const ship = this.playerBoard.getShipAt(coordinate);
     if (ship) {
       ship.hit(coordinate);
-      const { row, col } = this.playerBoard.parseCoordinate(coordinate);
-      this.playerBoard.markHit(row, col);
+      this.playerBoard.markHit(coordinate.row, coordinate.col);
       const wasSunk = ship.isSunk();
+      this.notify('cpuHit', { coordinate });
       if (wasSunk) {
         this.playerNumShips--;
-        this.notify('shipSunk', { player: 'cpu' });
+        this.notify('shipSunk', { player: 'cpu', ship: ship.name });
       }
-      this.notify('cpuHit', { coordinate });
-      this.aiContext.updateResult(true, coordinate);
-      return { success: true, hit: true, sunk: wasSunk, coordinate };
+      this.aiContext.updateResult(true, coordinate, wasSunk, wasSunk ? { name: ship.name, length: ship.getLength(), locations: ship.locations } : null);
+      this.recordShot('cpu', coordinate, ship, wasSunk, move);
+      return { success: true, hit: true, sunk: wasSunk, ship: ship.name, coordinate, gameOver: this.checkGameOver() };
     } else {
-      const { row, col } = this.playerBoard.parseCoordinate(coordinate);
-      this.playerBoard.markMiss(row, col);
+      this.playerBoard.markMiss(coordinate.row, coordinate.col);
       this.notify('cpuMiss', { coordinate });
       this.aiContext.updateResult(false, coordinate);
-      return { success: true, hit: false, sunk: false, coordinate };
+      this.recordShot('cpu', coordinate, null, false, move);
+      return { success: true, hit: false, sunk: false, coordinate, gameOver: false };
     }
   }
 
-  setState(state) {
-    if (this.currentState) {
-      this.currentState.exit();
+  /**
+   * Append a shot to the game history kept for replays
+   * @param {string} player - 'player' or 'cpu'
+   * @param {Coordinate} coordinate - Cell fired at
+   * @param {Ship|null} ship - Ship that was hit, if any
+   * @param {boolean} sunk - Whether the shot sank the ship
+   * @param {Object} move - AI move ({ strategy, confidence }) for CPU shots
+   */
+  recordShot(player, coordinate, ship, sunk, move = null) {
+    const entry = {
+      turn: this.history.length + 1,
+      player,
+      coordinate: String(coordinate),
+      result: sunk ? 'sunk' : (ship ? 'hit' : 'miss'),
+      timestamp: new Date().toISOString()
+    };
+    if (ship) {
+      entry.ship = ship.name;
+    }
+    if (this.bonusTurn) {
+      entry.bonus = true;
+    }
+    if (move) {
+      entry.strategy = move.strategy;
+      entry.confidence = move.confidence;
+    }
+    this.history.push(entry);
+  }
+
+  /**
+   * Transition the state machine: exit the current state, then enter the next one
+   * @param {GameState|null} state - State to enter, or null to stop the machine
+   */
+  async setState(state) {
+    // A quit while a state was handling input wins over its pending transition
+    if (this.stopped) {
+      return;
+    }
+    const previous = this.currentState;
+    if (previous) {
+      await previous.exit();
     }
     this.currentState = state;
+    if (state) {
+      this.notify('stateChange', {
+        from: previous ? previous.getName() : null,
+        to: state.getName()
+      });
+      await state.enter();
+    }
   }
 
-  displayBoards() {
-    console.log('\nPlayer Board:');
-    this.playerBoard.display().forEach(line => console.log(line));
-    console.log('\nCPU Board:');
-    this.cpuBoard.display().forEach(line => console.log(line));
+  /**
+   * Drive the game through the state machine until a state stops it
+   * @returns {Promise<Object>} Result of the last handled state
+   */
+  async run() {
+    if (!this.currentState) {
+      if (this.resumeState) {
+        await this.resume();
+      } else {
+        await this.initialize();
+      }
+    }
+
+    let result = { continue: true };
+    while (this.currentState && result.continue) {
+      result = await this.currentState.handle();
+    }
+    return result;
   }
 
-  requestPlayerInput() {
-    return new Promise((resolve) => {
-      this.rl.question('Enter coordinates (e.g. 00): ', (answer) => {
-        resolve(answer.trim());
-      });
-    });
+  /**
+   * Ask the configured front-end for the player's next move
+   * @param {Object} request - What is being asked for, e.g. { phase: 'placement' } (a shot if omitted)
+   * @returns {Promise<string>} Raw player input
+   * @throws {Error} If no input provider was configured
+   */
+  async requestPlayerInput(request) {
+    if (typeof this.inputProvider !== 'function') {
+      throw new Error('No input provider configured');
+    }
+    const answer = await this.inputProvider(request);
+    return typeof answer === 'string' ? answer.trim() : answer;
+  }
+
+  /**
+   * Check whether a turn's result earns the shooter another turn under the turn rule
+   * @param {Object} result - Result of processPlayerMove/processCPUMove or of a volley
+   * @returns {boolean} True if the same side fires again
+   */
+  earnsBonusTurn(result) {
+    return Game.isBonusTurn(this.turnRule, result);
+  }
+
+  /**
+   * Apply a turn rule to a turn's result
+   * @param {string} turnRule - 'alternate', 'again-on-hit' or 'again-on-sink'
+   * @param {Object} result - Result of a shot or volley
+   * @returns {boolean} True if the same side fires again
+   */
+  static isBonusTurn(turnRule, result) {
+    if (result.gameOver) {
+      return false;
+    }
+    if (turnRule === 'again-on-hit') {
+      return result.volley ? result.hits > 0 : result.hit;
+    }
+    if (turnRule === 'again-on-sink') {
+      return result.sunk;
+    }
+    return false;
   }
 
   checkGameOver() {
     return this.playerNumShips === 0 || this.cpuNumShips === 0;
   }
 
+  /**
+   * Get the winner of a finished game
+   * @returns {string|null} 'player', 'cpu' or null while the game is running
+   */
+  getWinner() {
+    if (this.cpuNumShips === 0) {
+      return 'player';
+    }
+    if (this.playerNumShips === 0) {
+      return 'cpu';
+    }
+    return null;
+  }
+
+  /**
+   * Announce the end of the game
+   * @param {string|null} winner - 'player' or 'cpu', or null when an error ended the game
+   */
   endGame(winner) {
-    this.notify('gameEnded', { winner });
-    this.rl.close();
+    this.notify('gameEnded', { winner, error: winner === null, stats: this.getGameStatus() });
   }
 
   getGameStatus() {
@@ -226,16 +614,110 @@ class Game extends EventEmitter {
       playerBoard: this.playerBoard,
       cpuBoard: this.cpuBoard,
       currentState: this.currentState ? this.currentState.getName() : null,
+      seed: this.seed,
+      variant: this.variant,
+      turnRule: this.turnRule,
       playerNumShips: this.playerNumShips,
       cpuNumShips: this.cpuNumShips,
+      playerShipsAfloat: this.playerBoard.getShipsAfloat().map(ship => ship.name),
+      cpuShipsAfloat: this.cpuBoard.getShipsAfloat().map(ship => ship.name),
       playerGuesses: Array.from(this.playerGuesses),
       cpuGuesses: Array.from(this.cpuGuesses),
       totalTurns: this.playerGuesses.size + this.cpuGuesses.size,
       playerMoves: this.playerGuesses.size,
-      cpuMoves: this.cpuGuesses.size
+      cpuMoves: this.cpuGuesses.size,
+      playerBonusShots: this.history.filter(shot => shot.bonus && shot.player === 'player').length,
+      cpuBonusShots: this.history.filter(shot => shot.bonus && shot.player === 'cpu').length
     };
   }
 
+  /**
+   * Snapshot everything needed to continue the game later
+   * @returns {Object} Game state (see SaveGame for the file format)
+   */
+  toJSON() {
+    return {
+      state: this.currentState ? this.currentState.getName() : this.resumeState,
+      rules: Object.fromEntries(SAVED_SETTINGS.map(key => [key, JSON.parse(JSON.stringify(this.config.get(key)))])),
+      variant: this.variant,
+      turnRule: this.turnRule,
+      bonusTurn: this.bonusTurn,
+      random: this.random.toJSON(),
+      playerBoard: this.playerBoard.toJSON(),
+      cpuBoard: this.cpuBoard.toJSON(),
+      playerGuesses: Array.from(this.playerGuesses, String),
+      cpuGuesses: Array.from(this.cpuGuesses, String),
+      playerNumShips: this.playerNumShips,
+      cpuNumShips: this.cpuNumShips,
+      ai: this.aiContext.toJSON(),
+      fleets: this.fleets,
+      history: this.history,
+      stats: { ...this.statsObserver.stats }
+    };
+  }
+
+  /**
+   * Rebuild a game from a toJSON snapshot; run() continues it in the saved state
+   * @param {Object} data - Game state from toJSON
+   * @param {Object} options - Engine options (see constructor); seed, difficulty and rules come from the save,
+   *   but a game saved against a custom CPU strategy needs one in options.aiStrategy
+   * @returns {Game} Restored game; the board size, notation, fleet, Salvo shots and
+   *   adjacency rule it was saved under replace the configured ones
+   * @throws {Error} If the snapshot is inconsistent or the CPU strategy does not match it
+   */
+  static fromJSON(data, options = {}) {
+    const custom = data.ai.difficulty === 'custom';
+    if (custom && !options.aiStrategy) {
+      throw new Error('This game was played against a bot; resume it with the same --bot or --bot-plugin option');
+    }
+    if (!custom && options.aiStrategy) {
+      throw new Error(`This game was played against the ${data.ai.difficulty} CPU; resume it without --bot or --bot-plugin`);
+    }
+    if (data.rules) {
+      // Keep local settings such as symbols and messages; the save decides the board
+      GameConfig.configure({ ...new GameConfig().settings, ...data.rules });
+    }
+    const game = new Game({ ...options, seed: data.random.seed, aiDifficulty: data.ai.difficulty, variant: data.variant || 'classic', turnRule: data.turnRule || 'alternate' });
+    game.random.restore(data.random);
+    game.playerBoard = GameBoard.fromJSON(data.playerBoard, true);
+    game.cpuBoard = GameBoard.fromJSON(data.cpuBoard, false);
+    game.playerGuesses = new Set(data.playerGuesses.map(value => Coordinate.from(value)));
+    game.cpuGuesses = new Set(data.cpuGuesses.map(value => Coordinate.from(value)));
+    game.playerNumShips = data.playerNumShips;
+    game.cpuNumShips = data.cpuNumShips;
+    game.aiContext.restore(data.ai);
+    game.aiContext.adjacency = game.playerBoard.adjacency;
+    game.fleets = data.fleets || null;
+    game.history = data.history ? [...data.history] : [];
+    game.bonusTurn = Boolean(data.bonusTurn);
+    Object.assign(game.statsObserver.stats, data.stats);
+    game.resumeState = data.state || 'PlayerTurn';
+    return game;
+  }
+
+  /**
+   * Continue a restored game in the state it was saved in
+   */
+  async resume() {
+    const saved = this.resumeState;
+    this.resumeState = null;
+    this.stopped = false;
+    this.notify('gameResumed', {
+      playerNumShips: this.playerNumShips,
+      cpuNumShips: this.cpuNumShips,
+      difficulty: this.aiContext.difficulty,
+      seed: this.seed
+    });
+
+    if (saved === 'GameOver') {
+      await this.setState(new GameOverState(this, this.getWinner()));
+    } else if (saved === 'CPUTurn') {
+      await this.setState(new CPUTurnState(this));
+    } else {
+      await this.setState(new PlayerTurnState(this));
+    }
+  }
+
   reset() {
     this.playerBoard.reset();
     this.cpuBoard.reset();
@@ -243,53 +725,20 @@ class Game extends EventEmitter {
     this.cpuGuesses.clear();
     this.playerNumShips = 0;
     this.cpuNumShips = 0;
+    this.fleets = null;
+    this.fleetPlacement = null;
+    this.history = [];
+    this.bonusTurn = false;
     this.aiContext.reset();
     this.currentState = null;
+    this.stopped = false;
   }
 
   quit() {
+    this.stopped = true;
+    this.currentState = null;
     this.notify('gameQuit');
-    this.rl.close();
-    process.exit(0);
-  }
-
-  async start() {
-    console.log('==================================================');
-    console.log('      🚢 Sea Battle Game v2.0 🚢');
-    console.log('   Modularized with Design Patterns');
-    console.log('==================================================\n');
-    
-    try {
-      await this.initialize();
-      console.log('\nLet\'s play Sea Battle!');
-      console.log('Try to sink the 3 enemy ships.');
-      this.displayBoards();
-      
-      while (!this.checkGameOver()) {
-        const input = await this.requestPlayerInput();
-        if (!input) continue;
-        
-        const result = await this.processPlayerMove(input);
-        if (!result.success) {
-          console.log(result.error);
-          continue;
-        }
-        
-        this.displayBoards();
-        
-        if (this.checkGameOver()) break;
-        
-        const cpuResult = await this.processCPUMove();
-        this.displayBoards();
-      }
-      
-      const winner = this.cpuNumShips === 0 ? 'player' : 'cpu';
-      this.endGame(winner);
-    } catch (error) {
-      console.error('Game error:', error);
-      this.quit();
-    }
   }
 }
 
-module.exports = Game; 
\ No newline at end of file
+module.exports = Game;
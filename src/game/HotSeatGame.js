@@ -0,0 +1,311 @@
+/**
+ * HotSeatGame - Two Humans on One Terminal
+ *
+ * Headless engine for human-vs-human play. Each named player places a fleet
+ * by hand and the two take turns firing, with a handover between turns so a
+ * front-end can hide the screen while the keyboard changes hands. Every
+ * player has their own fleet board, a tracking board of the shots they have
+ * fired and their own stats observer; shots go through the same validators
+ * as the single-player game. Turns follow the configured turn rule.
+ * Players given a fleet layout skip placement; GameServer runs the engine
+ * this way for networked games.
+ *
+ * Events: gameStart, handover, placementTurn, shipPlaced, shipRemoved,
+ * orientationChanged, invalidPlacement, placementComplete, turnStart,
+ * playerHit, playerMiss, shipSunk, turnComplete, bonusTurn, invalidMove,
+ * stateChange, gameEnded, gameQuit, error. Player-specific events carry the
+ * player's name as `player`.
+ *
+ * @module HotSeatGame
+ */
+
+const EventEmitter = require('events');
+const GameConfig = require('../config/GameConfig');
+const GameBoard = require('../entities/GameBoard');
+const Game = require('./Game');
+const FleetPlacement = require('./FleetPlacement');
+const ShipFactory = require('../entities/ShipFactory');
+const { GameStatsObserver } = require('../observers/GameObservers');
+const { InputValidator } = require('../validation/ValidationStrategy');
+const Random = require('../utils/Random');
+
+const DEFAULT_NAMES = ['Player 1', 'Player 2'];
+
+/**
+ * Hot-seat game engine class
+ */
+class HotSeatGame extends EventEmitter {
+  /**
+   * Create a hot-seat game
+   * @param {Object} options - Engine options
+   * @param {string[]} options.names - The two player names (defaults to Player 1 and Player 2)
+   * @param {Function} options.inputProvider - Async function resolving input for a request ({ phase, player })
+   * @param {number|string} options.seed - Seed for random placements (random if omitted)
+   * @param {string} options.turnRule - 'alternate', 'again-on-hit' or 'again-on-sink' (defaults to the configured rule)
+   * @param {Array<string|null>} options.fleets - Fleet layout per player (see ShipFactory.parseFleetLayout);
+   *   a player with a layout skips placement
+   * @throws {Error} If the names are not two different names, a fleet layout is invalid, or the Salvo variant is configured
+   */
+  constructor(options = {}) {
+    super();
+    this.config = new GameConfig();
+    const names = (options.names || DEFAULT_NAMES).map(name => String(name).trim());
+    if (names.length !== 2 || names.some(name => name === '') || names[0] === names[1]) {
+      throw new Error('A hot-seat game needs two different player names');
+    }
+    if (this.config.get('variant') === 'salvo') {
+      throw new Error('The Salvo variant is not available in hot-seat games');
+    }
+    this.names = names;
+    this.fleets = names.map((name, index) => (options.fleets && options.fleets[index]) || null);
+    this.fleets.forEach((layout, index) => Game.checkFleetLayout(layout, names[index]));
+    this.random = new Random(options.seed === undefined || options.seed === null ? undefined : options.seed);
+    this.seed = this.random.seed;
+    this.turnRule = options.turnRule || this.config.get('turnRule') || 'alternate';
+    this.inputProvider = options.inputProvider || null;
+    this.currentState = null;
+    this.stopped = false;
+    this.players = [];
+    this.current = 0;
+  }
+
+  /**
+   * Publish an event; player events also go to that player's stats observer
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  notify(event, data) {
+    const player = data && this.players.find(candidate => candidate.name === data.player);
+    if (player) {
+      player.stats.update(event, data);
+    }
+    if (event !== 'error' || this.listenerCount('error') > 0) {
+      this.emit(event, data);
+    }
+  }
+
+  /**
+   * Set up both players and start the placement phase
+   * @returns {Promise<Object>} { success }
+   */
+  async initialize() {
+    const { HandoverState, HotSeatPlacementState, HotSeatTurnState } = require('../states/HotSeatStates');
+    this.random.reseed(this.seed);
+    this.stopped = false;
+    this.players = this.names.map((name, index) => {
+      const board = new GameBoard();
+      const player = {
+        name,
+        board,
+        tracking: new GameBoard(),
+        guesses: new Set(),
+        numShips: 0,
+        stats: new GameStatsObserver(),
+        placement: null
+      };
+      if (this.fleets[index]) {
+        player.numShips = ShipFactory.parseFleetLayout(this.fleets[index], board, { isVisible: true, random: this.random }).ships.length;
+      } else {
+        player.placement = new FleetPlacement({ board, fleet: this.config.get('shipPatterns'), random: this.random });
+      }
+      return player;
+    });
+
+    // Whoever still has a fleet to place goes first; otherwise the first player fires first
+    const placing = this.players.findIndex(player => player.placement);
+    this.current = Math.max(placing, 0);
+    const first = placing === -1 ? new HotSeatTurnState(this) : new HotSeatPlacementState(this);
+    await this.setState(new HandoverState(this, first));
+    this.notify('gameStart', { players: [...this.names], turnRule: this.turnRule, seed: this.seed });
+    return { success: true };
+  }
+
+  /**
+   * Player whose turn it is
+   * @returns {Object} Player record
+   */
+  getCurrentPlayer() {
+    return this.players[this.current];
+  }
+
+  /**
+   * Player waiting for their turn
+   * @returns {Object} Player record
+   */
+  getOpponent() {
+    return this.players[1 - this.current];
+  }
+
+  /**
+   * Hand the turn to the other player
+   * @returns {Object} The player who now has the turn
+   */
+  switchPlayer() {
+    this.current = 1 - this.current;
+    return this.getCurrentPlayer();
+  }
+
+  /**
+   * Apply a placement command for the current player (see FleetPlacement.runCommand)
+   * @param {string} input - Raw player input
+   * @returns {Promise<Object>} { success, action, ... } or { success: false, error, reasons }
+   */
+  async processPlacementCommand(input) {
+    const player = this.getCurrentPlayer();
+    if (!player.placement) {
+      return { success: false, error: 'The fleet has already been placed', reasons: [] };
+    }
+    const result = player.placement.runCommand(input);
+    if (!result.success) {
+      return result;
+    }
+
+    if (result.action === 'confirm') {
+      player.numShips = player.placement.placed.length;
+      player.placement = null;
+      this.notify('placementComplete', { player: player.name, numShips: player.numShips });
+    } else {
+      Game.announcePlacement(result, (event, data) => this.notify(event, { ...data, player: player.name }));
+    }
+    return result;
+  }
+
+  /**
+   * Fire the current player's shot at the opponent's fleet
+   * @param {string} input - Coordinate in the configured notation
+   * @returns {Promise<Object>} { success, hit, sunk, ship, coordinate, gameOver } or { success: false, error }
+   */
+  async processShot(input) {
+    const shooter = this.getCurrentPlayer();
+    const target = this.getOpponent();
+    if (!input) {
+      return { success: false, error: 'No input provided' };
+    }
+    const validation = InputValidator.forShot(shooter.guesses, target.board.size).validate(input);
+    if (!validation.isValid) {
+      return { success: false, error: validation.message };
+    }
+
+    const coordinate = shooter.tracking.toCoordinate(input);
+    shooter.guesses.add(coordinate);
+    const ship = target.board.getShipAt(coordinate);
+
+    if (!ship) {
+      target.board.markMiss(coordinate.row, coordinate.col);
+      shooter.tracking.markMiss(coordinate.row, coordinate.col);
+      this.notify('playerMiss', { player: shooter.name, coordinate });
+      return { success: true, hit: false, sunk: false, coordinate, gameOver: false };
+    }
+
+    ship.hit(coordinate);
+    target.board.markHit(coordinate.row, coordinate.col);
+    shooter.tracking.markHit(coordinate.row, coordinate.col);
+    const wasSunk = ship.isSunk();
+    this.notify('playerHit', { player: shooter.name, coordinate });
+    if (wasSunk) {
+      target.numShips--;
+      this.notify('shipSunk', { player: shooter.name, ship: ship.name });
+    }
+    return { success: true, hit: true, sunk: wasSunk, ship: ship.name, coordinate, gameOver: wasSunk && target.numShips === 0 };
+  }
+
+  /**
+   * Check whether a shot earns the shooter another turn under the turn rule
+   * @param {Object} result - Result of processShot
+   * @returns {boolean} True if the same player fires again
+   */
+  earnsBonusTurn(result) {
+    return Game.isBonusTurn(this.turnRule, result);
+  }
+
+  /**
+   * Ask the front-end for input
+   * @param {Object} request - { phase: 'handover' | 'placement' | 'shot', player, ... }
+   * @returns {Promise<string>} Raw input
+   * @throws {Error} If no input provider was configured
+   */
+  async requestPlayerInput(request) {
+    if (typeof this.inputProvider !== 'function') {
+      throw new Error('No input provider configured');
+    }
+    const answer = await this.inputProvider(request);
+    return typeof answer === 'string' ? answer.trim() : answer;
+  }
+
+  /**
+   * Transition the state machine (see Game.setState)
+   * @param {GameState|null} state - State to enter
+   */
+  async setState(state) {
+    if (this.stopped) {
+      return;
+    }
+    const previous = this.currentState;
+    if (previous) {
+      await previous.exit();
+    }
+    this.currentState = state;
+    if (state) {
+      this.notify('stateChange', { from: previous ? previous.getName() : null, to: state.getName() });
+      await state.enter();
+    }
+  }
+
+  /**
+   * Drive the game through the state machine until it is over or quit
+   * @returns {Promise<Object>} Result of the last handled state
+   */
+  async run() {
+    if (!this.currentState) {
+      await this.initialize();
+    }
+    let result = { continue: true };
+    while (this.currentState && result.continue) {
+      result = await this.currentState.handle();
+    }
+    return result;
+  }
+
+  /**
+   * Per-player summary for the end of the game
+   * @returns {Object} { players: [{ name, shots, hits, misses, accuracy, shipsAfloat }] }
+   */
+  getGameStatus() {
+    return {
+      seed: this.seed,
+      turnRule: this.turnRule,
+      currentState: this.currentState ? this.currentState.getName() : null,
+      players: this.players.map(player => {
+        const stats = player.stats.getStats();
+        return {
+          name: player.name,
+          shots: player.guesses.size,
+          hits: stats.playerHits,
+          misses: stats.playerMisses,
+          accuracy: stats.playerAccuracy,
+          turns: stats.turnsPlayed,
+          shipsAfloat: player.board.getShipsAfloat().map(ship => ship.name)
+        };
+      })
+    };
+  }
+
+  /**
+   * Announce the end of the game; an error ends it with no winner and the
+   * error flag set
+   * @param {string|null} winner - Winning player's name, or null after an error
+   */
+  endGame(winner) {
+    this.notify('gameEnded', { winner, error: winner === null, stats: this.getGameStatus() });
+  }
+
+  quit() {
+    this.stopped = true;
+    this.currentState = null;
+    this.notify('gameQuit');
+  }
+}
+
+HotSeatGame.DEFAULT_NAMES = DEFAULT_NAMES;
+
+module.exports = HotSeatGame;
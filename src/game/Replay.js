@@ -0,0 +1,186 @@
+/**
+ * Replay - Move-by-Move Game Records
+ *
+ * A replay holds a game's seed, both starting fleets and every shot with its
+ * result and timestamp (plus the AI strategy behind each CPU shot). Replays
+ * are written as versioned JSON files and can rebuild both boards as they
+ * stood after any turn, which is what `sea-battle replay <file>` steps through.
+ *
+ * @module Replay
+ */
+
+const fs = require('fs');
+const GameBoard = require('../entities/GameBoard');
+const Coordinate = require('../entities/Coordinate');
+
+const REPLAY_FORMAT = 'sea-battle-replay';
+const REPLAY_VERSION = 1;
+
+/**
+ * Recorded game
+ */
+class Replay {
+  /**
+   * @param {Object} data - Replay contents
+   * @param {number} data.seed - Seed the game was played with
+   * @param {string} data.difficulty - CPU difficulty
+   * @param {string} data.turnRule - Who fired after a hit: 'alternate', 'again-on-hit' or 'again-on-sink'
+   * @param {number} data.boardSize - Board size
+   * @param {Object} data.fleets - Starting fleets { player, cpu } as serialized ships
+   * @param {Object[]} data.shots - Shots in the order they were fired
+   * @param {string|null} data.winner - 'player', 'cpu' or null for an unfinished game
+   * @param {string} data.recordedAt - ISO timestamp of when the replay was written
+   */
+  constructor({ seed, difficulty, turnRule = 'alternate', boardSize, fleets, shots = [], winner = null, recordedAt = null }) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.turnRule = turnRule;
+    this.boardSize = boardSize;
+    this.fleets = fleets;
+    this.shots = shots;
+    this.winner = winner;
+    this.recordedAt = recordedAt;
+  }
+
+  /**
+   * Number of shots in the replay
+   * @returns {number} Shot count
+   */
+  get length() {
+    return this.shots.length;
+  }
+
+  /**
+   * Rebuild both boards as they stood after a number of shots
+   * @param {number} step - Shots to apply, from 0 (starting fleets) to length
+   * @returns {Object} { playerBoard, cpuBoard } with every ship drawn
+   */
+  boardsAt(step) {
+    const count = Math.max(0, Math.min(step, this.length));
+    const fleetBoard = ships => GameBoard.fromJSON({
+      size: this.boardSize,
+      ships: ships.map(ship => ({ ...ship, hits: [] })),
+      hits: [],
+      misses: []
+    }, true);
+    const playerBoard = fleetBoard(this.fleets.player);
+    const cpuBoard = fleetBoard(this.fleets.cpu);
+
+    this.shots.slice(0, count).forEach(shot => {
+      const board = shot.player === 'player' ? cpuBoard : playerBoard;
+      const coordinate = Coordinate.from(shot.coordinate);
+      const ship = board.getShipAt(coordinate);
+      if (ship) {
+        ship.hit(coordinate);
+        board.markHit(coordinate.row, coordinate.col);
+      } else {
+        board.markMiss(coordinate.row, coordinate.col);
+      }
+    });
+
+    return { playerBoard, cpuBoard };
+  }
+
+  /**
+   * Serialize in the versioned replay file format
+   * @returns {Object} Replay document
+   */
+  toJSON() {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: this.recordedAt,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      turnRule: this.turnRule,
+      boardSize: this.boardSize,
+      winner: this.winner,
+      fleets: this.fleets,
+      shots: this.shots
+    };
+  }
+
+  /**
+   * Record a game that has placed its ships
+   * @param {Game} game - Game to record
+   * @returns {Replay} Replay of the shots fired so far
+   * @throws {Error} If the game has not started
+   */
+  static fromGame(game) {
+    if (!game.fleets) {
+      throw new Error('Cannot record a game before its ships are placed');
+    }
+    return new Replay({
+      seed: game.seed,
+      difficulty: game.aiContext.difficulty,
+      turnRule: game.turnRule,
+      boardSize: game.playerBoard.size,
+      fleets: game.fleets,
+      shots: game.history.map(shot => ({ ...shot })),
+      winner: game.getWinner(),
+      recordedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Read a replay document
+   * @param {Object} document - Replay document from toJSON
+   * @returns {Replay} Replay
+   * @throws {Error} If the document is not a supported replay
+   */
+  static fromJSON(document) {
+    if (!document || document.format !== REPLAY_FORMAT) {
+      throw new Error('Not a Sea Battle replay file');
+    }
+    if (document.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay file version ${document.version} (expected ${REPLAY_VERSION})`);
+    }
+    if (!document.fleets || !Array.isArray(document.fleets.player) || !Array.isArray(document.fleets.cpu)) {
+      throw new Error('Replay file has no starting fleets');
+    }
+    return new Replay({ ...document, shots: document.shots || [] });
+  }
+
+  /**
+   * Write a game's replay to disk
+   * @param {Game} game - Game to record
+   * @param {string} filePath - Destination file
+   * @returns {string} Path written
+   * @throws {Error} If the game has not started or the file cannot be written
+   */
+  static save(game, filePath) {
+    const replay = Replay.fromGame(game);
+    try {
+      fs.writeFileSync(filePath, `${JSON.stringify(replay, null, 2)}\n`);
+    } catch (error) {
+      throw new Error(`Cannot write replay file ${filePath}: ${error.message}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Read a replay from disk
+   * @param {string} filePath - Replay file
+   * @returns {Replay} Replay
+   * @throws {Error} If the file cannot be read or is not a replay
+   */
+  static load(filePath) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read replay file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return Replay.fromJSON(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Cannot load replay file ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+Replay.FORMAT = REPLAY_FORMAT;
+Replay.VERSION = REPLAY_VERSION;
+
+module.exports = Replay;
@@ -0,0 +1,104 @@
+/**
+ * SaveGame - Versioned Save Files
+ *
+ * Writes a game's full state (boards, guesses, AI, stats, random number
+ * generator and the board settings it is played under) to a JSON file and
+ * restores it so `sea-battle --resume <file>` continues exactly where the
+ * game stopped, whatever the configuration is at the time. Files carry a
+ * format tag and a version number so older saves can be recognised and
+ * rejected clearly.
+ *
+ * @module SaveGame
+ */
+
+const fs = require('fs');
+const Game = require('./Game');
+
+const SAVE_FORMAT = 'sea-battle-save';
+const SAVE_VERSION = 1;
+const DEFAULT_SAVE_FILE = 'sea-battle-save.json';
+
+/**
+ * Static helpers for saving and loading games
+ */
+class SaveGame {
+  /**
+   * Wrap a game's state in the versioned save format
+   * @param {Game} game - Game to save
+   * @returns {Object} Save document
+   * @throws {Error} If the player is still placing their fleet
+   */
+  static serialize(game) {
+    if (game.fleetPlacement) {
+      throw new Error('Cannot save during ship placement; confirm your fleet first');
+    }
+    return {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      game: game.toJSON()
+    };
+  }
+
+  /**
+   * Restore a game from a save document
+   * @param {Object} document - Save document from serialize
+   * @param {Object} options - Engine options for the restored game (e.g. inputProvider)
+   * @returns {Game} Restored game, ready to run()
+   * @throws {Error} If the document is not a supported save
+   */
+  static deserialize(document, options = {}) {
+    if (!document || document.format !== SAVE_FORMAT) {
+      throw new Error('Not a Sea Battle save file');
+    }
+    if (document.version !== SAVE_VERSION) {
+      throw new Error(`Unsupported save file version ${document.version} (expected ${SAVE_VERSION})`);
+    }
+    return Game.fromJSON(document.game, options);
+  }
+
+  /**
+   * Write a game to disk
+   * @param {Game} game - Game to save
+   * @param {string} filePath - Destination file (defaults to sea-battle-save.json)
+   * @returns {string} Path written
+   * @throws {Error} If the game cannot be saved yet or the file cannot be written
+   */
+  static save(game, filePath = DEFAULT_SAVE_FILE) {
+    const document = this.serialize(game);
+    try {
+      fs.writeFileSync(filePath, `${JSON.stringify(document, null, 2)}\n`);
+    } catch (error) {
+      throw new Error(`Cannot write save file ${filePath}: ${error.message}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Read a game from disk
+   * @param {string} filePath - Save file
+   * @param {Object} options - Engine options for the restored game
+   * @returns {Game} Restored game, ready to run()
+   * @throws {Error} If the file cannot be read, parsed or restored
+   */
+  static load(filePath, options = {}) {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read save file ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return this.deserialize(JSON.parse(text), options);
+    } catch (error) {
+      throw new Error(`Cannot load save file ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+SaveGame.FORMAT = SAVE_FORMAT;
+SaveGame.VERSION = SAVE_VERSION;
+SaveGame.DEFAULT_FILE = DEFAULT_SAVE_FILE;
+
+module.exports = SaveGame;
@@ -9,22 +9,305 @@
  * @version 2.0.0
  */
 
+const fs = require('fs');
+const ConsoleGame = require('./ui/ConsoleGame');
 const Game = require('./game/Game');
+const GameConfig = require('./config/GameConfig');
+const ConfigLoader = require('./config/ConfigLoader');
+const Simulator = require('./simulation/Simulator');
+const Replay = require('./game/Replay');
+const ReplayViewer = require('./ui/ReplayViewer');
+const HotSeatConsole = require('./ui/HotSeatConsole');
+const NetworkConsole = require('./ui/NetworkConsole');
+const GameServer = require('./net/GameServer');
+const WebServer = require('./net/WebServer');
+const Protocol = require('./net/Protocol');
+const ExternalBotStrategy = require('./ai/ExternalBotStrategy');
+const PluginBotStrategy = require('./ai/PluginBotStrategy');
+
+/**
+ * Read a fleet layout file named by a CLI flag
+ * @param {string|boolean|undefined} file - Flag value
+ * @param {string} flag - Flag name, for error messages
+ * @returns {string|undefined} Layout text, or undefined if the flag was not given
+ * @throws {Error} If the flag has no file or the file cannot be read
+ */
+function readFleetLayout(file, flag) {
+  if (file === undefined) {
+    return undefined;
+  }
+  if (file === true) {
+    throw new Error(`--${flag} requires a fleet layout file`);
+  }
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read fleet layout ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read `--bot-timeout`, the time a bot has for each reply or move
+ * @param {Object} options - Parsed CLI options
+ * @returns {number|undefined} Milliseconds, or undefined for the bot's default
+ * @throws {Error} If --bot-timeout is not a positive number
+ */
+function botTimeout(options) {
+  const timeout = options.botTimeout === undefined ? undefined : Number(options.botTimeout);
+  if (timeout !== undefined && !(timeout > 0)) {
+    throw new Error(`--bot-timeout must be a positive number of milliseconds, got '${options.botTimeout}'`);
+  }
+  return timeout;
+}
+
+/**
+ * Start an external bot for `--bot "<command> [args]"` (see ExternalBotStrategy)
+ * @param {Object} options - Parsed CLI options
+ * @returns {ExternalBotStrategy|undefined} The bot, or undefined if --bot was not given
+ * @throws {Error} If --bot has no command or --bot-timeout is not a positive number
+ */
+function externalBot(options) {
+  if (options.bot === undefined) {
+    return undefined;
+  }
+  if (options.bot === true || !String(options.bot).trim()) {
+    throw new Error('--bot requires a command to run');
+  }
+  const [command, ...args] = String(options.bot).trim().split(/\s+/);
+  return new ExternalBotStrategy({
+    command,
+    args,
+    timeout: botTimeout(options),
+    onWarning: ({ reason }) => console.error(`Bot ${reason}`)
+  });
+}
+
+/**
+ * Load a bot plugin for `--bot-plugin <name>`, from bots/ or a .js path (see PluginBotStrategy)
+ * @param {Object} options - Parsed CLI options
+ * @returns {PluginBotStrategy|undefined} The plugin, or undefined if --bot-plugin was not given
+ * @throws {Error} If the plugin cannot be found or loaded, or --bot-timeout is not a positive number
+ */
+function pluginBot(options) {
+  if (options.botPlugin === undefined) {
+    return undefined;
+  }
+  if (options.botPlugin === true) {
+    throw new Error(`--bot-plugin requires a plugin name (available: ${PluginBotStrategy.list().join(', ') || 'none'})`);
+  }
+  if (options.bot !== undefined) {
+    throw new Error('Use either --bot or --bot-plugin, not both');
+  }
+  return new PluginBotStrategy({
+    file: PluginBotStrategy.resolve(String(options.botPlugin)),
+    timeout: botTimeout(options),
+    onWarning: ({ reason }) => console.error(`Bot plugin ${reason}`)
+  });
+}
+
+/**
+ * `sea-battle simulate [ai-a] [ai-b] --games N [--seed S]`: pit two AI
+ * difficulties against each other and print the report. With
+ * `--bot-plugin P [ai-b]` the plugin plays the first side; an external --bot
+ * cannot be simulated (see Simulator)
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ * @throws {Error} If --bot is given, or a difficulty or the plugin is invalid
+ */
+function simulate({ positionals, options }) {
+  if (options.bot !== undefined) {
+    throw new Error('simulate cannot play an external --bot; use a --bot-plugin or an AI difficulty');
+  }
+  const contenders = positionals.map(name => Simulator.contender(name));
+  if (options.botPlugin !== undefined) {
+    // Fail before the first game if the plugin cannot be loaded
+    const plugin = pluginBot(options);
+    contenders.unshift(Simulator.strategyContender(plugin.name, () => pluginBot(options)));
+  }
+  const defaults = [Simulator.contender('normal'), Simulator.contender('expert')];
+  const simulator = new Simulator({
+    contenders: [...contenders, ...defaults.slice(contenders.length)],
+    games: options.games === undefined ? undefined : Number(options.games),
+    seed: options.seed,
+    fleetLayout: readFleetLayout(options.fleet, 'fleet')
+  });
+  Simulator.formatReport(simulator.run()).forEach(line => console.log(line));
+}
+
+/**
+ * `sea-battle replay <file>`: step through a recorded game
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ * @throws {Error} If no file is given or it is not a replay
+ */
+function replay({ positionals }) {
+  const [file] = positionals;
+  if (!file) {
+    throw new Error('replay requires a replay file path');
+  }
+  new ReplayViewer({ replay: Replay.load(file) }).start();
+}
+
+/**
+ * `sea-battle fleet [--seed S]`: print a random fleet layout to start a layout file from
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ */
+function fleet({ options }) {
+  const game = new Game({ seed: options.seed });
+  game.placeFleetRandomly(game.playerBoard, true, 'player');
+  process.stdout.write(game.playerBoard.toFleetLayout());
+}
+
+/**
+ * `sea-battle hotseat [name1] [name2] [--seed S]`: two players take turns at one terminal
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ */
+function hotseat({ positionals, options }) {
+  const [first = 'Player 1', second = 'Player 2'] = positionals;
+  new HotSeatConsole({ names: [first, second], seed: options.seed }).start();
+}
+
+/**
+ * Read a port number from a CLI flag or address
+ * @param {string|number|undefined} value - Port text
+ * @param {number} defaultPort - Port if none was given (defaults to the game protocol's)
+ * @returns {number} Port
+ * @throws {Error} If the value is not a port number
+ */
+function parsePort(value, defaultPort = Protocol.DEFAULT_PORT) {
+  if (value === undefined) {
+    return defaultPort;
+  }
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`'${value}' is not a port number`);
+  }
+  return port;
+}
+
+/**
+ * `sea-battle host [--port P] [--name N] [--player-fleet F] [--seed S]`: serve a
+ * networked game and play in it from this terminal
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ */
+function host({ options }) {
+  const port = parsePort(options.port);
+  const playerFleet = readFleetLayout(options.playerFleet, 'player-fleet');
+  const server = new GameServer({ port, seed: options.seed });
+  server.start()
+    .then((listening) => {
+      console.log(`Hosting a game on port ${listening}. Your opponent joins with: sea-battle join <this-host>:${listening}`);
+      return new NetworkConsole({ port: listening, name: options.name, playerFleet }).start();
+    })
+    .catch((error) => {
+      console.error('Failed to host game:', error.message);
+      process.exit(1);
+    });
+}
+
+/**
+ * `sea-battle join <host:port> [--name N] [--player-fleet F]`: play in a game hosted elsewhere
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ * @throws {Error} If no server address is given
+ */
+function join({ positionals, options }) {
+  const [address] = positionals;
+  if (!address) {
+    throw new Error('join requires a server address (host:port)');
+  }
+  const colon = address.lastIndexOf(':');
+  const client = new NetworkConsole({
+    host: colon === -1 ? address : address.slice(0, colon),
+    port: parsePort(colon === -1 ? undefined : address.slice(colon + 1)),
+    name: options.name,
+    playerFleet: readFleetLayout(options.playerFleet, 'player-fleet')
+  });
+  client.start();
+}
+
+/**
+ * `sea-battle serve [--port P] [--seed S]`: host games against the CPU for web browsers
+ * and the JSON API
+ * @param {Object} args - Parsed arguments from ConfigLoader.parseArgs
+ */
+function serve({ options }) {
+  const server = new WebServer({ port: parsePort(options.port, WebServer.DEFAULT_PORT), seed: options.seed });
+  server.start()
+    .then((listening) => {
+      console.log(`Sea Battle is running at http://localhost:${listening}`);
+    })
+    .catch((error) => {
+      console.error('Failed to start web server:', error.message);
+      process.exit(1);
+    });
+}
 
 /**
  * Application entry point
+ * @param {string[]} argv - Command line arguments (defaults to process arguments)
+ * @param {Object} env - Environment variables (defaults to process environment)
  */
-function main() {
+function main(argv = process.argv.slice(2), env = process.env) {
   try {
+    // defaults → config file → SEA_BATTLE_* env vars → CLI flags
+    const { overrides, args } = ConfigLoader.load({ argv, env });
+    GameConfig.configure(overrides);
+
+    if (args.command === 'simulate') {
+      simulate(args);
+      return;
+    }
+    if (args.command === 'replay') {
+      replay(args);
+      return;
+    }
+    if (args.command === 'fleet') {
+      fleet(args);
+      return;
+    }
+    if (args.command === 'hotseat') {
+      hotseat(args);
+      return;
+    }
+    if (args.command === 'host') {
+      host(args);
+      return;
+    }
+    if (args.command === 'join') {
+      join(args);
+      return;
+    }
+    if (args.command === 'serve') {
+      serve(args);
+      return;
+    }
+
     console.log('='.repeat(50));
     console.log('      🚢 Sea Battle Game v2.0 🚢');
     console.log('   Modularized with Design Patterns');
     console.log('='.repeat(50));
     
-    // Create and start the game
-    const game = new Game();
-    game.start();
-    
+    // Create and start the console front-end
+    if (args.options.resume === true) {
+      throw new Error('--resume requires a save file path');
+    }
+    if (args.options.record === true) {
+      throw new Error('--record requires a replay file path');
+    }
+    const plugin = pluginBot(args.options);
+    const bot = externalBot(args.options);
+    const game = new ConsoleGame({
+      seed: args.options.seed,
+      resume: args.options.resume,
+      record: args.options.record,
+      playerFleet: readFleetLayout(args.options.playerFleet, 'player-fleet'),
+      cpuFleet: readFleetLayout(args.options.cpuFleet, 'cpu-fleet'),
+      aiStrategy: bot || plugin
+    });
+    Promise.resolve(game.start())
+      .finally(() => bot && bot.close())
+      .catch((error) => {
+        console.error('Game stopped by an error:', error.message);
+        process.exit(1);
+      });
   } catch (error) {
     console.error('Failed to start game:', error.message);
     console.error('Stack trace:', error.stack);
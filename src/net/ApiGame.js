@@ -0,0 +1,247 @@
+/**
+ * ApiGame - One Game Played through the REST API
+ *
+ * Runs a player-vs-CPU Game in the background, the same way GameSession
+ * does for a browser: the engine asks for the player's shot and waits until
+ * a request fires one. fire() validates the shot with the same validators
+ * as the console, hands it to the engine and resolves once the engine wants
+ * the next shot (or the game is over), so every response includes the CPU's
+ * reply.
+ *
+ * Views are fog-of-war for the player: a CPU ship is only described once
+ * it is sunk or the game is over, and a hit names the ship only once it sinks.
+ *
+ * @module ApiGame
+ */
+
+const Game = require('../game/Game');
+const Coordinate = require('../entities/Coordinate');
+const { InputValidator, VolleyValidator } = require('../validation/ValidationStrategy');
+
+/**
+ * REST API game class
+ */
+class ApiGame {
+  /**
+   * Create a game; start() sets it running
+   * @param {string} id - Game id
+   * @param {Object} options - Game options
+   * @param {string} options.difficulty - CPU difficulty (defaults to the configured difficulty)
+   * @param {number|string} options.seed - Seed (random if omitted)
+   * @param {string} options.variant - 'classic' or 'salvo' (defaults to the configured variant)
+   * @param {string} options.turnRule - 'alternate', 'again-on-hit' or 'again-on-sink'
+   * @param {string} options.playerFleet - Fleet layout for the player (random placement if omitted)
+   * @throws {Error} If the options are invalid (see Game)
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.createdAt = new Date().toISOString();
+    this.lastActive = Date.now();
+    this.pending = null;
+    this.turnWaiter = null;
+    this.running = null;
+    this.winner = null;
+    this.ended = false;
+    this.error = false;
+    // The API has no placement phase
+    this.game = new Game({
+      aiDifficulty: options.difficulty,
+      seed: options.seed,
+      variant: options.variant,
+      turnRule: options.turnRule,
+      playerFleet: options.playerFleet,
+      placement: 'random',
+      inputProvider: request => this.requestShot(request)
+    });
+    this.game.on('gameEnded', ({ winner, error }) => {
+      this.ended = true;
+      this.winner = winner;
+      this.error = error;
+    });
+  }
+
+  /**
+   * Set up the boards and play until the engine first asks for a shot
+   * @returns {Promise<void>} Resolves when the game is ready for the first shot
+   * @throws {Error} If the fleets cannot be placed
+   */
+  async start() {
+    await this.game.initialize();
+    const ready = this.nextTurn();
+    this.running = this.game.run()
+      .catch(() => {
+        // The engine has already reported the error and ended the game
+      })
+      .then(() => this.releaseTurn());
+    await ready;
+  }
+
+  /**
+   * Note a request for the game, keeping it from being cleared out as idle
+   */
+  touch() {
+    this.lastActive = Date.now();
+  }
+
+  /**
+   * Whether the game has ended
+   * @returns {boolean} True once the game has ended, been won or not, or was stopped
+   */
+  isOver() {
+    return this.ended || this.game.stopped;
+  }
+
+  /**
+   * Engine input provider: wait for a request to fire
+   * @returns {Promise<string>} Shot input
+   */
+  requestShot() {
+    this.releaseTurn();
+    return new Promise(resolve => {
+      this.pending = resolve;
+    });
+  }
+
+  /**
+   * Promise that resolves the next time the engine waits for the player
+   * @returns {Promise<void>} Turn promise
+   */
+  nextTurn() {
+    return new Promise(resolve => {
+      this.turnWaiter = resolve;
+    });
+  }
+
+  /**
+   * Wake whoever waits for the player's turn
+   */
+  releaseTurn() {
+    if (this.turnWaiter) {
+      const resolve = this.turnWaiter;
+      this.turnWaiter = null;
+      resolve();
+    }
+  }
+
+  /**
+   * Validate a shot, or a whole volley in Salvo, with the console's validators
+   * @param {string} input - Coordinates in the board's notation, space-separated for a volley
+   * @returns {Object} { isValid } or { isValid: false, message }
+   */
+  validate(input) {
+    if (this.game.variant === 'salvo') {
+      return new VolleyValidator(this.game.playerGuesses, this.game.getVolleySize('player'), this.game.cpuBoard.size).validate(input);
+    }
+    return InputValidator.forShot(this.game.playerGuesses, this.game.cpuBoard.size).validate(input);
+  }
+
+  /**
+   * Fire the player's shot and let the CPU answer
+   * @param {string} input - Coordinates in the board's notation
+   * @returns {Promise<Object>} { success, shots } with the history entries of every shot fired, or { success: false, error, reason }
+   */
+  async fire(input) {
+    if (this.isOver()) {
+      return { success: false, reason: 'gameOver', error: 'The game is over' };
+    }
+    if (!this.pending) {
+      return { success: false, reason: 'notYourTurn', error: 'The previous shot is still being played' };
+    }
+    const validation = this.validate(input);
+    if (!validation.isValid) {
+      return { success: false, reason: 'invalidShot', error: validation.message };
+    }
+
+    const from = this.game.history.length;
+    const turn = this.nextTurn();
+    const resolve = this.pending;
+    this.pending = null;
+    resolve(input);
+    await turn;
+    return { success: true, shots: this.getHistory().slice(from) };
+  }
+
+  /**
+   * Shots fired so far, with coordinates in the board's notation; the
+   * player's hits name the ship only once it is sunk
+   * @returns {Object[]} History entries (see Game.recordShot)
+   */
+  getHistory() {
+    const notation = this.game.playerBoard.notation;
+    return this.game.history.map(({ ship, ...entry }) => {
+      const shot = { ...entry, coordinate: Coordinate.from(entry.coordinate).format(notation) };
+      return ship && (entry.player === 'cpu' || entry.result === 'sunk') ? { ...shot, ship } : shot;
+    });
+  }
+
+  /**
+   * Describe a board's fleet
+   * @param {GameBoard} board - Board
+   * @param {Function} filter - Which ships to include
+   * @returns {Object[]} [{ name, cells, sunk }]
+   */
+  static describeShips(board, filter = () => true) {
+    return board.getShips().filter(filter).map(ship => ({
+      name: ship.name,
+      cells: ship.locations.map(location => board.formatCoordinate(location)),
+      sunk: ship.isSunk()
+    }));
+  }
+
+  /**
+   * The game as the player sees it
+   * @returns {Object} Fog-of-war view
+   */
+  getView() {
+    const game = this.game;
+    const over = this.isOver();
+    const view = {
+      id: this.id,
+      createdAt: this.createdAt,
+      status: over ? 'finished' : 'active',
+      winner: this.winner,
+      error: this.error,
+      difficulty: game.aiContext.difficulty,
+      variant: game.variant,
+      turnRule: game.turnRule,
+      size: game.playerBoard.size,
+      notation: game.playerBoard.notation,
+      shotsThisTurn: over ? 0 : game.getVolleySize('player'),
+      player: {
+        grid: game.playerBoard.grid.map(row => row.join('')),
+        ships: ApiGame.describeShips(game.playerBoard),
+        shotsFired: game.playerGuesses.size
+      },
+      opponent: {
+        grid: game.cpuBoard.grid.map(row => row.join('')),
+        // The CPU fleet stays hidden until it sinks or the game is over
+        ships: ApiGame.describeShips(game.cpuBoard, ship => over || ship.isSunk()),
+        shipsAfloat: game.cpuNumShips,
+        shotsFired: game.cpuGuesses.size
+      }
+    };
+    if (over) {
+      // Knowing the seed would reveal the CPU fleet
+      view.seed = game.seed;
+    }
+    return view;
+  }
+
+  /**
+   * Stop the engine and release a waiting turn
+   * @returns {Promise<void>} Resolves once the engine loop has finished
+   */
+  async stop() {
+    if (!this.game.stopped) {
+      this.game.quit();
+    }
+    if (this.pending) {
+      const resolve = this.pending;
+      this.pending = null;
+      resolve('');
+    }
+    await this.running;
+  }
+}
+
+module.exports = ApiGame;
@@ -0,0 +1,314 @@
+/**
+ * GameServer - Networked Two-Player Arbiter
+ *
+ * TCP server for one game between two remote players, speaking the line
+ * protocol in Protocol. Each client sends its fleet once; the server keeps
+ * both fleets, runs the hot-seat engine over them and resolves every shot
+ * with GameBoard.getShipAt, so clients only ever learn hit, miss and sunk
+ * results. The server closes once the game is over or abandoned.
+ *
+ * Events: listening, playerJoined, gameStart, gameEnded, closed.
+ *
+ * @module GameServer
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const readline = require('readline');
+const GameConfig = require('../config/GameConfig');
+const Game = require('../game/Game');
+const HotSeatGame = require('../game/HotSeatGame');
+const Protocol = require('./Protocol');
+
+/**
+ * Game server class
+ */
+class GameServer extends EventEmitter {
+  /**
+   * Create a game server
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (defaults to 4242; 0 picks a free port)
+   * @param {string} options.host - Interface to listen on (defaults to all)
+   * @param {number|string} options.seed - Seed for the engine (random if omitted)
+   * @throws {Error} If the configured variant cannot be played over the network
+   */
+  constructor(options = {}) {
+    super();
+    this.config = new GameConfig();
+    // The hot-seat engine behind a networked game has no Salvo volleys
+    if (this.config.get('variant') === 'salvo') {
+      throw new Error('The Salvo variant is not available in networked games');
+    }
+    this.port = options.port === undefined ? Protocol.DEFAULT_PORT : Number(options.port);
+    this.host = options.host;
+    this.seed = options.seed;
+    this.seats = [];
+    this.game = null;
+    this.closed = false;
+    this.server = net.createServer(socket => this.handleConnection(socket));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} The port the server listens on
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        this.emit('listening', { port: this.port });
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Seat a new client, or turn it away once two players are in
+   * @param {net.Socket} socket - Client connection
+   */
+  handleConnection(socket) {
+    socket.setEncoding('utf8');
+    // Connection errors surface as a close
+    socket.on('error', () => {});
+    if (this.seats.length === 2 || this.game || this.closed) {
+      socket.end(Protocol.format('ERROR', 'The game is full'));
+      return;
+    }
+
+    const seat = { socket, name: null, fleet: null, waiting: null, left: false };
+    seat.send = (command, ...args) => {
+      if (!socket.destroyed) {
+        socket.write(Protocol.format(command, ...args));
+      }
+    };
+    this.seats.push(seat);
+    readline.createInterface({ input: socket, crlfDelay: Infinity })
+      .on('line', line => this.handleLine(seat, line))
+      .on('error', () => {});
+    socket.on('close', () => this.leave(seat, 'disconnected'));
+
+    seat.send('HELLO', 'sea-battle', Protocol.VERSION);
+    seat.send('RULES', Protocol.encodeRules(this.config));
+  }
+
+  /**
+   * Handle one message from a client
+   * @param {Object} seat - Sending client
+   * @param {string} line - Received line
+   */
+  handleLine(seat, line) {
+    const { command, args } = Protocol.parse(line);
+    switch (command) {
+      case '':
+        break;
+      case 'NAME':
+        this.handleName(seat, args);
+        break;
+      case 'FLEET':
+        this.handleFleet(seat, args);
+        break;
+      case 'FIRE':
+        if (!seat.waiting) {
+          seat.send('ERROR', 'It is not your turn');
+          break;
+        }
+        // Resolving hands the shot to the engine, which answers with RESULT or ERROR
+        seat.waiting(args);
+        seat.waiting = null;
+        break;
+      case 'QUIT':
+        this.leave(seat, 'left the game');
+        seat.socket.end();
+        break;
+      default:
+        seat.send('ERROR', `Unknown command '${command}'`);
+    }
+  }
+
+  /**
+   * Record a player's name, keeping the two names apart
+   * @param {Object} seat - Sending client
+   * @param {string} name - Requested name
+   */
+  handleName(seat, name) {
+    if (this.game) {
+      seat.send('ERROR', 'The game has already started');
+      return;
+    }
+    if (!name) {
+      seat.send('ERROR', 'NAME needs a player name');
+      return;
+    }
+    const taken = this.seats.some(other => other !== seat && other.name === name);
+    seat.name = taken ? `${name} (2)` : name;
+    seat.send('WELCOME', seat.name);
+    this.emit('playerJoined', { name: seat.name });
+  }
+
+  /**
+   * Check and store a player's fleet; the game starts once both are in
+   * @param {Object} seat - Sending client
+   * @param {string} text - FLEET arguments
+   */
+  handleFleet(seat, text) {
+    if (this.game) {
+      seat.send('ERROR', 'The game has already started');
+      return;
+    }
+    if (!seat.name) {
+      seat.send('ERROR', 'Send NAME before FLEET');
+      return;
+    }
+    const layout = Protocol.decodeFleet(text);
+    if (!layout.trim()) {
+      seat.send('ERROR', 'FLEET needs a fleet layout');
+      return;
+    }
+    try {
+      Game.checkFleetLayout(layout, 'player');
+    } catch (error) {
+      seat.send('ERROR', error.message.replace(/\s*\n\s*/g, ' '));
+      return;
+    }
+    seat.fleet = layout;
+    seat.send('READY');
+
+    if (this.seats.length === 2 && this.seats.every(other => other.fleet)) {
+      this.startGame();
+    } else {
+      seat.send('WAIT');
+    }
+  }
+
+  /**
+   * Run the engine over both secret fleets; if it cannot be set up, both
+   * players are told and the server closes
+   */
+  startGame() {
+    try {
+      this.game = new HotSeatGame({
+        names: this.seats.map(seat => seat.name),
+        fleets: this.seats.map(seat => seat.fleet),
+        seed: this.seed,
+        inputProvider: request => this.requestInput(request)
+      });
+    } catch (error) {
+      this.seats.forEach(seat => seat.send('BYE', `The game could not start: ${error.message}`));
+      this.stop();
+      return;
+    }
+    const format = coordinate => this.game.players[0].board.formatCoordinate(coordinate);
+
+    this.game.on('gameStart', ({ players }) => {
+      this.seats.forEach((seat, index) => seat.send('START', players[1 - index]));
+      this.emit('gameStart', { players });
+    });
+    this.game.on('turnComplete', ({ player, result }) => {
+      const shot = Protocol.encodeShot(format(result.coordinate), result);
+      this.seat(player).send('RESULT', ...shot);
+      this.opponent(player).send('INCOMING', ...shot);
+    });
+    this.game.on('invalidMove', ({ player, message }) => this.seat(player).send('ERROR', message));
+    this.game.on('error', () => {});
+    this.game.on('gameEnded', ({ winner, error, stats }) => {
+      this.seats.forEach(seat => {
+        if (error) {
+          seat.send('BYE', 'The game ended due to an error');
+        } else {
+          seat.send('GAMEOVER', seat.name === winner ? 'WIN' : 'LOSE');
+        }
+      });
+      this.emit('gameEnded', { winner, error, stats });
+    });
+
+    this.game.run()
+      .catch(() => {})
+      .then(() => this.stop());
+  }
+
+  /**
+   * Answer the engine's input requests: handovers need nothing over the
+   * network, and a shot is asked of the player whose turn it is
+   * @param {Object} request - Engine request
+   * @returns {Promise<string>} The player's FIRE coordinate
+   */
+  requestInput(request) {
+    if (request.phase !== 'shot') {
+      return Promise.resolve('');
+    }
+    const seat = this.seat(request.player);
+    this.opponent(request.player).send('WAIT');
+    seat.send('TURN');
+    return new Promise(resolve => {
+      seat.waiting = resolve;
+    });
+  }
+
+  /**
+   * Client seated under a player name
+   * @param {string} name - Player name
+   * @returns {Object} Seat
+   */
+  seat(name) {
+    return this.seats.find(seat => seat.name === name);
+  }
+
+  /**
+   * The other client
+   * @param {string} name - Player name
+   * @returns {Object} The opponent's seat
+   */
+  opponent(name) {
+    return this.seats.find(seat => seat.name !== name);
+  }
+
+  /**
+   * A client quit or dropped: before the game its seat frees up, during it
+   * the opponent is told and the game is abandoned
+   * @param {Object} seat - Leaving client
+   * @param {string} reason - What happened, e.g. 'disconnected'
+   */
+  leave(seat, reason) {
+    if (seat.left || this.closed) {
+      return;
+    }
+    seat.left = true;
+    if (!this.game) {
+      this.seats = this.seats.filter(other => other !== seat);
+      return;
+    }
+    this.opponent(seat.name).send('BYE', `${seat.name} ${reason}`);
+    if (!this.game.stopped) {
+      this.game.quit();
+    }
+    // Wake the engine if it was waiting on a shot so run() can return
+    this.seats.forEach(other => {
+      if (other.waiting) {
+        other.waiting('');
+        other.waiting = null;
+      }
+    });
+  }
+
+  /**
+   * Disconnect both clients and stop listening
+   * @returns {Promise<void>} Resolves once the server has closed
+   */
+  stop() {
+    if (this.closed) {
+      return Promise.resolve();
+    }
+    this.closed = true;
+    this.seats.forEach(seat => seat.socket.end());
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.emit('closed');
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = GameServer;
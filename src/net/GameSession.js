@@ -0,0 +1,201 @@
+/**
+ * GameSession - One Browser Game over a WebSocket
+ *
+ * Runs a player-vs-CPU Game for one WebSocket connection. The engine's
+ * notifications - the same events the console renders - are pushed to the
+ * browser as JSON messages `{ type: <event>, ...data }`, with coordinates
+ * sent as `{ row, col, label }`. The browser answers `prompt` messages with
+ * `{ type: 'fire', cells: [[row, col], ...] }` and may send `{ type: 'quit' }`.
+ *
+ * Only the player's own fleet is sent (as `fleet`); the CPU fleet stays on
+ * the server until the game is over (`reveal`), and a hit names the ship
+ * only once it is sunk.
+ *
+ * @module GameSession
+ */
+
+const Game = require('../game/Game');
+const Coordinate = require('../entities/Coordinate');
+
+/**
+ * Engine events forwarded to the browser
+ */
+const FORWARDED_EVENTS = [
+  'gameStart',
+  'turnStart',
+  'playerHit',
+  'playerMiss',
+  'cpuHit',
+  'cpuMiss',
+  'shipSunk',
+  'bonusTurn',
+  'volleyComplete',
+  'invalidMove',
+  'gameEnded',
+  'error'
+];
+
+/**
+ * Browser game session class
+ */
+class GameSession {
+  /**
+   * Create a session for a connection
+   * @param {WebSocket} socket - Open WebSocket
+   * @param {Object} options - Session options
+   * @param {number|string} options.seed - Seed for the game (random if omitted)
+   */
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    this.pending = null;
+    // The browser client has no placement screen
+    this.game = new Game({
+      seed: options.seed,
+      placement: 'random',
+      inputProvider: request => this.requestShot(request)
+    });
+    FORWARDED_EVENTS.forEach(event => this.game.on(event, data => this.push(event, data)));
+    this.game.on('gameEnded', () => this.push('reveal', { ships: GameSession.describeShips(this.game.cpuBoard) }));
+    socket.on('message', text => this.receive(text));
+    socket.on('close', () => this.end());
+  }
+
+  /**
+   * Play the game until it is over or the browser leaves
+   * @returns {Promise<void>} Resolves when the game has finished
+   */
+  async start() {
+    try {
+      await this.game.initialize();
+      this.push('fleet', {
+        size: this.game.playerBoard.size,
+        notation: this.game.playerBoard.notation,
+        ships: GameSession.describeShips(this.game.playerBoard)
+      });
+      await this.game.run();
+    } catch (error) {
+      this.push('error', { message: error.message });
+    }
+    this.socket.close();
+  }
+
+  /**
+   * Ships on a board as sent to the browser
+   * @param {GameBoard} board - Board to describe
+   * @returns {Object[]} [{ name, cells: [{ row, col, label }] }]
+   */
+  static describeShips(board) {
+    return board.getShips().map(ship => ({
+      name: ship.name,
+      cells: ship.locations.map(location => GameSession.toWire(Coordinate.from(location), board))
+    }));
+  }
+
+  /**
+   * Convert event data for JSON: coordinates become { row, col, label }
+   * @param {*} value - Event data
+   * @param {GameBoard} board - Board whose notation labels the coordinates
+   * @returns {*} JSON-ready copy
+   */
+  static toWire(value, board) {
+    if (value instanceof Coordinate) {
+      return { row: value.row, col: value.col, label: board.formatCoordinate(value) };
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => GameSession.toWire(item, board));
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.keys(value).forEach(key => {
+        copy[key] = GameSession.toWire(value[key], board);
+      });
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Send one engine event to the browser
+   * @param {string} type - Event name
+   * @param {Object} data - Event data
+   */
+  push(type, data = {}) {
+    let payload = data;
+    if (type === 'volleyComplete') {
+      // A hit does not say which ship was struck until it sinks
+      payload = { ...data, results: data.results.map(({ ship, ...shot }) => (shot.sunk ? { ...shot, ship } : shot)) };
+    }
+    this.socket.send(JSON.stringify({ type, ...GameSession.toWire(payload, this.game.playerBoard) }));
+  }
+
+  /**
+   * Ask the browser for the player's shot, or a whole volley in Salvo
+   * @param {Object} request - Engine request
+   * @returns {Promise<string>} Coordinates in the board's notation
+   */
+  requestShot(request = {}) {
+    this.push('prompt', { phase: request.phase || 'shot', shots: request.shots || 1 });
+    return new Promise(resolve => {
+      this.pending = resolve;
+    });
+  }
+
+  /**
+   * Handle a message from the browser
+   * @param {string} text - JSON message
+   */
+  receive(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      this.push('invalidMove', { message: 'Messages must be JSON' });
+      return;
+    }
+
+    if (message.type === 'quit') {
+      this.socket.close();
+      return;
+    }
+    if (message.type !== 'fire') {
+      this.push('invalidMove', { message: `Unknown message type '${message.type}'` });
+      return;
+    }
+    if (!this.pending) {
+      this.push('invalidMove', { message: 'It is not your turn' });
+      return;
+    }
+
+    const cells = Array.isArray(message.cells) ? message.cells : [];
+    const { size } = this.game.cpuBoard;
+    const onBoard = value => Number.isInteger(value) && value >= 0 && value < size;
+    const input = cells.map(cell => {
+      const [row, col] = Array.isArray(cell) ? cell : [];
+      // Anything that is not a cell on the board fails the engine's input validation
+      return onBoard(row) && onBoard(col)
+        ? this.game.cpuBoard.formatCoordinate(Coordinate.of(row, col))
+        : '?';
+    }).join(' ');
+    const resolve = this.pending;
+    this.pending = null;
+    resolve(input);
+  }
+
+  /**
+   * The browser left: stop the engine and release a waiting turn
+   */
+  end() {
+    if (!this.game.stopped) {
+      this.game.quit();
+    }
+    if (this.pending) {
+      const resolve = this.pending;
+      this.pending = null;
+      resolve('');
+    }
+  }
+}
+
+GameSession.FORWARDED_EVENTS = FORWARDED_EVENTS;
+
+module.exports = GameSession;
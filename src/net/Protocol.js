@@ -0,0 +1,173 @@
+/**
+ * Protocol - Sea Battle Network Line Protocol
+ *
+ * Messages are single lines of text: a command word followed by its
+ * arguments, separated by spaces and terminated by a newline.
+ * Coordinates use the notation announced in RULES.
+ *
+ * Server to client:
+ *   HELLO sea-battle <version>        sent on connect
+ *   RULES <key>=<value> ...           board size, notation, turn rule, adjacency and fleet
+ *   WELCOME <name>                    name accepted (made unique if the opponent has it)
+ *   READY                             fleet accepted
+ *   WAIT                              waiting for the opponent
+ *   START <opponent>                  both fleets are in; the game begins
+ *   TURN                              fire a shot
+ *   RESULT <coordinate> HIT|MISS [SUNK <ship>]    outcome of your shot
+ *   INCOMING <coordinate> HIT|MISS [SUNK <ship>]  the opponent's shot at your fleet
+ *   ERROR <message>                   the last message was rejected
+ *   GAMEOVER WIN|LOSE
+ *   BYE <reason>                      the game was abandoned
+ *
+ * Client to server:
+ *   NAME <name>
+ *   FLEET <layout>                    fleet layout lines joined with ';' (e.g. Carrier A1 H;Battleship C1 H)
+ *   FIRE <coordinate>
+ *   QUIT
+ *
+ * Ship positions only ever travel from a client to the server; the server
+ * answers shots with hit, miss and sunk results and never sends a fleet.
+ *
+ * @module Protocol
+ */
+
+const VERSION = 1;
+const DEFAULT_PORT = 4242;
+
+/**
+ * Build one protocol line
+ * @param {string} command - Command word
+ * @param {...*} args - Arguments; empty ones are dropped
+ * @returns {string} Line including the trailing newline
+ */
+function format(command, ...args) {
+  const words = [command, ...args.filter(arg => arg !== undefined && arg !== null && arg !== '')];
+  // A message never spans lines
+  return `${words.join(' ').replace(/[\r\n]+/g, ' ')}\n`;
+}
+
+/**
+ * Split a protocol line into its command and argument text
+ * @param {string} line - Received line
+ * @returns {Object} { command, args } with the command upper-cased and args trimmed
+ */
+function parse(line) {
+  const text = String(line).trim();
+  const space = text.indexOf(' ');
+  if (space === -1) {
+    return { command: text.toUpperCase(), args: '' };
+  }
+  return { command: text.slice(0, space).toUpperCase(), args: text.slice(space + 1).trim() };
+}
+
+/**
+ * Describe the game rules for RULES
+ * @param {GameConfig} config - Server configuration
+ * @returns {string} Space-separated key=value pairs
+ */
+function encodeRules(config) {
+  const fleet = config.get('shipPatterns').map(({ name, length }) => `${encodeURIComponent(name)}:${length}`);
+  return [
+    `size=${config.get('boardSize')}`,
+    `notation=${config.get('coordinateFormat')}`,
+    `turn-rule=${config.get('turnRule')}`,
+    `adjacency=${config.get('adjacency')}`,
+    `fleet=${fleet.join(',')}`
+  ].join(' ');
+}
+
+/**
+ * Read RULES back into configuration overrides
+ * @param {string} text - RULES arguments
+ * @returns {Object} { boardSize, coordinateFormat, turnRule, adjacency, shipPatterns }
+ * @throws {Error} If a rule is missing
+ */
+function decodeRules(text) {
+  const pairs = {};
+  text.split(/\s+/).forEach(pair => {
+    const equals = pair.indexOf('=');
+    if (equals > 0) {
+      pairs[pair.slice(0, equals)] = pair.slice(equals + 1);
+    }
+  });
+  ['size', 'notation', 'turn-rule', 'adjacency', 'fleet'].forEach(key => {
+    if (!pairs[key]) {
+      throw new Error(`RULES is missing '${key}'`);
+    }
+  });
+  return {
+    boardSize: Number(pairs.size),
+    coordinateFormat: pairs.notation,
+    turnRule: pairs['turn-rule'],
+    adjacency: pairs.adjacency,
+    shipPatterns: pairs.fleet.split(',').map(entry => {
+      const [name, length] = entry.split(':');
+      return { name: decodeURIComponent(name), length: Number(length) };
+    })
+  };
+}
+
+/**
+ * Put a fleet layout on one line for FLEET
+ * @param {string} layout - Fleet layout text, one ship per line
+ * @returns {string} Ship entries joined with ';'
+ */
+function encodeFleet(layout) {
+  return String(layout)
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim())
+    .filter(Boolean)
+    .join(';');
+}
+
+/**
+ * Turn FLEET arguments back into fleet layout text
+ * @param {string} text - FLEET arguments
+ * @returns {string} Fleet layout, one ship per line
+ */
+function decodeFleet(text) {
+  return text.split(';').map(entry => entry.trim()).join('\n');
+}
+
+/**
+ * Describe a shot's outcome for RESULT and INCOMING
+ * @param {string} coordinate - Coordinate in the game's notation
+ * @param {Object} result - Shot result with hit, sunk and ship
+ * @returns {string[]} Arguments: coordinate, HIT or MISS, and SUNK <ship> when a ship went down
+ */
+function encodeShot(coordinate, result) {
+  const args = [coordinate, result.hit ? 'HIT' : 'MISS'];
+  // A hit alone does not say which ship was struck
+  if (result.sunk) {
+    args.push('SUNK', result.ship);
+  }
+  return args;
+}
+
+/**
+ * Read RESULT or INCOMING arguments
+ * @param {string} text - Message arguments
+ * @returns {Object} { coordinate, hit, sunk, ship }
+ */
+function decodeShot(text) {
+  const [coordinate, outcome, sunk, ...ship] = text.split(/\s+/);
+  return {
+    coordinate,
+    hit: outcome === 'HIT',
+    sunk: sunk === 'SUNK',
+    ship: sunk === 'SUNK' ? ship.join(' ') : null
+  };
+}
+
+module.exports = {
+  VERSION,
+  DEFAULT_PORT,
+  format,
+  parse,
+  encodeRules,
+  decodeRules,
+  encodeFleet,
+  decodeFleet,
+  encodeShot,
+  decodeShot
+};
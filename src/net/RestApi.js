@@ -0,0 +1,324 @@
+/**
+ * RestApi - HTTP JSON API for Creating and Playing Games
+ *
+ * Routes (mounted on the WebServer under /games):
+ *   POST /games               { difficulty, seed, variant, turnRule, playerFleet } -> 201 game view
+ *   GET  /games/:id           fog-of-war view of the game for the player
+ *   DELETE /games/:id         stop the game and forget it -> 204
+ *   POST /games/:id/shots     { coordinate: 'B7' } or { coordinates: ['A1', 'C3'] } for a Salvo volley
+ *   GET  /games/:id/history   every shot fired so far
+ *
+ * Board size, fleet and notation come from the server's configuration.
+ * Games live in memory. Once the table is full, creating a game first clears
+ * out finished games and games nobody has touched for the idle timeout.
+ *
+ * Errors are `{ error: { code, message } }`. A rejected shot carries the
+ * validator's message, with the code named after the configuration message
+ * it came from (invalidInput, outOfBounds, duplicateGuess, volleySize,
+ * volleyRepeat).
+ *
+ * @module RestApi
+ */
+
+const crypto = require('crypto');
+const GameConfig = require('../config/GameConfig');
+const ConfigSchema = require('../config/ConfigSchema');
+const ApiGame = require('./ApiGame');
+
+const MAX_BODY_BYTES = 64 * 1024;
+const DEFAULT_MAX_GAMES = 1000;
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Options accepted by POST /games, with the configuration key that validates each
+ */
+const GAME_OPTIONS = {
+  difficulty: 'difficulty',
+  seed: null,
+  variant: 'variant',
+  turnRule: 'turnRule',
+  playerFleet: null
+};
+
+/**
+ * Validator message keys and the error code each maps to; classic-notation
+ * messages share the code of their digit-notation counterpart, as the
+ * single-shot volley message shares that of the plural one
+ */
+const MESSAGE_CODES = {
+  invalidInput: 'invalidInput',
+  invalidClassicInput: 'invalidInput',
+  outOfBounds: 'outOfBounds',
+  outOfBoundsClassic: 'outOfBounds',
+  duplicateGuess: 'duplicateGuess',
+  volleySize: 'volleySize',
+  volleySizeOne: 'volleySize',
+  volleyRepeat: 'volleyRepeat'
+};
+
+/**
+ * HTTP status for each error code
+ */
+const STATUS_CODES = {
+  invalidJson: 400,
+  invalidConfig: 400,
+  invalidInput: 400,
+  outOfBounds: 400,
+  volleySize: 400,
+  volleyRepeat: 400,
+  notFound: 404,
+  methodNotAllowed: 405,
+  duplicateGuess: 409,
+  gameOver: 409,
+  notYourTurn: 409,
+  payloadTooLarge: 413,
+  tooManyGames: 503
+};
+
+/**
+ * REST API class
+ */
+class RestApi {
+  /**
+   * Create the API
+   * @param {Object} options - API options
+   * @param {number} options.maxGames - Most games kept in memory at once (defaults to 1000)
+   * @param {number} options.idleTimeout - Milliseconds without a request after which a game may be cleared out (defaults to 30 minutes)
+   */
+  constructor(options = {}) {
+    this.games = new Map();
+    this.maxGames = options.maxGames || DEFAULT_MAX_GAMES;
+    this.idleTimeout = options.idleTimeout || DEFAULT_IDLE_TIMEOUT_MS;
+  }
+
+  /**
+   * Check whether a path belongs to the API
+   * @param {string} pathname - Request path
+   * @returns {boolean} True for /games and everything below it
+   */
+  static handles(pathname) {
+    return pathname === '/games' || pathname.startsWith('/games/');
+  }
+
+  /**
+   * Answer an API request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   * @returns {Promise<void>} Resolves once the response has been sent
+   */
+  async handle(request, response) {
+    let reply;
+    try {
+      reply = await this.route(request);
+    } catch (error) {
+      reply = { status: 500, body: { error: { code: 'internalError', message: error.message } } };
+    }
+    RestApi.sendJson(response, reply.status, reply.body, reply.headers);
+  }
+
+  /**
+   * Find and run the handler for a request
+   * @param {http.IncomingMessage} request - Request
+   * @returns {Promise<Object>} Reply { status, body, headers }
+   */
+  async route(request) {
+    const [, , id, resource, ...rest] = new URL(request.url, 'http://localhost').pathname.split('/');
+    // Each route maps the methods it allows to their handlers
+    const expect = handlers => (handlers[request.method]
+      ? handlers[request.method]()
+      : RestApi.failure('methodNotAllowed', `${request.method} is not allowed here`, { Allow: Object.keys(handlers).join(', ') }));
+    const withBody = handler => RestApi.readJson(request).then(({ body, error }) => error || handler(body));
+
+    if (!id && resource === undefined) {
+      return expect({ POST: () => withBody(body => this.createGame(body)) });
+    }
+    if (!id || rest.length > 0 || (resource !== undefined && resource !== 'shots' && resource !== 'history')) {
+      return RestApi.failure('notFound', 'No such resource');
+    }
+    const game = this.games.get(id);
+    if (!game) {
+      return RestApi.failure('notFound', `No game with id '${id}'`);
+    }
+    game.touch();
+    if (resource === 'shots') {
+      return expect({ POST: () => withBody(body => this.fire(game, body)) });
+    }
+    if (resource === 'history') {
+      return expect({ GET: () => ({ status: 200, body: { id: game.id, shots: game.getHistory() } }) });
+    }
+    return expect({
+      GET: () => ({ status: 200, body: game.getView() }),
+      DELETE: () => this.deleteGame(game)
+    });
+  }
+
+  /**
+   * Build an error reply
+   * @param {string} code - Error code (see STATUS_CODES)
+   * @param {string} message - Human-readable message
+   * @param {Object} headers - Extra response headers
+   * @returns {Object} Reply { status, body: { error: { code, message } }, headers }
+   */
+  static failure(code, message, headers = {}) {
+    return { status: STATUS_CODES[code] || 500, body: { error: { code, message } }, headers };
+  }
+
+  /**
+   * POST /games
+   * @param {Object} body - Game options
+   * @returns {Promise<Object>} 201 reply with the new game's view, or an error reply
+   */
+  async createGame(body) {
+    for (const key of Object.keys(body)) {
+      if (!(key in GAME_OPTIONS)) {
+        return RestApi.failure('invalidConfig', `Unknown game option '${key}' (expected one of ${Object.keys(GAME_OPTIONS).join(', ')})`);
+      }
+      const error = GAME_OPTIONS[key] && ConfigSchema.checkType(key, body[key], ConfigSchema.getEntry(GAME_OPTIONS[key]));
+      if (error) {
+        return RestApi.failure('invalidConfig', error);
+      }
+    }
+    if (this.games.size >= this.maxGames) {
+      await this.clearOut();
+    }
+    if (this.games.size >= this.maxGames) {
+      return RestApi.failure('tooManyGames', `The server is already hosting ${this.maxGames} active games`);
+    }
+
+    let game;
+    try {
+      game = new ApiGame(crypto.randomUUID(), body);
+      await game.start();
+    } catch (error) {
+      // A bad seed or fleet layout
+      return RestApi.failure('invalidConfig', error.message);
+    }
+    this.games.set(game.id, game);
+    return { status: 201, body: game.getView(), headers: { Location: `/games/${game.id}` } };
+  }
+
+  /**
+   * DELETE /games/:id
+   * @param {ApiGame} game - Game to remove
+   * @returns {Promise<Object>} 204 reply
+   */
+  async deleteGame(game) {
+    this.games.delete(game.id);
+    await game.stop();
+    return { status: 204 };
+  }
+
+  /**
+   * Stop and forget finished games and games idle for longer than the idle timeout
+   * @returns {Promise<void>} Resolves once their engine loops have finished
+   */
+  async clearOut() {
+    const cutoff = Date.now() - this.idleTimeout;
+    const stale = Array.from(this.games.values()).filter(game => game.isOver() || game.lastActive <= cutoff);
+    stale.forEach(game => this.games.delete(game.id));
+    await Promise.all(stale.map(game => game.stop()));
+  }
+
+  /**
+   * POST /games/:id/shots
+   * @param {ApiGame} game - Game to fire in
+   * @param {Object} body - { coordinate } or { coordinates }
+   * @returns {Promise<Object>} 200 reply with the shots fired and the updated view, or an error reply
+   */
+  async fire(game, body) {
+    const input = Array.isArray(body.coordinates) ? body.coordinates.join(' ') : body.coordinate;
+    const result = await game.fire(typeof input === 'string' ? input : '');
+    if (!result.success) {
+      return RestApi.failure(result.reason === 'invalidShot' ? RestApi.errorCode(result.error) : result.reason, result.error);
+    }
+    return { status: 200, body: { shots: result.shots, game: game.getView() } };
+  }
+
+  /**
+   * Map a validator message back to the configuration message it came from
+   * @param {string} message - Validation message (a volley prefixes it with the shot)
+   * @returns {string} Error code, 'invalidInput' if the message is not recognised
+   */
+  static errorCode(message) {
+    const config = new GameConfig();
+    const key = Object.keys(MESSAGE_CODES).find(candidate => {
+      // Placeholders such as {max} match any text
+      const pattern = config.getMessage(candidate)
+        .split(/\{\w+\}/)
+        .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.+');
+      return new RegExp(`${pattern}$`).test(message);
+    });
+    return key ? MESSAGE_CODES[key] : 'invalidInput';
+  }
+
+  /**
+   * Read a JSON request body
+   * @param {http.IncomingMessage} request - Request
+   * @returns {Promise<Object>} { body } ({} when empty), or { error } with an error reply
+   */
+  static readJson(request) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      request.on('data', chunk => {
+        size += chunk.length;
+        if (size <= MAX_BODY_BYTES) {
+          chunks.push(chunk);
+        }
+      });
+      request.on('error', reject);
+      request.on('end', () => {
+        if (size > MAX_BODY_BYTES) {
+          resolve({ error: RestApi.failure('payloadTooLarge', `Request bodies are limited to ${MAX_BODY_BYTES} bytes`) });
+          return;
+        }
+        const text = Buffer.concat(chunks).toString('utf8').trim();
+        let body;
+        try {
+          body = text ? JSON.parse(text) : {};
+        } catch (error) {
+          body = null;
+        }
+        resolve(body && typeof body === 'object' && !Array.isArray(body)
+          ? { body }
+          : { error: RestApi.failure('invalidJson', 'The request body must be a JSON object') });
+      });
+    });
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Body (none for a 204 reply)
+   * @param {Object} headers - Extra headers
+   */
+  static sendJson(response, status, body, headers = {}) {
+    if (body === undefined) {
+      response.writeHead(status, headers);
+      response.end();
+      return;
+    }
+    const content = JSON.stringify(body);
+    response.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(content),
+      ...headers
+    });
+    response.end(content);
+  }
+
+  /**
+   * Stop every game
+   * @returns {Promise<void>} Resolves once every engine loop has finished
+   */
+  async stop() {
+    await Promise.all(Array.from(this.games.values(), game => game.stop()));
+    this.games.clear();
+  }
+}
+
+RestApi.STATUS_CODES = STATUS_CODES;
+
+module.exports = RestApi;
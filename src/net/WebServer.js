@@ -0,0 +1,184 @@
+/**
+ * WebServer - HTTP and WebSocket Server for the Browser Client
+ *
+ * Serves the static single-page client from public/, the JSON API under
+ * /games (see RestApi) and upgrades requests to /ws into WebSockets, giving
+ * each connection its own GameSession. Built on Node's http module only.
+ *
+ * Events: listening, sessionStart, sessionEnd, closed.
+ *
+ * @module WebServer
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const WebSocket = require('./WebSocket');
+const GameSession = require('./GameSession');
+const RestApi = require('./RestApi');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Web server class
+ */
+class WebServer extends EventEmitter {
+  /**
+   * Create a web server
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (defaults to 8080; 0 picks a free port)
+   * @param {string} options.host - Interface to listen on (defaults to all)
+   * @param {string} options.publicDir - Directory of static files (defaults to public/)
+   * @param {number|string} options.seed - Seed for every browser game (random per game if omitted)
+   * @param {number} options.maxGames - Most API games kept in memory at once (see RestApi)
+   * @param {number} options.idleTimeout - Milliseconds before an untouched API game may be cleared out (see RestApi)
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port === undefined ? DEFAULT_PORT : Number(options.port);
+    this.host = options.host;
+    this.publicDir = path.resolve(options.publicDir || DEFAULT_PUBLIC_DIR);
+    this.seed = options.seed;
+    this.sessions = new Set();
+    this.api = new RestApi({ maxGames: options.maxGames, idleTimeout: options.idleTimeout });
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.on('upgrade', (request, socket) => this.handleUpgrade(request, socket));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<number>} The port the server listens on
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        this.port = this.server.address().port;
+        this.emit('listening', { port: this.port });
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Answer a plain HTTP request
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  handleRequest(request, response) {
+    if (RestApi.handles(new URL(request.url, 'http://localhost').pathname)) {
+      this.api.handle(request, response);
+      return;
+    }
+    this.serveStatic(request, response);
+  }
+
+  /**
+   * Serve a file from the public directory
+   * @param {http.IncomingMessage} request - Request
+   * @param {http.ServerResponse} response - Response
+   */
+  serveStatic(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      WebServer.sendText(response, 405, 'Method not allowed', { Allow: 'GET, HEAD' });
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+      WebServer.sendText(response, 400, 'Bad request');
+      return;
+    }
+    const file = path.resolve(this.publicDir, `.${pathname.endsWith('/') ? `${pathname}index.html` : pathname}`);
+    // Never serve anything outside the public directory
+    if (!file.startsWith(this.publicDir + path.sep)) {
+      WebServer.sendText(response, 404, 'Not found');
+      return;
+    }
+
+    fs.readFile(file, (error, content) => {
+      if (error) {
+        WebServer.sendText(response, 404, 'Not found');
+        return;
+      }
+      response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        'Content-Length': content.length
+      });
+      response.end(request.method === 'HEAD' ? undefined : content);
+    });
+  }
+
+  /**
+   * Write a plain-text response
+   * @param {http.ServerResponse} response - Response
+   * @param {number} status - HTTP status code
+   * @param {string} text - Body
+   * @param {Object} headers - Extra headers
+   */
+  static sendText(response, status, text, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', ...headers });
+    response.end(text);
+  }
+
+  /**
+   * Upgrade /ws requests into WebSocket game sessions
+   * @param {http.IncomingMessage} request - Upgrade request
+   * @param {net.Socket} socket - Request socket
+   */
+  handleUpgrade(request, socket) {
+    if (new URL(request.url, 'http://localhost').pathname !== '/ws') {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const ws = WebSocket.accept(request, socket);
+    if (!ws) {
+      return;
+    }
+
+    const session = new GameSession(ws, { seed: this.seed });
+    this.sessions.add(session);
+    this.emit('sessionStart', { session });
+    session.start().then(() => {
+      this.sessions.delete(session);
+      this.emit('sessionEnd', { session });
+    });
+  }
+
+  /**
+   * Close every game and stop listening
+   * @returns {Promise<void>} Resolves once the server has closed
+   */
+  async stop() {
+    this.sessions.forEach(session => session.socket.close());
+    await this.api.stop();
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.emit('closed');
+        resolve();
+      });
+      // Idle keep-alive connections would hold the server open
+      if (this.server.closeAllConnections) {
+        this.server.closeAllConnections();
+      }
+    });
+  }
+}
+
+WebServer.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = WebServer;
@@ -0,0 +1,241 @@
+/**
+ * WebSocket - Server Side of RFC 6455 on Node Built-ins
+ *
+ * Just enough of the protocol for the browser client: the upgrade
+ * handshake, text messages (fragmented or not), ping/pong and the closing
+ * handshake. Binary messages and extensions are not supported.
+ *
+ * Events: message (text), close.
+ *
+ * @module WebSocket
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Fixed by RFC 6455 for computing Sec-WebSocket-Accept
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+const CLOSE_CODES = {
+  NORMAL: 1000,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  TOO_BIG: 1009
+};
+
+/**
+ * One WebSocket connection
+ */
+class WebSocket extends EventEmitter {
+  /**
+   * Wrap an upgraded socket; use WebSocket.accept to perform the handshake
+   * @param {net.Socket} socket - Socket after the 101 response
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('close', () => this.finish());
+    // A failed connection surfaces as a close
+    socket.on('error', () => {});
+  }
+
+  /**
+   * Complete the upgrade handshake for an HTTP request
+   * @param {http.IncomingMessage} request - Upgrade request
+   * @param {net.Socket} socket - Request socket
+   * @returns {WebSocket|null} The connection, or null if the request was refused
+   */
+  static accept(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const upgrade = String(request.headers.upgrade || '').toLowerCase();
+    if (!key || upgrade !== 'websocket' || request.headers['sec-websocket-version'] !== '13') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    return new WebSocket(socket);
+  }
+
+  /**
+   * Build a frame; server frames are never masked
+   * @param {number} opcode - Frame opcode
+   * @param {Buffer} payload - Frame payload
+   * @returns {Buffer} Encoded frame
+   */
+  static encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 0x10000) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text - Message text
+   */
+  send(text) {
+    if (!this.closed) {
+      this.socket.write(WebSocket.encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+    }
+  }
+
+  /**
+   * Start the closing handshake
+   * @param {number} code - Close status code (defaults to a normal closure)
+   */
+  close(code = CLOSE_CODES.NORMAL) {
+    if (this.closed) {
+      return;
+    }
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.write(WebSocket.encodeFrame(OPCODES.CLOSE, payload));
+    this.socket.end();
+    this.finish();
+  }
+
+  /**
+   * Collect incoming bytes and handle every complete frame
+   * @param {Buffer} chunk - Bytes from the socket
+   */
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (!this.closed && (frame = this.readFrame())) {
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * Take one complete frame off the buffer
+   * @returns {Object|null} { fin, opcode, payload }, or null until the frame is complete
+   */
+  readFrame() {
+    const buffer = this.buffer;
+    if (buffer.length < 2) {
+      return null;
+    }
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buffer.length < 4) {
+        return null;
+      }
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) {
+        return null;
+      }
+      const longLength = buffer.readBigUInt64BE(2);
+      length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+      offset = 10;
+    }
+
+    if (!masked) {
+      // Clients must mask every frame
+      this.close(CLOSE_CODES.PROTOCOL_ERROR);
+      return null;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(CLOSE_CODES.TOO_BIG);
+      return null;
+    }
+    if (buffer.length < offset + 4 + length) {
+      return null;
+    }
+
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    this.buffer = buffer.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  /**
+   * Act on one frame
+   * @param {Object} frame - { fin, opcode, payload }
+   */
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.TEXT:
+      case OPCODES.CONTINUATION: {
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((total, fragment) => total + fragment.length, 0);
+        if (size > MAX_MESSAGE_BYTES) {
+          this.close(CLOSE_CODES.TOO_BIG);
+        } else if (fin) {
+          const text = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', text);
+        }
+        break;
+      }
+      case OPCODES.PING:
+        this.socket.write(WebSocket.encodeFrame(OPCODES.PONG, payload));
+        break;
+      case OPCODES.PONG:
+        break;
+      case OPCODES.CLOSE:
+        this.close(CLOSE_CODES.NORMAL);
+        break;
+      default:
+        this.close(CLOSE_CODES.UNSUPPORTED_DATA);
+    }
+  }
+
+  /**
+   * Mark the connection closed and tell listeners once
+   */
+  finish() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+WebSocket.OPCODES = OPCODES;
+WebSocket.CLOSE_CODES = CLOSE_CODES;
+
+module.exports = WebSocket;
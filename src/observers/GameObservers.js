@@ -19,6 +19,7 @@ class GameStatsObserver extends Observer {
       cpuHits: 0,
       cpuMisses: 0,
       turnsPlayed: 0,
+      volleysFired: 0,
       totalEvents: 0
     };
   }
@@ -45,6 +46,9 @@ class GameStatsObserver extends Observer {
       case 'turnComplete':
         this.stats.turnsPlayed++;
         break;
+      case 'volleyComplete':
+        this.stats.volleysFired++;
+        break;
     }
   }
   
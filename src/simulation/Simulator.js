@@ -0,0 +1,304 @@
+/**
+ * Simulator - AI vs AI Batch Runner
+ *
+ * Plays many headless games between two AI contenders on randomly generated
+ * fleets (or one fixed fleet layout) and summarises the results: win rate, shots-to-win statistics,
+ * shot distribution and 95% confidence intervals. A contender is a difficulty
+ * level or any strategy that picks its moves synchronously, such as a bot
+ * plugin; an external bot answers asynchronously and cannot take part. Used by
+ * the `sea-battle simulate` command to compare AI strategies.
+ *
+ * @module Simulator
+ */
+
+const GameConfig = require('../config/GameConfig');
+const GameBoard = require('../entities/GameBoard');
+const ShipFactory = require('../entities/ShipFactory');
+const { AIContext } = require('../ai/AIStrategy');
+const Random = require('../utils/Random');
+
+// z-score of a two-sided 95% confidence interval
+const Z_95 = 1.96;
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Simulator class running AI-vs-AI games
+ */
+class Simulator {
+  /**
+   * @param {Object} options - Simulation options
+   * @param {Object[]} options.contenders - Two contenders as { name, createAI }, where createAI(random)
+   *   returns an object with makeMove(previousGuesses, board) and updateResult(wasHit, coordinate, wasSunk, sunkShip)
+   * @param {number} options.games - Number of games to play (defaults to 1000)
+   * @param {number} options.bucketSize - Width of the shot distribution buckets (defaults to 10)
+   * @param {number|string} options.seed - Seed for fleets and AI decisions (random if omitted)
+   * @param {string} options.fleetLayout - Fleet layout both sides use instead of random fleets
+   * @throws {Error} If the contenders, the game count, the seed or the fleet layout are invalid
+   */
+  constructor(options = {}) {
+    this.random = new Random(options.seed === undefined || options.seed === null ? undefined : options.seed);
+    this.seed = this.random.seed;
+    this.contenders = options.contenders || [Simulator.contender('normal'), Simulator.contender('expert')];
+    this.games = options.games === undefined ? 1000 : options.games;
+    this.bucketSize = options.bucketSize || 10;
+    this.fleetLayout = options.fleetLayout || null;
+
+    if (!Array.isArray(this.contenders) || this.contenders.length !== 2) {
+      throw new Error('A simulation needs exactly two contenders');
+    }
+    if (!Number.isInteger(this.games) || this.games < 1) {
+      throw new Error(`Number of games must be a positive integer, got ${options.games}`);
+    }
+    if (this.fleetLayout) {
+      this.createFleetBoard();
+    }
+  }
+
+  /**
+   * Build a contender that plays with one of the AIContext difficulty levels
+   * @param {string} difficulty - Difficulty name (see AIContext.DIFFICULTIES)
+   * @returns {Object} Contender { name, createAI }
+   * @throws {Error} If the difficulty is unknown
+   */
+  static contender(difficulty) {
+    if (!AIContext.DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Unknown AI difficulty '${difficulty}' (expected one of ${AIContext.DIFFICULTIES.join(', ')})`);
+    }
+    return {
+      name: difficulty,
+      createAI: random => new AIContext({ difficulty, random })
+    };
+  }
+
+  /**
+   * Build a contender that plays a whole strategy of its own, such as a bot plugin
+   * @param {string} name - Name shown in the report
+   * @param {Function} createStrategy - Returns a fresh AIStrategy for each game; it draws from the simulation's generator
+   * @returns {Object} Contender { name, createAI }
+   */
+  static strategyContender(name, createStrategy) {
+    return {
+      name,
+      createAI: random => new AIContext({ strategy: createStrategy(), random })
+    };
+  }
+
+  /**
+   * Create a board holding the configured fleet, from the fleet layout or placed at random
+   * @returns {GameBoard} Board with ships placed
+   * @throws {Error} If the fleet cannot be placed
+   */
+  createFleetBoard() {
+    const config = new GameConfig();
+    const board = new GameBoard();
+
+    if (this.fleetLayout) {
+      const { isValid, errors } = ShipFactory.parseFleetLayout(this.fleetLayout, board, { random: this.random });
+      if (!isValid) {
+        throw new Error(`Invalid fleet layout:\n  - ${errors.join('\n  - ')}`);
+      }
+      return board;
+    }
+
+    for (const pattern of config.get('shipPatterns')) {
+      let placed = false;
+      for (let attempts = 0; !placed && attempts < 100; attempts++) {
+        placed = board.placeShip(ShipFactory.createRandomShip(board, pattern.length, pattern.name, this.random), false);
+      }
+      if (!placed) {
+        throw new Error(`Failed to place ${pattern.name} after maximum attempts`);
+      }
+    }
+
+    return board;
+  }
+
+  /**
+   * Play one game; the contenders take turns firing at each other's fleet
+   * @param {number} first - Index of the contender who fires first
+   * @returns {Object} { winner, first, shots: [shotsA, shotsB] }
+   * @throws {Error} If an AI fires at the same cell twice or off the board
+   */
+  playGame(first = 0) {
+    const sides = this.contenders.map(contender => ({
+      contender,
+      ai: contender.createAI(this.random),
+      // Each side fires at the other side's fleet
+      target: this.createFleetBoard(),
+      guesses: new Set()
+    }));
+
+    let turn = first;
+    for (;;) {
+      const side = sides[turn];
+      const { coordinate: rawCoordinate } = side.ai.makeMove(side.guesses, side.target);
+      const coordinate = side.target.toCoordinate(rawCoordinate);
+      if (!coordinate) {
+        throw new Error(`${side.contender.name} fired off the board at ${rawCoordinate}`);
+      }
+      if (side.guesses.has(coordinate)) {
+        throw new Error(`${side.contender.name} fired at ${coordinate} twice`);
+      }
+      side.guesses.add(coordinate);
+
+      // Mark the shot as a game would, for strategies that read the board
+      const ship = side.target.getShipAt(coordinate);
+      if (ship) {
+        side.target.markHit(coordinate.row, coordinate.col);
+        ship.hit(coordinate);
+        const wasSunk = ship.isSunk();
+        side.ai.updateResult(true, coordinate, wasSunk, wasSunk ? { name: ship.name, length: ship.getLength(), locations: ship.locations } : null);
+        if (wasSunk && side.target.areAllShipsSunk()) {
+          return { winner: turn, first, shots: sides.map(s => s.guesses.size) };
+        }
+      } else {
+        side.target.markMiss(coordinate.row, coordinate.col);
+        side.ai.updateResult(false, coordinate);
+      }
+
+      turn = 1 - turn;
+    }
+  }
+
+  /**
+   * Play every game, alternating who fires first, and summarise the results
+   * @returns {Object} Report (see Simulator.summarize)
+   */
+  run() {
+    // Running again with the same seed reproduces the same games
+    this.random.reseed(this.seed);
+    const results = [];
+    for (let game = 0; game < this.games; game++) {
+      results.push(this.playGame(game % 2));
+    }
+    return this.summarize(results);
+  }
+
+  /**
+   * Summarise game results per contender
+   * @param {Object[]} results - Results of playGame
+   * @returns {Object} { games, seed, contenders: [{ name, wins, winRate, winRateInterval, shotsToWin }] }
+   */
+  summarize(results) {
+    const games = results.length;
+    const contenders = this.contenders.map((contender, index) => {
+      const won = results.filter(result => result.winner === index);
+      const shots = won.map(result => result.shots[index]);
+      return {
+        name: contender.name,
+        wins: won.length,
+        winsMovingFirst: won.filter(result => result.first === index).length,
+        winRate: games > 0 ? won.length / games : 0,
+        winRateInterval: Simulator.proportionInterval(won.length, games),
+        shotsToWin: Simulator.describe(shots, this.bucketSize)
+      };
+    });
+    return { games, seed: this.seed, contenders };
+  }
+
+  /**
+   * 95% Wilson score interval for a proportion
+   * @param {number} successes - Number of successes
+   * @param {number} trials - Number of trials
+   * @returns {number[]} [low, high], or [0, 0] without trials
+   */
+  static proportionInterval(successes, trials) {
+    if (trials === 0) {
+      return [0, 0];
+    }
+    const p = successes / trials;
+    const z2 = Z_95 * Z_95;
+    const centre = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+    const margin = (Z_95 / (1 + z2 / trials)) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+    return [Math.max(0, centre - margin), Math.min(1, centre + margin)];
+  }
+
+  /**
+   * Descriptive statistics and histogram for a list of shot counts
+   * @param {number[]} shots - Shot counts
+   * @param {number} bucketSize - Histogram bucket width
+   * @returns {Object} { count, mean, median, stdDev, min, max, meanInterval, distribution }
+   */
+  static describe(shots, bucketSize = 10) {
+    const count = shots.length;
+    if (count === 0) {
+      return { count, mean: null, median: null, stdDev: null, min: null, max: null, meanInterval: null, distribution: [] };
+    }
+
+    const mean = shots.reduce((sum, value) => sum + value, 0) / count;
+    const variance = count > 1
+      ? shots.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+      : 0;
+    const stdDev = Math.sqrt(variance);
+    const margin = Z_95 * stdDev / Math.sqrt(count);
+
+    const buckets = new Map();
+    shots.forEach(value => {
+      const from = Math.floor(value / bucketSize) * bucketSize;
+      buckets.set(from, (buckets.get(from) || 0) + 1);
+    });
+    const distribution = [...buckets.keys()]
+      .sort((a, b) => a - b)
+      .map(from => ({ from, to: from + bucketSize - 1, count: buckets.get(from) }));
+
+    return {
+      count,
+      mean,
+      median: median(shots),
+      stdDev,
+      min: Math.min(...shots),
+      max: Math.max(...shots),
+      meanInterval: [mean - margin, mean + margin],
+      distribution
+    };
+  }
+
+  /**
+   * Render a report as console lines
+   * @param {Object} report - Report from run()
+   * @returns {string[]} Lines of text
+   */
+  static formatReport(report) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const lines = [`Simulated ${report.games} games: ${report.contenders.map(c => c.name).join(' vs ')}`];
+    if (report.seed !== undefined) {
+      lines.push(`Seed: ${report.seed}`);
+    }
+
+    report.contenders.forEach(contender => {
+      const [low, high] = contender.winRateInterval;
+      const stats = contender.shotsToWin;
+      lines.push('');
+      lines.push(`${contender.name}`);
+      lines.push(`  Wins:          ${contender.wins} (${percent(contender.winRate)}, 95% CI ${percent(low)}-${percent(high)}; ${contender.winsMovingFirst} moving first)`);
+      if (stats.count === 0) {
+        lines.push('  Shots to win:  n/a');
+        return;
+      }
+      lines.push(`  Shots to win:  mean ${stats.mean.toFixed(1)} (95% CI ${stats.meanInterval[0].toFixed(1)}-${stats.meanInterval[1].toFixed(1)}), ` +
+        `median ${stats.median}, sd ${stats.stdDev.toFixed(1)}, range ${stats.min}-${stats.max}`);
+      const widest = Math.max(...stats.distribution.map(bucket => bucket.count));
+      stats.distribution.forEach(bucket => {
+        const bar = '#'.repeat(Math.max(1, Math.round(bucket.count / widest * 40)));
+        lines.push(`  ${String(bucket.from).padStart(4)}-${String(bucket.to).padEnd(4)} ${bar} ${bucket.count}`);
+      });
+    });
+
+    return lines;
+  }
+}
+
+module.exports = Simulator;
@@ -1,16 +1,19 @@
 /**
  * Game States
- * 
+ *
  * Implements the State pattern for managing game flow.
  * Each state handles its own logic and transitions.
- * 
+ * States never print; they report progress through game notifications.
+ *
  * @module GameStates
  */
 
-const GameConfig = require('../config/GameConfig');
-
 /**
  * Base state class
+ *
+ * The engine calls enter() when transitioning in, handle() repeatedly while
+ * the state is current and exit() when transitioning out. handle() resolves
+ * { continue } to tell the engine whether to keep running the machine.
  */
 class GameState {
   constructor(game) {
@@ -29,93 +32,155 @@ class GameState {
 class SetupState extends GameState {
   getName() { return 'Setup'; }
 
-  async enter() {
-    console.log("\nLet's play Sea Battle!");
-    console.log('Try to sink the 3 enemy ships.');
+  async handle() {
+    const next = this.game.fleetPlacement ? new PlacementState(this.game) : new PlayerTurnState(this.game);
+    await this.game.setState(next);
+    return { continue: true };
   }
+}
+
+/**
+ * Placement state - the player positions their fleet before the first shot
+ */
+class PlacementState extends GameState {
+  getName() { return 'Placement'; }
 
   async handle() {
-    this.game.setState(new PlayerTurnState(this.game));
-    return { continue: true };
+    try {
+      const placement = this.game.fleetPlacement;
+      const next = placement.getNextShip();
+      this.game.notify('placementTurn', {
+        ship: next ? next.name : null,
+        length: next ? next.length : 0,
+        orientation: placement.orientation,
+        remaining: placement.getRemaining()
+      });
+
+      const input = await this.game.requestPlayerInput({ phase: 'placement' });
+      // The player left the game at the prompt
+      if (this.game.stopped) {
+        return { continue: false };
+      }
+      const result = await this.game.processPlacementCommand(input);
+
+      if (!result.success) {
+        this.game.notify('invalidPlacement', { input, message: result.error, reasons: result.reasons || [] });
+        return { continue: true };
+      }
+
+      if (result.action === 'confirm') {
+        await this.game.setState(new PlayerTurnState(this.game));
+      }
+      return { continue: true };
+    } catch (error) {
+      this.game.notify('error', { message: error.message });
+      await this.game.setState(new GameOverState(this.game, null));
+      return { continue: true, error: error.message };
+    }
   }
 }
 
 /**
- * Player turn state - handles player moves
+ * Check whether the game is played in volleys (the Salvo variant)
+ * @param {Game} game - Game engine
+ * @returns {boolean} True for Salvo
+ */
+function isSalvo(game) {
+  return game.variant === 'salvo';
+}
+
+/**
+ * Hand the turn on after a shot: the same side fires again when the game's
+ * turn rule grants a bonus turn, otherwise the other side goes
+ * @param {Game} game - Game engine
+ * @param {string} player - Side that just fired, 'player' or 'cpu'
+ * @param {Object} result - Result of the shot or volley
+ */
+async function passTurn(game, player, result) {
+  game.bonusTurn = game.earnsBonusTurn(result);
+  let next = player === 'player' ? 'cpu' : 'player';
+  if (game.bonusTurn) {
+    game.notify('bonusTurn', { player, rule: game.turnRule });
+    next = player;
+  }
+  await game.setState(next === 'player' ? new PlayerTurnState(game) : new CPUTurnState(game));
+}
+
+/**
+ * Player turn state - handles player moves, or a whole volley in Salvo
  */
 class PlayerTurnState extends GameState {
   getName() { return 'PlayerTurn'; }
 
   async enter() {
-    this.game.displayBoards();
+    this.game.notify('turnStart', isSalvo(this.game)
+      ? { player: 'player', shots: this.game.getVolleySize('player') }
+      : { player: 'player' });
   }
 
   async handle() {
     try {
-      const input = await this.game.requestPlayerInput();
-      const result = await this.game.processPlayerMove(input);
+      const salvo = isSalvo(this.game);
+      const input = salvo
+        ? await this.game.requestPlayerInput({ phase: 'volley', shots: this.game.getVolleySize('player') })
+        : await this.game.requestPlayerInput();
+      // The player left the game at the prompt
+      if (this.game.stopped) {
+        return { continue: false };
+      }
+      const result = salvo ? await this.game.processPlayerVolley(input) : await this.game.processPlayerMove(input);
 
       if (!result.success) {
-        console.log(result.error);
+        this.game.notify('invalidMove', { input, message: result.error });
         return { continue: true };
       }
 
-      if (result.hit) {
-        console.log('PLAYER HIT!');
-        if (result.sunk) {
-          console.log('You sunk an enemy battleship!');
-          if (this.game.cpuNumShips === 0) {
-            this.game.setState(new GameOverState(this.game, 'player'));
-            return { continue: false, winner: 'player' };
-          }
-        }
-      } else {
-        console.log('PLAYER MISS.');
+      this.game.notify('turnComplete', { player: 'player', result });
+
+      if (result.sunk && this.game.cpuNumShips === 0) {
+        await this.game.setState(new GameOverState(this.game, 'player'));
+        return { continue: true, winner: 'player' };
       }
 
-      this.game.setState(new CPUTurnState(this.game));
+      await passTurn(this.game, 'player', result);
       return { continue: true };
     } catch (error) {
-      console.error('Error during player turn:', error);
-      this.game.setState(new GameOverState(this.game, 'error'));
-      return { continue: false, error: error.message };
+      this.game.notify('error', { message: error.message });
+      await this.game.setState(new GameOverState(this.game, null));
+      return { continue: true, error: error.message };
     }
   }
 }
 
 /**
- * CPU turn state - handles CPU moves
+ * CPU turn state - handles CPU moves, or a whole volley in Salvo
  */
 class CPUTurnState extends GameState {
   getName() { return 'CPUTurn'; }
 
   async enter() {
-    console.log('\nCPU is thinking...');
+    this.game.notify('turnStart', isSalvo(this.game)
+      ? { player: 'cpu', shots: this.game.getVolleySize('cpu') }
+      : { player: 'cpu' });
   }
 
   async handle() {
     try {
-      const result = await this.game.processCPUMove();
-
-      if (result.hit) {
-        console.log(`CPU HIT at ${result.coordinate}!`);
-        if (result.sunk) {
-          console.log('CPU sunk one of your battleships!');
-          if (this.game.playerNumShips === 0) {
-            this.game.setState(new GameOverState(this.game, 'cpu'));
-            return { continue: false, winner: 'cpu' };
-          }
-        }
-      } else {
-        console.log(`CPU MISS at ${result.coordinate}.`);
+      const result = isSalvo(this.game) ? await this.game.processCPUVolley() : await this.game.processCPUMove();
+
+      this.game.notify('turnComplete', { player: 'cpu', result });
+
+      if (result.sunk && this.game.playerNumShips === 0) {
+        await this.game.setState(new GameOverState(this.game, 'cpu'));
+        return { continue: true, winner: 'cpu' };
       }
 
-      this.game.setState(new PlayerTurnState(this.game));
+      await passTurn(this.game, 'cpu', result);
       return { continue: true };
     } catch (error) {
-      console.error('Error during CPU turn:', error);
-      this.game.setState(new GameOverState(this.game, 'error'));
-      return { continue: false, error: error.message };
+      this.game.notify('error', { message: error.message });
+      await this.game.setState(new GameOverState(this.game, null));
+      return { continue: true, error: error.message };
     }
   }
 }
@@ -131,34 +196,17 @@ class GameOverState extends GameState {
 
   getName() { return 'GameOver'; }
 
-  async enter() {
-    this.game.displayBoards();
-  }
-
   async handle() {
-    if (this.winner === 'player') {
-      console.log('\n*** CONGRATULATIONS! You sunk all enemy battleships! ***');
-    } else if (this.winner === 'cpu') {
-      console.log('\n*** GAME OVER! The CPU sunk all your battleships! ***');
-    } else {
-      console.log('\n*** GAME ENDED DUE TO AN ERROR ***');
-    }
-
-    // Display final stats
-    const stats = this.game.getGameStatus();
-    console.log('\nGame Statistics:');
-    console.log(`Total Turns: ${stats.totalTurns}`);
-    console.log(`Player Moves: ${stats.playerMoves}`);
-    console.log(`CPU Moves: ${stats.cpuMoves}`);
-
     this.game.endGame(this.winner);
     return { continue: false, winner: this.winner };
   }
 }
 
 module.exports = {
+  GameState,
   SetupState,
+  PlacementState,
   PlayerTurnState,
   CPUTurnState,
   GameOverState
-}; 
\ No newline at end of file
+};
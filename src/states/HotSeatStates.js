@@ -0,0 +1,152 @@
+/**
+ * Hot-seat States
+ *
+ * State machine for two humans sharing one terminal. Every change of player
+ * passes through a handover, which waits for the front-end to confirm the
+ * keyboard has changed hands before the next player's screen is shown.
+ * Like the single-player states, these never print.
+ *
+ * @module HotSeatStates
+ */
+
+const { GameState, GameOverState } = require('./GameStates');
+
+/**
+ * Handover state - the keyboard passes to the current player
+ */
+class HandoverState extends GameState {
+  /**
+   * @param {HotSeatGame} game - Hot-seat engine
+   * @param {GameState} next - State to enter once the player is ready
+   * @param {string|null} from - Name of the player handing over, or null at the start of the game
+   */
+  constructor(game, next, from = null) {
+    super(game);
+    this.next = next;
+    this.from = from;
+  }
+
+  getName() { return 'Handover'; }
+
+  async handle() {
+    const to = this.game.getCurrentPlayer().name;
+    this.game.notify('handover', { from: this.from, to });
+    await this.game.requestPlayerInput({ phase: 'handover', from: this.from, player: to });
+    // The player left the game at the prompt
+    if (this.game.stopped) {
+      return { continue: false };
+    }
+    await this.game.setState(this.next);
+    return { continue: true };
+  }
+}
+
+/**
+ * Placement state - the current player positions their fleet
+ */
+class HotSeatPlacementState extends GameState {
+  getName() { return 'HotSeatPlacement'; }
+
+  async handle() {
+    try {
+      const player = this.game.getCurrentPlayer();
+      const placement = player.placement;
+      const next = placement.getNextShip();
+      this.game.notify('placementTurn', {
+        player: player.name,
+        ship: next ? next.name : null,
+        length: next ? next.length : 0,
+        orientation: placement.orientation,
+        remaining: placement.getRemaining()
+      });
+
+      const input = await this.game.requestPlayerInput({ phase: 'placement', player: player.name });
+      if (this.game.stopped) {
+        return { continue: false };
+      }
+      const result = await this.game.processPlacementCommand(input);
+
+      if (!result.success) {
+        this.game.notify('invalidPlacement', {
+          player: player.name,
+          input,
+          message: result.error,
+          reasons: result.reasons || []
+        });
+        return { continue: true };
+      }
+
+      if (result.action === 'confirm') {
+        // The other player places next; once both fleets are down the first player fires
+        if (this.game.getOpponent().placement) {
+          this.game.switchPlayer();
+          await this.game.setState(new HandoverState(this.game, new HotSeatPlacementState(this.game), player.name));
+        } else if (this.game.current === 0) {
+          await this.game.setState(new HotSeatTurnState(this.game));
+        } else {
+          this.game.current = 0;
+          await this.game.setState(new HandoverState(this.game, new HotSeatTurnState(this.game), player.name));
+        }
+      }
+      return { continue: true };
+    } catch (error) {
+      this.game.notify('error', { message: error.message });
+      await this.game.setState(new GameOverState(this.game, null));
+      return { continue: true, error: error.message };
+    }
+  }
+}
+
+/**
+ * Turn state - the current player fires one shot
+ */
+class HotSeatTurnState extends GameState {
+  getName() { return 'HotSeatTurn'; }
+
+  async enter() {
+    const player = this.game.getCurrentPlayer();
+    this.game.notify('turnStart', { player: player.name, opponent: this.game.getOpponent().name });
+  }
+
+  async handle() {
+    try {
+      const player = this.game.getCurrentPlayer();
+      const input = await this.game.requestPlayerInput({ phase: 'shot', player: player.name });
+      if (this.game.stopped) {
+        return { continue: false };
+      }
+      const result = await this.game.processShot(input);
+
+      if (!result.success) {
+        this.game.notify('invalidMove', { player: player.name, input, message: result.error });
+        return { continue: true };
+      }
+
+      this.game.notify('turnComplete', { player: player.name, result });
+
+      if (result.gameOver) {
+        await this.game.setState(new GameOverState(this.game, player.name));
+        return { continue: true, winner: player.name };
+      }
+
+      if (this.game.earnsBonusTurn(result)) {
+        this.game.notify('bonusTurn', { player: player.name, rule: this.game.turnRule });
+        await this.game.setState(new HotSeatTurnState(this.game));
+      } else {
+        this.game.switchPlayer();
+        await this.game.setState(new HandoverState(this.game, new HotSeatTurnState(this.game), player.name));
+      }
+      return { continue: true };
+    } catch (error) {
+      this.game.notify('error', { message: error.message });
+      await this.game.setState(new GameOverState(this.game, null));
+      return { continue: true, error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  HandoverState,
+  HotSeatPlacementState,
+  HotSeatTurnState
+};
@@ -0,0 +1,338 @@
+/**
+ * Console Game - Terminal Front-End
+ *
+ * Thin readline/console front-end on top of the headless game engine.
+ * Supplies player input to the engine and renders its events. At the
+ * coordinate prompt, `save [file]` writes a save file, `fleet <file>` exports
+ * the player's fleet layout and `quit` leaves.
+ * With a record file, the game's replay is written when it ends or is quit.
+ *
+ * @module ConsoleGame
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const Game = require('../game/Game');
+const GameConfig = require('../config/GameConfig');
+const SaveGame = require('../game/SaveGame');
+const Replay = require('../game/Replay');
+
+/**
+ * How each turn rule is explained to the player
+ */
+const TURN_RULES = {
+  'again-on-hit': 'a hit earns another turn',
+  'again-on-sink': 'sinking a ship earns another turn'
+};
+
+/**
+ * Console front-end class
+ */
+class ConsoleGame {
+  /**
+   * Create a console front-end
+   * @param {Object} options - Front-end options
+   * @param {stream.Readable} options.input - Input stream (defaults to stdin)
+   * @param {stream.Writable} options.output - Output stream (defaults to stdout)
+   * @param {number|string} options.seed - Seed for a reproducible game (random if omitted)
+   * @param {string} options.resume - Save file to continue instead of starting a new game
+   * @param {string} options.record - Replay file to write when the game ends or is quit
+   * @param {string} options.playerFleet - Fleet layout text for the player's ships
+   * @param {string} options.cpuFleet - Fleet layout text for the CPU's ships
+   * @param {AIStrategy} options.aiStrategy - Strategy that plays the CPU instead of a difficulty (e.g. an external bot)
+   * @throws {Error} If the save file cannot be loaded or a fleet layout is invalid
+   */
+  constructor(options = {}) {
+    this.rl = readline.createInterface({
+      input: options.input || process.stdin,
+      output: options.output || process.stdout
+    });
+    const inputProvider = request => this.requestPlayerInput(request);
+    this.game = options.resume
+      ? SaveGame.load(options.resume, { inputProvider, aiStrategy: options.aiStrategy })
+      : new Game({
+        inputProvider,
+        seed: options.seed,
+        playerFleet: options.playerFleet,
+        cpuFleet: options.cpuFleet,
+        aiStrategy: options.aiStrategy
+      });
+    // A resumed game brings the board settings it was saved under
+    this.config = new GameConfig();
+    this.recordFile = options.record || null;
+    this.attachListeners();
+  }
+
+  /**
+   * Subscribe console rendering to engine events
+   */
+  attachListeners() {
+    this.game.on('gameStart', ({ cpuNumShips, difficulty, seed, variant, turnRule }) => {
+      console.log("\nLet's play Sea Battle!");
+      console.log(`Try to sink the ${cpuNumShips} enemy ships.`);
+      if (variant === 'salvo') {
+        const shots = this.config.get('salvoShots');
+        console.log(`Salvo rules: each turn you fire ${shots ? `${shots} shots` : 'one shot per ship you have afloat'}, all at once.`);
+      }
+      if (turnRule && turnRule !== 'alternate') {
+        console.log(`Turn rule: ${TURN_RULES[turnRule]}.`);
+      }
+      if (difficulty) {
+        console.log(`CPU difficulty: ${difficulty}`);
+      }
+      if (seed !== undefined) {
+        console.log(`Seed: ${seed} (replay this game with --seed ${seed})`);
+      }
+      console.log("Type 'save [file]' to save the game or 'quit' to leave.");
+    });
+    this.game.on('gameResumed', ({ cpuNumShips, difficulty }) => {
+      console.log('\nResuming saved game.');
+      console.log(`${cpuNumShips} enemy ships remain. CPU difficulty: ${difficulty}`);
+    });
+    this.game.on('placementTurn', ({ ship, length, orientation }) => {
+      console.log('\nYour Board:');
+      this.game.playerBoard.display().forEach(line => console.log(line));
+      if (ship) {
+        console.log(`\nPlace your ${ship} (${length} cells). Current orientation: ${orientation}.`);
+      } else {
+        console.log("\nAll ships placed. Type 'confirm' to start the battle or 'undo' to move a ship.");
+      }
+    });
+    this.game.on('shipPlaced', ({ ship, locations }) => {
+      const first = this.game.playerBoard.formatCoordinate(locations[0]);
+      const last = this.game.playerBoard.formatCoordinate(locations[locations.length - 1]);
+      console.log(`${ship} placed at ${first}-${last}.`);
+    });
+    this.game.on('shipRemoved', ({ ship }) => console.log(`${ship} removed.`));
+    this.game.on('orientationChanged', ({ orientation }) => console.log(`Orientation: ${orientation}.`));
+    this.game.on('invalidPlacement', ({ message, reasons }) => {
+      console.log(message);
+      reasons.forEach(reason => console.log(`  - ${reason}`));
+    });
+    this.game.on('placementComplete', () => console.log('\nFleet confirmed. Battle stations!'));
+    this.game.on('turnStart', ({ player }) => {
+      if (player === 'player') {
+        this.displayBoards();
+      } else {
+        console.log('\nCPU is thinking...');
+      }
+    });
+    // In Salvo the volley summary reports every shot instead, then the ships it sank
+    this.game.on('playerHit', () => {
+      if (this.game.variant !== 'salvo') {
+        console.log(this.config.getMessage('playerHit'));
+      }
+    });
+    this.game.on('playerMiss', () => {
+      if (this.game.variant !== 'salvo') {
+        console.log(this.config.getMessage('playerMiss'));
+      }
+    });
+    this.game.on('volleyComplete', ({ player, results, hits, misses, sunkShips }) => {
+      const board = player === 'player' ? this.game.cpuBoard : this.game.playerBoard;
+      const shots = results.map(shot => `${board.formatCoordinate(shot.coordinate)} ${shot.hit ? 'HIT' : 'miss'}`);
+      if (player === 'player') {
+        console.log(`Your volley: ${shots.join(', ')}`);
+      } else {
+        console.log(`CPU volley: ${shots.join(', ')} (${hits} hit${hits === 1 ? '' : 's'}, ${misses} miss${misses === 1 ? '' : 'es'}).`);
+      }
+      sunkShips.forEach(ship => this.announceSinking(player, ship));
+    });
+    this.game.on('cpuHit', ({ coordinate }) => {
+      if (this.game.variant !== 'salvo') {
+        console.log(this.config.getMessage('cpuHit', { coordinate: this.game.playerBoard.formatCoordinate(coordinate) }));
+      }
+    });
+    this.game.on('cpuMiss', ({ coordinate }) => {
+      if (this.game.variant !== 'salvo') {
+        console.log(this.config.getMessage('cpuMiss', { coordinate: this.game.playerBoard.formatCoordinate(coordinate) }));
+      }
+    });
+    this.game.on('shipSunk', ({ player, ship }) => {
+      if (this.game.variant !== 'salvo') {
+        this.announceSinking(player, ship);
+      }
+    });
+    this.game.on('bonusTurn', ({ player }) => {
+      console.log(player === 'player' ? 'Bonus turn! You fire again.' : 'The CPU earned a bonus turn.');
+    });
+    this.game.on('invalidMove', ({ message }) => console.log(message));
+    this.game.on('error', ({ message }) => console.error('Game error:', message));
+    this.game.on('gameEnded', ({ winner, error, stats }) => {
+      this.displayResult(error ? null : winner, stats);
+      this.saveReplay();
+    });
+  }
+
+  /**
+   * Report a sunk ship
+   * @param {string} player - Side that sank it: 'player' or 'cpu'
+   * @param {string} ship - Ship name
+   */
+  announceSinking(player, ship) {
+    console.log(this.config.getMessage(player === 'player' ? 'shipSunk' : 'cpuShipSunk', { ship }));
+  }
+
+  /**
+   * Render both boards to the console
+   */
+  displayBoards() {
+    console.log('\nPlayer Board:');
+    this.game.playerBoard.display().forEach(line => console.log(line));
+    console.log('\nCPU Board:');
+    this.game.cpuBoard.display().forEach(line => console.log(line));
+    this.displayFleetStatus();
+  }
+
+  /**
+   * List which ship classes are still afloat on each side
+   */
+  displayFleetStatus() {
+    const names = board => board.getShipsAfloat().map(ship => ship.name).join(', ') || 'none';
+    console.log(`\nEnemy ships afloat: ${names(this.game.cpuBoard)}`);
+    console.log(`Your ships afloat: ${names(this.game.playerBoard)}`);
+  }
+
+  /**
+   * Render the final outcome and statistics
+   * @param {string|null} winner - 'player' or 'cpu', or null when an error ended the game
+   * @param {Object} stats - Game status snapshot from the engine
+   */
+  displayResult(winner, stats) {
+    this.displayBoards();
+    if (winner === 'player') {
+      console.log(`\n${this.config.getMessage('playerWin')}`);
+    } else if (winner === 'cpu') {
+      console.log(`\n${this.config.getMessage('cpuWin')}`);
+    } else {
+      console.log('\n*** GAME ENDED DUE TO AN ERROR ***');
+    }
+
+    console.log('\nGame Statistics:');
+    console.log(`Total Turns: ${stats.totalTurns}`);
+    console.log(`Player Moves: ${stats.playerMoves}`);
+    console.log(`CPU Moves: ${stats.cpuMoves}`);
+    if (stats.turnRule && stats.turnRule !== 'alternate') {
+      console.log(`Bonus Shots: ${stats.playerBonusShots} (you), ${stats.cpuBonusShots} (CPU)`);
+    }
+  }
+
+  /**
+   * Prompt the player for a coordinate, handling `save` and `quit` on the way
+   * @param {Object} request - Engine request; { phase: 'placement' } asks for a placement command and
+   *   { phase: 'volley', shots } for a Salvo volley
+   * @returns {Promise<string>} Trimmed player input
+   */
+  async requestPlayerInput(request = {}) {
+    const example = this.config.get('coordinateFormat') === 'classic' ? 'B7' : '00';
+    let question = `Enter coordinates (e.g. ${example}): `;
+    if (request.phase === 'placement') {
+      question = `Start and orientation (e.g. ${example} H), or rotate, random, undo, confirm: `;
+    } else if (request.phase === 'volley') {
+      const volleyExample = this.config.get('coordinateFormat') === 'classic' ? 'B7 C3' : '00 34';
+      question = `Fire ${request.shots} shot${request.shots === 1 ? '' : 's'}, separated by spaces (e.g. ${volleyExample}): `;
+    }
+    for (;;) {
+      const answer = await this.prompt(question);
+      const [command, ...rest] = answer.split(/\s+/);
+
+      if (command.toLowerCase() === 'save') {
+        this.saveGame(rest.join(' ') || undefined);
+        continue;
+      }
+      if (command.toLowerCase() === 'fleet') {
+        this.exportFleet(rest.join(' '));
+        continue;
+      }
+      if (command.toLowerCase() === 'quit' && rest.length === 0) {
+        this.quit();
+      }
+      return answer;
+    }
+  }
+
+  /**
+   * Ask a question on the terminal
+   * @param {string} question - Prompt text
+   * @returns {Promise<string>} Trimmed answer
+   */
+  prompt(question) {
+    return new Promise((resolve) => {
+      this.rl.question(question, (answer) => {
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  /**
+   * Save the game and report where it went
+   * @param {string} filePath - Destination (defaults to sea-battle-save.json)
+   */
+  saveGame(filePath) {
+    try {
+      const written = SaveGame.save(this.game, filePath);
+      // The bot is not part of the save, so it has to be named again
+      const bot = this.game.aiContext.custom ? ' and the same --bot or --bot-plugin option' : '';
+      console.log(`Game saved to ${written}. Continue it with: sea-battle --resume ${written}${bot}`);
+    } catch (error) {
+      console.error('Save failed:', error.message);
+    }
+  }
+
+  /**
+   * Write the player's fleet layout so it can be reused with --player-fleet
+   * @param {string} filePath - Destination file
+   */
+  exportFleet(filePath) {
+    if (!filePath) {
+      console.log('Usage: fleet <file>');
+      return;
+    }
+    try {
+      fs.writeFileSync(filePath, this.game.playerBoard.toFleetLayout());
+      console.log(`Fleet layout saved to ${filePath}. Reuse it with: sea-battle --player-fleet ${filePath}`);
+    } catch (error) {
+      console.error('Fleet export failed:', error.message);
+    }
+  }
+
+  /**
+   * Write the replay file, if one was requested, and report where it went
+   */
+  saveReplay() {
+    if (!this.recordFile || !this.game.fleets) {
+      return;
+    }
+    try {
+      const written = Replay.save(this.game, this.recordFile);
+      console.log(`Replay saved to ${written}. Watch it with: sea-battle replay ${written}`);
+    } catch (error) {
+      console.error('Replay not saved:', error.message);
+    }
+  }
+
+  /**
+   * Run the engine's state machine until the game is over
+   */
+  async start() {
+    try {
+      await this.game.run();
+      this.rl.close();
+    } catch (error) {
+      console.error('Game error:', error);
+      this.quit();
+    }
+  }
+
+  /**
+   * Leave the game; the engine stops and start() returns
+   */
+  quit() {
+    this.saveReplay();
+    this.game.quit();
+    this.rl.close();
+    console.log('Thanks for playing!');
+  }
+}
+
+module.exports = ConsoleGame;
@@ -0,0 +1,227 @@
+/**
+ * Hot-seat Console - Two Players, One Terminal
+ *
+ * readline/console front-end for the hot-seat engine. Between turns it asks
+ * the player who just fired to pass the keyboard, then clears the terminal
+ * before showing the next player's boards, so neither fleet is left on
+ * screen for the opponent. `quit` at any prompt leaves the game.
+ *
+ * @module HotSeatConsole
+ */
+
+const readline = require('readline');
+const HotSeatGame = require('../game/HotSeatGame');
+const GameConfig = require('../config/GameConfig');
+
+/**
+ * Clears the visible screen and the scrollback, then homes the cursor
+ */
+const CLEAR_SCREEN = '\x1B[2J\x1B[3J\x1B[H';
+
+/**
+ * How each turn rule is explained to the players
+ */
+const TURN_RULES = {
+  'again-on-hit': 'a hit earns another turn',
+  'again-on-sink': 'sinking a ship earns another turn'
+};
+
+/**
+ * Hot-seat console front-end class
+ */
+class HotSeatConsole {
+  /**
+   * Create a hot-seat front-end
+   * @param {Object} options - Front-end options
+   * @param {stream.Readable} options.input - Input stream (defaults to stdin)
+   * @param {stream.Writable} options.output - Output stream (defaults to stdout)
+   * @param {string[]} options.names - The two player names
+   * @param {number|string} options.seed - Seed for random placements (random if omitted)
+   * @throws {Error} If the names are not two different names
+   */
+  constructor(options = {}) {
+    this.config = new GameConfig();
+    this.rl = readline.createInterface({
+      input: options.input || process.stdin,
+      output: options.output || process.stdout
+    });
+    this.game = new HotSeatGame({
+      names: options.names,
+      seed: options.seed,
+      inputProvider: request => this.requestPlayerInput(request)
+    });
+    this.attachListeners();
+  }
+
+  /**
+   * Subscribe console rendering to engine events
+   */
+  attachListeners() {
+    this.game.on('gameStart', ({ players, turnRule }) => {
+      console.log(`\nSea Battle: ${players[0]} vs ${players[1]}`);
+      console.log('Each player places a fleet, then you take turns firing.');
+      if (turnRule && turnRule !== 'alternate') {
+        console.log(`Turn rule: ${TURN_RULES[turnRule]}.`);
+      }
+      console.log("Type 'quit' at any prompt to leave.");
+    });
+    this.game.on('placementTurn', ({ player, ship, length, orientation }) => {
+      console.log(`\n${player}, your board:`);
+      this.board(player).display().forEach(line => console.log(line));
+      if (ship) {
+        console.log(`\nPlace your ${ship} (${length} cells). Current orientation: ${orientation}.`);
+      } else {
+        console.log("\nAll ships placed. Type 'confirm' to lock in your fleet or 'undo' to move a ship.");
+      }
+    });
+    this.game.on('shipPlaced', ({ player, ship, locations }) => {
+      const board = this.board(player);
+      const first = board.formatCoordinate(locations[0]);
+      const last = board.formatCoordinate(locations[locations.length - 1]);
+      console.log(`${ship} placed at ${first}-${last}.`);
+    });
+    this.game.on('shipRemoved', ({ ship }) => console.log(`${ship} removed.`));
+    this.game.on('orientationChanged', ({ orientation }) => console.log(`Orientation: ${orientation}.`));
+    this.game.on('invalidPlacement', ({ message, reasons }) => {
+      console.log(message);
+      reasons.forEach(reason => console.log(`  - ${reason}`));
+    });
+    this.game.on('placementComplete', ({ player }) => console.log(`\n${player}'s fleet is ready.`));
+    this.game.on('turnStart', ({ player }) => this.displayBoards(player));
+    this.game.on('playerHit', ({ player, coordinate }) => {
+      console.log(`${player} fires at ${this.board(player).formatCoordinate(coordinate)}: HIT!`);
+    });
+    this.game.on('playerMiss', ({ player, coordinate }) => {
+      console.log(`${player} fires at ${this.board(player).formatCoordinate(coordinate)}: miss.`);
+    });
+    this.game.on('shipSunk', ({ ship }) => console.log(this.config.getMessage('shipSunk', { ship })));
+    this.game.on('bonusTurn', ({ player }) => console.log(`Bonus turn! ${player} fires again.`));
+    this.game.on('invalidMove', ({ message }) => console.log(message));
+    this.game.on('error', ({ message }) => console.error('Game error:', message));
+    this.game.on('gameEnded', ({ winner, error, stats }) => this.displayResult(error ? null : winner, stats));
+  }
+
+  /**
+   * Fleet board of the named player
+   * @param {string} name - Player name
+   * @returns {GameBoard} The player's own board
+   */
+  board(name) {
+    return this.game.players.find(player => player.name === name).board;
+  }
+
+  /**
+   * Render the current player's fleet and the shots they have fired
+   * @param {string} name - Player whose screen this is
+   */
+  displayBoards(name) {
+    const player = this.game.players.find(candidate => candidate.name === name);
+    const opponent = this.game.players.find(candidate => candidate.name !== name);
+    console.log(`\n${name}, your fleet:`);
+    player.board.display().forEach(line => console.log(line));
+    console.log(`\nEnemy waters (${opponent.name}):`);
+    player.tracking.display().forEach(line => console.log(line));
+    console.log(`\nEnemy ships afloat: ${opponent.board.getShipsAfloat().length}`);
+  }
+
+  /**
+   * Render the winner and each player's statistics
+   * @param {string|null} winner - Winning player's name, or null if an error ended the game
+   * @param {Object} stats - Game status snapshot from the engine
+   */
+  displayResult(winner, stats) {
+    if (winner === null) {
+      console.log('\n*** GAME ENDED DUE TO AN ERROR ***');
+    } else {
+      console.log(`\n*** ${winner.toUpperCase()} WINS! All enemy ships sunk. ***`);
+    }
+
+    console.log('\nGame Statistics:');
+    stats.players.forEach(player => {
+      console.log(`${player.name}: ${player.shots} shots, ${player.hits} hits, ${player.accuracy.toFixed(1)}% accuracy`);
+    });
+  }
+
+  /**
+   * Prompt for the input the engine asks for, handling `quit` on the way
+   * @param {Object} request - Engine request; { phase: 'handover', from, player } passes the keyboard,
+   *   { phase: 'placement', player } asks for a placement command and { phase: 'shot', player } for a coordinate
+   * @returns {Promise<string>} Trimmed player input
+   */
+  async requestPlayerInput(request = {}) {
+    if (request.phase === 'handover') {
+      return this.handover(request.from, request.player);
+    }
+    const example = this.config.get('coordinateFormat') === 'classic' ? 'B7' : '00';
+    const question = request.phase === 'placement'
+      ? `${request.player}, start and orientation (e.g. ${example} H), or rotate, random, undo, confirm: `
+      : `${request.player}, enter coordinates (e.g. ${example}): `;
+    const answer = await this.prompt(question);
+    if (answer.toLowerCase() === 'quit') {
+      this.quit();
+    }
+    return answer;
+  }
+
+  /**
+   * Pass the keyboard: the previous player confirms before the screen is
+   * cleared, and the next player confirms once they are sitting down
+   * @param {string|null} from - Player handing over, or null at the start of the game
+   * @param {string} to - Player taking over
+   * @returns {Promise<string>} The next player's answer
+   */
+  async handover(from, to) {
+    if (from) {
+      const answer = await this.prompt(`\n${from}, press Enter and pass the keyboard to ${to}.`);
+      if (answer.toLowerCase() === 'quit') {
+        this.quit();
+        return answer;
+      }
+    }
+    console.log(CLEAR_SCREEN);
+    const answer = await this.prompt(`${to}, press Enter when you are ready.`);
+    if (answer.toLowerCase() === 'quit') {
+      this.quit();
+    }
+    return answer;
+  }
+
+  /**
+   * Ask a question on the terminal
+   * @param {string} question - Prompt text
+   * @returns {Promise<string>} Trimmed answer
+   */
+  prompt(question) {
+    return new Promise((resolve) => {
+      this.rl.question(question, (answer) => {
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  /**
+   * Run the engine's state machine until the game is over
+   */
+  async start() {
+    try {
+      await this.game.run();
+      this.rl.close();
+    } catch (error) {
+      console.error('Game error:', error);
+      this.quit();
+    }
+  }
+
+  /**
+   * Leave the game; the engine stops and start() returns
+   */
+  quit() {
+    this.game.quit();
+    this.rl.close();
+    console.log('Thanks for playing!');
+  }
+}
+
+HotSeatConsole.CLEAR_SCREEN = CLEAR_SCREEN;
+
+module.exports = HotSeatConsole;
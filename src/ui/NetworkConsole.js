@@ -0,0 +1,254 @@
+/**
+ * Network Console - Terminal Client for Networked Games
+ *
+ * Connects to a GameServer, adopts the rules it announces, places the
+ * player's fleet locally (from a layout or at random) and sends it to the
+ * server, then plays the game over the line protocol in Protocol. The
+ * opponent's fleet never reaches this client: it draws the enemy waters
+ * from the RESULT messages alone. `quit` at the coordinate prompt leaves.
+ *
+ * @module NetworkConsole
+ */
+
+const net = require('net');
+const readline = require('readline');
+const GameConfig = require('../config/GameConfig');
+const GameBoard = require('../entities/GameBoard');
+const ShipFactory = require('../entities/ShipFactory');
+const FleetPlacement = require('../game/FleetPlacement');
+const Random = require('../utils/Random');
+const Protocol = require('../net/Protocol');
+
+/**
+ * Network console front-end class
+ */
+class NetworkConsole {
+  /**
+   * Create a network client
+   * @param {Object} options - Client options
+   * @param {string} options.host - Server host (defaults to 127.0.0.1)
+   * @param {number} options.port - Server port (defaults to 4242)
+   * @param {string} options.name - Player name (defaults to Player)
+   * @param {string} options.playerFleet - Fleet layout text (random placement if omitted)
+   * @param {number|string} options.seed - Seed for random placement (random if omitted)
+   * @param {stream.Readable} options.input - Input stream (defaults to stdin)
+   * @param {stream.Writable} options.output - Output stream (defaults to stdout)
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port === undefined ? Protocol.DEFAULT_PORT : Number(options.port);
+    this.name = options.name || 'Player';
+    this.playerFleet = options.playerFleet || null;
+    this.random = new Random(options.seed === undefined || options.seed === null ? undefined : options.seed);
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.rl = null;
+    this.socket = null;
+    this.board = null;
+    this.tracking = null;
+    this.opponent = null;
+    this.finished = null;
+  }
+
+  /**
+   * Connect and play until the game is over or abandoned
+   * @returns {Promise<void>} Resolves when the connection closes
+   */
+  start() {
+    return new Promise((resolve) => {
+      this.finished = resolve;
+      this.rl = readline.createInterface({ input: this.input, output: this.output });
+      this.socket = net.connect(this.port, this.host);
+      this.socket.setEncoding('utf8');
+      this.socket.on('error', error => console.error(`Connection error: ${error.message}`));
+      this.socket.on('close', () => this.close());
+      // The socket reports its own errors
+      readline.createInterface({ input: this.socket, crlfDelay: Infinity })
+        .on('line', line => this.handleLine(line))
+        .on('error', () => {});
+    });
+  }
+
+  /**
+   * Send one protocol message to the server
+   * @param {string} command - Command word
+   * @param {...*} args - Arguments
+   */
+  send(command, ...args) {
+    if (this.socket && !this.socket.destroyed) {
+      this.socket.write(Protocol.format(command, ...args));
+    }
+  }
+
+  /**
+   * Handle one message from the server
+   * @param {string} line - Received line
+   */
+  handleLine(line) {
+    const { command, args } = Protocol.parse(line);
+    switch (command) {
+      case 'HELLO':
+        if (args !== `sea-battle ${Protocol.VERSION}`) {
+          console.log(`The server speaks '${args}', not sea-battle ${Protocol.VERSION}.`);
+          this.disconnect();
+        }
+        break;
+      case 'RULES':
+        this.joinGame(args);
+        break;
+      case 'WELCOME':
+        this.name = args;
+        console.log(`Connected as ${args}.`);
+        break;
+      case 'READY':
+        console.log('Fleet accepted.');
+        break;
+      case 'WAIT':
+        console.log(this.opponent ? `Waiting for ${this.opponent}...` : 'Waiting for an opponent...');
+        break;
+      case 'START':
+        this.opponent = args;
+        console.log(`\nBattle against ${args}!`);
+        break;
+      case 'TURN':
+        this.takeTurn();
+        break;
+      case 'RESULT':
+        this.showShot(Protocol.decodeShot(args), this.tracking, 'You fire');
+        break;
+      case 'INCOMING':
+        this.showShot(Protocol.decodeShot(args), this.board, `${this.opponent} fires`);
+        break;
+      case 'ERROR':
+        console.log(args);
+        break;
+      case 'GAMEOVER':
+        console.log(args === 'WIN' ? '\n*** YOU WIN! All enemy ships sunk. ***' : `\n*** ${this.opponent} WINS! Your fleet is sunk. ***`);
+        break;
+      case 'BYE':
+        console.log(`\nGame over: ${args}.`);
+        break;
+    }
+  }
+
+  /**
+   * Adopt the server's rules, place the fleet and send it
+   * @param {string} text - RULES arguments
+   */
+  joinGame(text) {
+    try {
+      const rules = Protocol.decodeRules(text);
+      // Keep local settings such as symbols and messages; the server decides the rest
+      GameConfig.configure({ ...new GameConfig().settings, ...rules });
+      this.board = new GameBoard();
+      this.tracking = new GameBoard();
+      if (this.playerFleet) {
+        const { isValid, errors } = ShipFactory.parseFleetLayout(this.playerFleet, this.board, { isVisible: true, random: this.random });
+        if (!isValid) {
+          throw new Error(`Invalid player fleet layout:\n  - ${errors.join('\n  - ')}`);
+        }
+      } else {
+        new FleetPlacement({ board: this.board, fleet: rules.shipPatterns, random: this.random }).randomizeRest();
+      }
+    } catch (error) {
+      console.error(`Cannot join: ${error.message}`);
+      this.send('QUIT');
+      this.disconnect();
+      return;
+    }
+    this.send('NAME', this.name);
+    this.send('FLEET', Protocol.encodeFleet(this.board.toFleetLayout()));
+  }
+
+  /**
+   * Show both boards and send the player's shot
+   */
+  async takeTurn() {
+    this.displayBoards();
+    const example = new GameConfig().get('coordinateFormat') === 'classic' ? 'B7' : '00';
+    const answer = await this.prompt(`Enter coordinates (e.g. ${example}): `);
+    if (answer.toLowerCase() === 'quit') {
+      this.send('QUIT');
+      this.disconnect();
+      return;
+    }
+    this.send('FIRE', answer);
+  }
+
+  /**
+   * Mark a shot on a board and describe it
+   * @param {Object} shot - Decoded shot { coordinate, hit, sunk, ship }
+   * @param {GameBoard} board - Board the shot landed on
+   * @param {string} who - Start of the message, e.g. 'You fire'
+   */
+  showShot(shot, board, who) {
+    const coordinate = board.toCoordinate(shot.coordinate);
+    if (coordinate) {
+      if (shot.hit) {
+        const ship = board.getShipAt(coordinate);
+        if (ship) {
+          ship.hit(coordinate);
+        }
+        board.markHit(coordinate.row, coordinate.col);
+      } else {
+        board.markMiss(coordinate.row, coordinate.col);
+      }
+    }
+    console.log(`${who} at ${shot.coordinate}: ${shot.hit ? 'HIT!' : 'miss.'}`);
+    if (shot.sunk) {
+      console.log(board === this.tracking ? `You sank the enemy ${shot.ship}!` : `Your ${shot.ship} was sunk!`);
+    }
+  }
+
+  /**
+   * Render the player's fleet and their shots at the enemy
+   */
+  displayBoards() {
+    console.log('\nYour fleet:');
+    this.board.display().forEach(line => console.log(line));
+    console.log(`\nEnemy waters (${this.opponent}):`);
+    this.tracking.display().forEach(line => console.log(line));
+  }
+
+  /**
+   * Ask a question on the terminal
+   * @param {string} question - Prompt text
+   * @returns {Promise<string>} Trimmed answer
+   */
+  prompt(question) {
+    // A closed terminal leaves the game
+    if (this.rl.closed) {
+      return Promise.resolve('quit');
+    }
+    return new Promise((resolve) => {
+      this.rl.question(question, (answer) => {
+        resolve(answer.trim());
+      });
+    });
+  }
+
+  /**
+   * Hang up; start() resolves once the connection has closed
+   */
+  disconnect() {
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+
+  /**
+   * Release the terminal and finish
+   */
+  close() {
+    if (this.rl) {
+      this.rl.close();
+    }
+    if (this.finished) {
+      const finished = this.finished;
+      this.finished = null;
+      finished();
+    }
+  }
+}
+
+module.exports = NetworkConsole;
@@ -0,0 +1,141 @@
+/**
+ * Replay Viewer - Terminal Replay Browser
+ *
+ * Steps forward and backward through a recorded game, rendering both boards
+ * with every ship visible and describing each shot, including the strategy
+ * the CPU used to pick it.
+ *
+ * @module ReplayViewer
+ */
+
+const readline = require('readline');
+const Coordinate = require('../entities/Coordinate');
+
+const COMMANDS_HELP = '[Enter/n]ext, [p]revious, [f]irst, [l]ast, <turn number>, [q]uit';
+
+/**
+ * Console replay browser class
+ */
+class ReplayViewer {
+  /**
+   * Create a replay viewer
+   * @param {Object} options - Viewer options
+   * @param {Replay} options.replay - Replay to show
+   * @param {stream.Readable} options.input - Input stream (defaults to stdin)
+   * @param {stream.Writable} options.output - Output stream (defaults to stdout)
+   */
+  constructor(options = {}) {
+    this.replay = options.replay;
+    this.step = 0;
+    this.rl = readline.createInterface({
+      input: options.input || process.stdin,
+      output: options.output || process.stdout
+    });
+  }
+
+  /**
+   * Move to a turn, clamped to the start and end of the replay
+   * @param {number} step - Shots to show, from 0 (starting fleets) to the replay length
+   */
+  goTo(step) {
+    this.step = Math.max(0, Math.min(step, this.replay.length));
+  }
+
+  /**
+   * Apply a viewer command
+   * @param {string} command - Player input
+   * @returns {boolean} False when the viewer should close
+   */
+  handleCommand(command) {
+    const input = command.trim().toLowerCase();
+    if (input === '' || input === 'n' || input === 'next') {
+      this.goTo(this.step + 1);
+    } else if (input === 'p' || input === 'prev' || input === 'previous') {
+      this.goTo(this.step - 1);
+    } else if (input === 'f' || input === 'first') {
+      this.goTo(0);
+    } else if (input === 'l' || input === 'last') {
+      this.goTo(this.replay.length);
+    } else if (/^\d+$/.test(input)) {
+      this.goTo(Number(input));
+    } else if (input === 'q' || input === 'quit') {
+      return false;
+    } else {
+      console.log(`Unknown command '${command.trim()}'. Use ${COMMANDS_HELP}.`);
+    }
+    return true;
+  }
+
+  /**
+   * Describe a recorded shot
+   * @param {Object} shot - Shot from the replay
+   * @param {GameBoard} board - Board the shot landed on, for coordinate formatting
+   * @returns {string} Description such as 'CPU fired at C3: HIT Cruiser (TargetStrategy, confidence 0.90)'
+   *   or 'Player fired a bonus shot at D3: MISS'
+   */
+  describeShot(shot, board) {
+    const shooter = shot.player === 'player' ? 'Player' : 'CPU';
+    let outcome = shot.result.toUpperCase();
+    if (shot.ship) {
+      outcome += ` ${shot.ship}`;
+    }
+    let text = `${shooter} fired ${shot.bonus ? 'a bonus shot ' : ''}at ${board.formatCoordinate(Coordinate.from(shot.coordinate))}: ${outcome}`;
+    if (shot.strategy) {
+      const confidence = typeof shot.confidence === 'number' ? `, confidence ${shot.confidence.toFixed(2)}` : '';
+      text += ` (${shot.strategy}${confidence})`;
+    }
+    return text;
+  }
+
+  /**
+   * Render the current turn
+   */
+  render() {
+    const { playerBoard, cpuBoard } = this.replay.boardsAt(this.step);
+    console.log(`\nTurn ${this.step} of ${this.replay.length}`);
+    if (this.step === 0) {
+      console.log(`Starting fleets. Seed: ${this.replay.seed}, CPU difficulty: ${this.replay.difficulty}, turn rule: ${this.replay.turnRule}`);
+    } else {
+      const shot = this.replay.shots[this.step - 1];
+      console.log(this.describeShot(shot, shot.player === 'player' ? cpuBoard : playerBoard));
+      console.log(`at ${shot.timestamp}`);
+    }
+
+    console.log('\nPlayer Board:');
+    playerBoard.display().forEach(line => console.log(line));
+    console.log('\nCPU Board:');
+    cpuBoard.display().forEach(line => console.log(line));
+
+    if (this.step === this.replay.length) {
+      console.log(this.replay.winner ? `\nEnd of replay. Winner: ${this.replay.winner}` : '\nEnd of replay. The game was not finished.');
+    }
+  }
+
+  /**
+   * Ask a question on the terminal
+   * @param {string} question - Prompt text
+   * @returns {Promise<string>} Answer
+   */
+  prompt(question) {
+    return new Promise((resolve) => {
+      this.rl.question(question, resolve);
+    });
+  }
+
+  /**
+   * Show the replay until the viewer quits
+   */
+  async start() {
+    this.render();
+    let running = true;
+    while (running) {
+      running = this.handleCommand(await this.prompt(`\n${COMMANDS_HELP}: `));
+      if (running) {
+        this.render();
+      }
+    }
+    this.rl.close();
+  }
+}
+
+module.exports = ReplayViewer;
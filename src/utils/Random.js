@@ -0,0 +1,128 @@
+/**
+ * Random - Seeded Pseudo-Random Number Generator
+ *
+ * A small, fast PRNG (mulberry32) with a 32-bit seed. Ship placement, ship
+ * ids and AI decisions draw from an injected Random instead of Math.random,
+ * so a game started with the same seed plays out the same way.
+ *
+ * @module Random
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Seeded random number generator
+ */
+class Random {
+  /**
+   * @param {number|string} seed - Integer seed between 0 and 4294967295 (random if omitted)
+   * @throws {Error} If the seed is not a valid integer
+   */
+  constructor(seed = Random.generateSeed()) {
+    this.reseed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number|string} seed - Integer seed
+   * @throws {Error} If the seed is not a valid integer
+   */
+  reseed(seed) {
+    this.seed = Random.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number} Random float
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} Random integer
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random element of a non-empty array
+   * @param {Array} items - Items to pick from
+   * @returns {*} Picked item
+   */
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  /**
+   * Random alphanumeric id
+   * @param {number} length - Id length
+   * @returns {string} Id such as 'k3j9x0a2b'
+   */
+  id(length = 9) {
+    return Array.from({ length }, () => this.int(36).toString(36)).join('');
+  }
+
+  /**
+   * Snapshot the generator so a saved game continues the same sequence
+   * @returns {Object} { seed, state }
+   */
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Continue from a snapshot taken by toJSON
+   * @param {Object} data - { seed, state }
+   * @throws {Error} If the seed or state is not a valid integer
+   */
+  restore(data) {
+    this.reseed(data.seed);
+    this.state = Random.normalizeSeed(data.state);
+  }
+
+  /**
+   * Validate a seed from code, the CLI or a saved game
+   * @param {number|string} seed - Seed to check
+   * @returns {number} Seed as an unsigned 32-bit integer
+   * @throws {Error} If the seed is not an integer between 0 and 4294967295
+   */
+  static normalizeSeed(seed) {
+    const value = typeof seed === 'string' && /^\d+$/.test(seed.trim()) ? Number(seed.trim()) : seed;
+    if (!Number.isInteger(value) || value < 0 || value > MAX_SEED) {
+      throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}, got ${seed}`);
+    }
+    return value;
+  }
+
+  /**
+   * Pick a fresh seed for games started without one
+   * @returns {number} Seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+  }
+
+  /**
+   * Generator used by code that was not handed one
+   * @returns {Random} Shared generator
+   */
+  static getDefault() {
+    if (!Random.defaultInstance) {
+      Random.defaultInstance = new Random();
+    }
+    return Random.defaultInstance;
+  }
+}
+
+Random.MAX_SEED = MAX_SEED;
+
+module.exports = Random;
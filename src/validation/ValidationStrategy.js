@@ -8,6 +8,7 @@
  */
 
 const GameConfig = require('../config/GameConfig');
+const Coordinate = require('../entities/Coordinate');
 
 /**
  * Abstract base class for validation strategies
@@ -24,13 +25,31 @@ class ValidationStrategy {
 }
 
 /**
- * Validates input format (must be exactly 2 digits)
+ * Get the configured player-facing coordinate notation
+ * @param {GameConfig} config - Game configuration
+ * @returns {string} 'classic' or 'digits'
+ */
+function getNotation(config) {
+  return config.get('coordinateFormat') || 'digits';
+}
+
+/**
+ * One shot of a volley: a row letter and column ("B7", "b 7"), a row,col pair
+ * ("3,12", "3, 12"), or any other run of text, which then fails validation
+ */
+const SHOT_PATTERN = /[A-Za-z]\s*\d+(?=[\s;,]|$)|\d+\s*,\s*\d+(?=[\s;,]|$)|[^\s;,]+/g;
+
+/**
+ * Validates input format: a row letter and column number (e.g., B7) in
+ * classic notation, or two digits / row,col in digit notation
  */
 class InputFormatValidator extends ValidationStrategy {
   validate(input) {
     const config = new GameConfig();
-    if (typeof input !== 'string' || !input || input.length !== 2) {
-      return { isValid: false, message: config.getMessage('invalidInput') };
+    const notation = getNotation(config);
+    if (!Coordinate.read(input, notation)) {
+      const key = notation === 'classic' ? 'invalidClassicInput' : 'invalidInput';
+      return { isValid: false, message: config.getMessage(key) };
     }
     return { isValid: true };
   }
@@ -40,15 +59,28 @@ class InputFormatValidator extends ValidationStrategy {
  * Validates coordinate range (must be within board bounds)
  */
 class CoordinateRangeValidator extends ValidationStrategy {
+  /**
+   * @param {number} boardSize - Size of the board being fired at (defaults to the configured size)
+   */
+  constructor(boardSize) {
+    super();
+    this.boardSize = boardSize;
+  }
+
   validate(input) {
     const config = new GameConfig();
-    const [row, col] = [parseInt(input[0]), parseInt(input[1])];
-    const boardSize = config.get('boardSize');
-    
-    if (isNaN(row) || isNaN(col) || row < 0 || row >= boardSize || col < 0 || col >= boardSize) {
+    const notation = getNotation(config);
+    // Text is range-checked as plain numbers, so no Coordinate is made for a cell off the board
+    const cell = typeof input === 'string' ? Coordinate.read(input, notation) : Coordinate.from(input, notation);
+    const boardSize = this.boardSize || config.get('boardSize');
+    const onBoard = value => value >= 0 && value < boardSize;
+
+    if (!cell || !onBoard(cell.row) || !onBoard(cell.col)) {
       return { 
         isValid: false, 
-        message: config.getMessage('outOfBounds', { max: boardSize - 1 })
+        message: notation === 'classic'
+          ? config.getMessage('outOfBoundsClassic', { lastRow: Coordinate.rowLabel(boardSize - 1), lastCol: boardSize })
+          : config.getMessage('outOfBounds', { max: boardSize - 1 })
       };
     }
     return { isValid: true };
@@ -66,7 +98,8 @@ class DuplicateGuessValidator extends ValidationStrategy {
   
   validate(input) {
     const config = new GameConfig();
-    if (this.guessHistory.has(input)) {
+    const coordinate = Coordinate.from(input, getNotation(config));
+    if (this.guessHistory.has(input) || (coordinate && this.guessHistory.has(coordinate))) {
       return { isValid: false, message: config.getMessage('duplicateGuess') };
     }
     return { isValid: true };
@@ -90,6 +123,19 @@ class InputValidator {
     this.strategies.push(strategy);
     return this;
   }
+
+  /**
+   * The checks every single shot goes through: format, range, then repeats
+   * @param {Set} guessHistory - Cells already fired at
+   * @param {number} boardSize - Size of the board being fired at (defaults to the configured size)
+   * @returns {InputValidator} Shot validator
+   */
+  static forShot(guessHistory, boardSize) {
+    return new InputValidator()
+      .addStrategy(new InputFormatValidator())
+      .addStrategy(new CoordinateRangeValidator(boardSize))
+      .addStrategy(new DuplicateGuessValidator(guessHistory));
+  }
   
   /**
    * Validate input using all configured strategies
@@ -107,10 +153,68 @@ class InputValidator {
   }
 }
 
+/**
+ * Validates a Salvo volley: several space-separated coordinates fired in one
+ * turn. Each shot goes through the single-shot checks, the volley must have
+ * exactly the allowed number of shots and no cell may appear twice.
+ */
+class VolleyValidator extends ValidationStrategy {
+  /**
+   * @param {Set} guessHistory - Cells already fired at
+   * @param {number} shots - Number of shots the volley must contain
+   * @param {number} boardSize - Size of the board being fired at (defaults to the configured size)
+   */
+  constructor(guessHistory, shots, boardSize) {
+    super();
+    this.shots = shots;
+    this.shotValidator = InputValidator.forShot(guessHistory, boardSize);
+  }
+
+  /**
+   * Split volley input into its shots, separated by spaces, semicolons or
+   * commas; a space inside a shot ("b 7") or after a row,col comma ("3, 12")
+   * keeps the shot whole
+   * @param {string} input - Raw volley input
+   * @returns {string[]} One entry per shot
+   */
+  static split(input) {
+    return String(input || '').match(SHOT_PATTERN) || [];
+  }
+
+  /**
+   * @param {string} input - Raw volley input
+   * @returns {Object} { isValid, coordinates } or { isValid: false, message }
+   */
+  validate(input) {
+    const config = new GameConfig();
+    const notation = getNotation(config);
+    const shots = VolleyValidator.split(input);
+    if (shots.length !== this.shots) {
+      const key = this.shots === 1 ? 'volleySizeOne' : 'volleySize';
+      return { isValid: false, message: config.getMessage(key, { shots: this.shots }) };
+    }
+
+    const coordinates = [];
+    for (const shot of shots) {
+      const result = this.shotValidator.validate(shot);
+      if (!result.isValid) {
+        return { isValid: false, message: `${shot}: ${result.message}` };
+      }
+      const coordinate = Coordinate.from(shot, notation);
+      if (coordinates.includes(coordinate)) {
+        return { isValid: false, message: config.getMessage('volleyRepeat', { coordinate: shot }) };
+      }
+      coordinates.push(coordinate);
+    }
+    return { isValid: true, coordinates };
+  }
+}
+
 module.exports = {
   ValidationStrategy,
   InputFormatValidator,
   CoordinateRangeValidator,
   DuplicateGuessValidator,
-  InputValidator
+  InputValidator,
+  VolleyValidator
 }; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const { AIStrategy, HuntStrategy, TargetStrategy, AIContext } = require('../src/ai/AIStrategies');
+const Coordinate = require('../src/entities/Coordinate');
 
 // Mock GameConfig
 jest.mock('../src/config/GameConfig', () => {
@@ -30,13 +31,13 @@ describe('AI Strategies', () => {
       expect(move).toHaveProperty('coordinate');
       expect(move).toHaveProperty('mode');
       expect(move.mode).toBe('hunt');
-      expect(move.coordinate).toMatch(/^\d\d$/);
+      expect(String(move.coordinate)).toMatch(/^\d\d$/);
     });
 
     test('should generate coordinates within board bounds', () => {
       for (let i = 0; i < 100; i++) {
         const move = strategy.makeMove(gameState);
-        const [row, col] = [parseInt(move.coordinate[0]), parseInt(move.coordinate[1])];
+        const [row, col] = [move.coordinate.row, move.coordinate.col];
         
         expect(row).toBeGreaterThanOrEqual(0);
         expect(row).toBeLessThan(10);
@@ -46,9 +47,9 @@ describe('AI Strategies', () => {
     });
 
     test('should avoid duplicate guesses', () => {
-      gameState.cpuGuesses.add('00');
-      gameState.cpuGuesses.add('11');
-      gameState.cpuGuesses.add('22');
+      gameState.cpuGuesses.add(Coordinate.of(0, 0));
+      gameState.cpuGuesses.add(Coordinate.of(1, 1));
+      gameState.cpuGuesses.add(Coordinate.of(2, 2));
       
       const move = strategy.makeMove(gameState);
       
@@ -58,7 +59,7 @@ describe('AI Strategies', () => {
     test('should eventually find valid coordinate even with many guesses', () => {
       // Fill most of the board
       for (let i = 0; i < 95; i++) {
-        const coord = `${Math.floor(i / 10)}${i % 10}`;
+        const coord = Coordinate.of(Math.floor(i / 10), i % 10);
         gameState.cpuGuesses.add(coord);
       }
       
@@ -80,16 +81,16 @@ describe('AI Strategies', () => {
       const move = strategy.makeMove(gameState);
       
       expect(move.mode).toBe('hunt');
-      expect(move.coordinate).toMatch(/^\d\d$/);
+      expect(String(move.coordinate)).toMatch(/^\d\d$/);
     });
 
     test('should add adjacent targets correctly', () => {
       strategy.addTargets(5, 5, gameState);
       
-      expect(strategy.targetQueue).toContain('45'); // North
-      expect(strategy.targetQueue).toContain('65'); // South
-      expect(strategy.targetQueue).toContain('54'); // West
-      expect(strategy.targetQueue).toContain('56'); // East
+      expect(strategy.targetQueue).toContain(Coordinate.of(4, 5)); // North
+      expect(strategy.targetQueue).toContain(Coordinate.of(6, 5)); // South
+      expect(strategy.targetQueue).toContain(Coordinate.of(5, 4)); // West
+      expect(strategy.targetQueue).toContain(Coordinate.of(5, 6)); // East
       expect(strategy.targetQueue).toHaveLength(4);
     });
 
@@ -97,21 +98,21 @@ describe('AI Strategies', () => {
       // Test corner position
       strategy.addTargets(0, 0, gameState);
       
-      expect(strategy.targetQueue).toContain('10'); // South
-      expect(strategy.targetQueue).toContain('01'); // East
+      expect(strategy.targetQueue).toContain(Coordinate.of(1, 0)); // South
+      expect(strategy.targetQueue).toContain(Coordinate.of(0, 1)); // East
       expect(strategy.targetQueue).toHaveLength(2); // Only valid ones
     });
 
     test('should filter out already guessed targets', () => {
-      gameState.cpuGuesses.add('45');
-      gameState.cpuGuesses.add('56');
+      gameState.cpuGuesses.add(Coordinate.of(4, 5));
+      gameState.cpuGuesses.add(Coordinate.of(5, 6));
       
       strategy.addTargets(5, 5, gameState);
       
-      expect(strategy.targetQueue).toContain('65'); // South
-      expect(strategy.targetQueue).toContain('54'); // West
-      expect(strategy.targetQueue).not.toContain('45'); // Already guessed
-      expect(strategy.targetQueue).not.toContain('56'); // Already guessed
+      expect(strategy.targetQueue).toContain(Coordinate.of(6, 5)); // South
+      expect(strategy.targetQueue).toContain(Coordinate.of(5, 4)); // West
+      expect(strategy.targetQueue).not.toContain(Coordinate.of(4, 5)); // Already guessed
+      expect(strategy.targetQueue).not.toContain(Coordinate.of(5, 6)); // Already guessed
     });
 
     test('should avoid duplicate targets in queue', () => {
@@ -127,17 +128,17 @@ describe('AI Strategies', () => {
       const move = strategy.makeMove(gameState);
       
       expect(move.mode).toBe('target');
-      expect(['45', '65', '54', '56']).toContain(move.coordinate);
+      expect(['45', '65', '54', '56']).toContain(String(move.coordinate));
     });
 
     test('should skip already guessed targets from queue', () => {
       strategy.addTargets(5, 5, gameState);
-      gameState.cpuGuesses.add('45');
-      gameState.cpuGuesses.add('65');
+      gameState.cpuGuesses.add(Coordinate.of(4, 5));
+      gameState.cpuGuesses.add(Coordinate.of(6, 5));
       
       const move = strategy.makeMove(gameState);
       
-      expect(['54', '56']).toContain(move.coordinate);
+      expect(['54', '56']).toContain(String(move.coordinate));
     });
 
     test('should reset target queue', () => {
@@ -248,7 +249,7 @@ describe('AI Strategies', () => {
       const targetMove = context.makeMove(gameState);
       expect(targetMove.mode).toBe('target');
       
-      const [targetRow, targetCol] = [parseInt(targetMove.coordinate[0]), parseInt(targetMove.coordinate[1])];
+      const [targetRow, targetCol] = [targetMove.coordinate.row, targetMove.coordinate.col];
       const isAdjacent = Math.abs(targetRow - hitRow) + Math.abs(targetCol - hitCol) === 1;
       expect(isAdjacent).toBe(true);
     });
@@ -265,7 +266,7 @@ describe('AI Strategies', () => {
       // Should still work correctly
       const move = context.makeMove(gameState);
       expect(move.mode).toBe('hunt');
-      expect(move.coordinate).toMatch(/^\d\d$/);
+      expect(String(move.coordinate)).toMatch(/^\d\d$/);
     });
   });
 }); 
\ No newline at end of file
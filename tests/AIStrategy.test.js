@@ -7,12 +7,15 @@
 const {
   AIStrategy,
   HuntStrategy,
+  ParityHuntStrategy,
   TargetStrategy,
+  ProbabilityStrategy,
   AIContext
 } = require('../src/ai/AIStrategy');
 
 const GameBoard = require('../src/entities/GameBoard');
 const Ship = require('../src/entities/Ship');
+const Coordinate = require('../src/entities/Coordinate');
 
 jest.mock('../src/config/GameConfig', () => {
   return jest.fn().mockImplementation(() => ({
@@ -65,22 +68,36 @@ describe('AI Strategy', () => {
       const move = huntStrategy.makeMove(previousGuesses, playerBoard);
       
       expect(move).toHaveProperty('coordinate');
-      expect(move.coordinate).toMatch(/^[0-9][0-9]$/);
+      expect(String(move.coordinate)).toMatch(/^[0-9][0-9]$/);
       expect(move.mode).toBe('hunt');
       expect(move.strategy).toBe('HuntStrategy');
       expect(move.confidence).toBe(0.1);
     });
 
     test('should avoid previously guessed coordinates', () => {
-      previousGuesses.add('00');
-      previousGuesses.add('11');
-      previousGuesses.add('22');
+      previousGuesses.add(Coordinate.of(0, 0));
+      previousGuesses.add(Coordinate.of(1, 1));
+      previousGuesses.add(Coordinate.of(2, 2));
       
       const move = huntStrategy.makeMove(previousGuesses, playerBoard);
       
       expect(previousGuesses.has(move.coordinate)).toBe(false);
     });
 
+    test('should replay the same hunt from the same seed', () => {
+      const Random = require('../src/utils/Random');
+      const hunt = () => {
+        const strategy = new HuntStrategy(new Random(31));
+        const guesses = new Set();
+        for (let i = 0; i < 10; i++) {
+          guesses.add(strategy.makeMove(guesses, playerBoard).coordinate);
+        }
+        return Array.from(guesses);
+      };
+
+      expect(hunt()).toEqual(hunt());
+    });
+
     test('should reset strategy state', () => {
       huntStrategy.makeMove(previousGuesses, playerBoard);
       expect(huntStrategy.previousMoves.size).toBeGreaterThan(0);
@@ -112,10 +129,10 @@ describe('AI Strategy', () => {
       expect(targetStrategy.targetQueue.length).toBe(4);
       
       const coordinates = targetStrategy.targetQueue.map(t => t.coordinate);
-      expect(coordinates).toContain('45'); // north
-      expect(coordinates).toContain('65'); // south
-      expect(coordinates).toContain('54'); // west
-      expect(coordinates).toContain('56'); // east
+      expect(coordinates).toContain(Coordinate.of(4, 5)); // north
+      expect(coordinates).toContain(Coordinate.of(6, 5)); // south
+      expect(coordinates).toContain(Coordinate.of(5, 4)); // west
+      expect(coordinates).toContain(Coordinate.of(5, 6)); // east
     });
 
     test('should validate target coordinates correctly', () => {
@@ -144,7 +161,7 @@ describe('AI Strategy', () => {
     test('should update strategy based on hit result', () => {
       targetStrategy.updateStrategy('55', true, false);
       expect(targetStrategy.hitHistory.length).toBe(1);
-      expect(targetStrategy.hitHistory[0].coordinate).toBe('55');
+      expect(targetStrategy.hitHistory[0].coordinate).toBe(Coordinate.of(5, 5));
       expect(targetStrategy.hitHistory[0].wasSunk).toBe(false);
     });
 
@@ -157,6 +174,84 @@ describe('AI Strategy', () => {
       expect(targetStrategy.targetQueue.length).toBe(0);
       expect(targetStrategy.hitHistory.length).toBe(0);
     });
+
+    describe('direction locking', () => {
+      const fire = (coordinate, wasHit, wasSunk = false, sunkShip = null) => {
+        previousGuesses.add(Coordinate.from(coordinate));
+        targetStrategy.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+      };
+
+      test('should follow the axis of two adjacent hits', () => {
+        fire('55', true);
+        fire('56', true);
+
+        const move = targetStrategy.makeMove(previousGuesses, playerBoard);
+        expect(move.coordinate).toBe(Coordinate.of(5, 7));
+        expect(move.confidence).toBe(0.9);
+      });
+
+      test('should extend the other way once one end is a miss', () => {
+        fire('55', true);
+        fire('56', true);
+        fire('57', false);
+
+        expect(targetStrategy.makeMove(previousGuesses, playerBoard).coordinate).toBe(Coordinate.of(5, 4));
+        fire('54', true);
+        expect(targetStrategy.makeMove(previousGuesses, playerBoard).coordinate).toBe(Coordinate.of(5, 3));
+      });
+
+      test('should lock onto vertical lines and respect the board edge', () => {
+        fire('00', true);
+        fire('10', true);
+
+        expect(targetStrategy.makeMove(previousGuesses, playerBoard).coordinate).toBe(Coordinate.of(2, 0));
+      });
+
+      test('should fall back to the other neighbours when both ends are misses', () => {
+        fire('55', true);
+        fire('56', true);
+        fire('57', false);
+        fire('54', false);
+
+        const move = targetStrategy.makeMove(previousGuesses, playerBoard);
+        expect([Coordinate.of(4, 5), Coordinate.of(6, 5), Coordinate.of(4, 6), Coordinate.of(6, 6)])
+          .toContain(move.coordinate);
+      });
+
+      test('should never queue a cell that was already fired at', () => {
+        fire('45', false);
+        fire('55', true);
+        fire('65', false);
+
+        const moves = [1, 2].map(() => {
+          const { coordinate } = targetStrategy.makeMove(previousGuesses, playerBoard);
+          previousGuesses.add(coordinate);
+          return coordinate;
+        });
+        expect(moves).toEqual(expect.arrayContaining([Coordinate.of(5, 4), Coordinate.of(5, 6)]));
+      });
+
+      test('should clear a sunk ship and keep targeting hits on another ship', () => {
+        fire('55', true);
+        fire('56', true);
+        fire('46', true);
+        expect(targetStrategy.hasTargets()).toBe(true);
+
+        fire('57', true, true, { name: 'Cruiser', length: 3 });
+        expect(targetStrategy.openHits).toEqual([Coordinate.of(4, 6)]);
+        expect(targetStrategy.hasTargets()).toBe(true);
+        expect(targetStrategy.targetQueue.map(target => target.coordinate))
+          .toEqual(expect.arrayContaining([Coordinate.of(3, 6), Coordinate.of(4, 5), Coordinate.of(4, 7)]));
+      });
+
+      test('should have nothing left to target after sinking the only damaged ship', () => {
+        fire('55', true);
+        fire('56', true, true, { name: 'Destroyer', length: 2 });
+
+        expect(targetStrategy.openHits).toHaveLength(0);
+        expect(targetStrategy.hasTargets()).toBe(false);
+      });
+    });
   });
 
   describe('AIContext', () => {
@@ -225,5 +320,352 @@ describe('AI Strategy', () => {
       expect(aiContext.performanceStats.hits).toBe(0);
       expect(aiContext.performanceStats.misses).toBe(0);
     });
+
+    test('should rule out cells around a sunk ship under an adjacency rule', () => {
+      const noEdge = new AIContext({ adjacency: 'no-edge' });
+      noEdge.updateResult(true, '55', true, { name: 'Submarine', length: 1, locations: ['55'] });
+      expect(Array.from(noEdge.ruledOut, String).sort()).toEqual(['45', '54', '56', '65']);
+
+      // Every cell but the four is already guessed, so the AI must pick one of them
+      const guesses = new Set();
+      for (let row = 0; row < 10; row++) {
+        for (let col = 0; col < 10; col++) {
+          guesses.add(Coordinate.of(row, col));
+        }
+      }
+      ['45', '54', '56', '65', '00'].forEach(cell => guesses.delete(Coordinate.from(cell)));
+      expect(String(noEdge.makeMove(guesses, playerBoard).coordinate)).toBe('00');
+
+      expect(aiContext.adjacency).toBe('overlap-only');
+      aiContext.updateResult(true, '55', true, { name: 'Submarine', length: 1, locations: ['55'] });
+      expect(aiContext.ruledOut.size).toBe(0);
+    });
+
+    test('should pick every shot of a volley before any result comes back', () => {
+      const guesses = new Set([Coordinate.of(0, 0)]);
+      const moves = aiContext.makeVolley(4, guesses, playerBoard);
+
+      const cells = moves.map(move => String(move.coordinate));
+      expect(cells).toHaveLength(4);
+      expect(new Set(cells).size).toBe(4);
+      expect(cells).not.toContain('00');
+      expect(guesses.size).toBe(1);
+      expect(aiContext.moveHistory).toHaveLength(4);
+    });
+
+    test('should spend spare volley shots on ruled-out cells rather than stall', () => {
+      const noEdge = new AIContext({ adjacency: 'no-edge' });
+      noEdge.updateResult(true, '55', true, { name: 'Submarine', length: 1, locations: ['55'] });
+      const guesses = new Set();
+      for (let row = 0; row < 10; row++) {
+        for (let col = 0; col < 10; col++) {
+          guesses.add(Coordinate.of(row, col));
+        }
+      }
+      ['45', '54', '00'].forEach(cell => guesses.delete(Coordinate.from(cell)));
+
+      const cells = noEdge.makeVolley(3, guesses, playerBoard).map(move => String(move.coordinate)).sort();
+      expect(cells).toEqual(['00', '45', '54']);
+    });
+
+    test('should rule out the diagonals of every hit under no-contact', () => {
+      const noContact = new AIContext({ adjacency: 'no-contact' });
+      noContact.updateResult(true, '00');
+      expect(Array.from(noContact.ruledOut, String).sort()).toEqual(['11']);
+
+      const restored = new AIContext({ adjacency: 'no-contact' });
+      restored.restore(JSON.parse(JSON.stringify(noContact.toJSON())));
+      expect(restored.ruledOut).toEqual(noContact.ruledOut);
+
+      noContact.reset();
+      expect(noContact.ruledOut.size).toBe(0);
+    });
+  });
+
+  describe('ProbabilityStrategy', () => {
+    let strategy;
+    let playerBoard;
+    let previousGuesses;
+
+    const fire = (row, col, wasHit, wasSunk = false, sunkShip = null) => {
+      const coordinate = Coordinate.of(row, col);
+      previousGuesses.add(coordinate);
+      strategy.updateStrategy(coordinate, wasHit, wasSunk, sunkShip);
+    };
+
+    beforeEach(() => {
+      strategy = new ProbabilityStrategy([5, 4, 3, 3, 2]);
+      playerBoard = new GameBoard();
+      previousGuesses = new Set();
+    });
+
+    test('should open in the centre of an empty board', () => {
+      const move = strategy.makeMove(previousGuesses, playerBoard);
+
+      expect(move.strategy).toBe('ProbabilityStrategy');
+      expect(move.mode).toBe('hunt');
+      expect([4, 5]).toContain(move.coordinate.row);
+      expect([4, 5]).toContain(move.coordinate.col);
+    });
+
+    test('should target the neighbours of an open hit', () => {
+      fire(5, 5, true);
+
+      const move = strategy.makeMove(previousGuesses, playerBoard);
+
+      expect(move.mode).toBe('target');
+      expect(Math.abs(move.coordinate.row - 5) + Math.abs(move.coordinate.col - 5)).toBe(1);
+    });
+
+    test('should extend a line of hits', () => {
+      fire(5, 5, true);
+      fire(5, 6, true);
+
+      const move = strategy.makeMove(previousGuesses, playerBoard);
+
+      expect([Coordinate.of(5, 4), Coordinate.of(5, 7)]).toContain(move.coordinate);
+    });
+
+    test('should avoid cells that no remaining ship can cover', () => {
+      strategy = new ProbabilityStrategy([3]);
+      // Wall off the top-left 2x2 corner with misses
+      [[0, 2], [1, 2], [2, 0], [2, 1], [2, 2]].forEach(([row, col]) => fire(row, col, false));
+
+      for (let i = 0; i < 20; i++) {
+        const { row, col } = strategy.makeMove(previousGuesses, playerBoard).coordinate;
+        expect(row < 2 && col < 2).toBe(false);
+      }
+    });
+
+    test('should attribute sunk ships and drop them from the fleet', () => {
+      strategy = new ProbabilityStrategy([3, 2]);
+      fire(5, 5, true);
+      fire(5, 6, true, true, { name: 'Destroyer', length: 2 });
+
+      expect(strategy.remainingLengths).toEqual([3]);
+      expect(strategy.openHits.size).toBe(0);
+      expect(strategy.sunkCells.has(Coordinate.of(5, 5))).toBe(true);
+      expect(strategy.makeMove(previousGuesses, playerBoard).mode).toBe('hunt');
+    });
+
+    test('should keep hits that belong to a different ship open', () => {
+      strategy = new ProbabilityStrategy([3, 2]);
+      fire(5, 4, true);
+      fire(5, 5, true);
+      fire(5, 6, true, true, { name: 'Destroyer', length: 2 });
+
+      expect(strategy.remainingLengths).toEqual([3]);
+      expect(strategy.openHits).toEqual(new Set([Coordinate.of(5, 4)]));
+    });
+
+    test('should sink a whole fleet without repeating a shot', () => {
+      const ships = [
+        new Ship(['00', '01', '02', '03', '04']),
+        new Ship(['20', '30', '40', '50']),
+        new Ship(['77', '78', '79']),
+        new Ship(['95', '96', '97']),
+        new Ship(['55', '65'])
+      ];
+      ships.forEach(ship => playerBoard.placeShip(ship));
+
+      let shots = 0;
+      while (!playerBoard.areAllShipsSunk() && shots < 100) {
+        const { coordinate } = strategy.makeMove(previousGuesses, playerBoard);
+        expect(previousGuesses.has(coordinate)).toBe(false);
+        previousGuesses.add(coordinate);
+        const ship = playerBoard.getShipAt(coordinate);
+        if (ship) {
+          ship.hit(coordinate);
+        }
+        const sunk = Boolean(ship && ship.isSunk());
+        strategy.updateStrategy(coordinate, Boolean(ship), sunk, sunk ? { length: ship.getLength() } : null);
+        shots++;
+      }
+
+      expect(playerBoard.areAllShipsSunk()).toBe(true);
+      expect(shots).toBeLessThan(100);
+    });
+
+    test('should forget what it learned on reset', () => {
+      fire(5, 5, true, true, { length: 2 });
+      strategy.reset();
+
+      expect(strategy.remainingLengths).toEqual([5, 4, 3, 3, 2]);
+      expect(strategy.sunkCells.size).toBe(0);
+    });
   });
-}); 
\ No newline at end of file
+
+  describe('ParityHuntStrategy', () => {
+    let strategy;
+    let playerBoard;
+
+    beforeEach(() => {
+      strategy = new ParityHuntStrategy([5, 4, 3, 3, 2]);
+      playerBoard = new GameBoard();
+    });
+
+    test('should only search the lattice of the smallest surviving ship', () => {
+      expect(strategy.getParity()).toBe(2);
+
+      for (let i = 0; i < 20; i++) {
+        const { coordinate, mode } = strategy.makeMove(new Set(), playerBoard);
+        expect(mode).toBe('hunt');
+        expect((coordinate.row + coordinate.col) % 2).toBe(0);
+      }
+    });
+
+    test('should widen the lattice as the smallest ships are sunk', () => {
+      strategy.updateStrategy('00', true, true, { name: 'Destroyer', length: 2 });
+      expect(strategy.getParity()).toBe(3);
+      strategy.updateStrategy('55', true, false);
+      expect(strategy.getParity()).toBe(3);
+      strategy.updateStrategy('11', true, true, { name: 'Cruiser', length: 3 });
+      expect(strategy.getParity()).toBe(3);
+      strategy.updateStrategy('22', true, true, { name: 'Submarine', length: 3 });
+      expect(strategy.getParity()).toBe(4);
+
+      const { coordinate } = strategy.makeMove(new Set(), playerBoard);
+      expect((coordinate.row + coordinate.col) % 4).toBe(0);
+    });
+
+    test('should search the rest of the board once the lattice is exhausted', () => {
+      const previousGuesses = new Set();
+      for (let row = 0; row < 10; row++) {
+        for (let col = 0; col < 10; col++) {
+          if (row !== 9 || col !== 8) {
+            previousGuesses.add(Coordinate.of(row, col));
+          }
+        }
+      }
+
+      const move = strategy.makeMove(previousGuesses, playerBoard);
+      expect(move.coordinate).toBe(Coordinate.of(9, 8));
+      expect(move.strategy).toBe('ParityHuntStrategy');
+    });
+
+    test('should restore the full fleet on reset', () => {
+      strategy.updateStrategy('00', true, true, { name: 'Destroyer', length: 2 });
+      strategy.reset();
+      expect(strategy.remainingLengths).toEqual([5, 4, 3, 3, 2]);
+      expect(strategy.getParity()).toBe(2);
+    });
+  });
+
+  describe('Serialization', () => {
+    const roundTrip = value => JSON.parse(JSON.stringify(value));
+
+    test('should restore what each strategy has learned', () => {
+      const target = new TargetStrategy();
+      target.updateStrategy('55', true, false);
+      target.updateStrategy('56', true, false);
+      const restoredTarget = new TargetStrategy();
+      restoredTarget.restore(roundTrip(target));
+      expect(restoredTarget.openHits).toEqual([Coordinate.of(5, 5), Coordinate.of(5, 6)]);
+      expect(restoredTarget.targetQueue).toEqual(target.targetQueue);
+      expect(restoredTarget.hitHistory).toEqual(target.hitHistory);
+
+      const parity = new ParityHuntStrategy([3, 2]);
+      parity.updateStrategy('00', true, true, { name: 'Destroyer', length: 2 });
+      const restoredParity = new ParityHuntStrategy([3, 2]);
+      restoredParity.restore(roundTrip(parity));
+      expect(restoredParity.getParity()).toBe(3);
+
+      const probability = new ProbabilityStrategy([3, 2]);
+      probability.updateStrategy('44', true, false);
+      probability.updateStrategy('00', true, false);
+      probability.updateStrategy('01', true, true, { name: 'Destroyer', length: 2 });
+      const restoredProbability = new ProbabilityStrategy([3, 2]);
+      restoredProbability.restore(roundTrip(probability));
+      expect(restoredProbability.remainingLengths).toEqual([3]);
+      expect(Array.from(restoredProbability.openHits)).toEqual([Coordinate.of(4, 4)]);
+      expect(restoredProbability.sunkCells).toEqual(probability.sunkCells);
+    });
+
+    test('should restore the active strategy, history and stats of an AI context', () => {
+      const aiContext = new AIContext({ difficulty: 'hard', fleetLengths: [3, 2] });
+      const playerBoard = new GameBoard();
+      const guesses = new Set();
+      const move = aiContext.makeMove(guesses, playerBoard);
+      guesses.add(move.coordinate);
+      aiContext.updateResult(true, move.coordinate);
+
+      const data = roundTrip(aiContext);
+      expect(data.mode).toBe('target');
+      expect(data.moveHistory[0].coordinate).toBe(String(move.coordinate));
+
+      const restored = new AIContext({ difficulty: 'hard', fleetLengths: [3, 2] });
+      restored.restore(data);
+      expect(restored.currentStrategy).toBeInstanceOf(TargetStrategy);
+      expect(restored.huntStrategy).toBeInstanceOf(ParityHuntStrategy);
+      expect(restored.moveHistory[0].coordinate).toBe(move.coordinate);
+      expect(restored.getStats()).toEqual(aiContext.getStats());
+      expect(restored.toJSON()).toEqual(aiContext.toJSON());
+    });
+
+    test('should refuse to restore into a different difficulty', () => {
+      const data = new AIContext({ difficulty: 'easy' }).toJSON();
+      expect(() => new AIContext({ difficulty: 'expert', fleetLengths: [2] }).restore(data))
+        .toThrow("Cannot restore a 'easy' AI into a 'expert' AI");
+    });
+  });
+
+  describe('AIContext difficulty', () => {
+    test('should default to the normal hunt/target AI', () => {
+      expect(new AIContext().difficulty).toBe('normal');
+    });
+
+    test('should use the probability density strategy on expert', () => {
+      const aiContext = new AIContext({ difficulty: 'expert', fleetLengths: [3, 2] });
+      const playerBoard = new GameBoard();
+
+      const move = aiContext.makeMove(new Set(), playerBoard);
+      aiContext.updateResult(true, move.coordinate);
+
+      expect(aiContext.currentStrategy).toBeInstanceOf(ProbabilityStrategy);
+      expect(aiContext.currentStrategy.openHits.has(move.coordinate)).toBe(true);
+      expect(aiContext.getStats().hits).toBe(1);
+
+      aiContext.reset();
+      expect(aiContext.currentStrategy).toBeInstanceOf(ProbabilityStrategy);
+      expect(aiContext.currentStrategy.openHits.size).toBe(0);
+    });
+
+    test('should reject unknown difficulties', () => {
+      expect(() => new AIContext({ difficulty: 'godlike' })).toThrow("Unknown AI difficulty 'godlike'");
+    });
+
+    test('should offer the difficulties accepted by the configuration', () => {
+      const ConfigSchema = jest.requireActual('../src/config/ConfigSchema');
+      expect(AIContext.DIFFICULTIES).toEqual(ConfigSchema.getEntry('difficulty').values);
+    });
+
+    test('should keep hunting at random on easy', () => {
+      const aiContext = new AIContext({ difficulty: 'easy' });
+      aiContext.updateResult(true, '55');
+
+      expect(aiContext.hasTargetMode()).toBe(false);
+      expect(aiContext.currentStrategy).toBeInstanceOf(HuntStrategy);
+      expect(aiContext.makeMove(new Set([Coordinate.of(5, 5)]), new GameBoard()).mode).toBe('hunt');
+    });
+
+    test.each(['normal', 'hard'])('should switch between hunt and target on %s', (difficulty) => {
+      const aiContext = new AIContext({ difficulty });
+      aiContext.updateResult(true, '55');
+      expect(aiContext.currentStrategy).toBeInstanceOf(TargetStrategy);
+
+      aiContext.reset();
+      expect(aiContext.currentStrategy).toBeInstanceOf(HuntStrategy);
+    });
+
+    test('should hunt on the parity lattice on hard and remember sinks made while targeting', () => {
+      const aiContext = new AIContext({ difficulty: 'hard', fleetLengths: [3, 2] });
+      expect(aiContext.currentStrategy).toBeInstanceOf(ParityHuntStrategy);
+
+      aiContext.updateResult(true, '00');
+      aiContext.updateResult(true, '01', true, { name: 'Destroyer', length: 2 });
+
+      expect(aiContext.currentStrategy).toBeInstanceOf(ParityHuntStrategy);
+      expect(aiContext.currentStrategy.getParity()).toBe(3);
+    });
+  });
+});
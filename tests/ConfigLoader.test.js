@@ -0,0 +1,152 @@
+/**
+ * ConfigLoader Tests - File, environment and CLI configuration layers
+ *
+ * @module tests/ConfigLoader
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/config/ConfigLoader');
+
+describe('ConfigLoader', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs', () => {
+    test('should split command, positionals and options', () => {
+      expect(ConfigLoader.parseArgs(['play', 'extra', '--board-size', '8', '--num-ships=2', '--verbose', '--no-color']))
+        .toEqual({
+          command: 'play',
+          positionals: ['extra'],
+          options: { boardSize: '8', numShips: '2', verbose: true, color: false }
+        });
+    });
+
+    test('should treat everything after -- as positional', () => {
+      expect(ConfigLoader.parseArgs(['--', '--board-size'])).toEqual({
+        command: '--board-size',
+        positionals: [],
+        options: {}
+      });
+    });
+  });
+
+  describe('parseYaml', () => {
+    test('should parse nested mappings, lists and comments', () => {
+      const yaml = [
+        '# Sea battle settings',
+        'boardSize: 8   # smaller board',
+        'shipPatterns:',
+        '  - length: 4',
+        '    pattern: vertical',
+        '  - length: 2',
+        'symbols:',
+        '  water: "."',
+        'tags: [a, b]'
+      ].join('\n');
+
+      expect(ConfigLoader.parseYaml(yaml)).toEqual({
+        boardSize: 8,
+        shipPatterns: [{ length: 4, pattern: 'vertical' }, { length: 2 }],
+        symbols: { water: '.' },
+        tags: ['a', 'b']
+      });
+    });
+
+    test('should report malformed lines with line numbers', () => {
+      expect(() => ConfigLoader.parseYaml('boardSize: 8\nnot a mapping')).toThrow('Line 2');
+      expect(() => ConfigLoader.parseYaml('boardSize: 8\n    numShips: 2')).toThrow('Line 2: unexpected indentation');
+    });
+  });
+
+  describe('layers', () => {
+    test('should read SEA_BATTLE_* environment variables for scalar keys', () => {
+      expect(ConfigLoader.fromEnv({
+        SEA_BATTLE_BOARD_SIZE: '8',
+        SEA_BATTLE_MESSAGES: 'ignored',
+        HOME: '/root'
+      })).toEqual({ boardSize: 8 });
+    });
+
+    test('should read CLI options for scalar keys', () => {
+      expect(ConfigLoader.fromOptions({ numShips: '4', verbose: true })).toEqual({ numShips: 4 });
+    });
+
+    test('should read the AI difficulty from env and CLI', () => {
+      expect(ConfigLoader.fromEnv({ SEA_BATTLE_DIFFICULTY: 'easy' })).toEqual({ difficulty: 'easy' });
+      const { options } = ConfigLoader.parseArgs(['--difficulty=expert']);
+      expect(ConfigLoader.fromOptions(options)).toEqual({ difficulty: 'expert' });
+    });
+
+    test('should read the coordinate format from env and CLI', () => {
+      expect(ConfigLoader.fromEnv({ SEA_BATTLE_COORDINATE_FORMAT: 'digits' })).toEqual({ coordinateFormat: 'digits' });
+      const { options } = ConfigLoader.parseArgs(['--coordinate-format', 'classic']);
+      expect(ConfigLoader.fromOptions(options)).toEqual({ coordinateFormat: 'classic' });
+    });
+
+    test('should read JSON and YAML config files', () => {
+      const jsonFile = path.join(tmpDir, 'game.json');
+      const yamlFile = path.join(tmpDir, 'game.yml');
+      fs.writeFileSync(jsonFile, JSON.stringify({ boardSize: 7 }));
+      fs.writeFileSync(yamlFile, 'boardSize: 6\n');
+
+      expect(ConfigLoader.readConfigFile(jsonFile)).toEqual({ boardSize: 7 });
+      expect(ConfigLoader.readConfigFile(yamlFile)).toEqual({ boardSize: 6 });
+    });
+
+    test('should explain unreadable and unparsable files', () => {
+      const badFile = path.join(tmpDir, 'bad.json');
+      fs.writeFileSync(badFile, '{ nope');
+
+      expect(() => ConfigLoader.readConfigFile(path.join(tmpDir, 'missing.json'))).toThrow('Cannot read config file');
+      expect(() => ConfigLoader.readConfigFile(badFile)).toThrow('Cannot parse config file');
+    });
+
+    test('should give CLI flags priority over env vars over the config file', () => {
+      fs.writeFileSync(path.join(tmpDir, 'sea-battle.config.json'), JSON.stringify({
+        boardSize: 6,
+        numShips: 1,
+        shipLength: 2,
+        symbols: { water: '.' }
+      }));
+
+      const { overrides, configFile } = ConfigLoader.load({
+        argv: ['--board-size', '9'],
+        env: { SEA_BATTLE_BOARD_SIZE: '7', SEA_BATTLE_NUM_SHIPS: '2' },
+        cwd: tmpDir
+      });
+
+      expect(configFile).toBe(path.join(tmpDir, 'sea-battle.config.json'));
+      expect(overrides).toEqual({ boardSize: 9, numShips: 2, shipLength: 2, symbols: { water: '.' } });
+    });
+
+    test('should use --config over SEA_BATTLE_CONFIG', () => {
+      fs.writeFileSync(path.join(tmpDir, 'a.json'), JSON.stringify({ boardSize: 5 }));
+      fs.writeFileSync(path.join(tmpDir, 'b.json'), JSON.stringify({ boardSize: 4 }));
+
+      const { overrides } = ConfigLoader.load({
+        argv: ['--config', 'a.json'],
+        env: { SEA_BATTLE_CONFIG: 'b.json' },
+        cwd: tmpDir
+      });
+      expect(overrides.boardSize).toBe(5);
+    });
+
+    test('should let a higher-layer fleet size replace a fleet listed in the file', () => {
+      fs.writeFileSync(path.join(tmpDir, 'sea-battle.config.json'), JSON.stringify({
+        shipPatterns: [{ length: 4 }, { length: 2 }]
+      }));
+
+      const { overrides } = ConfigLoader.load({ argv: ['--num-ships', '5'], env: {}, cwd: tmpDir });
+      expect(overrides).toEqual({ numShips: 5 });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * ConfigSchema Tests - Schema validation and fleet fit checks
+ *
+ * @module tests/ConfigSchema
+ */
+
+const ConfigSchema = require('../src/config/ConfigSchema');
+const GameConfig = require('../src/config/GameConfig');
+const GameBoard = require('../src/entities/GameBoard');
+
+describe('ConfigSchema', () => {
+  const validSettings = () => JSON.parse(JSON.stringify(GameConfig.DEFAULT_SETTINGS));
+
+  test('should accept the default settings', () => {
+    expect(ConfigSchema.validate(validSettings())).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('should list scalar keys settable from env and CLI', () => {
+    expect(ConfigSchema.getScalarKeys()).toEqual(expect.arrayContaining(['boardSize', 'numShips', 'shipLength']));
+    expect(ConfigSchema.getScalarKeys()).not.toContain('messages');
+  });
+
+  test('should coerce raw strings by schema type', () => {
+    expect(ConfigSchema.coerceValue('boardSize', ' 8 ')).toBe(8);
+    expect(ConfigSchema.coerceValue('boardSize', 'eight')).toBe('eight');
+    expect(ConfigSchema.coerceValue('unknown', '8')).toBe('8');
+  });
+
+  test('should report type and range errors', () => {
+    const settings = { ...validSettings(), boardSize: 1.5 };
+    expect(ConfigSchema.validate(settings).errors).toContain("'boardSize' must be an integer, got 1.5");
+
+    settings.boardSize = 27;
+    expect(ConfigSchema.validate(settings).errors).toContain("'boardSize' must be at most 26, got 27");
+  });
+
+  test('should validate each ship pattern', () => {
+    const settings = { ...validSettings(), shipPatterns: [{ length: 0 }, { length: 2, pattern: 'diagonal' }, { name: ' ', length: 2 }] };
+    const { isValid, errors } = ConfigSchema.validate(settings);
+    expect(isValid).toBe(false);
+    expect(errors).toContain('shipPatterns[2].name must be a non-empty string');
+    expect(errors).toContain('shipPatterns[0].length must be a positive integer');
+    expect(errors).toContain('shipPatterns[1].pattern must be one of horizontal, vertical');
+  });
+
+  test('should reject ships longer than the board', () => {
+    const settings = { ...validSettings(), boardSize: 4, shipPatterns: [{ length: 5 }] };
+    expect(ConfigSchema.validate(settings).errors).toEqual(['Ship 1 has length 5 but the board is only 4x4']);
+  });
+
+  test('should reject fleets that fit by cell count but cannot be arranged', () => {
+    // A 6x6 board cannot be tiled with 1x4 ships even though 9 x 4 = 36 cells
+    const settings = { ...validSettings(), boardSize: 6, shipPatterns: Array(9).fill({ length: 4 }) };
+    expect(ConfigSchema.validate(settings).errors).toEqual([
+      'Fleet of 9 ships (4, 4, 4, 4, 4, 4, 4, 4, 4) cannot be arranged on a 6x6 board'
+    ]);
+  });
+
+  test('should find arrangements by backtracking', () => {
+    expect(ConfigSchema.canFleetFit(3, [3, 3, 3])).toBe(true);
+    expect(ConfigSchema.canFleetFit(3, [3, 2, 2, 2])).toBe(true);
+    expect(ConfigSchema.canFleetFit(10, [5, 4, 3, 3, 2])).toBe(true);
+    expect(ConfigSchema.canFleetFit(6, Array(9).fill(4))).toBe(false);
+  });
+
+  test('should leave room between ships under adjacency rules', () => {
+    expect(ConfigSchema.canFleetFit(3, [3, 3, 3], 'no-edge')).toBe(false);
+    expect(ConfigSchema.canFleetFit(3, [3, 3], 'no-edge')).toBe(true);
+    expect(ConfigSchema.canFleetFit(3, [3, 3], 'no-contact')).toBe(true);
+    expect(ConfigSchema.canFleetFit(3, [2, 2, 1], 'no-contact')).toBe(false);
+    expect(ConfigSchema.canFleetFit(10, [5, 4, 3, 3, 2], 'no-contact')).toBe(true);
+    expect(ConfigSchema.getEntry('adjacency').values).toEqual(GameBoard.ADJACENCY_RULES);
+  });
+
+  test('should only accept known coordinate formats', () => {
+    const settings = { ...validSettings(), coordinateFormat: 'hex' };
+    expect(ConfigSchema.validate(settings).errors).toEqual([
+      "'coordinateFormat' must be one of classic, digits, got \"hex\""
+    ]);
+    expect(ConfigSchema.getScalarKeys()).toContain('coordinateFormat');
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * ConsoleGame Tests - Terminal front-end over the headless engine
+ *
+ * @module tests/ConsoleGame
+ */
+
+const mockReadline = {
+  question: jest.fn(),
+  close: jest.fn()
+};
+
+jest.mock('readline', () => ({
+  createInterface: jest.fn().mockReturnValue(mockReadline)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConsoleGame = require('../src/ui/ConsoleGame');
+const SaveGame = require('../src/game/SaveGame');
+const Replay = require('../src/game/Replay');
+const Game = require('../src/game/Game');
+const GameConfig = require('../src/config/GameConfig');
+const Coordinate = require('../src/entities/Coordinate');
+
+describe('ConsoleGame', () => {
+  let consoleGame;
+  let consoleSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    consoleGame = new ConsoleGame();
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('should wrap a headless engine', () => {
+    expect(consoleGame.game).toBeInstanceOf(Game);
+    expect(require('readline').createInterface).toHaveBeenCalledTimes(1);
+  });
+
+  test('should read player input through readline', async () => {
+    mockReadline.question.mockImplementationOnce((_, callback) => callback(' 22 '));
+    const input = await consoleGame.game.requestPlayerInput();
+    expect(input).toBe('22');
+  });
+
+  test('should ask for placement commands during ship placement', async () => {
+    mockReadline.question.mockImplementationOnce((_, callback) => callback('00 h'));
+    const input = await consoleGame.game.requestPlayerInput({ phase: 'placement' });
+    expect(input).toBe('00 h');
+    expect(mockReadline.question).toHaveBeenCalledWith('Start and orientation (e.g. 00 H), or rotate, random, undo, confirm: ', expect.any(Function));
+  });
+
+  test('should ask for a whole volley in Salvo', async () => {
+    mockReadline.question.mockImplementationOnce((_, callback) => callback('00 11 22'));
+    const input = await consoleGame.game.requestPlayerInput({ phase: 'volley', shots: 3 });
+    expect(input).toBe('00 11 22');
+    expect(mockReadline.question).toHaveBeenCalledWith('Fire 3 shots, separated by spaces (e.g. 00 34): ', expect.any(Function));
+  });
+
+  test('should prompt with classic examples in classic notation', async () => {
+    GameConfig.configure({ coordinateFormat: 'classic' });
+    try {
+      const classic = new ConsoleGame();
+      mockReadline.question.mockImplementationOnce((_, callback) => callback('b 7'));
+      const input = await classic.game.requestPlayerInput();
+      expect(input).toBe('b 7');
+      expect(mockReadline.question).toHaveBeenCalledWith('Enter coordinates (e.g. B7): ', expect.any(Function));
+    } finally {
+      GameConfig.configure();
+    }
+  });
+
+  test('should announce the turn rule and bonus turns', () => {
+    consoleGame.game.notify('gameStart', { playerNumShips: 5, cpuNumShips: 5, turnRule: 'again-on-sink' });
+    consoleGame.game.notify('bonusTurn', { player: 'player', rule: 'again-on-sink' });
+    consoleGame.game.notify('bonusTurn', { player: 'cpu', rule: 'again-on-sink' });
+
+    expect(consoleSpy).toHaveBeenCalledWith('Turn rule: sinking a ship earns another turn.');
+    expect(consoleSpy).toHaveBeenCalledWith('Bonus turn! You fire again.');
+    expect(consoleSpy).toHaveBeenCalledWith('The CPU earned a bonus turn.');
+  });
+
+  test('should summarise Salvo volleys, then the ships they sank', () => {
+    consoleGame.game.variant = 'salvo';
+    consoleGame.game.notify('gameStart', { playerNumShips: 5, cpuNumShips: 5, variant: 'salvo' });
+    expect(consoleSpy).toHaveBeenCalledWith('Salvo rules: each turn you fire one shot per ship you have afloat, all at once.');
+    consoleSpy.mockClear();
+
+    consoleGame.game.notify('playerHit', { coordinate: Coordinate.of(0, 0) });
+    consoleGame.game.notify('shipSunk', { player: 'player', ship: 'Destroyer' });
+    consoleGame.game.notify('playerMiss', { coordinate: Coordinate.of(1, 1) });
+    consoleGame.game.notify('volleyComplete', {
+      player: 'player',
+      results: [{ coordinate: Coordinate.of(0, 0), hit: true }, { coordinate: Coordinate.of(1, 1), hit: false }],
+      hits: 1,
+      misses: 1,
+      sunkShips: ['Destroyer']
+    });
+    consoleGame.game.notify('cpuHit', { coordinate: Coordinate.of(2, 2) });
+    consoleGame.game.notify('shipSunk', { player: 'cpu', ship: 'Cruiser' });
+    consoleGame.game.notify('cpuMiss', { coordinate: Coordinate.of(3, 3) });
+    consoleGame.game.notify('cpuMiss', { coordinate: Coordinate.of(4, 4) });
+    consoleGame.game.notify('volleyComplete', {
+      player: 'cpu',
+      results: [{ coordinate: Coordinate.of(2, 2), hit: true }, { coordinate: Coordinate.of(3, 3), hit: false }, { coordinate: Coordinate.of(4, 4), hit: false }],
+      hits: 1,
+      misses: 2,
+      sunkShips: ['Cruiser']
+    });
+
+    expect(consoleSpy.mock.calls.map(call => call[0])).toEqual([
+      'Your volley: 00 HIT, 11 miss',
+      'You sank their Destroyer!',
+      'CPU volley: 22 HIT, 33 miss, 44 miss (1 hit, 2 misses).',
+      'The CPU sank your Cruiser!'
+    ]);
+  });
+
+  test('should render the placement phase', () => {
+    consoleGame.game.notify('placementTurn', { ship: 'Cruiser', length: 3, orientation: 'vertical', remaining: 3 });
+    consoleGame.game.notify('shipPlaced', { ship: 'Cruiser', locations: [Coordinate.of(0, 0), Coordinate.of(1, 0), Coordinate.of(2, 0)] });
+    consoleGame.game.notify('invalidPlacement', { message: 'Cannot place the Destroyer at 00', reasons: ['Position 00 overlaps with the Cruiser'] });
+    consoleGame.game.notify('placementTurn', { ship: null, length: 0, orientation: 'vertical', remaining: 0 });
+
+    expect(consoleSpy).toHaveBeenCalledWith('\nYour Board:');
+    expect(consoleSpy).toHaveBeenCalledWith('\nPlace your Cruiser (3 cells). Current orientation: vertical.');
+    expect(consoleSpy).toHaveBeenCalledWith('Cruiser placed at 00-20.');
+    expect(consoleSpy).toHaveBeenCalledWith('Cannot place the Destroyer at 00');
+    expect(consoleSpy).toHaveBeenCalledWith('  - Position 00 overlaps with the Cruiser');
+    expect(consoleSpy).toHaveBeenCalledWith("\nAll ships placed. Type 'confirm' to start the battle or 'undo' to move a ship.");
+  });
+
+  test('should display both boards', () => {
+    consoleGame.displayBoards();
+    expect(consoleSpy).toHaveBeenCalledWith('\nPlayer Board:');
+    expect(consoleSpy).toHaveBeenCalledWith('\nCPU Board:');
+  });
+
+  test('should list the ship classes still afloat', async () => {
+    await consoleGame.game.initialize();
+    const cruiser = consoleGame.game.cpuBoard.getShips().find(ship => ship.name === 'Cruiser');
+    cruiser.locations.forEach(location => cruiser.hit(location));
+
+    consoleGame.displayFleetStatus();
+
+    expect(consoleSpy).toHaveBeenCalledWith('\nEnemy ships afloat: Carrier, Battleship, Submarine, Destroyer');
+    expect(consoleSpy).toHaveBeenCalledWith('Your ships afloat: Carrier, Battleship, Cruiser, Submarine, Destroyer');
+  });
+
+  test('should announce the game and the CPU difficulty', () => {
+    consoleGame.game.notify('gameStart', { playerNumShips: 5, cpuNumShips: 5, difficulty: 'hard' });
+
+    expect(consoleSpy).toHaveBeenCalledWith('Try to sink the 5 enemy ships.');
+    expect(consoleSpy).toHaveBeenCalledWith('CPU difficulty: hard');
+  });
+
+  test('should print the seed so the game can be replayed', () => {
+    consoleGame.game.notify('gameStart', { playerNumShips: 5, cpuNumShips: 5, difficulty: 'normal', seed: 1234 });
+
+    expect(consoleSpy).toHaveBeenCalledWith('Seed: 1234 (replay this game with --seed 1234)');
+  });
+
+  test('should start the engine from the given seed', () => {
+    const seeded = new ConsoleGame({ seed: '4321' });
+    expect(seeded.game.seed).toBe(4321);
+  });
+
+  test('should render engine events', () => {
+    consoleGame.game.notify('playerHit', { coordinate: '22' });
+    consoleGame.game.notify('shipSunk', { player: 'player', ship: 'Cruiser' });
+    consoleGame.game.notify('shipSunk', { player: 'cpu', ship: 'Destroyer' });
+    consoleGame.game.notify('cpuMiss', { coordinate: '33' });
+    consoleGame.game.notify('invalidMove', { message: 'You already guessed that location!' });
+
+    expect(consoleSpy).toHaveBeenCalledWith('PLAYER HIT!');
+    expect(consoleSpy).toHaveBeenCalledWith('You sank their Cruiser!');
+    expect(consoleSpy).toHaveBeenCalledWith('The CPU sank your Destroyer!');
+    expect(consoleSpy).toHaveBeenCalledWith('CPU MISS at 33.');
+    expect(consoleSpy).toHaveBeenCalledWith('You already guessed that location!');
+  });
+
+  test('should render the final result and statistics', () => {
+    consoleGame.game.endGame('player');
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** CONGRATULATIONS! You sunk all enemy battleships! ***');
+    expect(consoleSpy).toHaveBeenCalledWith('\nGame Statistics:');
+    expect(consoleSpy).toHaveBeenCalledWith('Total Turns: 0');
+  });
+
+  test('should report a game ended by an error', () => {
+    const ended = jest.fn();
+    consoleGame.game.on('gameEnded', ended);
+
+    consoleGame.game.endGame(null);
+
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ winner: null, error: true }));
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** GAME ENDED DUE TO AN ERROR ***');
+  });
+
+  test('should play until the game is over and close readline', async () => {
+    await consoleGame.game.initialize();
+    const targets = consoleGame.game.cpuBoard.getShips().flatMap(ship => ship.locations.map(String));
+    consoleGame.game.playerNumShips = Infinity;
+    mockReadline.question.mockImplementation((_, callback) => callback(targets.shift()));
+
+    await consoleGame.start();
+
+    expect(consoleGame.game.getWinner()).toBe('player');
+    expect(consoleGame.game.currentState.getName()).toBe('GameOver');
+    expect(consoleSpy).toHaveBeenCalledWith('\nCPU is thinking...');
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** CONGRATULATIONS! You sunk all enemy battleships! ***');
+    expect(mockReadline.close).toHaveBeenCalled();
+  });
+
+  test('should quit gracefully without exiting the process', () => {
+    const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    consoleGame.quit();
+    expect(consoleGame.game.stopped).toBe(true);
+    expect(mockReadline.close).toHaveBeenCalled();
+    expect(consoleSpy).toHaveBeenCalledWith('Thanks for playing!');
+    expect(exitSpy).not.toHaveBeenCalled();
+    exitSpy.mockRestore();
+  });
+
+  test('should stop the game when the player types quit', async () => {
+    mockReadline.question.mockImplementationOnce((_, callback) => callback('quit'));
+
+    await consoleGame.start();
+
+    expect(consoleGame.game.stopped).toBe(true);
+    expect(consoleGame.game.playerGuesses.size).toBe(0);
+    expect(consoleSpy).toHaveBeenCalledWith('Thanks for playing!');
+  });
+
+  describe('Saving, resuming and recording', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-console-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should save at the prompt and keep asking for a coordinate', async () => {
+      const file = path.join(dir, 'game.json');
+      await consoleGame.game.initialize();
+      mockReadline.question
+        .mockImplementationOnce((_, callback) => callback(`save ${file}`))
+        .mockImplementationOnce((_, callback) => callback('B7'));
+
+      const input = await consoleGame.requestPlayerInput();
+
+      expect(input).toBe('B7');
+      expect(fs.existsSync(file)).toBe(true);
+      expect(consoleSpy).toHaveBeenCalledWith(`Game saved to ${file}. Continue it with: sea-battle --resume ${file}`);
+    });
+
+    test('should remind the player to name the bot again when resuming', async () => {
+      const file = path.join(dir, 'bot.json');
+      await consoleGame.game.initialize();
+      consoleGame.game.aiContext.custom = true;
+
+      consoleGame.saveGame(file);
+
+      expect(consoleSpy).toHaveBeenCalledWith(`Game saved to ${file}. Continue it with: sea-battle --resume ${file} and the same --bot or --bot-plugin option`);
+    });
+
+    test('should report save failures and keep playing', async () => {
+      const file = path.join(dir, 'missing', 'game.json');
+      await consoleGame.game.initialize();
+      mockReadline.question
+        .mockImplementationOnce((_, callback) => callback(`save ${file}`))
+        .mockImplementationOnce((_, callback) => callback('B7'));
+
+      await expect(consoleGame.requestPlayerInput()).resolves.toBe('B7');
+      expect(errorSpy).toHaveBeenCalledWith('Save failed:', expect.stringContaining(`Cannot write save file ${file}`));
+    });
+
+    test('should write the replay file when the game is quit', async () => {
+      const file = path.join(dir, 'game.replay.json');
+      const recording = new ConsoleGame({ record: file });
+      await recording.game.initialize();
+      await recording.game.processPlayerMove('00');
+
+      recording.quit();
+
+      expect(Replay.load(file).shots).toHaveLength(1);
+      expect(consoleSpy).toHaveBeenCalledWith(`Replay saved to ${file}. Watch it with: sea-battle replay ${file}`);
+    });
+
+    test('should write the replay file when the game ends', async () => {
+      const file = path.join(dir, 'game.replay.json');
+      const recording = new ConsoleGame({ record: file });
+      await recording.game.initialize();
+
+      recording.game.endGame('player');
+
+      expect(fs.existsSync(file)).toBe(true);
+    });
+
+    test('should export the player fleet layout at the prompt', async () => {
+      const file = path.join(dir, 'layout.txt');
+      await consoleGame.game.initialize();
+      mockReadline.question
+        .mockImplementationOnce((_, callback) => callback(`fleet ${file}`))
+        .mockImplementationOnce((_, callback) => callback('B7'));
+
+      await expect(consoleGame.requestPlayerInput()).resolves.toBe('B7');
+      expect(fs.readFileSync(file, 'utf8')).toBe(consoleGame.game.playerBoard.toFleetLayout());
+      expect(consoleSpy).toHaveBeenCalledWith(`Fleet layout saved to ${file}. Reuse it with: sea-battle --player-fleet ${file}`);
+    });
+
+    test('should start from the given fleet layouts', async () => {
+      const layout = 'Carrier 00 H\nBattleship 20 H\nCruiser 40 H\nSubmarine 60 H\nDestroyer 80 H\n';
+      const laidOut = new ConsoleGame({ playerFleet: layout, cpuFleet: layout });
+      await laidOut.game.initialize();
+
+      expect(laidOut.game.playerBoard.toFleetLayout()).toBe(layout);
+      expect(laidOut.game.cpuBoard.toFleetLayout()).toBe(layout);
+    });
+
+    test('should resume a saved game', async () => {
+      const file = path.join(dir, 'game.json');
+      await consoleGame.game.initialize();
+      SaveGame.save(consoleGame.game, file);
+
+      const resumed = new ConsoleGame({ resume: file });
+
+      expect(resumed.game.seed).toBe(consoleGame.game.seed);
+      expect(resumed.game.cpuBoard.toJSON()).toEqual(consoleGame.game.cpuBoard.toJSON());
+    });
+  });
+});
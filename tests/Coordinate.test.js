@@ -0,0 +1,120 @@
+/**
+ * Coordinate Tests - Value object parsing, interning and formatting
+ *
+ * @module tests/Coordinate
+ */
+
+const Coordinate = require('../src/entities/Coordinate');
+
+describe('Coordinate', () => {
+  test('should intern instances so equal coordinates are identical', () => {
+    expect(Coordinate.of(3, 4)).toBe(Coordinate.of(3, 4));
+    expect(new Set([Coordinate.of(1, 2), Coordinate.of(1, 2)]).size).toBe(1);
+    expect([Coordinate.of(25, 25)]).toContain(Coordinate.of(25, 25));
+  });
+
+  test('should only intern cells within reach of a board', () => {
+    const far = Coordinate.parse('A99999', 'classic');
+
+    expect(Coordinate.of(-1, 26)).toBe(Coordinate.of(-1, 26));
+    expect(far).not.toBe(Coordinate.parse('A99999', 'classic'));
+    expect(far.equals(Coordinate.of(0, 99998))).toBe(true);
+    expect(far.isWithin(Coordinate.MAX_BOARD_SIZE)).toBe(false);
+  });
+
+  test('should be immutable', () => {
+    const coordinate = Coordinate.of(1, 1);
+    expect(Object.isFrozen(coordinate)).toBe(true);
+  });
+
+  test('should reject non-integer parts', () => {
+    expect(() => Coordinate.of(1.5, 2)).toThrow('Invalid coordinate: 1.5, 2');
+    expect(() => Coordinate.of('1', 2)).toThrow('Invalid coordinate');
+  });
+
+  test('should parse two-digit and row,col strings', () => {
+    expect(Coordinate.parse('34')).toBe(Coordinate.of(3, 4));
+    expect(Coordinate.parse('3,12')).toBe(Coordinate.of(3, 12));
+    expect(Coordinate.parse(' 12 , 25 ')).toBe(Coordinate.of(12, 25));
+    expect(Coordinate.parse('12 25')).toBe(Coordinate.of(12, 25));
+  });
+
+  test('should return null for unrecognised strings', () => {
+    ['', '1', '123', 'AA', '3,', ',4', '-1,2', null, 34].forEach(input => {
+      expect(Coordinate.parse(input)).toBeNull();
+    });
+  });
+
+  test('should read the row and column without creating a coordinate', () => {
+    const of = jest.spyOn(Coordinate, 'of');
+
+    expect(Coordinate.read('3,99999999')).toEqual({ row: 3, col: 99999999 });
+    expect(Coordinate.read('b 7', 'classic')).toEqual({ row: 1, col: 6 });
+    expect(Coordinate.read('B7')).toBeNull();
+    expect(of).not.toHaveBeenCalled();
+    of.mockRestore();
+  });
+
+  test('should normalise every supported representation', () => {
+    const expected = Coordinate.of(2, 11);
+    expect(Coordinate.from(expected)).toBe(expected);
+    expect(Coordinate.from('2,11')).toBe(expected);
+    expect(Coordinate.from([2, 11])).toBe(expected);
+    expect(Coordinate.from({ row: 2, col: 11 })).toBe(expected);
+    expect(Coordinate.from({ row: 2 })).toBeNull();
+    expect(Coordinate.from(undefined)).toBeNull();
+  });
+
+  test('should format so that strings parse back to the same coordinate', () => {
+    expect(String(Coordinate.of(3, 4))).toBe('34');
+    expect(String(Coordinate.of(3, 12))).toBe('3,12');
+    expect(String(Coordinate.of(10, 0))).toBe('10,0');
+    expect(JSON.stringify([Coordinate.of(0, 9)])).toBe('["09"]');
+
+    for (let row = 0; row < 26; row++) {
+      for (let col = 0; col < 26; col++) {
+        const coordinate = Coordinate.of(row, col);
+        expect(Coordinate.parse(coordinate.toString())).toBe(coordinate);
+      }
+    }
+  });
+
+  test('should offset and check board bounds', () => {
+    const corner = Coordinate.of(25, 25);
+    expect(corner.isWithin(26)).toBe(true);
+    expect(corner.isWithin(10)).toBe(false);
+    expect(corner.offset(1, 0).isWithin(26)).toBe(false);
+    expect(corner.offset(-25, -25)).toBe(Coordinate.of(0, 0));
+    expect(Coordinate.of(0, 0).offset(-1, 0).isWithin(26)).toBe(false);
+  });
+
+  test('should list neighbouring cells', () => {
+    expect(Coordinate.of(5, 5).neighbours().map(String)).toEqual(['45', '54', '56', '65']);
+    expect(Coordinate.of(5, 5).neighbours(true)).toHaveLength(8);
+    expect(Coordinate.of(0, 0).neighbours()[0].isWithin(10)).toBe(false);
+  });
+
+  test('should compare with other representations', () => {
+    expect(Coordinate.of(5, 5).equals('55')).toBe(true);
+    expect(Coordinate.of(5, 5).equals([5, 6])).toBe(false);
+    expect(Coordinate.of(5, 5).equals('nonsense')).toBe(false);
+  });
+
+  test('should parse classic letter-number notation', () => {
+    expect(Coordinate.parse('A1', 'classic')).toBe(Coordinate.of(0, 0));
+    expect(Coordinate.parse('J10', 'classic')).toBe(Coordinate.of(9, 9));
+    expect(Coordinate.parse('b 7', 'classic')).toBe(Coordinate.of(1, 6));
+    expect(Coordinate.parse('  z26 ', 'classic')).toBe(Coordinate.of(25, 25));
+    ['34', 'A0', 'AA', '7B', 'A-1', ''].forEach(input => {
+      expect(Coordinate.parse(input, 'classic')).toBeNull();
+    });
+  });
+
+  test('should format in classic notation', () => {
+    expect(Coordinate.of(1, 6).format('classic')).toBe('B7');
+    expect(Coordinate.of(9, 9).format('classic')).toBe('J10');
+    expect(Coordinate.of(3, 12).format()).toBe('3,12');
+    expect(Coordinate.rowLabel(25)).toBe('Z');
+    expect(Coordinate.from('c3', 'classic').format('classic')).toBe('C3');
+  });
+});
@@ -15,6 +15,7 @@ const {
 
 const Ship = require('../src/entities/Ship');
 const GameBoard = require('../src/entities/GameBoard');
+const Coordinate = require('../src/entities/Coordinate');
 
 jest.mock('../src/config/GameConfig', () => {
   return jest.fn().mockImplementation(() => ({
@@ -109,7 +110,7 @@ describe('Extended Commands', () => {
       
       expect(result).toBe(true);
       expect(command.wasHit).toBe(true);
-      expect(gameState.playerGuesses.has('55')).toBe(true);
+      expect(gameState.playerGuesses.has(Coordinate.of(5, 5))).toBe(true);
       expect(command.executedAt).toBeInstanceOf(Date);
     });
 
@@ -119,7 +120,7 @@ describe('Extended Commands', () => {
       
       expect(result).toBe(false);
       expect(command.wasHit).toBe(false);
-      expect(gameState.playerGuesses.has('00')).toBe(true);
+      expect(gameState.playerGuesses.has(Coordinate.of(0, 0))).toBe(true);
     });
 
     test('should handle ship sunk', () => {
@@ -143,7 +144,7 @@ describe('Extended Commands', () => {
       const undoResult = command.undo();
       
       expect(undoResult).toBe(true);
-      expect(gameState.playerGuesses.has('55')).toBe(false);
+      expect(gameState.playerGuesses.has(Coordinate.of(5, 5))).toBe(false);
     });
 
     test('should fail undo without previous state', () => {
@@ -199,7 +200,7 @@ describe('Extended Commands', () => {
       
       expect(result).toBe(true);
       expect(command.wasHit).toBe(true);
-      expect(gameState.cpuGuesses.has('33')).toBe(true);
+      expect(gameState.cpuGuesses.has(Coordinate.of(3, 3))).toBe(true);
       expect(aiContext.switchToTarget).toHaveBeenCalled();
     });
 
@@ -247,7 +248,7 @@ describe('Extended Commands', () => {
       command.execute();
       
       const analysis = command.getMoveAnalysis();
-      expect(analysis.coordinate).toBe('33');
+      expect(analysis.coordinate).toBe(Coordinate.of(3, 3));
       expect(analysis.wasHit).toBe(true);
       expect(analysis.strategy).toBe('hunt');
       expect(analysis.executedAt).toBeInstanceOf(Date);
@@ -0,0 +1,266 @@
+/**
+ * ExternalBotStrategy Tests - CPU opponents played by external processes
+ *
+ * @module tests/ExternalBotStrategy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExternalBotStrategy = require('../src/ai/ExternalBotStrategy');
+const { AIContext } = require('../src/ai/AIStrategy');
+const Coordinate = require('../src/entities/Coordinate');
+const GameBoard = require('../src/entities/GameBoard');
+const Game = require('../src/game/Game');
+const GameConfig = require('../src/config/GameConfig');
+const Random = require('../src/utils/Random');
+
+/**
+ * Test bot: sweeps the board row by row and logs every line it receives.
+ * The mode makes it misbehave: silent (never fires), illegal (fires off the
+ * board), crash (exits on start), badfleet (leaves a ship out).
+ */
+const BOT_SOURCE = `
+const fs = require('fs');
+const readline = require('readline');
+const [mode, log] = process.argv.slice(2);
+const cells = [];
+'ABCDE'.split('').forEach(row => [1, 2, 3, 4, 5].forEach(col => cells.push(row + col)));
+let next = 0;
+const out = line => process.stdout.write(line + '\\n');
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  fs.appendFileSync(log, line + '\\n');
+  const [command, ...args] = line.split(' ');
+  if (command === 'SEABATTLE') {
+    if (mode === 'crash') {
+      process.exit(3);
+    }
+    out('INFO warming up');
+    out('READY Sweeper');
+  } else if (command === 'PLACE') {
+    out(mode === 'badfleet' ? 'FLEET Destroyer A1 H' : 'FLEET Destroyer A1 H;Cruiser C1 V');
+  } else if (command === 'GO') {
+    if (mode === 'silent') {
+      return;
+    }
+    const shots = Number(args[0]);
+    out(mode === 'illegal' ? 'FIRE Z9' : 'FIRE ' + cells.slice(next, next + shots).join(' '));
+    next += shots;
+  } else if (command === 'QUIT') {
+    process.exit(0);
+  }
+});
+`;
+
+describe('ExternalBotStrategy', () => {
+  let dir;
+  let script;
+  let log;
+  let bots;
+
+  /**
+   * Create a test bot
+   * @param {string} mode - Bot behaviour
+   * @param {Object} options - Extra strategy options
+   * @returns {ExternalBotStrategy} Bot strategy
+   */
+  function createBot(mode = 'good', options = {}) {
+    const bot = new ExternalBotStrategy({ command: process.execPath, args: [script, mode, log], timeout: 1000, ...options }, new Random(1));
+    bots.push(bot);
+    return bot;
+  }
+
+  /**
+   * Lines the bot has received so far
+   * @returns {string[]} Logged lines
+   */
+  function received() {
+    return fs.existsSync(log) ? fs.readFileSync(log, 'utf8').split('\n').filter(Boolean) : [];
+  }
+
+  /**
+   * Wait for a bot process to exit
+   * @param {ExternalBotStrategy} bot - Bot
+   * @returns {Promise<void>} Resolves on exit
+   */
+  function exited(bot) {
+    return bot.exited || !bot.child ? Promise.resolve() : new Promise(done => bot.child.once('exit', () => done()));
+  }
+
+  /**
+   * Wait until the bot has logged a line
+   * @param {string} line - Expected line
+   * @returns {Promise<void>} Resolves once the line is in the log
+   */
+  async function logged(line) {
+    for (let tries = 0; tries < 50 && !received().includes(line); tries++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-bot-'));
+    script = path.join(dir, 'bot.js');
+    fs.writeFileSync(script, BOT_SOURCE);
+  });
+
+  beforeEach(() => {
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+    log = path.join(dir, `received-${Date.now()}-${Math.random()}.log`);
+    bots = [];
+  });
+
+  afterEach(async () => {
+    bots.forEach(bot => bot.close());
+    await Promise.all(bots.map(exited));
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should require a command', () => {
+    expect(() => new ExternalBotStrategy({})).toThrow('An external bot needs a command to run');
+  });
+
+  test('should greet the bot, announce the rules and read its fleet', async () => {
+    const bot = createBot();
+
+    const layout = await bot.placeFleet();
+
+    expect(layout).toBe('Destroyer A1 H\nCruiser C1 V');
+    expect(bot.name).toBe('Sweeper');
+    expect(received()).toEqual([
+      'SEABATTLE 1',
+      'NEWGAME size=5 notation=classic turn-rule=alternate adjacency=overlap-only fleet=Destroyer:2,Cruiser:3',
+      'PLACE'
+    ]);
+  });
+
+  test('should read targets and report each result', async () => {
+    const bot = createBot();
+    const board = new GameBoard();
+
+    const move = await bot.makeMove(new Set(), board);
+    bot.updateStrategy(move.coordinate, true, true, { name: 'Destroyer', length: 2 });
+    const volley = await bot.makeVolley(2, new Set([move.coordinate]), board);
+    bot.close();
+    await exited(bot);
+
+    expect(move).toEqual({ coordinate: Coordinate.of(0, 0), mode: 'bot', strategy: 'ExternalBotStrategy', confidence: 1 });
+    expect(volley.map(shot => String(shot.coordinate))).toEqual(['01', '02']);
+    expect(received().slice(2)).toEqual(['GO 1', 'RESULT A1 HIT SUNK Destroyer', 'GO 2', 'QUIT']);
+  });
+
+  test('should replay earlier results to a bot resuming a saved game', async () => {
+    const first = createBot();
+    const board = new GameBoard();
+    const move = await first.makeMove(new Set(), board);
+    first.updateStrategy(move.coordinate, true, false, null);
+    const saved = JSON.parse(JSON.stringify(first.toJSON()));
+    first.close();
+    await exited(first);
+
+    log = path.join(dir, `resumed-${Date.now()}.log`);
+    const resumed = createBot();
+    resumed.restore(saved);
+    await resumed.makeMove(new Set([move.coordinate]), board);
+    await logged('GO 1');
+
+    expect(saved.results).toEqual([['A1', 'HIT']]);
+    expect(resumed.previousMoves).toEqual(new Set([Coordinate.of(0, 0)]));
+    expect(received().slice(0, 4)).toEqual([
+      'SEABATTLE 1',
+      'NEWGAME size=5 notation=classic turn-rule=alternate adjacency=overlap-only fleet=Destroyer:2,Cruiser:3',
+      'RESULT A1 HIT',
+      'GO 1'
+    ]);
+  });
+
+  test('should play a fallback move and strike a bot that does not answer in time', async () => {
+    const warnings = [];
+    const bot = createBot('silent', { timeout: 200, onWarning: warning => warnings.push(warning) });
+
+    const move = await bot.makeMove(new Set(), new GameBoard());
+
+    expect(move.fallback).toBe(true);
+    expect(move.strategy).toBe('HuntStrategy');
+    expect(warnings).toEqual([{ reason: 'did not answer within 200 ms', strikes: 1 }]);
+    await logged('ERROR did not answer within 200 ms');
+    expect(received()).toContain('ERROR did not answer within 200 ms');
+  });
+
+  test('should reject illegal targets and drop the bot after too many strikes', async () => {
+    const warnings = [];
+    const bot = createBot('illegal', { maxStrikes: 2, onWarning: warning => warnings.push(warning.reason) });
+    const board = new GameBoard();
+
+    await bot.makeMove(new Set(), board);
+    await bot.makeMove(new Set(), board);
+    await exited(bot);
+    const afterwards = await bot.makeMove(new Set(), board);
+
+    expect(warnings).toEqual(["'Z9' is not a cell on the board", "'Z9' is not a cell on the board"]);
+    expect(bot.isActive()).toBe(false);
+    expect(afterwards.fallback).toBe(true);
+    expect(received().filter(line => line.startsWith('GO'))).toHaveLength(2);
+  });
+
+  test('should reject targets that were already fired at or the wrong number of shots', async () => {
+    const bot = createBot();
+    const board = new GameBoard();
+    const warnings = [];
+    bot.onWarning = warning => warnings.push(warning.reason);
+
+    const repeat = await bot.makeMove(new Set([Coordinate.of(0, 0)]), board);
+    const tooFew = bot.checkTargets('A1', 2, new Set(), board);
+
+    expect(repeat.fallback).toBe(true);
+    expect(String(repeat.coordinate)).not.toBe('00');
+    expect(tooFew).toBeNull();
+    expect(warnings).toEqual(['A1 has already been fired at', 'fired 1 shots where 2 were expected']);
+  });
+
+  test('should place at random when the bot sends an invalid fleet', async () => {
+    const warnings = [];
+    const bot = createBot('badfleet', { onWarning: warning => warnings.push(warning.reason) });
+
+    expect(await bot.placeFleet()).toBeNull();
+    expect(warnings[0]).toMatch(/^invalid fleet: .*Cruiser/);
+  });
+
+  test('should fall back for the whole game when the bot exits', async () => {
+    const warnings = [];
+    const bot = createBot('crash', { onWarning: warning => warnings.push(warning.reason) });
+
+    expect(await bot.placeFleet()).toBeNull();
+    const move = await bot.makeMove(new Set(), new GameBoard());
+
+    expect(warnings).toEqual(['exited']);
+    expect(bot.isActive()).toBe(false);
+    expect(move.fallback).toBe(true);
+  });
+
+  test('should play the CPU through AIContext and the game engine', async () => {
+    const bot = createBot();
+    const context = new AIContext({ strategy: bot });
+    expect(context.difficulty).toBe('custom');
+
+    const game = new Game({ aiStrategy: bot, seed: 3, inputProvider: async () => 'quit' });
+    await game.initialize();
+    const result = await game.processCPUMove();
+
+    expect(game.aiContext.difficulty).toBe('custom');
+    expect(game.cpuBoard.toFleetLayout()).toBe('Destroyer A1 H\nCruiser C1 V\n');
+    expect(result.coordinate).toBe(Coordinate.of(0, 0));
+    expect(game.history[0]).toMatchObject({ player: 'cpu', coordinate: '00', strategy: 'ExternalBotStrategy' });
+    expect(game.aiContext.moveHistory).toHaveLength(1);
+    await logged(`RESULT A1 ${result.hit ? 'HIT' : 'MISS'}`);
+    expect(received()).toContain(`RESULT A1 ${result.hit ? 'HIT' : 'MISS'}`);
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * FleetPlacement Tests - Manual ship placement and the engine's placement commands
+ *
+ * @module tests/FleetPlacement
+ */
+
+const FleetPlacement = require('../src/game/FleetPlacement');
+const Game = require('../src/game/Game');
+const GameBoard = require('../src/entities/GameBoard');
+const GameConfig = require('../src/config/GameConfig');
+const Random = require('../src/utils/Random');
+
+describe('FleetPlacement', () => {
+  let board;
+  let placement;
+
+  beforeAll(() => {
+    GameConfig.configure({ coordinateFormat: 'classic' });
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  beforeEach(() => {
+    board = new GameBoard();
+    placement = new FleetPlacement({
+      board,
+      fleet: [{ name: 'Carrier', length: 5 }, { name: 'Cruiser', length: 3 }, { name: 'Destroyer', length: 2 }],
+      random: new Random(11)
+    });
+  });
+
+  test('should place ships in fleet order', () => {
+    expect(placement.getNextShip()).toEqual({ name: 'Carrier', length: 5 });
+
+    const result = placement.place('A1');
+
+    expect(result.success).toBe(true);
+    expect(result.ship.name).toBe('Carrier');
+    expect(result.ship.locations.map(location => board.formatCoordinate(location))).toEqual(['A1', 'A2', 'A3', 'A4', 'A5']);
+    expect(board.grid[0].slice(0, 5)).toEqual(['S', 'S', 'S', 'S', 'S']);
+    expect(placement.getNextShip().name).toBe('Cruiser');
+    expect(placement.getRemaining()).toBe(2);
+  });
+
+  test('should place vertically when asked or after rotating', () => {
+    expect(placement.place('B2', 'vertical').ship.locations.map(String)).toEqual(['11', '21', '31', '41', '51']);
+
+    expect(placement.rotate()).toBe('vertical');
+    expect(placement.place('B4').ship.locations.map(String)).toEqual(['13', '23', '33']);
+    expect(placement.rotate()).toBe('horizontal');
+  });
+
+  test('should explain why a placement is rejected', () => {
+    placement.place('A1');
+
+    const overlap = placement.place('A3', 'vertical');
+    expect(overlap).toEqual({
+      success: false,
+      error: 'Cannot place the Cruiser at A3',
+      reasons: ['Position A3 overlaps with the Carrier']
+    });
+
+    const offBoard = placement.place('J9');
+    expect(offBoard.success).toBe(false);
+    expect(offBoard.reasons).toEqual(['Cruiser from J9 runs 1 column off the board']);
+
+    expect(placement.place('9Z').error).toBe("'9Z' is not a coordinate");
+    expect(placement.getNextShip().name).toBe('Cruiser');
+  });
+
+  test('should name the bow of a ship that runs off the bottom of a classic board', () => {
+    GameConfig.configure({ coordinateFormat: 'classic', boardSize: 26 });
+    try {
+      const large = new FleetPlacement({ board: new GameBoard(), fleet: [{ name: 'Carrier', length: 5 }], random: new Random(11) });
+
+      expect(large.place('Z24', 'vertical')).toEqual({
+        success: false,
+        error: 'Cannot place the Carrier at Z24',
+        reasons: ['Carrier from Z24 runs 4 rows off the board']
+      });
+    } finally {
+      GameConfig.configure({ coordinateFormat: 'classic' });
+    }
+  });
+
+  test('should undo placements in reverse order', () => {
+    placement.place('A1');
+    placement.place('C1');
+
+    expect(placement.undo().ship.name).toBe('Cruiser');
+    expect(board.getShipAt('20')).toBeUndefined();
+    expect(placement.getNextShip().name).toBe('Cruiser');
+    expect(placement.undo().ship.name).toBe('Carrier');
+    expect(placement.undo()).toEqual({ success: false, error: 'No ship to undo' });
+  });
+
+  test('should randomize the remaining ships', () => {
+    placement.place('A1');
+
+    const ships = placement.randomizeRest();
+
+    expect(ships.map(ship => ship.name)).toEqual(['Cruiser', 'Destroyer']);
+    expect(placement.isComplete()).toBe(true);
+    expect(board.getShips()).toHaveLength(3);
+    expect(placement.place('E5').success).toBe(false);
+  });
+
+  test('should run typed placement commands', () => {
+    expect(placement.runCommand('A1 V')).toEqual(expect.objectContaining({ success: true, action: 'place' }));
+    expect(placement.runCommand('rotate')).toEqual({ success: true, action: 'rotate', orientation: 'vertical' });
+    expect(placement.runCommand('confirm')).toEqual({
+      success: false,
+      error: 'Place all ships before confirming (2 left)',
+      reasons: []
+    });
+    expect(placement.runCommand('A3 X').success).toBe(false);
+    expect(placement.runCommand('').error).toBe('No input provided');
+    expect(placement.runCommand('undo').ship.name).toBe('Carrier');
+    expect(placement.runCommand('random').ships).toHaveLength(3);
+    expect(placement.runCommand('confirm')).toEqual({ success: true, action: 'confirm' });
+  });
+
+  describe('Engine placement phase', () => {
+    let game;
+    let events;
+
+    beforeEach(async () => {
+      game = new Game({ seed: 8, placement: 'manual' });
+      events = [];
+      ['shipPlaced', 'shipRemoved', 'orientationChanged', 'placementComplete'].forEach(event => {
+        game.on(event, data => events.push([event, data]));
+      });
+      await game.initialize();
+    });
+
+    test('should place only the CPU fleet up front', () => {
+      expect(game.fleetPlacement).toBeInstanceOf(FleetPlacement);
+      expect(game.playerBoard.getShips()).toHaveLength(0);
+      expect(game.cpuBoard.getShips()).toHaveLength(5);
+      expect(game.cpuNumShips).toBe(5);
+      expect(game.playerNumShips).toBe(0);
+      expect(game.fleets).toBeNull();
+    });
+
+    test('should follow the configured placement mode', () => {
+      GameConfig.configure({ placement: 'manual' });
+      try {
+        expect(new Game().manualPlacement).toBe(true);
+      } finally {
+        GameConfig.configure({ coordinateFormat: 'classic' });
+      }
+      expect(new Game().manualPlacement).toBe(false);
+    });
+
+    test('should apply placement commands', async () => {
+      expect((await game.processPlacementCommand('A1 H')).action).toBe('place');
+      expect((await game.processPlacementCommand('rotate')).orientation).toBe('vertical');
+      expect((await game.processPlacementCommand('B1')).ship.locations.map(String)).toEqual(['10', '20', '30', '40']);
+      expect((await game.processPlacementCommand('undo')).ship.name).toBe('Battleship');
+      expect((await game.processPlacementCommand('random')).ships).toHaveLength(4);
+
+      expect(events.map(([event]) => event)).toEqual([
+        'shipPlaced', 'orientationChanged', 'shipPlaced', 'shipRemoved',
+        'shipPlaced', 'shipPlaced', 'shipPlaced', 'shipPlaced'
+      ]);
+      expect(events[0][1].ship).toBe('Carrier');
+    });
+
+    test('should reject bad commands with reasons', async () => {
+      await game.processPlacementCommand('A1');
+
+      expect(await game.processPlacementCommand('A2 V')).toEqual(expect.objectContaining({
+        success: false,
+        reasons: ['Position A2 overlaps with the Carrier']
+      }));
+      expect((await game.processPlacementCommand('B1 sideways')).error).toMatch(/^Enter a start coordinate and H or V/);
+      expect((await game.processPlacementCommand('')).error).toBe('No input provided');
+      expect((await game.processPlacementCommand('confirm')).error).toBe('Place all ships before confirming (4 left)');
+    });
+
+    test('should start the battle once the fleet is confirmed', async () => {
+      await game.processPlacementCommand('random');
+
+      const result = await game.processPlacementCommand('confirm');
+
+      expect(result).toEqual({ success: true, action: 'confirm' });
+      expect(game.fleetPlacement).toBeNull();
+      expect(game.playerNumShips).toBe(5);
+      expect(game.fleets.player).toHaveLength(5);
+      expect(events[events.length - 1]).toEqual(['placementComplete', { playerNumShips: 5 }]);
+      expect((await game.processPlacementCommand('undo')).error).toBe('The fleet has already been placed');
+    });
+
+    test('should play a game through the placement state', async () => {
+      const inputs = ['A1 H', 'random', 'confirm'];
+      const requests = [];
+      const played = new Game({
+        seed: 8,
+        placement: 'manual',
+        inputProvider: async request => {
+          requests.push(request);
+          return inputs.shift() || 'quit';
+        }
+      });
+      played.on('turnStart', ({ player }) => {
+        if (player === 'player') {
+          played.quit();
+        }
+      });
+
+      await played.run();
+
+      expect(requests.slice(0, 3)).toEqual([{ phase: 'placement' }, { phase: 'placement' }, { phase: 'placement' }]);
+      expect(played.playerBoard.getShipAt('00').name).toBe('Carrier');
+      expect(played.playerNumShips).toBe(5);
+    });
+  });
+});
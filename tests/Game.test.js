@@ -1,12 +1,4 @@
-// Mock readline first since it's used in Game constructor
-const mockReadline = {
-  question: jest.fn(),
-  close: jest.fn()
-};
-
-jest.mock('readline', () => ({
-  createInterface: jest.fn().mockReturnValue(mockReadline)
-}));
+const Coordinate = require('../src/entities/Coordinate');
 
 // Mock states before requiring Game
 const mockState = {
@@ -62,7 +54,8 @@ jest.mock('../src/config/GameConfig', () => {
         shipSunk: 'You sunk an enemy battleship!',
         cpuHit: `CPU HIT at ${params.coordinate || 'XX'}!`,
         cpuMiss: `CPU MISS at ${params.coordinate || 'XX'}.`,
-        invalidInput: 'Invalid input'
+        invalidInput: 'Invalid input',
+        duplicateGuess: 'You already guessed that location!'
       };
       return messages[key] || 'Unknown message';
     })
@@ -75,7 +68,10 @@ const mockGameBoard = {
   placeShip: jest.fn().mockReturnValue(true),
   display: jest.fn().mockReturnValue(['  0 1 2', '0 ~ ~ ~', '1 ~ ~ ~']),
   getStats: jest.fn().mockReturnValue({ ships: 3 }),
+  getShips: jest.fn().mockReturnValue([]),
+  getShipsAfloat: jest.fn().mockReturnValue([{ name: 'Cruiser' }]),
   parseCoordinate: jest.fn().mockReturnValue({ row: 0, col: 0 }),
+  toCoordinate: jest.fn(input => Coordinate.parse(input)),
   markHit: jest.fn(),
   markMiss: jest.fn(),
   getShipAt: jest.fn().mockReturnValue(mockShip),
@@ -90,7 +86,8 @@ jest.mock('../src/entities/GameBoard', () => {
 // Mock AI Strategies
 const mockAIContext = {
   makeMove: jest.fn().mockReturnValue({ coordinate: '55', mode: 'hunt', strategy: 'HuntStrategy' }),
-  updateResult: jest.fn()
+  updateResult: jest.fn(),
+  placeFleet: jest.fn().mockReturnValue(null)
 };
 
 jest.mock('../src/ai/AIStrategy', () => ({
@@ -167,8 +164,8 @@ describe('Game', () => {
     });
 
     test('should handle duplicate player move', async () => {
-      game.playerGuesses.add('22');
-      const result = await game.processPlayerMove('22');
+      game.playerGuesses.add(Coordinate.of(2, 2));
+      const result = await game.processPlayerMove('2,2');
       expect(result.success).toBe(false);
       expect(result.error).toBe('You already guessed that location!');
     });
@@ -181,35 +178,116 @@ describe('Game', () => {
       expect(result.sunk).toBe(true);
       expect(game.cpuNumShips).toBe(2);
     });
+
+    test('should record every shot for replays', async () => {
+      mockShip.isSunk.mockReturnValueOnce(true);
+      await game.processPlayerMove('22');
+      await game.processCPUMove();
+
+      expect(game.history).toEqual([
+        expect.objectContaining({ turn: 1, player: 'player', coordinate: '22', result: 'sunk', timestamp: expect.any(String) }),
+        expect.objectContaining({ turn: 2, player: 'cpu', coordinate: '55', result: 'hit', strategy: 'HuntStrategy' })
+      ]);
+    });
   });
 
   describe('Game State Management', () => {
-    test('should change state correctly', () => {
-      const newState = { enter: jest.fn(), handle: jest.fn(), exit: jest.fn() };
-      game.setState(newState);
+    test('should change state correctly', async () => {
+      const newState = { enter: jest.fn(), handle: jest.fn(), exit: jest.fn(), getName: () => 'Next' };
+      await game.setState(newState);
       expect(game.currentState).toBe(newState);
+      expect(newState.enter).toHaveBeenCalled();
+    });
+
+    test('should exit the previous state and announce the transition', async () => {
+      const listener = jest.fn();
+      game.on('stateChange', listener);
+      const first = { enter: jest.fn(), exit: jest.fn(), getName: () => 'First' };
+      const second = { enter: jest.fn(), exit: jest.fn(), getName: () => 'Second' };
+      await game.setState(first);
+      await game.setState(second);
+      expect(first.exit).toHaveBeenCalled();
+      expect(listener).toHaveBeenLastCalledWith({ from: 'First', to: 'Second' });
+    });
+
+    test('should run states until one stops the machine', async () => {
+      const terminal = { enter: jest.fn(), exit: jest.fn(), getName: () => 'Done',
+        handle: jest.fn().mockResolvedValue({ continue: false, winner: 'player' }) };
+      const looping = { enter: jest.fn(), exit: jest.fn(), getName: () => 'Loop',
+        handle: jest.fn(async () => {
+          await game.setState(terminal);
+          return { continue: true };
+        }) };
+      await game.setState(looping);
+      const result = await game.run();
+      expect(looping.handle).toHaveBeenCalledTimes(1);
+      expect(terminal.handle).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ continue: false, winner: 'player' });
     });
 
     test('should handle game over condition', () => {
+      const listener = jest.fn();
+      game.on('gameEnded', listener);
       game.endGame('player');
-      expect(mockReadline.close).toHaveBeenCalled();
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ winner: 'player' }));
     });
 
-    test('should quit game gracefully', () => {
+    test('should quit game without exiting the process', () => {
       const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const listener = jest.fn();
+      game.on('gameQuit', listener);
       game.quit();
-      expect(mockReadline.close).toHaveBeenCalled();
-      expect(exitSpy).toHaveBeenCalledWith(0);
+      expect(listener).toHaveBeenCalled();
+      expect(exitSpy).not.toHaveBeenCalled();
       exitSpy.mockRestore();
     });
+
+    test('should report the winner once a fleet is destroyed', () => {
+      game.playerNumShips = 2;
+      game.cpuNumShips = 1;
+      expect(game.getWinner()).toBeNull();
+      game.cpuNumShips = 0;
+      expect(game.getWinner()).toBe('player');
+      game.cpuNumShips = 1;
+      game.playerNumShips = 0;
+      expect(game.getWinner()).toBe('cpu');
+    });
   });
 
-  describe('Game Status and Display', () => {
-    test('should display boards correctly', () => {
-      game.displayBoards();
-      expect(mockGameBoard.display).toHaveBeenCalledTimes(2);
+  describe('Headless Engine', () => {
+    test('should not create a readline interface', () => {
+      const readline = require('readline');
+      const spy = jest.spyOn(readline, 'createInterface');
+      new Game();
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+
+    test('should not write to the console while processing moves', async () => {
+      await game.processPlayerMove('22');
+      await game.processCPUMove();
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+
+    test('should emit structured events for moves', async () => {
+      const listener = jest.fn();
+      game.on('playerHit', listener);
+      game.playerNumShips = 3;
+      game.cpuNumShips = 3;
+      const result = await game.processPlayerMove('22');
+      expect(listener).toHaveBeenCalledWith({ coordinate: Coordinate.of(2, 2) });
+      expect(result.coordinate).toBe(Coordinate.of(2, 2));
+      expect(result.gameOver).toBe(false);
     });
 
+    test('should survive error notifications without listeners', () => {
+      expect(() => game.notify('error', { message: 'boom' })).not.toThrow();
+      expect(mockStatsObserver.update).toHaveBeenCalledWith('error', { message: 'boom' });
+    });
+  });
+
+  describe('Game Status and Display', () => {
+
     test('should return correct game status', () => {
       game.currentState = mockState;
       const status = game.getGameStatus();
@@ -217,20 +295,31 @@ describe('Game', () => {
         playerBoard: mockGameBoard,
         cpuBoard: mockGameBoard,
         currentState: 'TestState',
+        seed: game.seed,
+        variant: 'classic',
+        turnRule: 'alternate',
         playerNumShips: expect.any(Number),
         cpuNumShips: expect.any(Number),
+        playerShipsAfloat: ['Cruiser'],
+        cpuShipsAfloat: ['Cruiser'],
         playerGuesses: expect.any(Array),
         cpuGuesses: expect.any(Array),
         totalTurns: expect.any(Number),
         playerMoves: expect.any(Number),
-        cpuMoves: expect.any(Number)
+        cpuMoves: expect.any(Number),
+        playerBonusShots: 0,
+        cpuBonusShots: 0
       });
     });
 
-    test('should handle player input correctly', async () => {
-      mockReadline.question.mockImplementationOnce((_, callback) => callback('22'));
+    test('should request player input from the input provider', async () => {
+      game = new Game({ inputProvider: jest.fn().mockResolvedValue(' 22 ') });
       const input = await game.requestPlayerInput();
       expect(input).toBe('22');
     });
+
+    test('should reject player input requests without a provider', async () => {
+      await expect(game.requestPlayerInput()).rejects.toThrow('No input provider configured');
+    });
   });
 }); 
\ No newline at end of file
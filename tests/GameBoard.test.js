@@ -1,5 +1,6 @@
 const GameBoard = require('../src/entities/GameBoard');
 const Ship = require('../src/entities/Ship');
+const Coordinate = require('../src/entities/Coordinate');
 
 // Mock GameConfig to avoid singleton issues in tests
 jest.mock('../src/config/GameConfig', () => {
@@ -58,6 +59,20 @@ describe('GameBoard', () => {
     expect(board.grid[0][2]).toBe('~');
   });
 
+  test('should remove a placed ship and clear its cells', () => {
+    const ship = new Ship(['00', '01', '02']);
+    const other = new Ship(['20', '21']);
+    board.placeShip(ship, true);
+    board.placeShip(other, true);
+
+    expect(board.removeShip(ship)).toBe(true);
+    expect(board.ships).toEqual([other]);
+    expect(board.getShipAt('01')).toBeUndefined();
+    expect(board.grid[0].slice(0, 3)).toEqual(['~', '~', '~']);
+    expect(board.grid[2][0]).toBe('S');
+    expect(board.removeShip(ship)).toBe(false);
+  });
+
   test('should place ship visibly when specified', () => {
     const ship = new Ship(['00', '01', '02']);
     board.placeShip(ship, true);
@@ -201,4 +216,133 @@ describe('GameBoard', () => {
     expect(stats.sunkShips).toBe(0);
     expect(stats.accuracy).toBe(0);
   });
-}); 
\ No newline at end of file
+
+  test('should resolve coordinates on boards larger than 10x10', () => {
+    const largeBoard = new GameBoard(26);
+
+    expect(largeBoard.toCoordinate('25,25')).toBe(Coordinate.of(25, 25));
+    expect(largeBoard.toCoordinate('26,0')).toBeNull();
+    expect(largeBoard.parseCoordinate('3,12')).toEqual({ row: 3, col: 12 });
+    expect(board.toCoordinate('3,12')).toBeNull();
+  });
+
+  test('should find ships placed beyond row and column 9', () => {
+    const largeBoard = new GameBoard(26);
+    const ship = new Ship(['20,23', '20,24', '20,25']);
+    largeBoard.placeShip(ship);
+
+    expect(largeBoard.getShipAt('20,24')).toBe(ship);
+    expect(largeBoard.getShipAt(Coordinate.of(20, 25))).toBe(ship);
+    expect(largeBoard.getShipAt('2,2')).toBeUndefined();
+  });
+
+  test('should align display columns on wide boards', () => {
+    const largeBoard = new GameBoard(12);
+    largeBoard.markHit(11, 11);
+
+    const display = largeBoard.display();
+
+    expect(display[0]).toBe('    0  1  2  3  4  5  6  7  8  9 10 11');
+    expect(display[1]).toBe(' 0  ~  ~  ~  ~  ~  ~  ~  ~  ~  ~  ~  ~');
+    expect(display[12]).toBe('11  ~  ~  ~  ~  ~  ~  ~  ~  ~  ~  ~  X');
+  });
+
+  test('should render classic letter-number labels', () => {
+    board.notation = 'classic';
+    board.markHit(0, 0);
+
+    const display = board.display();
+
+    expect(display[0]).toBe('   1  2  3  4  5  6  7  8  9 10');
+    expect(display[1]).toBe('A  X  ~  ~  ~  ~  ~  ~  ~  ~  ~');
+    expect(display[10]).toBe('J  ~  ~  ~  ~  ~  ~  ~  ~  ~  ~');
+  });
+
+  test('should parse and format coordinates in classic notation', () => {
+    board.notation = 'classic';
+
+    expect(board.toCoordinate('b 7')).toBe(Coordinate.of(1, 6));
+    expect(board.toCoordinate('K1')).toBeNull();
+    expect(board.toCoordinate('16')).toBeNull();
+    expect(board.formatCoordinate(Coordinate.of(9, 9))).toBe('J10');
+  });
+
+  test('should survive a JSON round trip', () => {
+    const ship = new Ship(['00', '01'], 'Destroyer');
+    board.placeShip(ship, true);
+    ship.hit('00');
+    board.markHit(0, 0);
+    board.markMiss(5, 5);
+
+    const data = JSON.parse(JSON.stringify(board));
+    expect(data).toEqual({
+      size: 10,
+      adjacency: 'overlap-only',
+      ships: [{ id: ship.id, name: 'Destroyer', locations: ['00', '01'], hits: ['00'] }],
+      hits: ['00'],
+      misses: ['55']
+    });
+
+    const visible = GameBoard.fromJSON(data, true);
+    expect(visible.grid).toEqual(board.grid);
+    expect(visible.getStats()).toEqual(board.getStats());
+    expect(visible.getShipAt('01').isHit('00')).toBe(true);
+
+    const hidden = GameBoard.fromJSON(data);
+    expect(hidden.grid[0][1]).toBe('~');
+    expect(hidden.grid[0][0]).toBe('X');
+  });
+
+  describe('Adjacency rules', () => {
+    beforeEach(() => {
+      board.placeShip(new Ship(['33', '34', '35'], 'Cruiser'));
+    });
+
+    test('should let ships touch by default', () => {
+      expect(board.adjacency).toBe('overlap-only');
+      expect(board.placeShip(new Ship(['43', '44'], 'Destroyer'))).toBe(true);
+    });
+
+    test('should keep ships from sharing an edge under no-edge', () => {
+      board.adjacency = 'no-edge';
+
+      expect(board.getTouchingShips(['43', '44']).map(ship => ship.name)).toEqual(['Cruiser']);
+      expect(board.placeShip(new Ship(['43', '44'], 'Destroyer'))).toBe(false);
+      expect(board.placeShip(new Ship(['42', '52'], 'Destroyer'))).toBe(true);
+    });
+
+    test('should keep ships apart diagonally under no-contact', () => {
+      board.adjacency = 'no-contact';
+
+      expect(board.placeShip(new Ship(['42', '52'], 'Destroyer'))).toBe(false);
+      expect(board.placeShip(new Ship(['52', '62'], 'Destroyer'))).toBe(true);
+    });
+
+    test('should list the cells around a ship', () => {
+      expect(GameBoard.getContactCells(['00', '01'], 'overlap-only')).toEqual([]);
+      expect(GameBoard.getContactCells(['00', '01'], 'no-edge').map(String).sort()).toEqual(['-1,0', '-1,1', '0,-1', '02', '10', '11']);
+      expect(GameBoard.getContactCells(['55'], 'no-contact')).toHaveLength(8);
+    });
+
+    test('should restore ships under the rule they were saved with', () => {
+      board.placeShip(new Ship(['43', '44'], 'Destroyer'));
+      const restored = GameBoard.fromJSON(board.toJSON());
+
+      expect(restored.getShips()).toHaveLength(2);
+      expect(() => GameBoard.fromJSON({ ...board.toJSON(), adjacency: 'no-edge' })).toThrow('Cannot place saved ship Destroyer');
+    });
+  });
+
+  test('should refuse to restore overlapping ships', () => {
+    const data = {
+      size: 10,
+      ships: [
+        { id: 'a', name: 'Destroyer', locations: ['00', '01'], hits: [] },
+        { id: 'b', name: 'Cruiser', locations: ['01', '02', '03'], hits: [] }
+      ],
+      hits: [],
+      misses: []
+    };
+    expect(() => GameBoard.fromJSON(data)).toThrow('Cannot place saved ship Cruiser at 01 02 03');
+  });
+});
@@ -14,8 +14,15 @@ describe('GameConfig', () => {
   test('should return correct configuration values', () => {
     const config = new GameConfig();
     expect(config.get('boardSize')).toBe(10);
-    expect(config.get('numShips')).toBe(3);
-    expect(config.get('shipLength')).toBe(3);
+    expect(config.get('numShips')).toBe(5);
+    expect(config.get('shipLength')).toBe(5);
+  });
+
+  test('should default to the classic named fleet', () => {
+    const config = new GameConfig();
+    expect(config.get('shipPatterns').map(({ name, length }) => `${name} ${length}`)).toEqual([
+      'Carrier 5', 'Battleship 4', 'Cruiser 3', 'Submarine 3', 'Destroyer 2'
+    ]);
   });
 
   test('should return correct symbols', () => {
@@ -37,7 +44,8 @@ describe('GameConfig', () => {
     const config = new GameConfig();
     expect(config.getMessage('playerHit')).toBe('PLAYER HIT!');
     expect(config.getMessage('playerMiss')).toBe('PLAYER MISS.');
-    expect(config.getMessage('shipSunk')).toBe('You sunk an enemy battleship!');
+    expect(config.getMessage('shipSunk', { ship: 'Cruiser' })).toBe('You sank their Cruiser!');
+    expect(config.getMessage('cpuShipSunk', { ship: 'Carrier' })).toBe('The CPU sank your Carrier!');
   });
 
   test('should handle multiple parameter interpolation', () => {
@@ -66,4 +74,84 @@ describe('GameConfig', () => {
     config.settings.symbols.water = 'X';
     expect(config.get('symbols').water).toBe(originalWaterSymbol);
   });
-}); 
\ No newline at end of file
+
+  describe('Overrides', () => {
+    test('should layer overrides over the defaults', () => {
+      const config = new GameConfig({ boardSize: 8, messages: { playerHit: 'Boom!' } });
+      expect(config.get('boardSize')).toBe(8);
+      expect(config.getMessage('playerHit')).toBe('Boom!');
+      expect(config.getMessage('playerMiss')).toBe('PLAYER MISS.');
+    });
+
+    test('should derive the fleet from numShips and shipLength', () => {
+      const config = new GameConfig({ numShips: 4, shipLength: 2 });
+      expect(config.get('shipPatterns')).toHaveLength(4);
+      expect(config.get('shipPatterns').every(pattern => pattern.length === 2)).toBe(true);
+    });
+
+    test('should derive numShips and shipLength from an explicit fleet', () => {
+      const config = new GameConfig({ shipPatterns: [{ length: 4 }, { length: 2 }] });
+      expect(config.get('numShips')).toBe(2);
+      expect(config.get('shipLength')).toBe(4);
+    });
+
+    test('should name unnamed ships after their class', () => {
+      const config = new GameConfig({ shipPatterns: [{ length: 4 }, { name: 'Frigate', length: 3 }, { length: 7 }] });
+      expect(config.get('shipPatterns').map(pattern => pattern.name)).toEqual(['Battleship', 'Frigate', '7-cell ship']);
+    });
+
+    test('should name a fleet derived from numShips and shipLength', () => {
+      const config = new GameConfig({ numShips: 2, shipLength: 2 });
+      expect(config.get('shipPatterns').map(pattern => pattern.name)).toEqual(['Destroyer', 'Destroyer']);
+    });
+
+    test('should replace the singleton with configure()', () => {
+      const first = new GameConfig();
+      const second = GameConfig.configure({ boardSize: 6 });
+      expect(second).not.toBe(first);
+      expect(new GameConfig()).toBe(second);
+      expect(new GameConfig().get('boardSize')).toBe(6);
+    });
+
+    test('should keep the current instance when configure() fails', () => {
+      const current = GameConfig.configure({ boardSize: 7 });
+      expect(() => GameConfig.configure({ boardSize: 'huge' })).toThrow("'boardSize' must be an integer");
+      expect(new GameConfig()).toBe(current);
+    });
+
+    test('should reject fleets that cannot fit on the board', () => {
+      expect(() => new GameConfig({ boardSize: 3, numShips: 4, shipLength: 3 }))
+        .toThrow('Fleet needs 12 cells but a 3x3 board only has 9');
+    });
+
+    test('should reject unknown difficulties', () => {
+      expect(() => new GameConfig({ difficulty: 'impossible' }))
+        .toThrow("'difficulty' must be one of easy, normal, hard, expert, got \"impossible\"");
+    });
+
+    test('should reject unknown placement modes', () => {
+      expect(() => new GameConfig({ placement: 'drag-and-drop' }))
+        .toThrow("'placement' must be one of random, manual, got \"drag-and-drop\"");
+    });
+
+    test('should reject unknown variants and negative salvo sizes', () => {
+      expect(() => new GameConfig({ variant: 'blitz' }))
+        .toThrow("'variant' must be one of classic, salvo, got \"blitz\"");
+      expect(() => new GameConfig({ salvoShots: -1 })).toThrow("'salvoShots' must be at least 0, got -1");
+    });
+
+    test('should reject unknown turn rules', () => {
+      expect(() => new GameConfig({ turnRule: 'never' }))
+        .toThrow("'turnRule' must be one of alternate, again-on-hit, again-on-sink, got \"never\"");
+    });
+
+    test('should reject unknown adjacency rules', () => {
+      expect(() => new GameConfig({ adjacency: 'diagonal' }))
+        .toThrow("'adjacency' must be one of overlap-only, no-edge, no-contact, got \"diagonal\"");
+    });
+
+    test('should reject unknown keys', () => {
+      expect(() => new GameConfig({ boardSzie: 8 })).toThrow("Unknown configuration key 'boardSzie'");
+    });
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * GameServer Tests - Networked games over a local TCP socket
+ *
+ * @module tests/GameServer
+ */
+
+const net = require('net');
+const GameServer = require('../src/net/GameServer');
+const NetworkConsole = require('../src/ui/NetworkConsole');
+const GameConfig = require('../src/config/GameConfig');
+
+const ANN_FLEET = 'Destroyer A1 H\nCruiser C1 H\n';
+const BOB_FLEET = 'Destroyer D3 V\nCruiser A4 V\n';
+
+/**
+ * Raw protocol client that records every line the server sends
+ * @param {number} port - Server port
+ * @returns {Promise<Object>} { socket, lines, send(line), next(command) }
+ */
+function connect(port) {
+  return new Promise((resolve) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const client = { socket, lines: [], waiters: [] };
+    let buffer = '';
+    socket.setEncoding('utf8');
+    // Tests hang up abruptly; a reset from the other end is expected
+    socket.on('error', () => {});
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        client.lines.push(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+      client.waiters = client.waiters.filter(waiter => !waiter());
+    });
+    client.send = line => socket.write(`${line}\n`);
+    // Resolves with the first line starting with the command that arrives after `from` lines
+    client.next = (command, from = 0) => new Promise((done) => {
+      const check = () => {
+        const line = client.lines.slice(from).find(candidate => candidate.split(' ')[0] === command);
+        if (line) {
+          done(line);
+        }
+        return Boolean(line);
+      };
+      if (!check()) {
+        client.waiters.push(check);
+      }
+    });
+    client.closed = new Promise(done => socket.on('close', done));
+    socket.on('connect', () => resolve(client));
+  });
+}
+
+describe('GameServer', () => {
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+    server = new GameServer({ port: 0, host: '127.0.0.1', seed: 7 });
+    port = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  /**
+   * Seat two raw clients with the test fleets
+   * @param {string} name - Name of the first player
+   * @returns {Promise<Object[]>} [ann, bob] once the game has started
+   */
+  async function seatPlayers(name = 'Ann') {
+    const ann = await connect(port);
+    await ann.next('RULES');
+    ann.send(`NAME ${name}`);
+    ann.send(`FLEET ${ANN_FLEET.trim().split('\n').join(';')}`);
+    await ann.next('WAIT');
+    const bob = await connect(port);
+    bob.send('NAME Bob');
+    bob.send(`FLEET ${BOB_FLEET.trim().split('\n').join(';')}`);
+    await Promise.all([ann.next('TURN'), bob.next('START')]);
+    return [ann, bob];
+  }
+
+  test('should greet clients with the protocol version and rules', async () => {
+    const client = await connect(port);
+
+    await client.next('RULES');
+
+    expect(client.lines).toEqual([
+      'HELLO sea-battle 1',
+      'RULES size=5 notation=classic turn-rule=alternate adjacency=overlap-only fleet=Destroyer:2,Cruiser:3'
+    ]);
+    client.socket.destroy();
+  });
+
+  test('should reject invalid fleets and out-of-order messages', async () => {
+    const client = await connect(port);
+
+    client.send('FLEET Destroyer A1 H');
+    expect(await client.next('ERROR')).toBe('ERROR Send NAME before FLEET');
+    client.send('NAME Ann');
+    client.send('FLEET Destroyer A1 H');
+    const from = client.lines.length;
+    expect(await client.next('ERROR', from)).toMatch(/^ERROR Invalid player fleet layout: - /);
+    client.send('FIRE A1');
+    expect(await client.next('ERROR', client.lines.length)).toBe('ERROR It is not your turn');
+    client.send('DANCE');
+    expect(await client.next('ERROR', client.lines.length)).toBe("ERROR Unknown command 'DANCE'");
+    expect(client.lines).toContain('WELCOME Ann');
+    client.socket.destroy();
+  });
+
+  test('should arbitrate shots without sending fleet positions', async () => {
+    const [ann, bob] = await seatPlayers();
+
+    expect(ann.lines).toContain('START Bob');
+    expect(bob.lines).toContain('START Ann');
+    ann.send('FIRE D3');
+    expect(await ann.next('RESULT')).toBe('RESULT D3 HIT');
+    expect(await bob.next('INCOMING')).toBe('INCOMING D3 HIT');
+    await bob.next('TURN');
+    bob.send('FIRE E5');
+    expect(await bob.next('RESULT')).toBe('RESULT E5 MISS');
+
+    // Ship names appear in the rules, never next to a position
+    const wire = [...ann.lines, ...bob.lines].filter(line => !line.startsWith('RULES')).join('\n');
+    expect(wire).not.toMatch(/Destroyer|Cruiser|FLEET/);
+    ann.socket.destroy();
+    bob.socket.destroy();
+  });
+
+  test('should report invalid shots to the shooter and ask again', async () => {
+    const [ann] = await seatPlayers();
+    const from = ann.lines.length;
+
+    ann.send('FIRE Z9');
+
+    expect(await ann.next('ERROR', from)).toMatch(/^ERROR /);
+    expect(await ann.next('TURN', from)).toBe('TURN');
+  });
+
+  /**
+   * Play a game the first player wins, Bob missing along row E
+   * @param {Object} ann - First player's client
+   * @param {Object} bob - Bob's client
+   */
+  async function playToAnnsWin(ann, bob) {
+    const annShots = ['D3', 'E3', 'A4', 'B4', 'C4'];
+    for (const [index, shot] of annShots.entries()) {
+      const annFrom = ann.lines.length;
+      const bobFrom = bob.lines.length;
+      ann.send(`FIRE ${shot}`);
+      await ann.next('RESULT', annFrom);
+      if (index < annShots.length - 1) {
+        await bob.next('TURN', bobFrom);
+        const annWait = ann.lines.length;
+        bob.send(`FIRE E${index + 1}`);
+        await ann.next('TURN', annWait);
+      }
+    }
+  }
+
+  test('should play to the end and close', async () => {
+    const [ann, bob] = await seatPlayers();
+    const closed = new Promise(resolve => server.on('closed', resolve));
+
+    await playToAnnsWin(ann, bob);
+
+    expect(await ann.next('GAMEOVER')).toBe('GAMEOVER WIN');
+    expect(await bob.next('GAMEOVER')).toBe('GAMEOVER LOSE');
+    expect(ann.lines).toContain('RESULT E3 HIT SUNK Destroyer');
+    expect(bob.lines).toContain('INCOMING C4 HIT SUNK Cruiser');
+    await closed;
+    await ann.closed;
+  });
+
+  test('should report the result to a player named error', async () => {
+    const [winner, bob] = await seatPlayers('error');
+    const ended = new Promise(resolve => server.on('gameEnded', resolve));
+
+    await playToAnnsWin(winner, bob);
+
+    expect(await winner.next('GAMEOVER')).toBe('GAMEOVER WIN');
+    expect(await bob.next('GAMEOVER')).toBe('GAMEOVER LOSE');
+    expect(await ended).toEqual(expect.objectContaining({ winner: 'error', error: false }));
+  });
+
+  test('should tell the opponent when a player leaves mid-game', async () => {
+    const [ann, bob] = await seatPlayers();
+
+    ann.send('QUIT');
+
+    expect(await bob.next('BYE')).toBe('BYE Ann left the game');
+    await bob.closed;
+    expect(server.closed).toBe(true);
+  });
+
+  test('should turn away a third client', async () => {
+    await seatPlayers();
+    const third = await connect(port);
+
+    expect(await third.next('ERROR')).toBe('ERROR The game is full');
+    await third.closed;
+  });
+
+  test('should refuse to host a Salvo game', () => {
+    GameConfig.configure({ variant: 'salvo' });
+
+    expect(() => new GameServer({ port: 0 })).toThrow('The Salvo variant is not available in networked games');
+  });
+
+  test('should say goodbye to both players when the game cannot start', async () => {
+    const ann = await connect(port);
+    ann.send('NAME Ann');
+    ann.send(`FLEET ${ANN_FLEET.trim().split('\n').join(';')}`);
+    await ann.next('WAIT');
+    // Configuration changed under a running server
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }],
+      variant: 'salvo'
+    });
+    const bob = await connect(port);
+    bob.send('NAME Bob');
+    bob.send(`FLEET ${BOB_FLEET.trim().split('\n').join(';')}`);
+
+    const message = 'BYE The game could not start: The Salvo variant is not available in hot-seat games';
+    expect(await ann.next('BYE')).toBe(message);
+    expect(await bob.next('BYE')).toBe(message);
+    await Promise.all([ann.closed, bob.closed]);
+    expect(server.closed).toBe(true);
+  });
+
+  test('should keep the two player names apart', async () => {
+    const first = await connect(port);
+    first.send('NAME Ann');
+    await first.next('WELCOME');
+    const second = await connect(port);
+    second.send('NAME Ann');
+
+    expect(await second.next('WELCOME')).toBe('WELCOME Ann (2)');
+    first.socket.destroy();
+    second.socket.destroy();
+  });
+});
+
+describe('NetworkConsole', () => {
+  let consoleSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  /**
+   * Client whose prompt answers from a script
+   * @param {Object} options - NetworkConsole options
+   * @param {string[]} answers - Prompt answers in order
+   * @returns {NetworkConsole} Client
+   */
+  function scriptedClient(options, answers) {
+    const { PassThrough } = require('stream');
+    const client = new NetworkConsole({ input: new PassThrough(), output: new PassThrough(), ...options });
+    client.prompt = jest.fn(async () => answers.shift());
+    return client;
+  }
+
+  test('should play a whole game between two clients', async () => {
+    const server = new GameServer({ port: 0, host: '127.0.0.1', seed: 7 });
+    const port = await server.start();
+    const ann = scriptedClient({ port, name: 'Ann', playerFleet: ANN_FLEET }, ['D3', 'E3', 'A4', 'B4', 'C4']);
+    const bob = scriptedClient({ port, name: 'Bob', playerFleet: BOB_FLEET }, ['E1', 'E2', 'E3', 'E4']);
+    const ended = new Promise(resolve => server.on('gameEnded', resolve));
+
+    const annDone = ann.start();
+    await new Promise(resolve => server.on('playerJoined', resolve));
+    await Promise.all([annDone, bob.start()]);
+
+    expect((await ended).winner).toBe('Ann');
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** YOU WIN! All enemy ships sunk. ***');
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** Ann WINS! Your fleet is sunk. ***');
+    expect(consoleSpy).toHaveBeenCalledWith('You sank the enemy Cruiser!');
+    expect(ann.tracking.hits.size).toBe(5);
+    expect(ann.tracking.getShips()).toHaveLength(0);
+    expect(bob.board.getShipsAfloat()).toHaveLength(0);
+    expect(bob.tracking.misses.size).toBe(4);
+  });
+
+  test('should leave when the player quits at the prompt', async () => {
+    const server = new GameServer({ port: 0, host: '127.0.0.1', seed: 7 });
+    const port = await server.start();
+    const ann = scriptedClient({ port, name: 'Ann', playerFleet: ANN_FLEET }, ['quit']);
+    const bob = scriptedClient({ port, name: 'Bob', playerFleet: BOB_FLEET }, []);
+
+    const annDone = ann.start();
+    await new Promise(resolve => server.on('playerJoined', resolve));
+    await Promise.all([annDone, bob.start()]);
+
+    expect(consoleSpy).toHaveBeenCalledWith('\nGame over: Ann left the game.');
+    expect(server.closed).toBe(true);
+  });
+
+  test('should not join with a fleet that breaks the rules', async () => {
+    const server = new GameServer({ port: 0, host: '127.0.0.1' });
+    const port = await server.start();
+    const client = scriptedClient({ port, name: 'Ann', playerFleet: 'Carrier A1 H\n' }, []);
+
+    await client.start();
+
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringMatching(/^Cannot join: Invalid player fleet layout:/));
+    expect(server.seats).toHaveLength(0);
+    await server.stop();
+  });
+});
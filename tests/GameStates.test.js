@@ -1,5 +1,6 @@
 const {
   SetupState,
+  PlacementState,
   PlayerTurnState,
   CPUTurnState,
   GameOverState
@@ -23,11 +24,13 @@ describe('Game States', () => {
     mockGame = {
       playerBoard: { reset: jest.fn() },
       cpuBoard: { reset: jest.fn() },
-      displayBoards: jest.fn(),
       requestPlayerInput: jest.fn().mockResolvedValue('22'),
       processPlayerMove: jest.fn().mockResolvedValue({ success: true, hit: false }),
+      processPlacementCommand: jest.fn().mockResolvedValue({ success: true, action: 'place' }),
       processCPUMove: jest.fn().mockResolvedValue({ success: true, hit: false, coordinate: '33' }),
       setState: jest.fn(),
+      notify: jest.fn(),
+      earnsBonusTurn: jest.fn().mockReturnValue(false),
       endGame: jest.fn(),
       playerNumShips: 3,
       cpuNumShips: 3,
@@ -52,16 +55,80 @@ describe('Game States', () => {
       state = new SetupState(mockGame);
     });
 
-    test('should enter setup state with welcome message', async () => {
+    test('should enter setup state without printing', async () => {
       await state.enter();
-      expect(consoleSpy).toHaveBeenCalledWith("\nLet's play Sea Battle!");
-      expect(consoleSpy).toHaveBeenCalledWith('Try to sink the 3 enemy ships.');
+      expect(consoleSpy).not.toHaveBeenCalled();
     });
 
     test('should transition to player turn state', async () => {
       await state.handle();
       expect(mockGame.setState).toHaveBeenCalledWith(expect.any(PlayerTurnState));
     });
+
+    test('should transition to placement when the player places their fleet', async () => {
+      mockGame.fleetPlacement = {};
+      await state.handle();
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(PlacementState));
+    });
+  });
+
+  describe('PlacementState', () => {
+    let state;
+
+    beforeEach(() => {
+      mockGame.fleetPlacement = {
+        orientation: 'horizontal',
+        getNextShip: jest.fn().mockReturnValue({ name: 'Cruiser', length: 3 }),
+        getRemaining: jest.fn().mockReturnValue(3)
+      };
+      state = new PlacementState(mockGame);
+    });
+
+    test('should announce the next ship and ask for a placement', async () => {
+      mockGame.requestPlayerInput.mockResolvedValueOnce('A1 H');
+      const result = await state.handle();
+
+      expect(state.getName()).toBe('Placement');
+      expect(mockGame.notify).toHaveBeenCalledWith('placementTurn', { ship: 'Cruiser', length: 3, orientation: 'horizontal', remaining: 3 });
+      expect(mockGame.requestPlayerInput).toHaveBeenCalledWith({ phase: 'placement' });
+      expect(mockGame.processPlacementCommand).toHaveBeenCalledWith('A1 H');
+      expect(result).toEqual({ continue: true });
+      expect(mockGame.setState).not.toHaveBeenCalled();
+    });
+
+    test('should report rejected placements with their reasons', async () => {
+      mockGame.processPlacementCommand.mockResolvedValueOnce({ success: false, error: 'Cannot place the Cruiser at A1', reasons: ['Position A1 overlaps with the Carrier'] });
+      await state.handle();
+
+      expect(mockGame.notify).toHaveBeenCalledWith('invalidPlacement', {
+        input: '22',
+        message: 'Cannot place the Cruiser at A1',
+        reasons: ['Position A1 overlaps with the Carrier']
+      });
+    });
+
+    test('should start the battle once the fleet is confirmed', async () => {
+      mockGame.processPlacementCommand.mockResolvedValueOnce({ success: true, action: 'confirm' });
+      await state.handle();
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(PlayerTurnState));
+    });
+
+    test('should stop when the player quits at the prompt', async () => {
+      mockGame.requestPlayerInput.mockImplementationOnce(async () => {
+        mockGame.stopped = true;
+        return 'quit';
+      });
+      expect(await state.handle()).toEqual({ continue: false });
+      expect(mockGame.processPlacementCommand).not.toHaveBeenCalled();
+    });
+
+    test('should end the game on errors', async () => {
+      mockGame.processPlacementCommand.mockRejectedValueOnce(new Error('Failed to place the Cruiser randomly'));
+      const result = await state.handle();
+      expect(mockGame.notify).toHaveBeenCalledWith('error', { message: 'Failed to place the Cruiser randomly' });
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(GameOverState));
+      expect(result.error).toBe('Failed to place the Cruiser randomly');
+    });
   });
 
   describe('PlayerTurnState', () => {
@@ -73,11 +140,11 @@ describe('Game States', () => {
       mockGame.requestPlayerInput.mockReset();
     });
 
-    test('should display boards and get player input', async () => {
+    test('should announce the turn and get player input', async () => {
       mockGame.requestPlayerInput.mockResolvedValueOnce('22');
       mockGame.processPlayerMove.mockResolvedValueOnce({ success: true, hit: false });
       await state.enter();
-      expect(mockGame.displayBoards).toHaveBeenCalled();
+      expect(mockGame.notify).toHaveBeenCalledWith('turnStart', { player: 'player' });
       await state.handle();
       expect(mockGame.requestPlayerInput).toHaveBeenCalled();
     });
@@ -90,6 +157,16 @@ describe('Game States', () => {
       expect(mockGame.setState).toHaveBeenCalledWith(expect.any(CPUTurnState));
     });
 
+    test('should stop when the player quits at the prompt', async () => {
+      mockGame.requestPlayerInput.mockImplementationOnce(async () => {
+        mockGame.stopped = true;
+        return 'quit';
+      });
+      const result = await state.handle();
+      expect(result).toEqual({ continue: false });
+      expect(mockGame.processPlayerMove).not.toHaveBeenCalled();
+    });
+
     test('should handle invalid move and retry', async () => {
       mockGame.requestPlayerInput
         .mockResolvedValueOnce('22')
@@ -99,6 +176,7 @@ describe('Game States', () => {
         .mockResolvedValueOnce({ success: true, hit: false });
       
       await state.handle();
+      expect(mockGame.notify).toHaveBeenCalledWith('invalidMove', { input: '22', message: 'Invalid move' });
       await state.handle();
       expect(mockGame.processPlayerMove).toHaveBeenCalledTimes(2);
     });
@@ -112,16 +190,25 @@ describe('Game States', () => {
       expect(mockGame.setState).toHaveBeenCalledWith(expect.any(GameOverState));
     });
 
-    test('should display hit/miss messages', async () => {
+    test('should leave hit/miss rendering to the front-end', async () => {
       mockGame.requestPlayerInput.mockResolvedValueOnce('22');
       mockGame.processPlayerMove.mockResolvedValueOnce({ success: true, hit: true });
       await state.handle();
-      expect(consoleSpy).toHaveBeenCalledWith('PLAYER HIT!');
 
       mockGame.requestPlayerInput.mockResolvedValueOnce('33');
       mockGame.processPlayerMove.mockResolvedValueOnce({ success: true, hit: false });
       await state.handle();
-      expect(consoleSpy).toHaveBeenCalledWith('PLAYER MISS.');
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+
+    test('should end the game on input errors', async () => {
+      mockGame.requestPlayerInput.mockRejectedValueOnce(new Error('stream closed'));
+      const result = await state.handle();
+      expect(result).toEqual({ continue: true, error: 'stream closed' });
+      expect(mockGame.notify).toHaveBeenCalledWith('error', { message: 'stream closed' });
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(GameOverState));
+      // An error ends the game without a winner, never with one named 'error'
+      expect(mockGame.setState.mock.calls[0][0].winner).toBeNull();
     });
   });
 
@@ -146,54 +233,98 @@ describe('Game States', () => {
       expect(mockGame.setState).toHaveBeenCalledWith(expect.any(GameOverState));
     });
 
-    test('should display hit/miss messages', async () => {
-      mockGame.processCPUMove.mockResolvedValueOnce({ 
-        success: true, 
-        hit: true, 
-        coordinate: '22' 
-      });
+    test('should announce the CPU turn', async () => {
+      await state.enter();
+      expect(mockGame.notify).toHaveBeenCalledWith('turnStart', { player: 'cpu' });
+      expect(consoleSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Turn rules', () => {
+    test('should give the player another turn when the rule grants one', async () => {
+      mockGame.turnRule = 'again-on-hit';
+      mockGame.earnsBonusTurn.mockReturnValueOnce(true);
+      mockGame.processPlayerMove.mockResolvedValueOnce({ success: true, hit: true, sunk: false });
+
+      await new PlayerTurnState(mockGame).handle();
+
+      expect(mockGame.bonusTurn).toBe(true);
+      expect(mockGame.notify).toHaveBeenCalledWith('bonusTurn', { player: 'player', rule: 'again-on-hit' });
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(PlayerTurnState));
+    });
+
+    test('should apply the same rule to the CPU', async () => {
+      mockGame.earnsBonusTurn.mockReturnValueOnce(true);
+      await new CPUTurnState(mockGame).handle();
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(CPUTurnState));
+
+      mockGame.setState.mockClear();
+      await new CPUTurnState(mockGame).handle();
+      expect(mockGame.bonusTurn).toBe(false);
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(PlayerTurnState));
+    });
+  });
+
+  describe('Salvo turns', () => {
+    beforeEach(() => {
+      mockGame.variant = 'salvo';
+      mockGame.getVolleySize = jest.fn().mockReturnValue(3);
+      mockGame.processPlayerVolley = jest.fn().mockResolvedValue({ success: true, volley: true, hits: 1, sunk: false });
+      mockGame.processCPUVolley = jest.fn().mockResolvedValue({ success: true, volley: true, hits: 0, sunk: false });
+    });
+
+    test('should ask the player for a whole volley', async () => {
+      const state = new PlayerTurnState(mockGame);
+      await state.enter();
+      expect(mockGame.notify).toHaveBeenCalledWith('turnStart', { player: 'player', shots: 3 });
+
+      mockGame.requestPlayerInput.mockResolvedValueOnce('11 22 33');
       await state.handle();
-      expect(consoleSpy).toHaveBeenCalledWith('CPU HIT at 22!');
+      expect(mockGame.requestPlayerInput).toHaveBeenCalledWith({ phase: 'volley', shots: 3 });
+      expect(mockGame.processPlayerVolley).toHaveBeenCalledWith('11 22 33');
+      expect(mockGame.processPlayerMove).not.toHaveBeenCalled();
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(CPUTurnState));
+    });
 
-      mockGame.processCPUMove.mockResolvedValueOnce({ 
-        success: true, 
-        hit: false, 
-        coordinate: '33' 
-      });
+    test('should report a rejected volley and keep the turn', async () => {
+      mockGame.processPlayerVolley.mockResolvedValueOnce({ success: false, error: 'Fire 3 shots this turn, separated by spaces.' });
+      await new PlayerTurnState(mockGame).handle();
+      expect(mockGame.notify).toHaveBeenCalledWith('invalidMove', { input: '22', message: 'Fire 3 shots this turn, separated by spaces.' });
+      expect(mockGame.setState).not.toHaveBeenCalled();
+    });
+
+    test('should fire CPU volleys and end the game when one sinks the last ship', async () => {
+      const state = new CPUTurnState(mockGame);
+      await state.enter();
+      expect(mockGame.notify).toHaveBeenCalledWith('turnStart', { player: 'cpu', shots: 3 });
+
+      mockGame.playerNumShips = 0;
+      mockGame.processCPUVolley.mockResolvedValueOnce({ success: true, volley: true, hits: 2, sunk: true });
       await state.handle();
-      expect(consoleSpy).toHaveBeenCalledWith('CPU MISS at 33.');
+      expect(mockGame.processCPUMove).not.toHaveBeenCalled();
+      expect(mockGame.setState).toHaveBeenCalledWith(expect.any(GameOverState));
     });
   });
 
   describe('GameOverState', () => {
     test('should handle player win', async () => {
       const state = new GameOverState(mockGame, 'player');
-      await state.enter();
-      expect(mockGame.displayBoards).toHaveBeenCalled();
-      await state.handle();
-      expect(consoleSpy).toHaveBeenCalledWith('\n*** CONGRATULATIONS! You sunk all enemy battleships! ***');
+      const result = await state.handle();
       expect(mockGame.endGame).toHaveBeenCalledWith('player');
+      expect(result).toEqual({ continue: false, winner: 'player' });
     });
 
     test('should handle CPU win', async () => {
       const state = new GameOverState(mockGame, 'cpu');
-      await state.enter();
-      expect(mockGame.displayBoards).toHaveBeenCalled();
       await state.handle();
-      expect(consoleSpy).toHaveBeenCalledWith('\n*** GAME OVER! The CPU sunk all your battleships! ***');
       expect(mockGame.endGame).toHaveBeenCalledWith('cpu');
     });
 
-    test('should display game statistics', async () => {
+    test('should not print results itself', async () => {
       const state = new GameOverState(mockGame, 'player');
       await state.enter();
-      expect(mockGame.displayBoards).toHaveBeenCalled();
       await state.handle();
-      
-      expect(consoleSpy).toHaveBeenCalledWith('\nGame Statistics:');
-      expect(consoleSpy).toHaveBeenCalledWith('Total Turns: 10');
-      expect(consoleSpy).toHaveBeenCalledWith('Player Moves: 6');
-      expect(consoleSpy).toHaveBeenCalledWith('CPU Moves: 4');
+      expect(consoleSpy).not.toHaveBeenCalled();
     });
   });
-}); 
\ No newline at end of file
+});
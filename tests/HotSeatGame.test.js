@@ -0,0 +1,312 @@
+/**
+ * HotSeatGame Tests - Two-player engine, its states and the console front-end
+ *
+ * @module tests/HotSeatGame
+ */
+
+const mockReadline = {
+  question: jest.fn(),
+  close: jest.fn()
+};
+
+jest.mock('readline', () => ({
+  createInterface: jest.fn().mockReturnValue(mockReadline)
+}));
+
+const HotSeatGame = require('../src/game/HotSeatGame');
+const HotSeatConsole = require('../src/ui/HotSeatConsole');
+const GameConfig = require('../src/config/GameConfig');
+
+/**
+ * Input provider that answers each phase from its own script
+ * @param {Object} scripts - { placement: [...], shot: [...] }; handovers are answered with ''
+ * @returns {Function} Input provider recording every request; it throws once a script runs out
+ */
+function scripted(scripts) {
+  const provider = jest.fn(async (request) => {
+    if (request.phase === 'handover') {
+      return '';
+    }
+    if (scripts[request.phase].length === 0) {
+      throw new Error(`Script ran out of ${request.phase} input`);
+    }
+    return scripts[request.phase].shift();
+  });
+  return provider;
+}
+
+describe('HotSeatGame', () => {
+  beforeEach(() => {
+    GameConfig.configure({
+      coordinateFormat: 'digits',
+      boardSize: 4,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }]
+    });
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  test('should require two different player names', () => {
+    expect(() => new HotSeatGame({ names: ['Ann', 'Ann'] })).toThrow('A hot-seat game needs two different player names');
+    expect(() => new HotSeatGame({ names: ['Ann', ' '] })).toThrow('A hot-seat game needs two different player names');
+    expect(() => new HotSeatGame({ names: ['Ann'] })).toThrow('A hot-seat game needs two different player names');
+    expect(new HotSeatGame().names).toEqual(['Player 1', 'Player 2']);
+  });
+
+  test('should refuse the Salvo variant', () => {
+    GameConfig.configure({ variant: 'salvo' });
+    expect(() => new HotSeatGame()).toThrow('The Salvo variant is not available in hot-seat games');
+  });
+
+  test('should give each player their own boards and stats observer', async () => {
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3 });
+    await game.initialize();
+
+    const [ann, bob] = game.players;
+    expect(ann.board).not.toBe(bob.board);
+    expect(ann.tracking).not.toBe(ann.board);
+    expect(ann.stats).not.toBe(bob.stats);
+    expect(game.currentState.getName()).toBe('Handover');
+    expect(game.getCurrentPlayer().name).toBe('Ann');
+  });
+
+  test('should play a full game with handovers between players', async () => {
+    const inputProvider = scripted({
+      placement: ['00 H', 'confirm', '10 V', 'confirm'],
+      shot: ['10', '33', '20']
+    });
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3, inputProvider });
+    const handovers = [];
+    const ended = jest.fn();
+    game.on('handover', data => handovers.push(data));
+    game.on('gameEnded', ended);
+
+    const result = await game.run();
+
+    expect(result).toEqual({ continue: false, winner: 'Ann' });
+    expect(handovers).toEqual([
+      { from: null, to: 'Ann' },
+      { from: 'Ann', to: 'Bob' },
+      { from: 'Bob', to: 'Ann' },
+      { from: 'Ann', to: 'Bob' },
+      { from: 'Bob', to: 'Ann' }
+    ]);
+    const stats = ended.mock.calls[0][0].stats;
+    expect(ended.mock.calls[0][0].winner).toBe('Ann');
+    expect(stats.players[0]).toEqual(expect.objectContaining({ name: 'Ann', shots: 2, hits: 2, misses: 0, accuracy: 100, shipsAfloat: ['Destroyer'] }));
+    expect(stats.players[1]).toEqual(expect.objectContaining({ name: 'Bob', shots: 1, hits: 0, misses: 1, shipsAfloat: [] }));
+  });
+
+  test('should tell a player named error apart from a game ended by an error', async () => {
+    const script = () => scripted({ placement: ['00 H', 'confirm', '10 V', 'confirm'], shot: ['10', '33', '20'] });
+    const won = new HotSeatGame({ names: ['error', 'Bob'], seed: 3, inputProvider: script() });
+    const failed = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3, inputProvider: scripted({ placement: [], shot: [] }) });
+    const ended = jest.fn();
+    won.on('gameEnded', ended);
+    failed.on('gameEnded', ended);
+
+    await won.run();
+    await failed.run();
+
+    expect(ended.mock.calls[0][0]).toEqual(expect.objectContaining({ winner: 'error', error: false }));
+    expect(ended.mock.calls[1][0]).toEqual(expect.objectContaining({ winner: null, error: true }));
+  });
+
+  test('should mark shots on the target fleet and the shooter tracking board only', async () => {
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3 });
+    await game.initialize();
+    game.current = 1;
+    await game.processPlacementCommand('00 H');
+    await game.processPlacementCommand('confirm');
+    game.current = 0;
+
+    const hit = await game.processShot('00');
+    const miss = await game.processShot('33');
+
+    expect(hit).toEqual(expect.objectContaining({ success: true, hit: true, sunk: false, ship: 'Destroyer', gameOver: false }));
+    expect(miss).toEqual(expect.objectContaining({ success: true, hit: false }));
+    const [ann, bob] = game.players;
+    expect(bob.board.hits.size).toBe(1);
+    expect(ann.tracking.hits.size).toBe(1);
+    expect(ann.tracking.misses.size).toBe(1);
+    expect(ann.tracking.getShips()).toHaveLength(0);
+    expect(ann.board.hits.size).toBe(0);
+    expect(ann.stats.getStats()).toEqual(expect.objectContaining({ playerHits: 1, playerMisses: 1 }));
+    expect(bob.stats.getStats().playerHits).toBe(0);
+  });
+
+  test('should reject shots through the shared validators', async () => {
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3 });
+    await game.initialize();
+    const config = new GameConfig();
+
+    expect(await game.processShot('')).toEqual({ success: false, error: 'No input provided' });
+    expect(await game.processShot('ab')).toEqual({ success: false, error: config.getMessage('invalidInput') });
+    expect((await game.processShot('09')).success).toBe(false);
+    await game.processShot('11');
+    expect(await game.processShot('11')).toEqual({ success: false, error: config.getMessage('duplicateGuess') });
+  });
+
+  test('should keep the turn with the same player on a bonus turn', async () => {
+    const inputProvider = scripted({
+      placement: ['00 H', 'confirm', '20 H', 'confirm'],
+      shot: ['20', '21']
+    });
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3, inputProvider, turnRule: 'again-on-hit' });
+    const bonus = jest.fn();
+    game.on('bonusTurn', bonus);
+
+    const result = await game.run();
+
+    expect(result.winner).toBe('Ann');
+    expect(bonus).toHaveBeenCalledWith({ player: 'Ann', rule: 'again-on-hit' });
+    expect(inputProvider.mock.calls.filter(([request]) => request.phase === 'handover')).toHaveLength(3);
+  });
+
+  test('should start firing straight away when both fleets are given', async () => {
+    const inputProvider = scripted({ placement: [], shot: ['10', '33', '11'] });
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3, inputProvider, fleets: ['Destroyer 00 H', 'Destroyer 10 H'] });
+
+    const result = await game.run();
+
+    expect(result.winner).toBe('Ann');
+    expect(game.players.map(player => player.placement)).toEqual([null, null]);
+    expect(() => new HotSeatGame({ names: ['Ann', 'Bob'], fleets: ['Destroyer 03 H'] }))
+      .toThrow('Invalid Ann fleet layout');
+  });
+
+  test('should let the only player without a fleet place it first', async () => {
+    const inputProvider = scripted({ placement: ['20 H', 'confirm'], shot: [] });
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3, inputProvider, fleets: ['Destroyer 00 H', null] });
+    const turnStart = jest.fn(() => game.quit());
+    game.on('turnStart', turnStart);
+
+    await game.run();
+
+    expect(game.players[1].numShips).toBe(1);
+    expect(turnStart).toHaveBeenCalledWith({ player: 'Ann', opponent: 'Bob' });
+  });
+
+  test('should report invalid placements and moves for the current player', async () => {
+    const inputProvider = scripted({
+      placement: ['confirm', '00 H', 'confirm', '00 H', 'confirm'],
+      shot: ['zz', 'quit']
+    });
+    const game = new HotSeatGame({ names: ['Ann', 'Bob'], seed: 3, inputProvider });
+    const invalidPlacement = jest.fn();
+    const invalidMove = jest.fn(() => game.quit());
+    game.on('invalidPlacement', invalidPlacement);
+    game.on('invalidMove', invalidMove);
+
+    const result = await game.run();
+
+    expect(result).toEqual({ continue: true });
+    expect(invalidPlacement).toHaveBeenCalledWith(expect.objectContaining({ player: 'Ann', message: 'Place all ships before confirming (1 left)' }));
+    expect(invalidMove).toHaveBeenCalledWith(expect.objectContaining({ player: 'Ann', input: 'zz' }));
+    expect(game.currentState).toBeNull();
+  });
+});
+
+describe('HotSeatConsole', () => {
+  let consoleSpy;
+  let errorSpy;
+  let hotSeat;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    GameConfig.configure({
+      coordinateFormat: 'digits',
+      boardSize: 4,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }]
+    });
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    hotSeat = new HotSeatConsole({ names: ['Ann', 'Bob'], seed: 3 });
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  test('should ask the previous player to pass the keyboard before clearing the screen', async () => {
+    mockReadline.question.mockImplementation((_, callback) => callback(''));
+
+    await hotSeat.requestPlayerInput({ phase: 'handover', from: 'Ann', player: 'Bob' });
+
+    expect(mockReadline.question.mock.calls.map(([question]) => question)).toEqual([
+      '\nAnn, press Enter and pass the keyboard to Bob.',
+      'Bob, press Enter when you are ready.'
+    ]);
+    expect(consoleSpy).toHaveBeenCalledWith(HotSeatConsole.CLEAR_SCREEN);
+  });
+
+  test('should skip the pass prompt at the start of the game', async () => {
+    mockReadline.question.mockImplementation((_, callback) => callback(''));
+
+    await hotSeat.requestPlayerInput({ phase: 'handover', from: null, player: 'Ann' });
+
+    expect(mockReadline.question).toHaveBeenCalledTimes(1);
+    expect(consoleSpy).toHaveBeenCalledWith(HotSeatConsole.CLEAR_SCREEN);
+  });
+
+  test('should prompt each player by name', async () => {
+    mockReadline.question.mockImplementation((_, callback) => callback(' 12 '));
+
+    expect(await hotSeat.requestPlayerInput({ phase: 'shot', player: 'Bob' })).toBe('12');
+    expect(mockReadline.question).toHaveBeenCalledWith('Bob, enter coordinates (e.g. 00): ', expect.any(Function));
+  });
+
+  test('should show only the current player fleet and their shots at the enemy', async () => {
+    await hotSeat.game.initialize();
+    const [ann, bob] = hotSeat.game.players;
+    bob.placement.runCommand('00 H');
+    ann.tracking.markMiss(3, 3);
+    consoleSpy.mockClear();
+
+    hotSeat.displayBoards('Ann');
+
+    const output = consoleSpy.mock.calls.map(([line]) => line);
+    expect(output).toContain('\nAnn, your fleet:');
+    expect(output).toContain('\nEnemy waters (Bob):');
+    expect(output.join('\n')).not.toContain('S');
+    expect(output).toContain('3 ~ ~ ~ O');
+  });
+
+  test('should quit from any prompt', async () => {
+    const quit = jest.fn();
+    hotSeat.game.on('gameQuit', quit);
+    mockReadline.question.mockImplementationOnce((_, callback) => callback('quit'));
+
+    await hotSeat.requestPlayerInput({ phase: 'handover', from: 'Ann', player: 'Bob' });
+
+    expect(quit).toHaveBeenCalled();
+    expect(mockReadline.close).toHaveBeenCalled();
+    expect(consoleSpy).not.toHaveBeenCalledWith(HotSeatConsole.CLEAR_SCREEN);
+  });
+
+  test('should print the winner and per-player statistics', () => {
+    hotSeat.displayResult('Bob', {
+      players: [
+        { name: 'Ann', shots: 4, hits: 1, accuracy: 25 },
+        { name: 'Bob', shots: 2, hits: 2, accuracy: 100 }
+      ]
+    });
+
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** BOB WINS! All enemy ships sunk. ***');
+    expect(consoleSpy).toHaveBeenCalledWith('Ann: 4 shots, 1 hits, 25.0% accuracy');
+    expect(consoleSpy).toHaveBeenCalledWith('Bob: 2 shots, 2 hits, 100.0% accuracy');
+  });
+
+  test('should report a game ended by an error without naming a winner', () => {
+    hotSeat.game.notify('gameEnded', { winner: null, error: true, stats: { players: [] } });
+
+    expect(consoleSpy).toHaveBeenCalledWith('\n*** GAME ENDED DUE TO AN ERROR ***');
+  });
+});
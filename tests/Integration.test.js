@@ -4,35 +4,24 @@
  * @module tests/Integration
  */
 
-// Mock readline before requiring any modules
-jest.mock('readline', () => {
-  const mockReadline = {
-    question: jest.fn(),
-    close: jest.fn()
-  };
-  return {
-    createInterface: jest.fn().mockReturnValue(mockReadline)
-  };
-});
-
 const Game = require('../src/game/Game');
 const GameBoard = require('../src/entities/GameBoard');
 const Ship = require('../src/entities/Ship');
 const { AIContext } = require('../src/ai/AIStrategy');
 const { GameStatsObserver } = require('../src/observers/GameObservers');
 const GameConfig = require('../src/config/GameConfig');
+const ShipFactory = require('../src/entities/ShipFactory');
+const Replay = require('../src/game/Replay');
 
 describe('Integration Tests', () => {
   let game;
   let consoleSpy;
-  let mockReadline;
   let config;
 
   beforeEach(async () => {
     consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
     config = new GameConfig();
     game = new Game();
-    mockReadline = require('readline').createInterface();
     await game.initialize(); // Initialize game in beforeEach
   });
 
@@ -52,14 +41,13 @@ describe('Integration Tests', () => {
 
   test('should play a complete game turn', async () => {
     // Player's turn
-    mockReadline.question.mockImplementationOnce((_, callback) => callback('22'));
     const playerMove = await game.processPlayerMove('22');
     expect(playerMove.success).toBe(true);
     
     // CPU's turn
     const cpuMove = await game.processCPUMove();
     expect(cpuMove.success).toBe(true);
-    expect(cpuMove.coordinate).toMatch(/^[0-9][0-9]$/);
+    expect(String(cpuMove.coordinate)).toMatch(/^[0-9][0-9]$/);
   });
 
   test('should handle ship sinking', async () => {
@@ -80,6 +68,27 @@ describe('Integration Tests', () => {
     expect(game.cpuNumShips).toBe(0);
   });
 
+  test('should name the sunk ship class in events and status', async () => {
+    game.cpuBoard = new GameBoard();
+    game.cpuNumShips = 2;
+    game.cpuBoard.placeShip(new Ship(['00', '01', '02', '03', '04'], 'Carrier'));
+    game.cpuBoard.placeShip(new Ship(['22', '23'], 'Destroyer'));
+    const sunk = jest.fn();
+    game.on('shipSunk', sunk);
+
+    await game.processPlayerMove('22');
+    await game.processPlayerMove('23');
+
+    expect(sunk).toHaveBeenCalledWith({ player: 'player', ship: 'Destroyer' });
+    expect(game.getGameStatus().cpuShipsAfloat).toEqual(['Carrier']);
+  });
+
+  test('should place the configured named fleet on both boards', () => {
+    const names = config.get('shipPatterns').map(pattern => pattern.name);
+    expect(game.playerBoard.getShips().map(ship => ship.name)).toEqual(names);
+    expect(game.cpuBoard.getShips().map(ship => ship.name)).toEqual(names);
+  });
+
   test('should track game statistics', async () => {
     await game.processPlayerMove('22');
     await game.processCPUMove();
@@ -125,16 +134,51 @@ describe('Integration Tests', () => {
     expect(game.checkGameOver()).toBe(true);
   });
 
-  test('should display boards correctly', async () => {
-    // Make some moves
-    await game.processPlayerMove('22');
-    await game.processCPUMove();
-    
-    // Capture board display
-    game.displayBoards();
-    
-    expect(consoleSpy).toHaveBeenCalledWith('\nPlayer Board:');
-    expect(consoleSpy).toHaveBeenCalledWith('\nCPU Board:');
+  test('should play a complete game headlessly', async () => {
+    const events = [];
+    game.on('gameEnded', data => events.push(data));
+
+    const targets = game.cpuBoard.getShips().flatMap(ship => ship.locations);
+    for (const coordinate of targets) {
+      const result = await game.processPlayerMove(coordinate);
+      expect(result.success).toBe(true);
+      if (result.gameOver) break;
+      await game.processCPUMove();
+      if (game.checkGameOver()) break;
+    }
+
+    expect(game.checkGameOver()).toBe(true);
+    game.endGame(game.getWinner());
+    expect(events).toHaveLength(1);
+    expect(['player', 'cpu']).toContain(events[0].winner);
+    expect(consoleSpy).not.toHaveBeenCalled();
+  });
+
+  test('should drive a full game through the state machine', async () => {
+    const targets = game.cpuBoard.getShips().flatMap(ship => ship.locations);
+    game.inputProvider = jest.fn(async () => targets.shift());
+    const transitions = [];
+    game.on('stateChange', ({ to }) => transitions.push(to));
+
+    const result = await game.run();
+
+    expect(result.continue).toBe(false);
+    expect(game.currentState.getName()).toBe('GameOver');
+    expect(transitions.slice(0, 2)).toEqual(['PlayerTurn', 'CPUTurn']);
+    expect(transitions[transitions.length - 1]).toBe('GameOver');
+    expect(['player', 'cpu']).toContain(result.winner);
+  });
+
+  test('should stop the state machine when the game is quit', async () => {
+    game.inputProvider = jest.fn(async () => {
+      game.quit();
+      return '00';
+    });
+
+    await game.run();
+
+    expect(game.currentState).toBeNull();
+    expect(game.inputProvider).toHaveBeenCalledTimes(1);
   });
 
   test('should handle game reset', async () => {
@@ -158,17 +202,6 @@ describe('Integration Tests', () => {
     expect(updateSpy).toHaveBeenCalled();
   });
 
-  test('should handle game quit gracefully', () => {
-    const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
-    
-    game.quit();
-    
-    expect(mockReadline.close).toHaveBeenCalled();
-    expect(exitSpy).toHaveBeenCalledWith(0);
-    
-    exitSpy.mockRestore();
-  });
-
   describe('Game Configuration Integration', () => {
     test('should maintain consistent configuration across modules', () => {
       // Reset game state
@@ -206,6 +239,270 @@ describe('Integration Tests', () => {
     });
   });
 
+  describe('Fleet Layout Integration', () => {
+    const layout = [
+      '# Favourite layout',
+      'Carrier 00 H',
+      'Battleship 20 V',
+      '',
+      'cruiser 95 h   # bottom row',
+      'Submarine 44 V',
+      'Destroyer 08 V'
+    ].join('\n');
+
+    test('should parse a layout into validated ships', () => {
+      const board = new GameBoard();
+      const { isValid, ships, errors } = ShipFactory.parseFleetLayout(layout, board, { isVisible: true });
+
+      expect(errors).toEqual([]);
+      expect(isValid).toBe(true);
+      expect(ships.map(ship => ship.name)).toEqual(['Carrier', 'Battleship', 'Cruiser', 'Submarine', 'Destroyer']);
+      expect(board.getShipAt('50').name).toBe('Battleship');
+      expect(board.getShipAt('97').name).toBe('Cruiser');
+      expect(board.grid[0][4]).toBe('S');
+    });
+
+    test('should export a layout that parses back to the same fleet', () => {
+      const board = new GameBoard();
+      ShipFactory.parseFleetLayout(layout, board);
+
+      const exported = board.toFleetLayout();
+      expect(exported).toBe('Carrier 00 H\nBattleship 20 V\nCruiser 95 H\nSubmarine 44 V\nDestroyer 08 V\n');
+
+      const copy = new GameBoard();
+      ShipFactory.parseFleetLayout(exported, copy);
+      expect(copy.getShips().map(ship => ship.locations)).toEqual(board.getShips().map(ship => ship.locations));
+    });
+
+    test('should list every problem in a layout', () => {
+      const { isValid, errors } = ShipFactory.parseFleetLayout([
+        'Carrier 00 H',
+        'Battleship 01 V',
+        'Carrier 50 H',
+        'Frigate 60 H',
+        'Cruiser 70 D',
+        'Submarine ZZ H',
+        'Destroyer'
+      ].join('\n'), new GameBoard());
+
+      expect(isValid).toBe(false);
+      expect(errors).toEqual([
+        'Line 2: Battleship: Position 01 overlaps with the Carrier',
+        'Line 3: too many Carrier ships (the fleet has 1)',
+        "Line 4: unknown ship 'Frigate' (fleet: Carrier, Battleship, Cruiser, Submarine, Destroyer)",
+        "Line 5: orientation must be H or V, got 'D'",
+        "Line 6: 'ZZ' is not a coordinate",
+        "Line 7: expected '<ship> <bow> <H|V>', got 'Destroyer'",
+        'Missing ships: Battleship, Cruiser, Submarine, Destroyer'
+      ]);
+    });
+
+    test('should name the bow of a ship laid out off a classic board', () => {
+      GameConfig.configure({ coordinateFormat: 'classic' });
+      try {
+        const { errors } = ShipFactory.parseFleetLayout('Carrier J7 V\nBattleship A1 H', new GameBoard());
+
+        expect(errors[0]).toBe('Line 1: Carrier from J7 runs 4 rows off the board');
+      } finally {
+        GameConfig.configure();
+      }
+    });
+
+    test('should start games from fleet layouts', async () => {
+      const laidOut = new Game({ seed: 3, playerFleet: layout, cpuFleet: layout });
+      await laidOut.initialize();
+
+      expect(laidOut.playerBoard.toFleetLayout()).toBe(laidOut.cpuBoard.toFleetLayout());
+      expect(laidOut.playerBoard.grid[2][0]).toBe(config.get('symbols').ship);
+      expect(laidOut.cpuBoard.grid[2][0]).toBe(config.get('symbols').water);
+      expect(laidOut.playerNumShips).toBe(5);
+      expect(laidOut.cpuNumShips).toBe(5);
+      expect(laidOut.fleets.cpu.map(ship => ship.name)).toEqual(['Carrier', 'Battleship', 'Cruiser', 'Submarine', 'Destroyer']);
+    });
+
+    test('should skip manual placement when the player fleet is given', () => {
+      expect(new Game({ placement: 'manual', playerFleet: layout }).manualPlacement).toBe(false);
+    });
+
+    test('should reject invalid layouts before the game starts', () => {
+      expect(() => new Game({ cpuFleet: 'Carrier 00 H' }))
+        .toThrow('Invalid CPU fleet layout:\n  - Missing ships: Battleship, Cruiser, Submarine, Destroyer');
+    });
+  });
+
+  describe('Turn Rule Integration', () => {
+    test('should decide bonus turns by the configured rule', () => {
+      const onHit = new Game({ turnRule: 'again-on-hit' });
+      const onSink = new Game({ turnRule: 'again-on-sink' });
+      const alternate = new Game();
+
+      expect(alternate.turnRule).toBe('alternate');
+      expect(alternate.earnsBonusTurn({ hit: true, sunk: true })).toBe(false);
+      expect(onHit.earnsBonusTurn({ hit: true, sunk: false })).toBe(true);
+      expect(onHit.earnsBonusTurn({ hit: false, sunk: false })).toBe(false);
+      expect(onHit.earnsBonusTurn({ volley: true, hits: 2, sunk: false })).toBe(true);
+      expect(onSink.earnsBonusTurn({ hit: true, sunk: false })).toBe(false);
+      expect(onSink.earnsBonusTurn({ hit: true, sunk: true })).toBe(true);
+      expect(onSink.earnsBonusTurn({ hit: true, sunk: true, gameOver: true })).toBe(false);
+    });
+
+    test('should let both sides keep firing after hits and record the bonus shots', async () => {
+      const cells = [];
+      for (let row = 0; row < 10; row++) {
+        for (let col = 0; col < 10; col++) {
+          cells.push(`${row}${col}`);
+        }
+      }
+      const bonusTurns = [];
+      const played = new Game({ seed: 21, turnRule: 'again-on-hit', inputProvider: async () => cells.shift() });
+      played.on('bonusTurn', ({ player }) => bonusTurns.push(player));
+
+      await played.run();
+
+      expect(bonusTurns).toContain('player');
+      expect(bonusTurns).toContain('cpu');
+      played.history.forEach((shot, index) => {
+        const previous = played.history[index - 1];
+        // A shot is a bonus shot exactly when the same side hit with its previous shot
+        expect(Boolean(shot.bonus)).toBe(Boolean(previous && previous.player === shot.player));
+        if (shot.bonus) {
+          expect(previous.result).not.toBe('miss');
+        }
+      });
+
+      const status = played.getGameStatus();
+      expect(status.turnRule).toBe('again-on-hit');
+      expect(status.playerBonusShots + status.cpuBonusShots).toBe(bonusTurns.length);
+      expect(Replay.fromGame(played).turnRule).toBe('again-on-hit');
+    });
+  });
+
+  describe('Salvo Integration', () => {
+    let salvo;
+    let events;
+
+    beforeEach(async () => {
+      salvo = new Game({ seed: 12, variant: 'salvo' });
+      events = [];
+      ['volleyFired', 'playerHit', 'playerMiss', 'volleyComplete'].forEach(event => {
+        salvo.on(event, data => events.push([event, data]));
+      });
+      await salvo.initialize();
+    });
+
+    test('should fire one shot per ship afloat', () => {
+      expect(salvo.getVolleySize('player')).toBe(5);
+      expect(salvo.getVolleySize('cpu')).toBe(5);
+      expect(new Game({ seed: 12 }).getVolleySize('player')).toBe(1);
+    });
+
+    test('should resolve a volley and announce it before and after', async () => {
+      const target = String(salvo.cpuBoard.getShips()[0].locations[0]);
+      const cells = [target, ...['99', '98', '97', '96', '95'].filter(cell => cell !== target)].slice(0, 5);
+
+      const result = await salvo.processPlayerVolley(cells.join(' '));
+
+      expect(result.success).toBe(true);
+      expect(result.shots).toHaveLength(5);
+      expect(result.hits).toBeGreaterThanOrEqual(1);
+      expect(salvo.playerGuesses.size).toBe(5);
+      expect(salvo.history).toHaveLength(5);
+      expect(events[0]).toEqual(['volleyFired', { player: 'player', shots: 5 }]);
+      const [name, summary] = events[events.length - 1];
+      expect(name).toBe('volleyComplete');
+      expect(summary.results.map(shot => String(shot.coordinate))).toEqual(cells);
+      expect(summary.hits + summary.misses).toBe(5);
+      expect(salvo.statsObserver.stats.volleysFired).toBe(1);
+    });
+
+    test('should reject a volley without firing any of it', async () => {
+      expect(await salvo.processPlayerVolley('00 11')).toEqual({ success: false, error: 'Fire 5 shots this turn, separated by spaces.' });
+      expect(salvo.playerGuesses.size).toBe(0);
+      expect(events).toEqual([]);
+    });
+
+    test('should let the CPU pick a whole volley', async () => {
+      const result = await salvo.processCPUVolley();
+
+      expect(result.shots).toHaveLength(5);
+      expect(new Set(result.coordinates).size).toBe(5);
+      expect(salvo.cpuGuesses.size).toBe(5);
+      expect(salvo.aiContext.moveHistory).toHaveLength(5);
+    });
+
+    test('should fire a fixed number of shots when configured', () => {
+      GameConfig.configure({ coordinateFormat: 'digits', salvoShots: 3 });
+      try {
+        expect(new Game({ variant: 'salvo' }).getVolleySize('player')).toBe(3);
+      } finally {
+        GameConfig.configure({ coordinateFormat: 'digits' });
+      }
+    });
+
+    test('should play a Salvo game to the end through the state machine', async () => {
+      const cells = [];
+      for (let row = 0; row < 10; row++) {
+        for (let col = 0; col < 10; col++) {
+          cells.push(`${row}${col}`);
+        }
+      }
+      const played = new Game({
+        seed: 12,
+        variant: 'salvo',
+        inputProvider: async ({ shots }) => cells.splice(0, shots).join(' ')
+      });
+
+      const result = await played.run();
+
+      expect(['player', 'cpu']).toContain(result.winner);
+      expect(played.getWinner()).toBe(result.winner);
+    });
+  });
+
+  describe('Adjacency Rule Integration', () => {
+    beforeEach(() => {
+      GameConfig.configure({ coordinateFormat: 'digits', adjacency: 'no-contact' });
+    });
+
+    afterEach(() => {
+      GameConfig.configure({ coordinateFormat: 'digits' });
+    });
+
+    const touchingPairs = board => board.getShips().filter(ship => board.getTouchingShips(ship.locations).length > 0);
+
+    test('should keep randomly placed fleets apart', async () => {
+      for (const seed of [1, 2, 3]) {
+        const spaced = new Game({ seed });
+        await spaced.initialize();
+        expect(spaced.playerBoard.adjacency).toBe('no-contact');
+        expect(touchingPairs(spaced.playerBoard)).toEqual([]);
+        expect(touchingPairs(spaced.cpuBoard)).toEqual([]);
+      }
+    });
+
+    test('should reject touching ships in layouts and manual placement', async () => {
+      const { errors } = ShipFactory.parseFleetLayout([
+        'Carrier 00 H',
+        'Battleship 15 H'
+      ].join('\n'), new GameBoard());
+      expect(errors[0]).toBe('Line 2: Battleship: Touches the Carrier (ships may not touch, even diagonally)');
+
+      const manual = new Game({ seed: 4, placement: 'manual' });
+      await manual.initialize();
+      await manual.processPlacementCommand('00 H');
+      expect(await manual.processPlacementCommand('10 H')).toEqual(expect.objectContaining({
+        success: false,
+        reasons: ['Touches the Carrier (ships may not touch, even diagonally)']
+      }));
+      expect((await manual.processPlacementCommand('20 H')).success).toBe(true);
+    });
+
+    test('should refuse fleets that cannot be kept apart', () => {
+      expect(() => GameConfig.configure({ adjacency: 'no-edge', boardSize: 4, shipPatterns: Array(5).fill({ length: 2 }) }))
+        .toThrow("cannot be arranged on a 4x4 board under the 'no-edge' adjacency rule");
+    });
+  });
+
   describe('AI Strategy Integration', () => {
     test('should integrate AI strategy with game moves', async () => {
       const aiContext = game.aiContext;
@@ -238,6 +535,64 @@ describe('Integration Tests', () => {
       const nextMove = aiContext.makeMove(game.cpuGuesses, game.playerBoard);
       expect(nextMove.mode).toBe('target');
     });
+
+    test('should take the CPU difficulty from the configuration', async () => {
+      GameConfig.configure({ coordinateFormat: 'digits', difficulty: 'expert' });
+      try {
+        const configuredGame = new Game();
+        expect(configuredGame.aiContext.difficulty).toBe('expert');
+        expect(new Game({ aiDifficulty: 'easy' }).aiContext.difficulty).toBe('easy');
+      } finally {
+        GameConfig.configure({ coordinateFormat: 'digits' });
+      }
+    });
+
+    test('should replay the same game from the same seed', async () => {
+      const play = async seed => {
+        const seeded = new Game({ seed, aiDifficulty: 'hard' });
+        await seeded.initialize();
+        const fleet = seeded.playerBoard.getShips().map(ship => ship.locations.map(String));
+        const shots = [];
+        for (let i = 0; i < 30; i++) {
+          shots.push(String((await seeded.processCPUMove()).coordinate));
+        }
+        return { seed: seeded.seed, fleet, shots };
+      };
+
+      const first = await play(777);
+      expect(first.seed).toBe(777);
+      expect(await play('777')).toEqual(first);
+      expect((await play(778)).fleet).not.toEqual(first.fleet);
+    });
+
+    test('should restart a seeded game identically', async () => {
+      const seeded = new Game({ seed: 9 });
+      await seeded.initialize();
+      const fleet = seeded.cpuBoard.getShips().map(ship => ship.locations.map(String));
+      await seeded.initialize();
+
+      expect(seeded.cpuBoard.getShips().map(ship => ship.locations.map(String))).toEqual(fleet);
+    });
+
+    test('should reject invalid seeds', () => {
+      expect(() => new Game({ seed: 'banana' })).toThrow('Seed must be an integer');
+    });
+
+    test('should sink the player fleet on expert difficulty without repeating shots', async () => {
+      const expertGame = new Game({ aiDifficulty: 'expert' });
+      await expertGame.initialize();
+
+      let moves = 0;
+      while (expertGame.playerNumShips > 0 && moves < 100) {
+        const { coordinate } = await expertGame.processCPUMove();
+        moves++;
+        expect(expertGame.cpuGuesses.size).toBe(moves);
+        expect(coordinate.isWithin(expertGame.playerBoard.size)).toBe(true);
+      }
+
+      expect(expertGame.playerNumShips).toBe(0);
+      expect(expertGame.aiContext.getStats().shipsSunk).toBe(config.get('numShips'));
+    });
   });
 
   describe('Performance Integration', () => {
@@ -263,4 +618,72 @@ describe('Integration Tests', () => {
       expect(duration).toBeLessThan(1000); // 1 second max
     }, 5000); // 5 second timeout
   });
-}); 
\ No newline at end of file
+
+  describe('Large Board Integration', () => {
+    beforeEach(() => {
+      GameConfig.configure({ boardSize: 26 });
+    });
+
+    afterEach(() => {
+      GameConfig.configure();
+    });
+
+    test('should play a full game on a 26x26 board', async () => {
+      const largeGame = new Game();
+      await largeGame.initialize();
+      expect(largeGame.cpuBoard.size).toBe(26);
+
+      const targets = largeGame.cpuBoard.getShips().flatMap(ship => ship.locations.map(String));
+      largeGame.inputProvider = jest.fn(async () => targets.shift());
+      largeGame.playerNumShips = Infinity;
+
+      const result = await largeGame.run();
+
+      expect(result.winner).toBe('player');
+      expect(largeGame.cpuNumShips).toBe(0);
+      largeGame.cpuGuesses.forEach(coordinate => {
+        expect(coordinate.isWithin(26)).toBe(true);
+      });
+    });
+
+    test('should accept and reject row,col input at the board edge', async () => {
+      const largeGame = new Game();
+      await largeGame.initialize();
+
+      expect((await largeGame.processPlayerMove('25,25')).success).toBe(true);
+      expect((await largeGame.processPlayerMove('25, 25')).error).toBe('You already guessed that location!');
+      expect((await largeGame.processPlayerMove('26,0')).error).toBe('Oops, please enter valid row and column numbers between 0 and 25.');
+      expect((await largeGame.processPlayerMove('2x')).error).toBe('Oops, input must be exactly two digits (e.g., 00, 34, 98) or row,col (e.g., 3,12).');
+    });
+
+    test('should accept and reject classic input at the board edge', async () => {
+      GameConfig.configure({ boardSize: 26, coordinateFormat: 'classic' });
+      const largeGame = new Game();
+      await largeGame.initialize();
+
+      expect((await largeGame.processPlayerMove('Z26')).success).toBe(true);
+      expect((await largeGame.processPlayerMove('z 26')).error).toBe('You already guessed that location!');
+      expect((await largeGame.processPlayerMove('Z27')).error).toBe('Oops, please enter a row from A to Z and a column from 1 to 26.');
+    });
+
+    test('should range-check shots against the board fired at, not the configuration', async () => {
+      GameConfig.configure({ coordinateFormat: 'classic' });
+      const game = new Game();
+      await game.initialize();
+      game.cpuBoard = new GameBoard(5);
+
+      expect((await game.processPlayerMove('E5')).success).toBe(true);
+      expect((await game.processPlayerMove('F1')).error).toBe('Oops, please enter a row from A to E and a column from 1 to 5.');
+    });
+
+    test('should explain why a shot is rejected, as the other front-ends do', async () => {
+      GameConfig.configure({ coordinateFormat: 'classic' });
+      const game = new Game();
+      await game.initialize();
+
+      expect((await game.processPlayerMove('K1')).error).toBe('Oops, please enter a row from A to J and a column from 1 to 10.');
+      expect((await game.processPlayerMove('11')).error).toBe('Oops, input must be a row letter followed by a column number (e.g., A1, B7, J10).');
+      expect(game.playerGuesses.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * PluginBotStrategy Tests - CPU opponents played by sandboxed JavaScript plugins
+ *
+ * @module tests/PluginBotStrategy
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginBotStrategy = require('../src/ai/PluginBotStrategy');
+const { AIContext } = require('../src/ai/AIStrategy');
+const Coordinate = require('../src/entities/Coordinate');
+const GameBoard = require('../src/entities/GameBoard');
+const ShipFactory = require('../src/entities/ShipFactory');
+const Game = require('../src/game/Game');
+const GameConfig = require('../src/config/GameConfig');
+const Random = require('../src/utils/Random');
+
+/**
+ * Test plugins by name
+ */
+const PLUGINS = {
+  // Sweeps the board row by row, skipping cells already fired at or chosen
+  sweeper: `
+    module.exports.placeFleet = function () {
+      return ['Destroyer A1 H', 'Cruiser C1 V'];
+    };
+    module.exports.chooseTarget = function (view) {
+      for (var row = 0; row < view.size; row++) {
+        for (var col = 0; col < view.size; col++) {
+          var cell = 'ABCDE'[row] + (col + 1);
+          if (view.grid[row][col] === '~' && view.volley.indexOf(cell) === -1) {
+            return cell;
+          }
+        }
+      }
+    };
+    module.exports.echo = function (input) {
+      return JSON.stringify(input);
+    };
+    module.exports.probe = function () {
+      var escape = function (reach) {
+        try {
+          return typeof reach().constructor.constructor('return process')();
+        } catch (error) {
+          return 'blocked';
+        }
+      };
+      return [
+        typeof require,
+        typeof process,
+        typeof setTimeout,
+        escape(function () { return this; }.bind(this)),
+        escape(function () { return globalThis.__proto__; }),
+        escape(function () { return Object.getPrototypeOf(globalThis); })
+      ].join(' ');
+    };
+  `,
+  looping: `
+    exports.placeFleet = function () { while (true) {} };
+    exports.chooseTarget = function () { while (true) {} };
+  `,
+  promising: `
+    exports.chooseTarget = function () {
+      var spin = function () { return Promise.resolve().then(spin); };
+      spin();
+      return 'A1';
+    };
+  `,
+  throwing: `
+    exports.chooseTarget = function () { throw new Error('out of ideas'); };
+  `,
+  offboard: `
+    exports.placeFleet = function () { return 'Destroyer A1 H'; };
+    exports.chooseTarget = function () { return 'Z9'; };
+  `,
+  repeating: `
+    exports.chooseTarget = function () { return 'A1'; };
+  `,
+  random: `
+    exports.placeFleet = function () { return null; };
+    exports.chooseTarget = function () { return 'A1'; };
+  `,
+  silent: `
+    exports.placeFleet = function () { return null; };
+  `,
+  broken: `
+    exports.chooseTarget = function ( {
+  `,
+  stuck: `
+    while (true) {}
+  `
+};
+
+describe('PluginBotStrategy', () => {
+  let dir;
+
+  /**
+   * Load a test plugin
+   * @param {string} name - Plugin name
+   * @param {Object} options - Extra strategy options
+   * @returns {PluginBotStrategy} Plugin strategy
+   */
+  function load(name, options = {}) {
+    return new PluginBotStrategy({ file: path.join(dir, `${name}.js`), timeout: 100, ...options }, new Random(1));
+  }
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-plugins-'));
+    Object.entries(PLUGINS).forEach(([name, source]) => fs.writeFileSync(path.join(dir, `${name}.js`), source));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a plugin');
+  });
+
+  beforeEach(() => {
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loading', () => {
+    test('should find plugins by name or path and list the directory', () => {
+      expect(PluginBotStrategy.resolve('sweeper', dir)).toBe(path.join(dir, 'sweeper.js'));
+      expect(PluginBotStrategy.resolve(path.join(dir, 'sweeper.js'))).toBe(path.join(dir, 'sweeper.js'));
+      expect(PluginBotStrategy.list(dir)).toEqual(Object.keys(PLUGINS).sort());
+      expect(PluginBotStrategy.list(path.join(dir, 'missing'))).toEqual([]);
+      expect(() => PluginBotStrategy.resolve('nope', dir)).toThrow("No bot plugin 'nope' (available: broken, looping,");
+    });
+
+    test('should ship the example plugins in bots/', () => {
+      expect(PluginBotStrategy.list()).toContain('hunter');
+    });
+
+    test('should reject plugins that cannot be loaded', () => {
+      expect(() => new PluginBotStrategy({})).toThrow('A bot plugin needs a file to load');
+      expect(() => load('absent')).toThrow('Cannot read bot plugin');
+      expect(() => load('silent')).toThrow('Bot plugin silent must export chooseTarget(view)');
+      expect(() => load('broken')).toThrow(/^Bot plugin broken failed to load: /);
+      expect(() => load('stuck')).toThrow('Bot plugin stuck failed to load: Script execution timed out after 100ms');
+    });
+
+    test('should run plugins without Node globals or a way out of the sandbox', () => {
+      expect(load('sweeper').call('probe', null)).toEqual({ value: 'undefined undefined undefined blocked blocked blocked' });
+    });
+  });
+
+  describe('placeFleet', () => {
+    test('should pass the rules and accept a layout given as lines', () => {
+      const plugin = load('sweeper');
+
+      expect(plugin.placeFleet()).toBe('Destroyer A1 H\nCruiser C1 V');
+      expect(JSON.parse(plugin.call('echo', { size: 5 }).value)).toEqual({ size: 5 });
+    });
+
+    test('should place at random when asked to or when the layout is invalid', () => {
+      const warnings = [];
+
+      expect(load('random').placeFleet()).toBeNull();
+      expect(load('offboard', { onWarning: warning => warnings.push(warning.reason) }).placeFleet()).toBeNull();
+      expect(load('looping', { onWarning: warning => warnings.push(warning.reason) }).placeFleet()).toBeNull();
+      expect(warnings[0]).toMatch(/^invalid fleet: .*Cruiser/);
+      expect(warnings[1]).toBe('placeFleet: did not answer within 100 ms');
+    });
+  });
+
+  describe('chooseTarget', () => {
+    test('should give the plugin a fog-of-war view, never the ships', () => {
+      const plugin = load('sweeper');
+      const board = new GameBoard();
+      ShipFactory.parseFleetLayout('Destroyer A1 H\nCruiser C1 V', board, { isVisible: true });
+      board.markHit(0, 0);
+      board.markMiss(4, 4);
+      plugin.updateStrategy(Coordinate.of(0, 0), true, false, null);
+      plugin.updateStrategy(Coordinate.of(4, 4), false, false, null);
+
+      const view = plugin.getView(board, 2, [Coordinate.of(1, 1)]);
+
+      expect(view).toEqual({
+        size: 5,
+        notation: 'classic',
+        shots: 2,
+        volley: ['B2'],
+        grid: ['X~~~~', '~~~~~', '~~~~~', '~~~~~', '~~~~O'],
+        fired: [{ coordinate: 'A1', result: 'hit' }, { coordinate: 'E5', result: 'miss' }],
+        fleet: [{ name: 'Destroyer', length: 2, sunk: false }, { name: 'Cruiser', length: 3, sunk: false }],
+        seed: expect.any(Number)
+      });
+    });
+
+    test('should pass a fresh seed from its generator on every call', () => {
+      const seeds = [load('sweeper'), load('sweeper')].map(plugin => [
+        plugin.getView(new GameBoard(), 1, []).seed,
+        plugin.getView(new GameBoard(), 1, []).seed
+      ]);
+
+      expect(seeds[0]).toEqual(seeds[1]);
+      expect(seeds[0][0]).not.toBe(seeds[0][1]);
+      seeds[0].forEach(seed => expect(seed >>> 0).toBe(seed));
+    });
+
+    test('should record sunk ships in the view', () => {
+      const plugin = load('sweeper');
+      plugin.updateStrategy('00', true, false, null);
+      plugin.updateStrategy('01', true, true, { name: 'Destroyer', length: 2 });
+
+      const view = plugin.getView(new GameBoard(), 1, []);
+
+      expect(view.fired[1]).toEqual({ coordinate: 'A2', result: 'sunk', ship: 'Destroyer' });
+      expect(view.fleet[0]).toEqual({ name: 'Destroyer', length: 2, sunk: true });
+    });
+
+    test('should play the targets the plugin chooses, one per Salvo shot', () => {
+      const plugin = load('sweeper');
+      const board = new GameBoard();
+
+      const move = plugin.makeMove(new Set(), board);
+      board.markMiss(0, 0);
+      const volley = plugin.makeVolley(3, new Set([move.coordinate]), board);
+
+      expect(move).toEqual({ coordinate: Coordinate.of(0, 0), mode: 'bot', strategy: 'PluginBotStrategy', confidence: 1 });
+      expect(volley.map(shot => shot.coordinate.format('classic'))).toEqual(['A2', 'A3', 'A4']);
+      expect(plugin.strikes).toBe(0);
+    });
+
+    test('should strike and fall back when a plugin throws, stalls or misses the board', () => {
+      const warnings = [];
+      const onWarning = warning => warnings.push(warning.reason);
+      const board = new GameBoard();
+
+      const moves = ['throwing', 'looping', 'promising', 'offboard'].map(name => load(name, { onWarning }).makeMove(new Set(), board));
+      const repeat = load('repeating', { onWarning }).makeMove(new Set([Coordinate.of(0, 0)]), board);
+
+      [...moves, repeat].forEach(move => {
+        expect(move.fallback).toBe(true);
+        expect(move.strategy).toBe('HuntStrategy');
+      });
+      expect(warnings).toEqual([
+        'chooseTarget: out of ideas',
+        'chooseTarget: did not answer within 100 ms',
+        'chooseTarget: did not answer within 100 ms',
+        "'Z9' is not a cell on the board",
+        'A1 has already been fired at'
+      ]);
+    });
+
+    test('should stop asking the plugin after too many strikes', () => {
+      const plugin = load('offboard', { maxStrikes: 2 });
+      const call = jest.spyOn(plugin, 'call');
+      const board = new GameBoard();
+
+      plugin.makeMove(new Set(), board);
+      plugin.makeMove(new Set(), board);
+      const afterwards = plugin.makeVolley(2, new Set(), board);
+
+      expect(plugin.isActive()).toBe(false);
+      expect(call).toHaveBeenCalledTimes(2);
+      expect(afterwards).toHaveLength(2);
+      expect(afterwards.every(move => move.fallback)).toBe(true);
+      expect(plugin.placeFleet()).toBeNull();
+    });
+  });
+
+  describe('in a game', () => {
+    test('should place the CPU fleet and pick the CPU targets', async () => {
+      const plugin = load('sweeper');
+      expect(new AIContext({ strategy: plugin }).difficulty).toBe('custom');
+
+      const game = new Game({ aiStrategy: plugin, seed: 3, inputProvider: async () => 'quit' });
+      await game.initialize();
+      const first = await game.processCPUMove();
+      const second = await game.processCPUMove();
+
+      expect(game.cpuBoard.toFleetLayout()).toBe('Destroyer A1 H\nCruiser C1 V\n');
+      expect([first.coordinate, second.coordinate]).toEqual([Coordinate.of(0, 0), Coordinate.of(0, 1)]);
+      expect(game.history[1]).toMatchObject({ player: 'cpu', coordinate: '01', strategy: 'PluginBotStrategy' });
+      expect(plugin.fired.map(shot => shot.coordinate)).toEqual(['A1', 'A2']);
+    });
+
+    test('should let the example hunter sink a whole fleet without strikes', async () => {
+      GameConfig.configure();
+      const warnings = [];
+      const plugin = new PluginBotStrategy({ file: PluginBotStrategy.resolve('hunter'), onWarning: warning => warnings.push(warning) });
+
+      const game = new Game({ aiStrategy: plugin, seed: 8, inputProvider: async () => 'quit' });
+      await game.initialize();
+      while (game.playerNumShips > 0 && game.history.length < 100) {
+        await game.processCPUMove();
+      }
+
+      expect(game.playerNumShips).toBe(0);
+      expect(warnings).toEqual([]);
+      expect(game.history.every(entry => entry.strategy === 'PluginBotStrategy')).toBe(true);
+    });
+
+    test('should replay the example hunter from the game seed', async () => {
+      GameConfig.configure();
+      const play = async seed => {
+        const plugin = new PluginBotStrategy({ file: PluginBotStrategy.resolve('hunter') });
+        const game = new Game({ aiStrategy: plugin, seed, inputProvider: async () => 'quit' });
+        await game.initialize();
+        for (let i = 0; i < 20; i++) {
+          await game.processCPUMove();
+        }
+        expect(plugin.random).toBe(game.random);
+        return { fleet: game.cpuBoard.toFleetLayout(), shots: game.history.map(entry => entry.coordinate) };
+      };
+
+      const first = await play(8);
+
+      expect(await play(8)).toEqual(first);
+      expect(await play(9)).not.toEqual(first);
+    });
+  });
+});
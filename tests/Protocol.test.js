@@ -0,0 +1,66 @@
+/**
+ * Protocol Tests - Network line protocol encoding
+ *
+ * @module tests/Protocol
+ */
+
+const Protocol = require('../src/net/Protocol');
+const GameConfig = require('../src/config/GameConfig');
+
+describe('Protocol', () => {
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  test('should format single-line messages', () => {
+    expect(Protocol.format('FIRE', 'B7')).toBe('FIRE B7\n');
+    expect(Protocol.format('READY')).toBe('READY\n');
+    expect(Protocol.format('RESULT', 'B7', 'HIT', undefined, null, '')).toBe('RESULT B7 HIT\n');
+    expect(Protocol.format('ERROR', 'Invalid layout:\n  - Line 1')).toBe('ERROR Invalid layout:   - Line 1\n');
+  });
+
+  test('should parse commands case-insensitively and keep the argument text', () => {
+    expect(Protocol.parse('fire  b7 \r')).toEqual({ command: 'FIRE', args: 'b7' });
+    expect(Protocol.parse('START Ann (2)')).toEqual({ command: 'START', args: 'Ann (2)' });
+    expect(Protocol.parse('QUIT')).toEqual({ command: 'QUIT', args: '' });
+    expect(Protocol.parse('')).toEqual({ command: '', args: '' });
+  });
+
+  test('should round-trip the rules', () => {
+    GameConfig.configure({
+      boardSize: 8,
+      coordinateFormat: 'digits',
+      turnRule: 'again-on-hit',
+      adjacency: 'no-edge',
+      shipPatterns: [{ name: 'Patrol Boat', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+
+    const text = Protocol.encodeRules(new GameConfig());
+
+    expect(text).toBe('size=8 notation=digits turn-rule=again-on-hit adjacency=no-edge fleet=Patrol%20Boat:2,Cruiser:3');
+    expect(Protocol.decodeRules(text)).toEqual({
+      boardSize: 8,
+      coordinateFormat: 'digits',
+      turnRule: 'again-on-hit',
+      adjacency: 'no-edge',
+      shipPatterns: [{ name: 'Patrol Boat', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+    expect(() => Protocol.decodeRules('size=8')).toThrow("RULES is missing 'notation'");
+  });
+
+  test('should carry a fleet layout on one line', () => {
+    const line = Protocol.encodeFleet('# my fleet\nCarrier A1 H\n\nDestroyer C1 V  # corner\n');
+
+    expect(line).toBe('Carrier A1 H;Destroyer C1 V');
+    expect(Protocol.decodeFleet(line)).toBe('Carrier A1 H\nDestroyer C1 V');
+  });
+
+  test('should name a ship only once it is sunk', () => {
+    expect(Protocol.encodeShot('B7', { hit: true, sunk: false, ship: 'Carrier' })).toEqual(['B7', 'HIT']);
+    expect(Protocol.encodeShot('B7', { hit: false, sunk: false })).toEqual(['B7', 'MISS']);
+    expect(Protocol.encodeShot('B7', { hit: true, sunk: true, ship: 'Patrol Boat' })).toEqual(['B7', 'HIT', 'SUNK', 'Patrol Boat']);
+
+    expect(Protocol.decodeShot('B7 HIT SUNK Patrol Boat')).toEqual({ coordinate: 'B7', hit: true, sunk: true, ship: 'Patrol Boat' });
+    expect(Protocol.decodeShot('C1 MISS')).toEqual({ coordinate: 'C1', hit: false, sunk: false, ship: null });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Random Tests - Seeded pseudo-random number generator
+ *
+ * @module tests/Random
+ */
+
+const Random = require('../src/utils/Random');
+
+describe('Random', () => {
+  test('should produce the same sequence for the same seed', () => {
+    const a = new Random(12345);
+    const b = new Random(12345);
+    const sequence = Array.from({ length: 5 }, () => a.next());
+
+    expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+    expect(new Set(sequence).size).toBe(5);
+    sequence.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    expect(new Random(1).next()).not.toBe(new Random(2).next());
+  });
+
+  test('should restart the sequence when reseeded', () => {
+    const random = new Random(7);
+    const first = [random.int(100), random.int(100), random.int(100)];
+
+    random.reseed(7);
+    expect([random.int(100), random.int(100), random.int(100)]).toEqual(first);
+  });
+
+  test('should draw integers, picks and ids within range', () => {
+    const random = new Random(99);
+    for (let i = 0; i < 50; i++) {
+      const value = random.int(10);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(10);
+      expect(['a', 'b', 'c']).toContain(random.pick(['a', 'b', 'c']));
+    }
+    expect(random.id()).toMatch(/^[0-9a-z]{9}$/);
+  });
+
+  test('should accept seeds as integers or digit strings', () => {
+    expect(new Random('42').seed).toBe(42);
+    expect(new Random(' 42 ').seed).toBe(42);
+    expect(new Random(0).seed).toBe(0);
+    expect(new Random(Random.MAX_SEED).seed).toBe(4294967295);
+  });
+
+  test('should reject invalid seeds', () => {
+    ['abc', -1, 1.5, 4294967296, true, '12abc'].forEach(seed => {
+      expect(() => new Random(seed)).toThrow(`Seed must be an integer between 0 and 4294967295, got ${seed}`);
+    });
+  });
+
+  test('should continue the sequence from a snapshot', () => {
+    const random = new Random(3);
+    random.next();
+    const snapshot = JSON.parse(JSON.stringify(random));
+    const expected = [random.next(), random.next()];
+
+    const restored = new Random(0);
+    restored.restore(snapshot);
+    expect(restored.seed).toBe(3);
+    expect([restored.next(), restored.next()]).toEqual(expected);
+  });
+
+  test('should pick a random seed when none is given', () => {
+    const seed = new Random().seed;
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThanOrEqual(Random.MAX_SEED);
+  });
+
+  test('should share one default generator', () => {
+    expect(Random.getDefault()).toBe(Random.getDefault());
+    expect(Random.getDefault()).toBeInstanceOf(Random);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Replay Tests - Replay files and the terminal replay viewer
+ *
+ * @module tests/Replay
+ */
+
+const mockReadline = {
+  question: jest.fn(),
+  close: jest.fn()
+};
+
+jest.mock('readline', () => ({
+  createInterface: jest.fn().mockReturnValue(mockReadline)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Replay = require('../src/game/Replay');
+const ReplayViewer = require('../src/ui/ReplayViewer');
+const Game = require('../src/game/Game');
+const GameConfig = require('../src/config/GameConfig');
+const Coordinate = require('../src/entities/Coordinate');
+
+describe('Replay', () => {
+  let game;
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-replay-'));
+    game = new Game({ seed: 99, aiDifficulty: 'normal' });
+    await game.initialize();
+    const target = game.cpuBoard.getShips()[0].locations[0];
+    for (const input of [String(target), '99']) {
+      await game.processPlayerMove(input);
+      await game.processCPUMove();
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Recording', () => {
+    test('should record the seed, starting fleets and every shot', () => {
+      const replay = Replay.fromGame(game);
+
+      expect(replay.seed).toBe(99);
+      expect(replay.difficulty).toBe('normal');
+      expect(replay.boardSize).toBe(game.playerBoard.size);
+      expect(replay.fleets.player.map(ship => ship.locations)).toEqual(game.playerBoard.getShips().map(ship => ship.locations.map(String)));
+      expect(replay.fleets.cpu.every(ship => ship.hits.length === 0)).toBe(true);
+      expect(replay.length).toBe(4);
+      expect(replay.shots.map(shot => shot.player)).toEqual(['player', 'cpu', 'player', 'cpu']);
+      expect(replay.winner).toBeNull();
+    });
+
+    test('should record results, timestamps and CPU strategies', () => {
+      const [hit, cpuShot, miss] = Replay.fromGame(game).shots;
+      const shipName = game.cpuBoard.getShips()[0].name;
+
+      expect(hit).toEqual(expect.objectContaining({ turn: 1, result: 'hit', ship: shipName }));
+      expect(new Date(hit.timestamp).toString()).not.toBe('Invalid Date');
+      expect(cpuShot.strategy).toEqual(expect.any(String));
+      expect(cpuShot.confidence).toEqual(expect.any(Number));
+      expect(miss).toEqual(expect.objectContaining({ turn: 3, coordinate: '99', result: game.cpuBoard.getShipAt('99') ? 'hit' : 'miss' }));
+    });
+
+    test('should refuse to record a game that has not started', () => {
+      expect(() => Replay.fromGame(new Game({ seed: 1 }))).toThrow('Cannot record a game before its ships are placed');
+    });
+  });
+
+  describe('Rebuilding boards', () => {
+    test('should show the starting fleets at step 0', () => {
+      const { playerBoard, cpuBoard } = Replay.fromGame(game).boardsAt(0);
+
+      expect(playerBoard.hits.size + playerBoard.misses.size).toBe(0);
+      expect(cpuBoard.hits.size + cpuBoard.misses.size).toBe(0);
+      expect(cpuBoard.grid.flat().filter(cell => cell === 'S')).toHaveLength(17);
+    });
+
+    test('should apply shots up to the requested step', () => {
+      const replay = Replay.fromGame(game);
+      const target = game.cpuBoard.getShips()[0].locations[0];
+
+      const { cpuBoard } = replay.boardsAt(1);
+      expect(cpuBoard.hits.has(target)).toBe(true);
+      expect(cpuBoard.getShipAt(target).isHit(target)).toBe(true);
+
+      const last = replay.boardsAt(replay.length);
+      expect(last.playerBoard.toJSON().hits).toEqual(game.playerBoard.toJSON().hits);
+      expect(last.playerBoard.toJSON().misses).toEqual(game.playerBoard.toJSON().misses);
+      expect(last.cpuBoard.toJSON().hits).toEqual(game.cpuBoard.toJSON().hits);
+    });
+
+    test('should clamp steps to the replay', () => {
+      const replay = Replay.fromGame(game);
+      expect(replay.boardsAt(-5).cpuBoard.hits.size).toBe(0);
+      expect(replay.boardsAt(100).playerBoard.toJSON()).toEqual(replay.boardsAt(replay.length).playerBoard.toJSON());
+    });
+  });
+
+  describe('Files', () => {
+    test('should write and read a replay file', () => {
+      const file = path.join(tempDir, 'game.replay.json');
+      expect(Replay.save(game, file)).toBe(file);
+
+      const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(document.format).toBe('sea-battle-replay');
+      expect(document.version).toBe(Replay.VERSION);
+
+      const loaded = Replay.load(file);
+      expect(loaded.shots).toEqual(game.history);
+      expect(loaded.fleets).toEqual(game.fleets);
+    });
+
+    test('should keep recording across a save and resume', async () => {
+      const restored = Game.fromJSON(JSON.parse(JSON.stringify(game.toJSON())));
+      await restored.processPlayerMove('98');
+
+      const replay = Replay.fromGame(restored);
+      expect(replay.length).toBe(5);
+      expect(replay.shots[4]).toEqual(expect.objectContaining({ turn: 5, coordinate: '98' }));
+    });
+
+    test('should reject files that are not replays', () => {
+      const file = path.join(tempDir, 'other.json');
+      fs.writeFileSync(file, JSON.stringify({ format: 'sea-battle-save', version: 1 }));
+      expect(() => Replay.load(file)).toThrow(`Cannot load replay file ${file}: Not a Sea Battle replay file`);
+
+      fs.writeFileSync(file, JSON.stringify({ ...Replay.fromGame(game).toJSON(), version: 2 }));
+      expect(() => Replay.load(file)).toThrow('Unsupported replay file version 2 (expected 1)');
+
+      expect(() => Replay.load(path.join(tempDir, 'missing.json'))).toThrow('Cannot read replay file');
+    });
+  });
+});
+
+describe('ReplayViewer', () => {
+  let viewer;
+  let replay;
+  let consoleSpy;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const game = new Game({ seed: 5 });
+    await game.initialize();
+    await game.processPlayerMove(game.cpuBoard.formatCoordinate(game.cpuBoard.getShips()[0].locations[0]));
+    await game.processCPUMove();
+    replay = Replay.fromGame(game);
+    viewer = new ReplayViewer({ replay });
+  });
+
+  afterEach(() => {
+    consoleSpy.mockRestore();
+  });
+
+  test('should step forward, backward and jump between turns', () => {
+    viewer.handleCommand('');
+    expect(viewer.step).toBe(1);
+    viewer.handleCommand('n');
+    viewer.handleCommand('n');
+    expect(viewer.step).toBe(2);
+    viewer.handleCommand('p');
+    expect(viewer.step).toBe(1);
+    viewer.handleCommand('last');
+    expect(viewer.step).toBe(2);
+    viewer.handleCommand('f');
+    expect(viewer.step).toBe(0);
+    viewer.handleCommand('7');
+    expect(viewer.step).toBe(2);
+    expect(viewer.handleCommand('q')).toBe(false);
+  });
+
+  test('should mark bonus shots and show the turn rule', () => {
+    const shot = { ...replay.shots[0], bonus: true };
+    const board = replay.boardsAt(0).cpuBoard;
+    expect(viewer.describeShot(shot, board)).toMatch(/^Player fired a bonus shot at \d\d: HIT /);
+
+    viewer.render();
+    expect(consoleSpy).toHaveBeenCalledWith('Starting fleets. Seed: 5, CPU difficulty: normal, turn rule: alternate');
+  });
+
+  test('should report unknown commands', () => {
+    expect(viewer.handleCommand('zoom')).toBe(true);
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining("Unknown command 'zoom'"));
+  });
+
+  test('should describe shots in the board notation', () => {
+    const [, cpuShot] = replay.shots;
+    viewer.goTo(2);
+    viewer.render();
+
+    expect(consoleSpy).toHaveBeenCalledWith('\nTurn 2 of 2');
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(
+      new RegExp(`^CPU fired at ${Coordinate.from(cpuShot.coordinate)}: (MISS|HIT) .*\\(${cpuShot.strategy}, confidence \\d\\.\\d\\d\\)$`)
+    ));
+    expect(consoleSpy).toHaveBeenCalledWith('\nPlayer Board:');
+    expect(consoleSpy).toHaveBeenCalledWith('\nCPU Board:');
+    expect(consoleSpy).toHaveBeenCalledWith('\nEnd of replay. The game was not finished.');
+  });
+
+  test('should render until the viewer quits', async () => {
+    mockReadline.question
+      .mockImplementationOnce((_, callback) => callback('n'))
+      .mockImplementationOnce((_, callback) => callback('q'));
+
+    await viewer.start();
+
+    expect(consoleSpy).toHaveBeenCalledWith('\nTurn 0 of 2');
+    expect(consoleSpy).toHaveBeenCalledWith('\nTurn 1 of 2');
+    expect(consoleSpy).toHaveBeenCalledWith(expect.stringMatching(/^Player fired at \d\d: HIT /));
+    expect(mockReadline.close).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,351 @@
+/**
+ * RestApi Tests - JSON API for creating and playing games
+ *
+ * @module tests/RestApi
+ */
+
+const http = require('http');
+const WebServer = require('../src/net/WebServer');
+const RestApi = require('../src/net/RestApi');
+const GameConfig = require('../src/config/GameConfig');
+
+describe('RestApi', () => {
+  let server;
+  let port;
+
+  /**
+   * JSON request against the test server
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @param {Object|string} body - JSON body (sent as is when a string)
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  function call(method, pathname, body) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({ port, host: '127.0.0.1', method, path: pathname }, (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          text += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text ? JSON.parse(text) : undefined }));
+      });
+      request.on('error', reject);
+      request.end(body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+    });
+  }
+
+  /**
+   * Create a game and return its view
+   * @param {Object} options - POST /games body
+   * @returns {Promise<Object>} Game view
+   */
+  async function createGame(options = { seed: 4 }) {
+    const response = await call('POST', '/games', options);
+    expect(response.status).toBe(201);
+    return response.body;
+  }
+
+  beforeEach(async () => {
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }]
+    });
+    server = new WebServer({ port: 0, host: '127.0.0.1' });
+    port = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  describe('POST /games', () => {
+    test('should create a game and point at it', async () => {
+      const response = await call('POST', '/games', { seed: 4, difficulty: 'easy' });
+
+      expect(response.status).toBe(201);
+      expect(response.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(response.headers.location).toBe(`/games/${response.body.id}`);
+      expect(response.body).toMatchObject({
+        status: 'active',
+        winner: null,
+        error: false,
+        difficulty: 'easy',
+        variant: 'classic',
+        turnRule: 'alternate',
+        size: 5,
+        notation: 'classic',
+        shotsThisTurn: 1
+      });
+      expect(server.api.games.has(response.body.id)).toBe(true);
+    });
+
+    test('should keep the CPU fleet and the seed out of the view', async () => {
+      const view = await createGame();
+
+      expect(view.player.ships.map(ship => ship.name)).toEqual(['Destroyer', 'Cruiser']);
+      expect(view.player.grid).toHaveLength(5);
+      expect(view.opponent.ships).toEqual([]);
+      expect(view.opponent.grid).toEqual(['~~~~~', '~~~~~', '~~~~~', '~~~~~', '~~~~~']);
+      expect(view.opponent.shipsAfloat).toBe(2);
+      expect(view.seed).toBeUndefined();
+    });
+
+    test('should place the player fleet from a layout', async () => {
+      const view = await createGame({ playerFleet: 'Destroyer A1 H\nCruiser C1 V\n' });
+
+      expect(view.player.ships).toEqual([
+        { name: 'Destroyer', cells: ['A1', 'A2'], sunk: false },
+        { name: 'Cruiser', cells: ['C1', 'D1', 'E1'], sunk: false }
+      ]);
+    });
+
+    test('should reject invalid game options', async () => {
+      const unknown = await call('POST', '/games', { boardSize: 8 });
+      const difficulty = await call('POST', '/games', { difficulty: 'godlike' });
+      const seed = await call('POST', '/games', { seed: 'abc' });
+      const fleet = await call('POST', '/games', { playerFleet: 'Destroyer Z9 H' });
+
+      [unknown, difficulty, seed, fleet].forEach(response => {
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('invalidConfig');
+      });
+      expect(unknown.body.error.message).toMatch("Unknown game option 'boardSize'");
+      expect(difficulty.body.error.message).toMatch("'difficulty' must be one of easy, normal, hard, expert");
+      expect(server.api.games.size).toBe(0);
+    });
+
+    test('should reject bodies that are not JSON objects', async () => {
+      const text = await call('POST', '/games', 'seed=4');
+      const list = await call('POST', '/games', '[1]');
+
+      expect(text.status).toBe(400);
+      expect(text.body.error.code).toBe('invalidJson');
+      expect(list.body.error.code).toBe('invalidJson');
+    });
+
+    test('should stop creating games at the limit', async () => {
+      server.api.maxGames = 1;
+      await createGame();
+      const response = await call('POST', '/games', {});
+
+      expect(response.status).toBe(503);
+      expect(response.body.error.code).toBe('tooManyGames');
+    });
+
+    test('should make room by clearing out finished and idle games', async () => {
+      server.api.maxGames = 2;
+      server.api.idleTimeout = 60000;
+      const finished = await createGame();
+      const idle = await createGame();
+      await server.api.games.get(finished.id).stop();
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 60000);
+
+      try {
+        const first = await call('POST', '/games', {});
+        const second = await call('POST', '/games', {});
+        const third = await call('POST', '/games', {});
+
+        expect(first.status).toBe(201);
+        expect((await call('GET', `/games/${finished.id}`)).status).toBe(404);
+        expect(second.status).toBe(201);
+        expect((await call('GET', `/games/${idle.id}`)).status).toBe(404);
+        expect(third.status).toBe(503);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+  });
+
+  describe('DELETE /games/:id', () => {
+    test('should stop the game, forget it and free its place', async () => {
+      server.api.maxGames = 1;
+      const created = await createGame();
+      const game = server.api.games.get(created.id);
+
+      const response = await call('DELETE', `/games/${created.id}`);
+
+      expect(response.status).toBe(204);
+      expect(response.body).toBeUndefined();
+      expect(game.isOver()).toBe(true);
+      expect((await call('GET', `/games/${created.id}`)).status).toBe(404);
+      expect((await call('DELETE', `/games/${created.id}`)).status).toBe(404);
+      await createGame();
+    });
+  });
+
+  describe('GET /games/:id', () => {
+    test('should return the game view', async () => {
+      const created = await createGame();
+      const response = await call('GET', `/games/${created.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(created);
+    });
+
+    test('should answer 404 for unknown games and resources', async () => {
+      const created = await createGame();
+      const unknown = await call('GET', '/games/nope');
+      const resource = await call('GET', `/games/${created.id}/fleet`);
+
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.error).toEqual({ code: 'notFound', message: "No game with id 'nope'" });
+      expect(resource.status).toBe(404);
+    });
+
+    test('should answer 405 with the allowed method', async () => {
+      const created = await createGame();
+      const list = await call('GET', '/games');
+      const replace = await call('PUT', `/games/${created.id}`, {});
+
+      expect(list.status).toBe(405);
+      expect(list.headers.allow).toBe('POST');
+      expect(replace.status).toBe(405);
+      expect(replace.headers.allow).toBe('GET, DELETE');
+    });
+  });
+
+  describe('POST /games/:id/shots', () => {
+    test('should fire the shot and include the CPU reply', async () => {
+      const created = await createGame();
+      const response = await call('POST', `/games/${created.id}/shots`, { coordinate: 'A1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.shots).toHaveLength(2);
+      expect(response.body.shots[0]).toMatchObject({ turn: 1, player: 'player', coordinate: 'A1' });
+      expect(response.body.shots[1]).toMatchObject({ turn: 2, player: 'cpu' });
+      expect(response.body.game.player.shotsFired).toBe(1);
+      expect(response.body.game.opponent.shotsFired).toBe(1);
+      expect(response.body.game.opponent.grid[0][0]).toMatch(/[XO]/);
+    });
+
+    test('should map validator messages to error codes', async () => {
+      const created = await createGame();
+      const shots = `/games/${created.id}/shots`;
+      await call('POST', shots, { coordinate: 'A1' });
+
+      const format = await call('POST', shots, { coordinate: 'hello' });
+      const range = await call('POST', shots, { coordinate: 'F1' });
+      const far = await call('POST', shots, { coordinate: 'A99999999999' });
+      const duplicate = await call('POST', shots, { coordinate: 'A1' });
+      const missing = await call('POST', shots, {});
+
+      expect(format.status).toBe(400);
+      expect(format.body.error).toEqual({ code: 'invalidInput', message: new GameConfig().getMessage('invalidClassicInput') });
+      expect(range.status).toBe(400);
+      expect(range.body.error.code).toBe('outOfBounds');
+      expect(far.body.error.code).toBe('outOfBounds');
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.error).toEqual({ code: 'duplicateGuess', message: 'You already guessed that location!' });
+      expect(missing.body.error.code).toBe('invalidInput');
+    });
+
+    test('should fire Salvo volleys', async () => {
+      const created = await createGame({ seed: 4, variant: 'salvo' });
+      const shots = `/games/${created.id}/shots`;
+      expect(created.shotsThisTurn).toBe(2);
+
+      const short = await call('POST', shots, { coordinates: ['A1'] });
+      const repeat = await call('POST', shots, { coordinates: ['A1', 'A1'] });
+      const volley = await call('POST', shots, { coordinates: ['A1', 'B2'] });
+
+      expect(short.body.error.code).toBe('volleySize');
+      expect(repeat.body.error.code).toBe('volleyRepeat');
+      expect(volley.status).toBe(200);
+      expect(volley.body.shots.filter(shot => shot.player === 'player').map(shot => shot.coordinate)).toEqual(['A1', 'B2']);
+    });
+
+    test('should play to the end, then reveal the CPU fleet and refuse more shots', async () => {
+      const created = await createGame();
+      const shots = `/games/${created.id}/shots`;
+      let game = created;
+      for (let cell = 0; cell < 25 && game.status === 'active'; cell++) {
+        const coordinate = `${'ABCDE'[Math.floor(cell / 5)]}${cell % 5 + 1}`;
+        game = (await call('POST', shots, { coordinate })).body.game;
+      }
+
+      expect(game.status).toBe('finished');
+      expect(['player', 'cpu']).toContain(game.winner);
+      expect(game.error).toBe(false);
+      expect(game.seed).toBe(4);
+      expect(game.opponent.ships.map(ship => ship.name)).toEqual(['Destroyer', 'Cruiser']);
+      const after = await call('POST', shots, { coordinate: 'E5' });
+      expect(after.status).toBe(409);
+      expect(after.body.error.code).toBe('gameOver');
+    });
+
+    test('should flag a game ended by an engine error without naming a winner', async () => {
+      const created = await createGame();
+      const { game } = server.api.games.get(created.id);
+      jest.spyOn(game, 'processPlayerMove').mockRejectedValueOnce(new Error('engine failure'));
+
+      const response = await call('POST', `/games/${created.id}/shots`, { coordinate: 'A1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.game).toMatchObject({ status: 'finished', winner: null, error: true });
+      expect((await call('POST', `/games/${created.id}/shots`, { coordinate: 'A2' })).body.error.code).toBe('gameOver');
+    });
+
+    test('should refuse a shot while the previous one is being played', async () => {
+      const created = await createGame();
+      const game = server.api.games.get(created.id);
+      const pending = game.pending;
+      game.pending = null;
+
+      const response = await call('POST', `/games/${created.id}/shots`, { coordinate: 'A1' });
+      game.pending = pending;
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('notYourTurn');
+    });
+  });
+
+  describe('GET /games/:id/history', () => {
+    test('should list every shot and name a hit ship only once it sinks', async () => {
+      const created = await createGame();
+      const cpuBoard = server.api.games.get(created.id).game.cpuBoard;
+      const cruiser = cpuBoard.getShips().find(ship => ship.name === 'Cruiser');
+      const cells = cruiser.locations.map(location => cpuBoard.formatCoordinate(location));
+      for (const coordinate of cells) {
+        await call('POST', `/games/${created.id}/shots`, { coordinate });
+      }
+
+      const response = await call('GET', `/games/${created.id}/history`);
+      const own = response.body.shots.filter(shot => shot.player === 'player');
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe(created.id);
+      expect(own.map(shot => shot.coordinate)).toEqual(cells);
+      expect(own.map(shot => shot.result)).toEqual(['hit', 'hit', 'sunk']);
+      expect(own[0].ship).toBeUndefined();
+      expect(own[2].ship).toBe('Cruiser');
+    });
+  });
+
+  describe('errorCode', () => {
+    afterEach(() => {
+      GameConfig.configure();
+    });
+
+    test('should recognise messages with placeholders and volley prefixes', () => {
+      GameConfig.configure({ coordinateFormat: 'digits' });
+      const config = new GameConfig();
+
+      expect(RestApi.errorCode(config.getMessage('invalidInput'))).toBe('invalidInput');
+      expect(RestApi.errorCode(config.getMessage('outOfBounds', { max: 9 }))).toBe('outOfBounds');
+      expect(RestApi.errorCode(`55: ${config.getMessage('duplicateGuess')}`)).toBe('duplicateGuess');
+      expect(RestApi.errorCode(config.getMessage('volleySize', { shots: 3 }))).toBe('volleySize');
+      expect(RestApi.errorCode('Something else')).toBe('invalidInput');
+    });
+
+    test('should follow customised messages', () => {
+      GameConfig.configure({ messages: { duplicateGuess: 'Already fired at that cell.' } });
+
+      expect(RestApi.errorCode('Already fired at that cell.')).toBe('duplicateGuess');
+    });
+  });
+});
@@ -0,0 +1,229 @@
+/**
+ * SaveGame Tests - Versioned save files and resuming games
+ *
+ * @module tests/SaveGame
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SaveGame = require('../src/game/SaveGame');
+const Game = require('../src/game/Game');
+const GameConfig = require('../src/config/GameConfig');
+const { TargetStrategy } = require('../src/ai/AIStrategy');
+const PluginBotStrategy = require('../src/ai/PluginBotStrategy');
+
+describe('SaveGame', () => {
+  let game;
+  let tempDir;
+
+  beforeAll(() => {
+    GameConfig.configure({ coordinateFormat: 'digits' });
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-save-'));
+    game = new Game({ seed: 321, aiDifficulty: 'hard' });
+    await game.initialize();
+    for (const input of ['00', '11', '22', '33']) {
+      await game.processPlayerMove(input);
+      await game.processCPUMove();
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should wrap the game state in a versioned document', () => {
+    const document = SaveGame.serialize(game);
+
+    expect(document.format).toBe('sea-battle-save');
+    expect(document.version).toBe(SaveGame.VERSION);
+    expect(new Date(document.savedAt).toString()).not.toBe('Invalid Date');
+    expect(document.game.random.seed).toBe(321);
+    expect(document.game.playerGuesses).toEqual(['00', '11', '22', '33']);
+    expect(document.game.ai.difficulty).toBe('hard');
+    expect(JSON.parse(JSON.stringify(document))).toEqual(document);
+  });
+
+  test('should restore boards, guesses, AI state and stats', () => {
+    const restored = SaveGame.deserialize(JSON.parse(JSON.stringify(SaveGame.serialize(game))));
+
+    expect(restored.seed).toBe(321);
+    expect(restored.playerBoard.toJSON()).toEqual(game.playerBoard.toJSON());
+    expect(restored.cpuBoard.toJSON()).toEqual(game.cpuBoard.toJSON());
+    expect(restored.playerBoard.grid).toEqual(game.playerBoard.grid);
+    expect(restored.cpuBoard.grid).toEqual(game.cpuBoard.grid);
+    expect(Array.from(restored.playerGuesses)).toEqual(Array.from(game.playerGuesses));
+    expect(Array.from(restored.cpuGuesses)).toEqual(Array.from(game.cpuGuesses));
+    expect(restored.aiContext.toJSON()).toEqual(game.aiContext.toJSON());
+    expect(restored.aiContext.moveHistory).toHaveLength(4);
+    expect(restored.statsObserver.getStats()).toEqual(game.statsObserver.getStats());
+    expect(restored.getGameStatus().playerShipsAfloat).toEqual(game.getGameStatus().playerShipsAfloat);
+  });
+
+  test('should continue exactly where the game stopped', async () => {
+    const restored = SaveGame.deserialize(JSON.parse(JSON.stringify(SaveGame.serialize(game))));
+
+    for (let i = 0; i < 20; i++) {
+      const original = await game.processCPUMove();
+      const resumed = await restored.processCPUMove();
+      expect(resumed.coordinate).toBe(original.coordinate);
+      expect(resumed.hit).toBe(original.hit);
+    }
+    expect(restored.aiContext.currentStrategy.getName()).toBe(game.aiContext.currentStrategy.getName());
+  });
+
+  test('should restore an AI in the middle of targeting a ship', () => {
+    const ship = game.playerBoard.getShips()[0];
+    const [first] = ship.getUnhitLocations();
+    game.cpuGuesses.add(first);
+    game.aiContext.updateResult(true, first);
+    expect(game.aiContext.currentStrategy).toBeInstanceOf(TargetStrategy);
+
+    const restored = SaveGame.deserialize(SaveGame.serialize(game));
+
+    expect(restored.aiContext.currentStrategy).toBeInstanceOf(TargetStrategy);
+    expect(restored.aiContext.currentStrategy.openHits).toContain(first);
+    expect(restored.aiContext.currentStrategy.openHits).toEqual(game.aiContext.currentStrategy.openHits);
+    expect(restored.aiContext.currentStrategy.targetQueue.map(target => target.coordinate))
+      .toEqual(game.aiContext.currentStrategy.targetQueue.map(target => target.coordinate));
+  });
+
+  test('should resume in the saved state when run', async () => {
+    game.currentState = { getName: () => 'PlayerTurn' };
+    const inputs = ['quit'];
+    const restored = SaveGame.deserialize(SaveGame.serialize(game), {
+      inputProvider: async () => {
+        restored.quit();
+        return inputs.shift();
+      }
+    });
+    const resumed = jest.fn();
+    const turns = [];
+    restored.on('gameResumed', resumed);
+    restored.on('turnStart', ({ player }) => turns.push(player));
+
+    await restored.run();
+
+    expect(resumed).toHaveBeenCalledWith({ playerNumShips: 5, cpuNumShips: expect.any(Number), difficulty: 'hard', seed: 321 });
+    expect(turns).toEqual(['player']);
+    expect(restored.playerGuesses.size).toBe(4);
+  });
+
+  test('should write and read save files', () => {
+    const filePath = path.join(tempDir, 'game.json');
+
+    expect(SaveGame.save(game, filePath)).toBe(filePath);
+    const restored = SaveGame.load(filePath);
+
+    expect(restored.cpuBoard.toJSON()).toEqual(game.cpuBoard.toJSON());
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).version).toBe(1);
+  });
+
+  test('should reject files that are not saves or from another version', () => {
+    expect(() => SaveGame.deserialize({ hello: 'world' })).toThrow('Not a Sea Battle save file');
+    expect(() => SaveGame.deserialize({ format: 'sea-battle-save', version: 99, game: {} }))
+      .toThrow('Unsupported save file version 99 (expected 1)');
+
+    const filePath = path.join(tempDir, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    expect(() => SaveGame.load(filePath)).toThrow(`Cannot load save file ${filePath}`);
+  });
+
+  test('should report unreadable and unwritable files', () => {
+    const missing = path.join(tempDir, 'missing.json');
+    expect(() => SaveGame.load(missing)).toThrow(`Cannot read save file ${missing}`);
+
+    const unwritable = path.join(tempDir, 'no-such-dir', 'game.json');
+    expect(() => SaveGame.save(game, unwritable)).toThrow(`Cannot write save file ${unwritable}`);
+  });
+
+  test('should keep the Salvo variant across a save', async () => {
+    const salvo = new Game({ seed: 5, variant: 'salvo' });
+    await salvo.initialize();
+    await salvo.processPlayerVolley('00 11 22 33 44');
+
+    const restored = SaveGame.deserialize(JSON.parse(JSON.stringify(SaveGame.serialize(salvo))));
+    expect(restored.variant).toBe('salvo');
+    expect(restored.getVolleySize('player')).toBe(5);
+    expect(SaveGame.deserialize(SaveGame.serialize(game)).variant).toBe('classic');
+  });
+
+  test('should resume under the board settings it was saved with', async () => {
+    const rules = {
+      boardSize: 14,
+      coordinateFormat: 'digits',
+      shipPatterns: [{ name: 'Destroyer', length: 2 }, { name: 'Cruiser', length: 3 }],
+      salvoShots: 2,
+      adjacency: 'no-contact'
+    };
+    GameConfig.configure(rules);
+    const large = new Game({ seed: 6 });
+    await large.initialize();
+    await large.processPlayerMove('12,12');
+    const document = JSON.parse(JSON.stringify(SaveGame.serialize(large)));
+
+    GameConfig.configure({ coordinateFormat: 'digits' });
+    const restored = SaveGame.deserialize(document);
+
+    expect(document.game.rules).toEqual(rules);
+    const config = new GameConfig();
+    Object.keys(rules).forEach(key => expect(config.get(key)).toEqual(rules[key]));
+    expect(restored.cpuBoard.size).toBe(14);
+    expect(await restored.processPlayerMove('12,12')).toEqual(expect.objectContaining({ success: false, error: expect.stringMatching(/already/) }));
+    expect((await restored.processPlayerMove('13,13')).success).toBe(true);
+    GameConfig.configure({ coordinateFormat: 'digits' });
+  });
+
+  test('should keep the turn rule and a pending bonus turn across a save', () => {
+    const bonus = new Game({ seed: 5, turnRule: 'again-on-sink' });
+    Object.assign(bonus, { playerBoard: game.playerBoard, cpuBoard: game.cpuBoard, bonusTurn: true });
+
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(bonus.toJSON())));
+    expect(restored.turnRule).toBe('again-on-sink');
+    expect(restored.bonusTurn).toBe(true);
+    expect(Game.fromJSON(JSON.parse(JSON.stringify(game.toJSON()))).turnRule).toBe('alternate');
+  });
+
+  test('should resume a game against a bot only with a bot to play it', async () => {
+    const file = PluginBotStrategy.resolve('hunter');
+    const played = new Game({ seed: 9, aiStrategy: new PluginBotStrategy({ file }) });
+    await played.initialize();
+    for (const input of ['00', '11']) {
+      await played.processPlayerMove(input);
+      await played.processCPUMove();
+    }
+    const botSave = SaveGame.save(played, path.join(tempDir, 'bot.json'));
+    const cpuSave = SaveGame.save(game, path.join(tempDir, 'cpu.json'));
+
+    expect(() => SaveGame.load(botSave))
+      .toThrow('This game was played against a bot; resume it with the same --bot or --bot-plugin option');
+    expect(() => SaveGame.load(cpuSave, { aiStrategy: new PluginBotStrategy({ file }) }))
+      .toThrow('This game was played against the hard CPU; resume it without --bot or --bot-plugin');
+
+    const plugin = new PluginBotStrategy({ file });
+    const restored = SaveGame.load(botSave, { aiStrategy: plugin });
+    const move = await restored.processCPUMove();
+
+    expect(restored.aiContext.difficulty).toBe('custom');
+    expect(plugin.fired.slice(0, 2)).toEqual(played.aiContext.huntStrategy.fired);
+    expect(move.success).toBe(true);
+    expect(restored.cpuGuesses.size).toBe(3);
+    expect(restored.history[restored.history.length - 1]).toMatchObject({ player: 'cpu', strategy: 'PluginBotStrategy' });
+  });
+
+  test('should refuse to save while the player is placing their fleet', async () => {
+    const placing = new Game({ seed: 1, placement: 'manual' });
+    await placing.initialize();
+    const file = path.join(tempDir, 'placing.json');
+
+    expect(() => SaveGame.save(placing, file)).toThrow('Cannot save during ship placement; confirm your fleet first');
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
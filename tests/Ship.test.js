@@ -1,11 +1,13 @@
 const Ship = require('../src/entities/Ship');
+const Coordinate = require('../src/entities/Coordinate');
 
 describe('Ship', () => {
   test('should create ship with locations', () => {
     const locations = ['00', '01', '02'];
     const ship = new Ship(locations);
     
-    expect(ship.locations).toEqual(locations);
+    expect(ship.locations.map(String)).toEqual(locations);
+    expect(ship.locations[0]).toBe(Coordinate.of(0, 0));
     expect(ship.hits.size).toBe(0);
     expect(ship.id).toBeDefined();
     expect(ship.createdAt).toBeInstanceOf(Date);
@@ -16,7 +18,7 @@ describe('Ship', () => {
     
     const result = ship.hit('01');
     expect(result).toBe(true);
-    expect(ship.hits.has('01')).toBe(true);
+    expect(ship.hits.has(Coordinate.of(0, 1))).toBe(true);
     expect(ship.isHit('01')).toBe(true);
   });
 
@@ -60,8 +62,8 @@ describe('Ship', () => {
     const status = ship.getStatus();
     
     expect(status.id).toBe(ship.id);
-    expect(status.locations).toEqual(['00', '01', '02']);
-    expect(status.hits).toEqual(['00']);
+    expect(status.locations.map(String)).toEqual(['00', '01', '02']);
+    expect(status.hits.map(String)).toEqual(['00']);
     expect(status.isSunk).toBe(false);
     expect(status.hitPercentage).toBeCloseTo(33.33, 1);
     expect(status.remainingHits).toBe(2);
@@ -81,8 +83,8 @@ describe('Ship', () => {
     ship.hit('01');
     
     const unhit = ship.getUnhitLocations();
-    expect(unhit).toEqual(['00', '02']);
-    expect(unhit).not.toContain('01');
+    expect(unhit.map(String)).toEqual(['00', '02']);
+    expect(unhit).not.toContain(Coordinate.of(0, 1));
   });
 
   test('should handle empty ship', () => {
@@ -109,4 +111,46 @@ describe('Ship', () => {
     expect(ship1.id).toBeTruthy();
     expect(ship2.id).toBeTruthy();
   });
-}); 
\ No newline at end of file
+
+  test('should accept coordinates in any supported form', () => {
+    const ship = new Ship([Coordinate.of(12, 10), [12, 11], { row: 12, col: 12 }]);
+
+    expect(ship.locations.map(String)).toEqual(['12,10', '12,11', '12,12']);
+    expect(ship.hit('12,11')).toBe(true);
+    expect(ship.occupies(Coordinate.of(12, 12))).toBe(true);
+    expect(ship.occupies('00')).toBe(false);
+  });
+
+  test('should reject unrecognisable locations', () => {
+    expect(() => new Ship(['zz'])).toThrow('Invalid ship location: zz');
+  });
+
+  test('should draw its id from the given generator', () => {
+    const Random = require('../src/utils/Random');
+    const first = new Ship(['00'], 'Destroyer', new Random(5));
+    const second = new Ship(['00'], 'Destroyer', new Random(5));
+
+    expect(first.id).toBe(second.id);
+  });
+
+  test('should survive a JSON round trip', () => {
+    const ship = new Ship(['00', '01', '02'], 'Cruiser');
+    ship.hit('01');
+
+    const data = JSON.parse(JSON.stringify(ship));
+    expect(data).toEqual({ id: ship.id, name: 'Cruiser', locations: ['00', '01', '02'], hits: ['01'] });
+
+    const restored = Ship.fromJSON(data);
+    expect(restored.id).toBe(ship.id);
+    expect(restored.name).toBe('Cruiser');
+    expect(restored.isHit('01')).toBe(true);
+    expect(restored.getUnhitLocations()).toEqual(ship.getUnhitLocations());
+  });
+
+  test('should carry its class name', () => {
+    const ship = new Ship(['00', '01', '02'], 'Cruiser');
+    expect(ship.name).toBe('Cruiser');
+    expect(ship.getStatus().name).toBe('Cruiser');
+    expect(new Ship(['00']).name).toBe('Ship');
+  });
+});
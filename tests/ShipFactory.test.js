@@ -1,5 +1,6 @@
 const ShipFactory = require('../src/entities/ShipFactory');
 const Ship = require('../src/entities/Ship');
+const Random = require('../src/utils/Random');
 
 jest.mock('../src/config/GameConfig', () => {
   return jest.fn().mockImplementation(() => ({
@@ -24,7 +25,7 @@ describe('ShipFactory', () => {
       const ship = factory.createShip(locations);
       
       expect(ship).toBeInstanceOf(Ship);
-      expect(ship.locations).toEqual(locations);
+      expect(ship.locations.map(String)).toEqual(locations);
       expect(ship.getLength()).toBe(3);
       expect(ship.id).toBeDefined();
     });
@@ -34,7 +35,7 @@ describe('ShipFactory', () => {
       const ship = factory.createShip(locations);
       
       expect(ship).toBeInstanceOf(Ship);
-      expect(ship.locations).toEqual(locations);
+      expect(ship.locations.map(String)).toEqual(locations);
       expect(ship.getLength()).toBe(1);
     });
 
@@ -55,6 +56,21 @@ describe('ShipFactory', () => {
     });
   });
 
+  describe('Seeded Generation', () => {
+    test('should generate the same fleet from the same seed', () => {
+      const fleet = seed => new ShipFactory(new Random(seed)).generateShips()
+        .map(ship => ({ id: ship.id, locations: ship.locations.map(String) }));
+
+      expect(fleet(2024)).toEqual(fleet(2024));
+      expect(fleet(2024)).not.toEqual(fleet(2025));
+    });
+
+    test('should draw random starts from the given generator', () => {
+      const start = () => ShipFactory.generateRandomStart('vertical', 10, 3, new Random(8));
+      expect(start()).toEqual(start());
+    });
+  });
+
   describe('Ship Generation', () => {
     test('should generate correct number of ships', () => {
       const ships = factory.generateShips();
@@ -80,8 +96,7 @@ describe('ShipFactory', () => {
       
       ships.forEach(ship => {
         ship.locations.forEach(location => {
-          const row = parseInt(location[0]);
-          const col = parseInt(location[1]);
+          const { row, col } = location;
           
           expect(row).toBeGreaterThanOrEqual(0);
           expect(row).toBeLessThan(10);
@@ -162,6 +177,84 @@ describe('ShipFactory', () => {
     });
   });
 
+  describe('Placement Rules', () => {
+    const board = {
+      size: 10,
+      isValidCoordinate: (row, col) => row >= 0 && row < 10 && col >= 0 && col < 10,
+      getShipAt: coordinate => (String(coordinate) === '01' ? { id: 'abc', name: 'Destroyer' } : undefined),
+      formatCoordinate: coordinate => String(coordinate),
+      adjacency: 'overlap-only',
+      getTouchingShips: () => []
+    };
+
+    test('should accept a ship on open water', () => {
+      const ship = ShipFactory.createShip([[5, 5], [5, 6], [5, 7]], 'Cruiser');
+      expect(ShipFactory.validateShipPlacement(ship, board)).toEqual({ isValid: true, reasons: [] });
+    });
+
+    test('should give a reason for every rejected cell', () => {
+      const ship = ShipFactory.createShip([[0, 0], [0, 1], [0, 2]], 'Cruiser');
+      expect(ShipFactory.validateShipPlacement(ship, board).reasons).toEqual(['Position 01 overlaps with the Destroyer']);
+
+      const offBoard = ShipFactory.createShip([[9, 8], [9, 9], [9, 10]], 'Cruiser');
+      expect(ShipFactory.validateShipPlacement(offBoard, board)).toEqual({
+        isValid: false,
+        reasons: ['Cruiser from 98 runs 1 column off the board']
+      });
+    });
+
+    test('should count the rows and columns a ship runs off the board', () => {
+      const corner = ShipFactory.createShip([[8, 8], [9, 9], [10, 10]], 'Cruiser');
+      const adrift = ShipFactory.createShip([[-1, 0], [0, 0]], 'Destroyer');
+
+      expect(ShipFactory.validateShipPlacement(corner, board).reasons).toEqual(['Cruiser from 88 runs 1 row and 1 column off the board']);
+      expect(ShipFactory.validateShipPlacement(adrift, board).reasons).toEqual(['Destroyer from -1,0 runs 1 row off the board']);
+    });
+  });
+
+  describe('Adjacency Rules', () => {
+    test('should explain which ship a placement touches', () => {
+      const destroyer = { id: 'abc', name: 'Destroyer' };
+      const board = {
+        isValidCoordinate: () => true,
+        getShipAt: () => undefined,
+        formatCoordinate: coordinate => String(coordinate),
+        adjacency: 'no-contact',
+        getTouchingShips: () => [destroyer]
+      };
+
+      const ship = ShipFactory.createShip([[1, 2], [2, 2]], 'Submarine');
+      expect(ShipFactory.validateShipPlacement(ship, board)).toEqual({
+        isValid: false,
+        reasons: ['Touches the Destroyer (ships may not touch, even diagonally)']
+      });
+    });
+
+    test('should space out generated ships under no-contact', () => {
+      const spaced = new ShipFactory(new Random(3));
+      spaced.config = { get: key => (key === 'adjacency' ? 'no-contact' : factory.config.get(key)) };
+
+      const ships = spaced.generateShips();
+      expect(ships).toHaveLength(3);
+      ships.forEach((ship, index) => {
+        const others = ships.filter((_, other) => other !== index);
+        expect(spaced.touchesAny(ship.locations, others)).toBe(false);
+      });
+      expect(factory.touchesAny(['00'], [new Ship(['01'])])).toBe(false);
+      expect(spaced.touchesAny(['00'], [new Ship(['11'])])).toBe(true);
+    });
+  });
+
+  describe('Orientation Parsing', () => {
+    test('should read H, V and full orientation names', () => {
+      expect(ShipFactory.parseOrientation('H')).toBe('horizontal');
+      expect(ShipFactory.parseOrientation('v')).toBe('vertical');
+      expect(ShipFactory.parseOrientation(' Vertical ')).toBe('vertical');
+      expect(ShipFactory.parseOrientation('x')).toBeNull();
+      expect(ShipFactory.ORIENTATIONS).toEqual(['horizontal', 'vertical']);
+    });
+  });
+
   describe('Overlap Detection', () => {
     test('should detect no overlap for separate ships', () => {
       const existingShips = [new Ship(['00', '01', '02'])];
@@ -222,10 +315,8 @@ describe('ShipFactory', () => {
           const firstLoc = ship.locations[0];
           const secondLoc = ship.locations[1];
           
-          const firstRow = parseInt(firstLoc[0]);
-          const firstCol = parseInt(firstLoc[1]);
-          const secondRow = parseInt(secondLoc[0]);
-          const secondCol = parseInt(secondLoc[1]);
+          const { row: firstRow, col: firstCol } = firstLoc;
+          const { row: secondRow, col: secondCol } = secondLoc;
           
           if (firstRow === secondRow) {
             hasHorizontal = true;
@@ -294,5 +385,25 @@ describe('ShipFactory', () => {
       const ships = factory.generateShips();
       expect(ships).toHaveLength(3);
     });
+
+    test('should generate named ships from the fleet definition', () => {
+      factory.config = {
+        get: (key) => ({
+          boardSize: 10,
+          shipPatterns: [{ name: 'Carrier', length: 5 }, { name: 'Destroyer', length: 2 }]
+        }[key])
+      };
+
+      const ships = factory.generateShips();
+
+      expect(ships.map(ship => `${ship.name} ${ship.getLength()}`)).toEqual(['Carrier 5', 'Destroyer 2']);
+    });
+
+    test('should name ships created from positions', () => {
+      const ship = ShipFactory.createShip([[0, 0], [0, 1], [0, 2], [0, 3]], 'Battleship');
+
+      expect(ship.name).toBe('Battleship');
+      expect(ship.getLength()).toBe(4);
+    });
   });
-}); 
\ No newline at end of file
+});
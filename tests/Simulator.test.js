@@ -0,0 +1,191 @@
+/**
+ * Simulator Tests - AI vs AI batch runner and report statistics
+ *
+ * @module tests/Simulator
+ */
+
+const Simulator = require('../src/simulation/Simulator');
+const Coordinate = require('../src/entities/Coordinate');
+const { AIContext } = require('../src/ai/AIStrategy');
+const PluginBotStrategy = require('../src/ai/PluginBotStrategy');
+
+describe('Simulator', () => {
+  describe('configuration', () => {
+    test('should pit normal against expert for 1000 games by default', () => {
+      const simulator = new Simulator();
+      expect(simulator.contenders.map(contender => contender.name)).toEqual(['normal', 'expert']);
+      expect(simulator.games).toBe(1000);
+    });
+
+    test('should build contenders from difficulty levels', () => {
+      const contender = Simulator.contender('hard');
+      expect(contender.name).toBe('hard');
+      expect(contender.createAI()).toBeInstanceOf(AIContext);
+      expect(() => Simulator.contender('godlike')).toThrow("Unknown AI difficulty 'godlike'");
+    });
+
+    test('should build contenders that play a strategy of their own', () => {
+      const createStrategy = jest.fn(() => new PluginBotStrategy({ file: PluginBotStrategy.resolve('hunter') }));
+      const contender = Simulator.strategyContender('hunter', createStrategy);
+
+      expect(contender.name).toBe('hunter');
+      expect(contender.createAI().difficulty).toBe('custom');
+      expect(contender.createAI()).not.toBe(contender.createAI());
+      expect(createStrategy).toHaveBeenCalledTimes(3);
+    });
+
+    test('should reject invalid game counts and contender lists', () => {
+      expect(() => new Simulator({ games: 0 })).toThrow('Number of games must be a positive integer, got 0');
+      expect(() => new Simulator({ games: NaN })).toThrow('Number of games must be a positive integer');
+      expect(() => new Simulator({ contenders: [Simulator.contender('easy')] }))
+        .toThrow('A simulation needs exactly two contenders');
+    });
+  });
+
+  describe('playing games', () => {
+    test('should place the full configured fleet on each board', () => {
+      const board = new Simulator().createFleetBoard();
+      expect(board.getShips().map(ship => ship.name))
+        .toEqual(['Carrier', 'Battleship', 'Cruiser', 'Submarine', 'Destroyer']);
+    });
+
+    test('should place a fixed fleet layout on both boards', () => {
+      const fleetLayout = 'Carrier 00 H\nBattleship 20 H\nCruiser 40 H\nSubmarine 60 H\nDestroyer 80 V\n';
+      const simulator = new Simulator({ games: 2, seed: 5, fleetLayout });
+      const board = simulator.createFleetBoard();
+
+      expect(board.toFleetLayout()).toBe(fleetLayout);
+      expect(simulator.run().games).toBe(2);
+      expect(() => new Simulator({ fleetLayout: 'Carrier 00 H' })).toThrow('Invalid fleet layout:\n  - Missing ships: Battleship, Cruiser, Submarine, Destroyer');
+    });
+
+    test('should play a game to the end without repeating shots', () => {
+      const simulator = new Simulator({ contenders: [Simulator.contender('easy'), Simulator.contender('expert')] });
+      const result = simulator.playGame(1);
+
+      expect([0, 1]).toContain(result.winner);
+      expect(result.first).toBe(1);
+      expect(result.shots[result.winner]).toBeGreaterThanOrEqual(17);
+      expect(result.shots[result.winner]).toBeLessThanOrEqual(100);
+      // The first mover has fired as often as or once more than the other side
+      expect(result.shots[1] - result.shots[0]).toBeGreaterThanOrEqual(0);
+      expect(result.shots[1] - result.shots[0]).toBeLessThanOrEqual(1);
+    });
+
+    test('should reject an AI that fires at the same cell twice', () => {
+      const stubborn = {
+        name: 'stubborn',
+        createAI: () => ({
+          makeMove: () => ({ coordinate: Coordinate.of(0, 0) }),
+          updateResult: () => {}
+        })
+      };
+      const simulator = new Simulator({ contenders: [stubborn, Simulator.contender('easy')] });
+
+      expect(() => simulator.playGame(0)).toThrow('stubborn fired at 00 twice');
+    });
+
+    test('should let a bot plugin play from the marked board and replay it from the seed', () => {
+      const warnings = [];
+      const run = seed => new Simulator({
+        contenders: [
+          Simulator.strategyContender('hunter', () => new PluginBotStrategy({
+            file: PluginBotStrategy.resolve('hunter'),
+            onWarning: warning => warnings.push(warning)
+          })),
+          Simulator.contender('easy')
+        ],
+        games: 2,
+        seed
+      }).run();
+
+      const report = run(4);
+
+      expect(report.contenders[0].name).toBe('hunter');
+      expect(run(4)).toEqual(report);
+      // The plugin only sees its earlier shots on the board, so any repeat would be a strike
+      expect(warnings).toEqual([]);
+    });
+
+    test('should replay the same simulation from the same seed', () => {
+      const run = seed => new Simulator({
+        contenders: [Simulator.contender('easy'), Simulator.contender('hard')],
+        games: 3,
+        seed
+      }).run();
+
+      const report = run(11);
+      expect(report.seed).toBe(11);
+      expect(run(11)).toEqual(report);
+    });
+
+    test('should report on every game played', () => {
+      const simulator = new Simulator({
+        contenders: [Simulator.contender('normal'), Simulator.contender('hard')],
+        games: 6
+      });
+      const report = simulator.run();
+
+      expect(report.games).toBe(6);
+      expect(report.contenders.map(contender => contender.name)).toEqual(['normal', 'hard']);
+      expect(report.contenders[0].wins + report.contenders[1].wins).toBe(6);
+      report.contenders.forEach(contender => {
+        expect(contender.shotsToWin.count).toBe(contender.wins);
+        expect(contender.winsMovingFirst).toBeLessThanOrEqual(contender.wins);
+      });
+    });
+  });
+
+  describe('statistics', () => {
+    test('should compute a Wilson interval around the win rate', () => {
+      const [low, high] = Simulator.proportionInterval(50, 100);
+      expect(low).toBeCloseTo(0.404, 3);
+      expect(high).toBeCloseTo(0.596, 3);
+      expect(Simulator.proportionInterval(0, 10)[0]).toBe(0);
+      expect(Simulator.proportionInterval(0, 0)).toEqual([0, 0]);
+    });
+
+    test('should describe shot counts with a histogram', () => {
+      const stats = Simulator.describe([40, 42, 45, 51, 62], 10);
+
+      expect(stats.count).toBe(5);
+      expect(stats.mean).toBe(48);
+      expect(stats.median).toBe(45);
+      expect(stats.min).toBe(40);
+      expect(stats.max).toBe(62);
+      expect(stats.stdDev).toBeCloseTo(8.860, 3);
+      expect(stats.meanInterval[0]).toBeLessThan(48);
+      expect(stats.meanInterval[1]).toBeGreaterThan(48);
+      expect(stats.distribution).toEqual([
+        { from: 40, to: 49, count: 3 },
+        { from: 50, to: 59, count: 1 },
+        { from: 60, to: 69, count: 1 }
+      ]);
+    });
+
+    test('should take the middle pair for the median of an even count', () => {
+      expect(Simulator.describe([30, 40, 50, 60]).median).toBe(45);
+    });
+
+    test('should describe contenders that never won', () => {
+      expect(Simulator.describe([])).toEqual(expect.objectContaining({ count: 0, mean: null, distribution: [] }));
+    });
+  });
+
+  describe('report formatting', () => {
+    test('should render win rates, shot statistics and the distribution', () => {
+      const simulator = new Simulator({ contenders: [Simulator.contender('easy'), Simulator.contender('hard')] });
+      const report = simulator.summarize([
+        { winner: 1, first: 0, shots: [40, 40] },
+        { winner: 1, first: 1, shots: [45, 46] }
+      ]);
+      const lines = Simulator.formatReport(report);
+
+      expect(lines[0]).toBe('Simulated 2 games: easy vs hard');
+      expect(lines).toContain('  Wins:          0 (0.0%, 95% CI 0.0%-65.8%; 0 moving first)');
+      expect(lines).toContain('  Shots to win:  n/a');
+      expect(lines).toContain('  Shots to win:  mean 43.0 (95% CI 37.1-48.9), median 43, sd 4.2, range 40-46');
+      expect(lines).toContain(`    40-49   ${'#'.repeat(40)} 2`);
+    });
+  });
+});
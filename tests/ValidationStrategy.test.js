@@ -3,10 +3,21 @@ const {
   InputFormatValidator,
   CoordinateRangeValidator,
   DuplicateGuessValidator,
-  InputValidator
+  InputValidator,
+  VolleyValidator
 } = require('../src/validation/ValidationStrategy');
+const GameConfig = require('../src/config/GameConfig');
+const Coordinate = require('../src/entities/Coordinate');
 
 describe('ValidationStrategy', () => {
+  beforeAll(() => {
+    GameConfig.configure({ coordinateFormat: 'digits' });
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+  });
+
   describe('Abstract ValidationStrategy', () => {
     test('should throw error when validate method is not implemented', () => {
       const strategy = new ValidationStrategy();
@@ -75,11 +86,11 @@ describe('ValidationStrategy', () => {
     });
 
     test('should reject coordinates outside bounds', () => {
-      const result1 = validator.validate('AA');
+      const result1 = validator.validate('10,0');
       expect(result1.isValid).toBe(false);
       expect(result1.message).toContain('valid row and column numbers');
 
-      const result2 = validator.validate('A0');
+      const result2 = validator.validate('3,12');
       expect(result2.isValid).toBe(false);
       expect(result2.message).toContain('valid row and column numbers');
 
@@ -92,6 +103,26 @@ describe('ValidationStrategy', () => {
       expect(validator.validate('00')).toEqual({ isValid: true });
       expect(validator.validate('99')).toEqual({ isValid: true });
     });
+
+    test('should check against the board being fired at when given its size', () => {
+      const small = new CoordinateRangeValidator(5);
+
+      expect(small.validate('44')).toEqual({ isValid: true });
+      expect(small.validate('55').message).toContain('between 0 and 4');
+      expect(new CoordinateRangeValidator(14).validate('12,13')).toEqual({ isValid: true });
+      expect(InputValidator.forShot(new Set(), 14).validate('13,13')).toEqual({ isValid: true });
+      expect(new VolleyValidator(new Set(), 1, 14).validate('13,0').isValid).toBe(true);
+    });
+
+    test('should reject text far off the board before making a coordinate', () => {
+      const of = jest.spyOn(Coordinate, 'of');
+
+      const chain = InputValidator.forShot(new Set()).validate('3,99999999');
+
+      expect(chain.message).toContain('valid row and column numbers');
+      expect(of).not.toHaveBeenCalled();
+      of.mockRestore();
+    });
   });
 
   describe('DuplicateGuessValidator', () => {
@@ -165,11 +196,11 @@ describe('ValidationStrategy', () => {
     });
 
     test('should reject on second failed validation (range)', () => {
-      const result1 = validator.validate('AA');
+      const result1 = validator.validate('10,0');
       expect(result1.isValid).toBe(false);
       expect(result1.message).toContain('valid row and column numbers');
 
-      const result2 = validator.validate('A0');
+      const result2 = validator.validate('3,12');
       expect(result2.isValid).toBe(false);
       expect(result2.message).toContain('valid row and column numbers');
     });
@@ -236,7 +267,7 @@ describe('ValidationStrategy', () => {
       expect(formatResult.message).toContain('exactly two digits');
 
       // Invalid range should be caught
-      const rangeResult = validator.validate('AA');
+      const rangeResult = validator.validate('0,10');
       expect(rangeResult.isValid).toBe(false);
       expect(rangeResult.message).toContain('valid row and column numbers');
     });
@@ -292,4 +323,86 @@ describe('ValidationStrategy', () => {
       });
     });
   });
-}); 
\ No newline at end of file
+
+  describe('VolleyValidator', () => {
+    const guessed = new Set([Coordinate.of(0, 0)]);
+
+    test('should parse a volley into coordinates', () => {
+      expect(new VolleyValidator(guessed, 3).validate(' 12  34;5,9 ')).toEqual({
+        isValid: true,
+        coordinates: [Coordinate.of(1, 2), Coordinate.of(3, 4), Coordinate.of(5, 9)]
+      });
+      expect(VolleyValidator.split('12 34;56')).toEqual(['12', '34', '56']);
+      expect(VolleyValidator.split('3, 12;4 ,5 67')).toEqual(['3, 12', '4 ,5', '67']);
+    });
+
+    test('should require exactly the allowed number of shots', () => {
+      expect(new VolleyValidator(guessed, 3).validate('12 34')).toEqual({
+        isValid: false,
+        message: 'Fire 3 shots this turn, separated by spaces.'
+      });
+      expect(new VolleyValidator(guessed, 1).validate('')).toEqual({ isValid: false, message: 'Fire 1 shot this turn.' });
+    });
+
+    test('should name the shot that fails a single-shot check', () => {
+      expect(new VolleyValidator(guessed, 2).validate('12 xy').message).toMatch(/^xy: Oops, input must be exactly two digits/);
+      expect(new VolleyValidator(guessed, 2).validate('12 00').message).toBe('00: You already guessed that location!');
+    });
+
+    test('should reject a cell listed twice', () => {
+      expect(new VolleyValidator(guessed, 2).validate('12 1,2').message)
+        .toBe('Each shot in a volley needs its own cell; 1,2 is listed twice.');
+    });
+  });
+
+  describe('Classic Notation', () => {
+    let validator;
+
+    beforeEach(() => {
+      GameConfig.configure({ coordinateFormat: 'classic' });
+      validator = new InputValidator()
+        .addStrategy(new InputFormatValidator())
+        .addStrategy(new CoordinateRangeValidator())
+        .addStrategy(new DuplicateGuessValidator(new Set([Coordinate.of(1, 6)])));
+    });
+
+    afterEach(() => {
+      GameConfig.configure({ coordinateFormat: 'digits' });
+    });
+
+    test('should accept letter-number input regardless of case and spacing', () => {
+      expect(validator.validate('A1')).toEqual({ isValid: true });
+      expect(validator.validate('J10')).toEqual({ isValid: true });
+      expect(validator.validate('c5')).toEqual({ isValid: true });
+      expect(validator.validate(' d 4 ')).toEqual({ isValid: true });
+    });
+
+    test('should reject digit input while classic notation is configured', () => {
+      const result = validator.validate('34');
+      expect(result.isValid).toBe(false);
+      expect(result.message).toContain('row letter followed by a column number');
+    });
+
+    test('should reject rows and columns off the board', () => {
+      expect(validator.validate('K1').message).toBe('Oops, please enter a row from A to J and a column from 1 to 10.');
+      expect(validator.validate('A11').isValid).toBe(false);
+      expect(validator.validate('A0').isValid).toBe(false);
+    });
+
+    test('should detect duplicates of stored coordinates', () => {
+      const result = validator.validate('b7');
+      expect(result.isValid).toBe(false);
+      expect(result.message).toContain('already guessed');
+    });
+
+    test('should keep a volley shot written with a space whole', () => {
+      expect(VolleyValidator.split('b 7; c 3')).toEqual(['b 7', 'c 3']);
+      expect(VolleyValidator.split('B7,C3 d10')).toEqual(['B7', 'C3', 'd10']);
+      expect(new VolleyValidator(new Set(), 2).validate('b 7; c 3')).toEqual({
+        isValid: true,
+        coordinates: [Coordinate.of(1, 6), Coordinate.of(2, 2)]
+      });
+      expect(new VolleyValidator(new Set(), 2).validate('b7x c3').message).toMatch(/^b7x: Oops, input must be a row letter/);
+    });
+  });
+});
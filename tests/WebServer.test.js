@@ -0,0 +1,360 @@
+/**
+ * WebServer Tests - Static client, WebSocket protocol and browser game sessions
+ *
+ * @module tests/WebServer
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebServer = require('../src/net/WebServer');
+const WebSocket = require('../src/net/WebSocket');
+const GameSession = require('../src/net/GameSession');
+const Coordinate = require('../src/entities/Coordinate');
+const GameConfig = require('../src/config/GameConfig');
+
+/**
+ * Build a masked client frame
+ * @param {number} opcode - Frame opcode
+ * @param {string|Buffer} data - Payload
+ * @param {boolean} fin - Whether this is the last fragment
+ * @returns {Buffer} Frame
+ */
+function clientFrame(opcode, data, fin = true) {
+  const payload = Buffer.from(data);
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  const header = payload.length < 126
+    ? Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length])
+    : Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Minimal WebSocket client that records every frame the server sends
+ * @param {number} port - Server port
+ * @param {string} pathname - Request path
+ * @returns {Promise<Object>} { socket, frames, messages, sendRaw, send(obj), next(type), closed }
+ */
+function connect(port, pathname = '/ws') {
+  return new Promise((resolve, reject) => {
+    const key = crypto.randomBytes(16).toString('base64');
+    const request = http.request({
+      port,
+      host: '127.0.0.1',
+      path: pathname,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+    request.on('response', response => reject(new Error(`Upgrade refused with ${response.statusCode}`)));
+    request.on('error', reject);
+    request.on('upgrade', (response, socket, head) => {
+      const client = { socket, response, key, frames: [], messages: [], waiters: [] };
+      let buffer = Buffer.alloc(0);
+      const receive = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        // Server frames are unmasked and small enough for a 16-bit length
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) {
+            break;
+          }
+          const frame = { opcode: buffer[0] & 0x0f, payload: buffer.subarray(offset, offset + length) };
+          buffer = buffer.subarray(offset + length);
+          client.frames.push(frame);
+          if (frame.opcode === WebSocket.OPCODES.TEXT) {
+            client.messages.push(JSON.parse(frame.payload.toString('utf8')));
+          }
+        }
+        client.waiters = client.waiters.filter(waiter => !waiter());
+      };
+      socket.on('error', () => {});
+      socket.on('data', receive);
+      // Frames sent along with the 101 response arrive as the upgrade head
+      receive(head);
+      client.sendRaw = frame => socket.write(frame);
+      client.send = message => socket.write(clientFrame(WebSocket.OPCODES.TEXT, JSON.stringify(message)));
+      // Resolves with the first message of a type that arrives after `from` messages
+      client.next = (type, from = 0) => new Promise((done) => {
+        const check = () => {
+          const message = client.messages.slice(from).find(candidate => candidate.type === type);
+          if (message) {
+            done(message);
+          }
+          return Boolean(message);
+        };
+        if (!check()) {
+          client.waiters.push(check);
+        }
+      });
+      client.closed = new Promise(done => socket.on('close', done));
+      resolve(client);
+    });
+    request.end();
+  });
+}
+
+/**
+ * Plain HTTP request
+ * @param {number} port - Server port
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function fetchText(port, method, pathname) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ port, host: '127.0.0.1', method, path: pathname }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    });
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+describe('WebServer', () => {
+  let server;
+  let port;
+  let publicDir;
+
+  beforeAll(() => {
+    publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-public-'));
+    fs.writeFileSync(path.join(publicDir, 'index.html'), '<h1>Sea Battle</h1>');
+    fs.writeFileSync(path.join(publicDir, 'app.js'), 'void 0;');
+  });
+
+  beforeEach(async () => {
+    GameConfig.configure({
+      coordinateFormat: 'classic',
+      boardSize: 5,
+      shipPatterns: [{ name: 'Destroyer', length: 2 }]
+    });
+    server = new WebServer({ port: 0, host: '127.0.0.1', publicDir, seed: 3 });
+    port = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  afterAll(() => {
+    GameConfig.configure();
+    fs.rmSync(publicDir, { recursive: true, force: true });
+  });
+
+  describe('static files', () => {
+    test('should serve the client with its content type', async () => {
+      const page = await fetchText(port, 'GET', '/');
+      const script = await fetchText(port, 'GET', '/app.js');
+
+      expect(page.status).toBe(200);
+      expect(page.headers['content-type']).toBe('text/html; charset=utf-8');
+      expect(page.body).toBe('<h1>Sea Battle</h1>');
+      expect(script.headers['content-type']).toBe('text/javascript; charset=utf-8');
+    });
+
+    test('should answer HEAD without a body', async () => {
+      const page = await fetchText(port, 'HEAD', '/index.html');
+
+      expect(page.status).toBe(200);
+      expect(page.headers['content-length']).toBe('19');
+      expect(page.body).toBe('');
+    });
+
+    test('should not serve missing files or anything outside the public directory', async () => {
+      expect((await fetchText(port, 'GET', '/missing.html')).status).toBe(404);
+      expect((await fetchText(port, 'GET', '/%2e%2e/package.json')).status).toBe(404);
+      expect((await fetchText(port, 'GET', '/..%2f..%2fpackage.json')).status).toBe(404);
+    });
+
+    test('should refuse other methods', async () => {
+      const response = await fetchText(port, 'POST', '/');
+
+      expect(response.status).toBe(405);
+      expect(response.headers.allow).toBe('GET, HEAD');
+    });
+
+    test('should serve the bundled client by default', () => {
+      expect(new WebServer().publicDir).toBe(path.resolve(__dirname, '..', 'public'));
+      expect(fs.existsSync(path.join(new WebServer().publicDir, 'index.html'))).toBe(true);
+    });
+  });
+
+  describe('WebSocket', () => {
+    test('should complete the handshake with the RFC 6455 accept key', async () => {
+      const client = await connect(port);
+      const expected = crypto.createHash('sha1').update(`${client.key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64');
+
+      expect(client.response.statusCode).toBe(101);
+      expect(client.response.headers['sec-websocket-accept']).toBe(expected);
+      client.socket.destroy();
+    });
+
+    test('should refuse upgrades to other paths', async () => {
+      await expect(connect(port, '/other')).rejects.toThrow('404');
+    });
+
+    test('should answer a ping with a pong carrying the same payload', async () => {
+      const client = await connect(port);
+      client.sendRaw(clientFrame(WebSocket.OPCODES.PING, 'marco'));
+
+      await new Promise(done => client.waiters.push(() => {
+        const pong = client.frames.find(frame => frame.opcode === WebSocket.OPCODES.PONG);
+        if (pong) {
+          expect(pong.payload.toString()).toBe('marco');
+          done();
+        }
+        return Boolean(pong);
+      }));
+      client.socket.destroy();
+    });
+
+    test('should close with a protocol error on an unmasked frame', async () => {
+      const client = await connect(port);
+      client.sendRaw(Buffer.from([0x81, 0x02, 0x7b, 0x7d]));
+      await client.closed;
+
+      const close = client.frames.find(frame => frame.opcode === WebSocket.OPCODES.CLOSE);
+      expect(close.payload.readUInt16BE(0)).toBe(WebSocket.CLOSE_CODES.PROTOCOL_ERROR);
+    });
+
+    test('should join fragmented messages', async () => {
+      const client = await connect(port);
+      await client.next('prompt');
+      client.sendRaw(clientFrame(WebSocket.OPCODES.TEXT, '{"type":', false));
+      client.sendRaw(clientFrame(WebSocket.OPCODES.CONTINUATION, '"dance"}'));
+
+      const message = await client.next('invalidMove');
+      expect(message.message).toBe("Unknown message type 'dance'");
+      client.socket.destroy();
+    });
+
+    test('should encode longer frames with an extended length', () => {
+      const frame = WebSocket.encodeFrame(WebSocket.OPCODES.TEXT, Buffer.alloc(300));
+
+      expect(frame[1]).toBe(126);
+      expect(frame.readUInt16BE(2)).toBe(300);
+      expect(frame.length).toBe(304);
+    });
+  });
+
+  describe('game sessions', () => {
+    test('should send the player fleet and prompt for a shot', async () => {
+      const client = await connect(port);
+      const fleet = await client.next('fleet');
+      const prompt = await client.next('prompt');
+
+      expect(fleet.size).toBe(5);
+      expect(fleet.notation).toBe('classic');
+      expect(fleet.ships).toEqual([{ name: 'Destroyer', cells: expect.any(Array) }]);
+      expect(fleet.ships[0].cells[0]).toEqual({ row: expect.any(Number), col: expect.any(Number), label: expect.any(String) });
+      expect(prompt).toEqual({ type: 'prompt', phase: 'shot', shots: 1 });
+      expect(client.messages.find(message => message.type === 'gameStart')).toBeDefined();
+      client.socket.destroy();
+    });
+
+    test('should push the engine events for a shot', async () => {
+      const client = await connect(port);
+      await client.next('prompt');
+      const from = client.messages.length;
+      client.send({ type: 'fire', cells: [[0, 0]] });
+
+      const outcome = await Promise.race([client.next('playerHit', from), client.next('playerMiss', from)]);
+      expect(outcome.coordinate).toEqual({ row: 0, col: 0, label: 'A1' });
+      await client.next('prompt', from);
+      client.socket.destroy();
+    });
+
+    test('should report invalid messages without ending the game', async () => {
+      const client = await connect(port);
+      await client.next('prompt');
+
+      client.sendRaw(clientFrame(WebSocket.OPCODES.TEXT, 'not json'));
+      expect((await client.next('invalidMove')).message).toBe('Messages must be JSON');
+
+      const from = client.messages.length;
+      client.send({ type: 'fire', cells: [[9, 9]] });
+      const invalid = await client.next('invalidMove', from);
+      expect(invalid.input).toBe('?');
+      await client.next('prompt', from);
+      const of = jest.spyOn(Coordinate, 'of');
+      const farFrom = client.messages.length;
+      client.send({ type: 'fire', cells: [[2 ** 40, 7]] });
+      expect((await client.next('invalidMove', farFrom)).input).toBe('?');
+      expect(of).not.toHaveBeenCalledWith(2 ** 40, 7);
+      of.mockRestore();
+      client.socket.destroy();
+    });
+
+    test('should refuse a shot out of turn', async () => {
+      const client = await connect(port);
+      await client.next('prompt');
+      client.send({ type: 'fire', cells: [[0, 0]] });
+      client.send({ type: 'fire', cells: [[0, 1]] });
+
+      expect((await client.next('invalidMove')).message).toBe('It is not your turn');
+      client.socket.destroy();
+    });
+
+    test('should play a game to the end and reveal the CPU fleet', async () => {
+      const client = await connect(port);
+      let from = 0;
+      // Sweep the board one cell per turn until either side wins
+      for (let cell = 0; cell < 25; cell++) {
+        const prompt = await Promise.race([client.next('prompt', from), client.next('gameEnded')]);
+        if (prompt.type === 'gameEnded') {
+          break;
+        }
+        from = client.messages.indexOf(prompt) + 1;
+        client.send({ type: 'fire', cells: [[Math.floor(cell / 5), cell % 5]] });
+      }
+
+      const ended = await client.next('gameEnded');
+      const reveal = await client.next('reveal');
+      await client.closed;
+      expect(['player', 'cpu']).toContain(ended.winner);
+      expect(reveal.ships).toEqual([{ name: 'Destroyer', cells: expect.any(Array) }]);
+    });
+
+    test('should end the session when the browser quits', async () => {
+      const ended = new Promise(done => server.once('sessionEnd', done));
+      const client = await connect(port);
+      await client.next('prompt');
+      client.send({ type: 'quit' });
+
+      await ended;
+      await client.closed;
+      expect(server.sessions.size).toBe(0);
+    });
+
+    test('should not name a ship on a volley hit until it sinks', () => {
+      const sent = [];
+      const socket = { on: jest.fn(), send: text => sent.push(JSON.parse(text)) };
+      const session = new GameSession(socket, { seed: 1 });
+
+      session.push('volleyComplete', {
+        player: 'player',
+        hits: 2,
+        misses: 0,
+        results: [{ hit: true, sunk: false, ship: 'Destroyer' }, { hit: true, sunk: true, ship: 'Destroyer' }]
+      });
+
+      expect(sent[0].results).toEqual([{ hit: true, sunk: false }, { hit: true, sunk: true, ship: 'Destroyer' }]);
+    });
+  });
+});
@@ -4,14 +4,67 @@
  * @module tests/index
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { main } = require('../src/index');
 
-jest.mock('../src/game/Game', () => {
+jest.mock('../src/ui/ConsoleGame', () => {
   return jest.fn().mockImplementation(() => ({
     start: jest.fn()
   }));
 });
 
+jest.mock('../src/ui/ReplayViewer', () => {
+  return jest.fn().mockImplementation(() => ({
+    start: jest.fn()
+  }));
+});
+
+jest.mock('../src/ui/HotSeatConsole', () => {
+  return jest.fn().mockImplementation(() => ({
+    start: jest.fn()
+  }));
+});
+
+jest.mock('../src/ui/NetworkConsole', () => {
+  return jest.fn().mockImplementation(() => ({
+    start: jest.fn().mockResolvedValue()
+  }));
+});
+
+jest.mock('../src/net/GameServer', () => {
+  return jest.fn().mockImplementation(() => ({
+    start: jest.fn().mockResolvedValue(4300)
+  }));
+});
+
+jest.mock('../src/net/WebServer', () => {
+  const WebServer = jest.fn().mockImplementation(() => ({
+    start: jest.fn().mockResolvedValue(8080)
+  }));
+  WebServer.DEFAULT_PORT = 8080;
+  return WebServer;
+});
+
+jest.mock('../src/ai/ExternalBotStrategy', () => {
+  return jest.fn().mockImplementation(options => ({
+    options,
+    close: jest.fn()
+  }));
+});
+
+jest.mock('../src/ai/PluginBotStrategy', () => {
+  const PluginBotStrategy = jest.fn().mockImplementation(options => ({ options }));
+  PluginBotStrategy.resolve = jest.fn(name => `bots/${name}.js`);
+  PluginBotStrategy.list = jest.fn(() => ['hunter']);
+  return PluginBotStrategy;
+});
+
+jest.mock('../src/game/Replay', () => ({
+  load: jest.fn(file => ({ file }))
+}));
+
 describe('Index Main Entry Point', () => {
   beforeEach(() => {
     jest.spyOn(console, 'log').mockImplementation(() => {});
@@ -26,38 +79,334 @@ describe('Index Main Entry Point', () => {
   });
 
   test('should start game successfully', () => {
-    const Game = require('../src/game/Game');
+    const ConsoleGame = require('../src/ui/ConsoleGame');
     
-    main();
+    main([], {});
     
-    expect(Game).toHaveBeenCalled();
+    expect(ConsoleGame).toHaveBeenCalled();
     expect(console.log).toHaveBeenCalledWith('='.repeat(50));
     expect(console.log).toHaveBeenCalledWith('      🚢 Sea Battle Game v2.0 🚢');
   });
 
   test('should handle game creation error', () => {
-    const Game = require('../src/game/Game');
-    Game.mockImplementation(() => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockImplementation(() => {
       throw new Error('Game creation failed');
     });
     
-    main();
+    main([], {});
     
     expect(console.error).toHaveBeenCalledWith('Failed to start game:', 'Game creation failed');
     expect(process.exit).toHaveBeenCalledWith(1);
   });
 
   test('should handle game start error', () => {
-    const Game = require('../src/game/Game');
+    const ConsoleGame = require('../src/ui/ConsoleGame');
     const mockGame = { start: jest.fn() };
     mockGame.start.mockImplementation(() => {
       throw new Error('Start failed');
     });
-    Game.mockImplementation(() => mockGame);
+    ConsoleGame.mockImplementation(() => mockGame);
     
-    main();
+    main([], {});
     
     expect(console.error).toHaveBeenCalledWith('Failed to start game:', 'Start failed');
     expect(process.exit).toHaveBeenCalledWith(1);
   });
-}); 
\ No newline at end of file
+
+  test('should reject invalid configuration before starting', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--board-size', '1'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', expect.stringContaining("'boardSize' must be at least 2"));
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should pass --seed to the console game', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--seed', '2024'], {});
+
+    expect(ConsoleGame).toHaveBeenCalledWith({ seed: '2024' });
+  });
+
+  test('should pass --resume to the console game', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--resume', 'saved.json'], {});
+
+    expect(ConsoleGame).toHaveBeenCalledWith(expect.objectContaining({ resume: 'saved.json' }));
+  });
+
+  test('should require a file for --resume', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--resume'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', '--resume requires a save file path');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should pass --record to the console game', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--record', 'game.replay.json'], {});
+
+    expect(ConsoleGame).toHaveBeenCalledWith(expect.objectContaining({ record: 'game.replay.json' }));
+  });
+
+  test('should open the replay viewer without starting a console game', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    const ReplayViewer = require('../src/ui/ReplayViewer');
+    ConsoleGame.mockClear();
+
+    main(['replay', 'game.replay.json'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(ReplayViewer).toHaveBeenCalledWith({ replay: { file: 'game.replay.json' } });
+    expect(ReplayViewer.mock.results[0].value.start).toHaveBeenCalled();
+  });
+
+  test('should require a file for replay', () => {
+    main(['replay'], {});
+
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', 'replay requires a replay file path');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should read fleet layout files for the console game', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sea-battle-fleet-'));
+    const file = path.join(dir, 'layout.txt');
+    fs.writeFileSync(file, 'Carrier A1 H\n');
+
+    try {
+      main(['--player-fleet', file, '--cpu-fleet', file], {});
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(ConsoleGame).toHaveBeenCalledWith(expect.objectContaining({
+      playerFleet: 'Carrier A1 H\n',
+      cpuFleet: 'Carrier A1 H\n'
+    }));
+  });
+
+  test('should report unreadable fleet layout files', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--cpu-fleet', 'no-such-layout.txt'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', expect.stringContaining('Cannot read fleet layout no-such-layout.txt'));
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should play the CPU with an external bot', async () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    const ExternalBotStrategy = require('../src/ai/ExternalBotStrategy');
+    ConsoleGame.mockImplementation(() => ({ start: jest.fn().mockResolvedValue() }));
+    ConsoleGame.mockClear();
+
+    main(['--bot', 'python3 bots/hunter.py --fast', '--bot-timeout', '250'], {});
+
+    expect(ExternalBotStrategy).toHaveBeenCalledWith(expect.objectContaining({
+      command: 'python3',
+      args: ['bots/hunter.py', '--fast'],
+      timeout: 250
+    }));
+    const bot = ExternalBotStrategy.mock.results[0].value;
+    expect(ConsoleGame).toHaveBeenCalledWith(expect.objectContaining({ aiStrategy: bot }));
+    await Promise.resolve();
+    expect(bot.close).toHaveBeenCalled();
+    bot.options.onWarning({ reason: 'did not answer within 250 ms', strikes: 1 });
+    expect(console.error).toHaveBeenCalledWith('Bot did not answer within 250 ms');
+  });
+
+  test('should close the bot and report the error when the game fails', async () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    const ExternalBotStrategy = require('../src/ai/ExternalBotStrategy');
+    ConsoleGame.mockImplementationOnce(() => ({ start: jest.fn().mockRejectedValue(new Error('stdin closed')) }));
+    ExternalBotStrategy.mockClear();
+
+    main(['--bot', 'my-bot'], {});
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(ExternalBotStrategy.mock.results[0].value.close).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Game stopped by an error:', 'stdin closed');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should reject --bot without a command or with a bad timeout', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['--bot'], {});
+    main(['--bot', 'my-bot', '--bot-timeout', 'soon'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', '--bot requires a command to run');
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', "--bot-timeout must be a positive number of milliseconds, got 'soon'");
+  });
+
+  test('should play the CPU with a bot plugin', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    const PluginBotStrategy = require('../src/ai/PluginBotStrategy');
+    ConsoleGame.mockClear();
+
+    main(['--bot-plugin', 'hunter', '--bot-timeout', '50'], {});
+
+    expect(PluginBotStrategy).toHaveBeenCalledWith(expect.objectContaining({ file: 'bots/hunter.js', timeout: 50 }));
+    const plugin = PluginBotStrategy.mock.results[0].value;
+    expect(ConsoleGame).toHaveBeenCalledWith(expect.objectContaining({ aiStrategy: plugin }));
+    plugin.options.onWarning({ reason: 'chooseTarget: out of ideas', strikes: 1 });
+    expect(console.error).toHaveBeenCalledWith('Bot plugin chooseTarget: out of ideas');
+  });
+
+  test('should reject --bot-plugin without a name or together with --bot', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    const ExternalBotStrategy = require('../src/ai/ExternalBotStrategy');
+    ConsoleGame.mockClear();
+    ExternalBotStrategy.mockClear();
+
+    main(['--bot-plugin'], {});
+    main(['--bot-plugin', 'hunter', '--bot', 'my-bot'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(ExternalBotStrategy).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', '--bot-plugin requires a plugin name (available: hunter)');
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', 'Use either --bot or --bot-plugin, not both');
+  });
+
+  test('should print a random fleet layout', () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    try {
+      main(['fleet', '--seed', '4'], {});
+      expect(write).toHaveBeenCalledWith(expect.stringMatching(/^Carrier \d\d [HV]\nBattleship /));
+    } finally {
+      write.mockRestore();
+    }
+  });
+
+  test('should start a hot-seat game for two named players', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    const HotSeatConsole = require('../src/ui/HotSeatConsole');
+    ConsoleGame.mockClear();
+
+    main(['hotseat', 'Ann', 'Bob', '--seed', '9'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(HotSeatConsole).toHaveBeenCalledWith({ names: ['Ann', 'Bob'], seed: '9' });
+    expect(HotSeatConsole.mock.results[0].value.start).toHaveBeenCalled();
+  });
+
+  test('should host a networked game and join it from this terminal', async () => {
+    const GameServer = require('../src/net/GameServer');
+    const NetworkConsole = require('../src/ui/NetworkConsole');
+    NetworkConsole.mockClear();
+
+    main(['host', '--port', '4300', '--name', 'Ann', '--seed', '2'], {});
+    await Promise.resolve();
+
+    expect(GameServer).toHaveBeenCalledWith({ port: 4300, seed: '2' });
+    expect(console.log).toHaveBeenCalledWith('Hosting a game on port 4300. Your opponent joins with: sea-battle join <this-host>:4300');
+    expect(NetworkConsole).toHaveBeenCalledWith({ port: 4300, name: 'Ann', playerFleet: undefined });
+  });
+
+  test('should join a networked game by address', () => {
+    const NetworkConsole = require('../src/ui/NetworkConsole');
+    NetworkConsole.mockClear();
+
+    main(['join', 'example.org:4301', '--name', 'Bob'], {});
+    main(['join', 'example.org'], {});
+
+    expect(NetworkConsole).toHaveBeenNthCalledWith(1, { host: 'example.org', port: 4301, name: 'Bob', playerFleet: undefined });
+    expect(NetworkConsole).toHaveBeenNthCalledWith(2, expect.objectContaining({ host: 'example.org', port: 4242 }));
+  });
+
+  test('should reject a join without an address or with a bad port', () => {
+    main(['join'], {});
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', 'join requires a server address (host:port)');
+
+    main(['host', '--port', 'http'], {});
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', "'http' is not a port number");
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should serve the browser client on the web server port', async () => {
+    const WebServer = require('../src/net/WebServer');
+    WebServer.mockClear();
+
+    main(['serve', '--seed', '5'], {});
+    await Promise.resolve();
+
+    expect(WebServer).toHaveBeenCalledWith({ port: 8080, seed: '5' });
+    expect(console.log).toHaveBeenCalledWith('Sea Battle is running at http://localhost:8080');
+  });
+
+  test('should run an AI-vs-AI simulation without starting a console game', () => {
+    const ConsoleGame = require('../src/ui/ConsoleGame');
+    ConsoleGame.mockClear();
+
+    main(['simulate', 'easy', 'hard', '--games', '2'], {});
+
+    expect(ConsoleGame).not.toHaveBeenCalled();
+    expect(console.log).toHaveBeenCalledWith('Simulated 2 games: easy vs hard');
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  test('should simulate a bot plugin against an AI difficulty', () => {
+    const PluginBotStrategy = require('../src/ai/PluginBotStrategy');
+    const Actual = jest.requireActual('../src/ai/PluginBotStrategy');
+    const load = options => new Actual({ ...options, file: Actual.resolve('hunter') });
+    PluginBotStrategy.mockClear();
+    // One plugin is loaded up front, then one per game
+    PluginBotStrategy.mockImplementationOnce(load).mockImplementationOnce(load).mockImplementationOnce(load);
+
+    main(['simulate', '--bot-plugin', 'hunter', 'easy', '--games', '2'], {});
+
+    expect(PluginBotStrategy).toHaveBeenCalledTimes(3);
+    expect(PluginBotStrategy).toHaveBeenCalledWith(expect.objectContaining({ file: 'bots/hunter.js' }));
+    expect(console.log).toHaveBeenCalledWith('Simulated 2 games: hunter vs easy');
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to simulate an external bot', () => {
+    const ExternalBotStrategy = require('../src/ai/ExternalBotStrategy');
+    ExternalBotStrategy.mockClear();
+
+    main(['simulate', '--bot', 'python3 bot.py'], {});
+
+    expect(ExternalBotStrategy).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', 'simulate cannot play an external --bot; use a --bot-plugin or an AI difficulty');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should reject unknown AI difficulties for simulations', () => {
+    main(['simulate', 'easy', 'godlike'], {});
+
+    expect(console.error).toHaveBeenCalledWith('Failed to start game:', expect.stringContaining("Unknown AI difficulty 'godlike'"));
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+
+  test('should apply CLI flags and environment variables', () => {
+    const GameConfig = require('../src/config/GameConfig');
+
+    main(['--num-ships', '2'], { SEA_BATTLE_BOARD_SIZE: '8' });
+
+    const config = new GameConfig();
+    expect(config.get('boardSize')).toBe(8);
+    expect(config.get('numShips')).toBe(2);
+    GameConfig.configure();
+  });
+});